@@ -6,6 +6,56 @@ const prisma = new PrismaClient();
 async function main() {
   console.log('🌱 Starting database seeding...');
 
+  // Create plans
+  const defaultPlans = [
+    {
+      name: 'Free',
+      description: 'Satu container kecil',
+      maxContainers: 1,
+      maxMemory: '512m',
+      maxCpus: 0.5,
+      diskQuota: 1024,
+      maxTunnels: 1,
+      maxCronJobs: 1,
+      maxSnapshots: 1,
+      backupSchedule: '0 3 * * *',
+      backupKeepDaily: 3,
+      backupKeepWeekly: 1,
+      logRetentionDays: 3,
+      allowedImages: [],
+      isDefault: true,
+    },
+    {
+      name: 'Pro',
+      description: 'Beberapa container dengan resource lebih besar',
+      maxContainers: 3,
+      maxMemory: '2g',
+      maxCpus: 2,
+      diskQuota: 10240,
+      maxTunnels: 5,
+      maxCronJobs: 10,
+      maxSnapshots: 5,
+      backupSchedule: '0 3 * * *',
+      backupKeepDaily: 7,
+      backupKeepWeekly: 4,
+      logRetentionDays: 14,
+      allowedImages: [],
+      isDefault: false,
+    },
+  ];
+
+  for (const plan of defaultPlans) {
+    await prisma.plan.upsert({
+      where: { name: plan.name },
+      update: {},
+      create: plan,
+    });
+  }
+
+  const freePlan = await prisma.plan.findUnique({ where: { name: 'Free' } });
+
+  console.log('✅ Plans created:', defaultPlans.map(plan => plan.name).join(', '));
+
   // Hash passwords
   const adminPassword = await bcrypt.hash('admin123', 12);
   const memberPassword = await bcrypt.hash('member123', 12);
@@ -35,6 +85,7 @@ async function main() {
       password: memberPassword,
       role: 'MEMBER',
       isActive: true,
+      planId: freePlan.id,
     },
   });
 
@@ -78,10 +129,6 @@ async function main() {
 
   // Create system settings
   const defaultSettings = [
-    {
-      key: 'MAX_CONTAINERS_PER_MEMBER',
-      value: '1',
-    },
     {
       key: 'DEFAULT_CONTAINER_MEMORY',
       value: '512m',
@@ -90,17 +137,6 @@ async function main() {
       key: 'DEFAULT_CONTAINER_CPU',
       value: '0.5',
     },
-    {
-      key: 'ALLOWED_IMAGES',
-      value: JSON.stringify([
-        'node:18-alpine',
-        'node:16-alpine',
-        'python:3.11-alpine',
-        'python:3.9-alpine',
-        'nginx:alpine',
-        'ubuntu:22.04',
-      ]),
-    },
     {
       key: 'MAX_FILE_UPLOAD_SIZE',
       value: '100MB',
@@ -117,6 +153,76 @@ async function main() {
 
   console.log('✅ System settings created');
 
+  // Create image catalog
+  const catalogImages = [
+    {
+      name: 'node',
+      tag: '18-alpine',
+      displayName: 'Node.js 18',
+      description: 'Node.js 18 LTS di Alpine Linux',
+      defaultCmd: ['node', 'index.js'],
+      defaultPorts: [{ containerPort: 3000, protocol: 'tcp' }],
+      defaultEnv: { NODE_ENV: 'production', PORT: '3000' },
+      minMemory: '256m',
+    },
+    {
+      name: 'node',
+      tag: '16-alpine',
+      displayName: 'Node.js 16',
+      description: 'Node.js 16 di Alpine Linux',
+      defaultCmd: ['node', 'index.js'],
+      defaultPorts: [{ containerPort: 3000, protocol: 'tcp' }],
+      defaultEnv: { NODE_ENV: 'production', PORT: '3000' },
+      minMemory: '256m',
+    },
+    {
+      name: 'python',
+      tag: '3.11-alpine',
+      displayName: 'Python 3.11',
+      description: 'Python 3.11 di Alpine Linux',
+      defaultCmd: ['python', 'main.py'],
+      defaultPorts: [{ containerPort: 8000, protocol: 'tcp' }],
+      defaultEnv: { PYTHONUNBUFFERED: '1' },
+      minMemory: '128m',
+    },
+    {
+      name: 'python',
+      tag: '3.9-alpine',
+      displayName: 'Python 3.9',
+      description: 'Python 3.9 di Alpine Linux',
+      defaultCmd: ['python', 'main.py'],
+      defaultPorts: [{ containerPort: 8000, protocol: 'tcp' }],
+      defaultEnv: { PYTHONUNBUFFERED: '1' },
+      minMemory: '128m',
+    },
+    {
+      name: 'nginx',
+      tag: 'alpine',
+      displayName: 'Nginx',
+      description: 'Web server statis',
+      defaultPorts: [{ containerPort: 80, protocol: 'tcp' }],
+      minMemory: '64m',
+    },
+    {
+      name: 'ubuntu',
+      tag: '22.04',
+      displayName: 'Ubuntu 22.04',
+      description: 'Ubuntu dasar untuk kebutuhan umum',
+      defaultCmd: ['sleep', 'infinity'],
+      minMemory: '256m',
+    },
+  ];
+
+  for (const image of catalogImages) {
+    await prisma.image.upsert({
+      where: { name_tag: { name: image.name, tag: image.tag } },
+      update: {},
+      create: image,
+    });
+  }
+
+  console.log('✅ Image catalog created');
+
   // Create sample audit logs
   await prisma.auditLog.create({
     data: {
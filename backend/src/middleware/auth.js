@@ -128,7 +128,8 @@ const requireMember = requireRole(['MEMBER', 'ADMIN']);
 // Container ownership check
 const requireContainerOwnership = async (req, res, next) => {
   try {
-    const { containerId } = req.params;
+    // Container routes use :id, file/tunnel routes use :containerId
+    const containerId = req.params.containerId || req.params.id;
     const userId = req.user.id;
     const userRole = req.user.role;
 
@@ -177,6 +178,42 @@ const requireContainerOwnership = async (req, res, next) => {
   }
 };
 
+// Socket.IO authentication middleware
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
+    
+    if (!token) {
+      return next(new Error('Authentication token required'));
+    }
+
+    // Verify JWT token
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    
+    // Get user from database
+    const prisma = getPrismaClient();
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: {
+        id: true,
+        username: true,
+        role: true,
+        isActive: true,
+      },
+    });
+
+    if (!user || !user.isActive) {
+      return next(new Error('User not found or inactive'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    logger.error('Socket authentication failed:', error);
+    next(new Error('Authentication failed'));
+  }
+};
+
 // Optional authentication (for public endpoints that can benefit from user context)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -293,4 +330,5 @@ module.exports = {
   userRateLimit,
   auditLog,
   extractToken,
+  authenticateSocket,
 };
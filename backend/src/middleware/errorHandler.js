@@ -111,6 +111,11 @@ const errorHandler = (err, req, res, next) => {
       : message,
   };
 
+  // Structured details for operational errors (e.g. quota usage)
+  if (err.isOperational && err.details) {
+    response.details = err.details;
+  }
+
   // Add error details in development
   if (process.env.NODE_ENV === 'development') {
     response.error = {
@@ -199,6 +204,13 @@ class FileSystemError extends AppError {
   }
 }
 
+class QuotaExceededError extends AppError {
+  constructor(message = 'Disk quota exceeded', details = null) {
+    super(message, 413, 'QUOTA_EXCEEDED');
+    this.details = details;
+  }
+}
+
 // Error response helper
 const sendErrorResponse = (res, error, statusCode = 500) => {
   const response = {
@@ -242,6 +254,7 @@ module.exports = {
   RateLimitError,
   DockerError,
   FileSystemError,
+  QuotaExceededError,
   sendErrorResponse,
   sendSuccessResponse,
 };
@@ -1,11 +1,36 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const fs = require('fs');
+const path = require('path');
 const { body, query, validationResult } = require('express-validator');
 const { getPrismaClient } = require('../utils/database');
 const { getDockerClient, ContainerManager } = require('../utils/docker');
 const { verifyToken, requireAdmin, auditLog } = require('../middleware/auth');
 const { strictLimiter } = require('../middleware/rateLimiter');
 const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { removeContainerTunnels } = require('../services/tunnelSidecar');
+const { addJob } = require('../services/jobQueue');
+const { VOLUME_MODE, purgeContainerVolumes, listPanelVolumes, removePanelVolume } = require('../services/volumes');
+const { getUserDiskUsage } = require('../services/diskQuota');
+const { PLAN_DEFAULTS, getPlanUsage } = require('../services/plans');
+const { listCatalogImages, serializeCatalogImage } = require('../services/imageCatalog');
+const { listTemplates, isBuiltInSlug } = require('../services/templates');
+const { purgeScriptOutputs } = require('../services/scriptRuns');
+const { isValidSchedule, unscheduleContainerCronJobs } = require('../services/cronJobs');
+const { purgeContainerSnapshots } = require('../services/snapshots');
+const { purgeContainerBackups, syncBackupSchedules, getBackupOverview, BACKUP_DIR_SETTING } = require('../services/backups');
+const { purgeStagedApp } = require('../services/bundles');
+const { purgeContainerLogArchive } = require('../services/logArchive');
+const {
+  getDriftReport,
+  findIssue,
+  recreateContainer,
+  adoptDockerContainer,
+  removeDockerContainer,
+} = require('../services/reconciler');
+const { getSecretsStatus, rotateSecrets } = require('../services/secrets');
+const { getPortPoolOverview, updatePortPoolSettings } = require('../services/portPool');
+const { getProxyStatus, refreshProxyRoutes } = require('../services/httpProxy');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -42,6 +67,10 @@ const createUserValidation = [
   body('role')
     .isIn(['ADMIN', 'MEMBER'])
     .withMessage('Role must be either ADMIN or MEMBER'),
+  body('planId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Plan ID must be a string'),
 ];
 
 const updateUserValidation = [
@@ -65,6 +94,14 @@ const updateUserValidation = [
     .optional()
     .isBoolean()
     .withMessage('isActive must be a boolean'),
+  body('diskQuota')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('diskQuota must be a non-negative number of MB, or null for the plan quota'),
+  body('planId')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Plan ID must be a string'),
 ];
 
 const resetPasswordValidation = [
@@ -75,6 +112,302 @@ const resetPasswordValidation = [
     .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number'),
 ];
 
+const pullImageValidation = [
+  body('image')
+    .trim()
+    .notEmpty()
+    .withMessage('Docker image is required')
+    .matches(/^[a-z0-9]+(?:[._-][a-z0-9]+)*(?:\/[a-z0-9]+(?:[._-][a-z0-9]+)*)*(?::[a-zA-Z0-9_][a-zA-Z0-9._-]{0,127})?$/)
+    .withMessage('Invalid Docker image format'),
+];
+
+// Plan fields are required on create and optional on update
+const buildPlanValidation = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Plan name must be between 2 and 50 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+    field('maxContainers')
+      .isInt({ min: 0 })
+      .withMessage('maxContainers must be a non-negative integer'),
+    field('maxMemory')
+      .matches(/^\d+[kmg]?$/i)
+      .withMessage('maxMemory must be in format like 512m, 1g, etc.'),
+    field('maxCpus')
+      .isFloat({ min: 0.1 })
+      .withMessage('maxCpus must be at least 0.1'),
+    field('diskQuota')
+      .isInt({ min: 0 })
+      .withMessage('diskQuota must be a non-negative number of MB (0 = unlimited)'),
+    field('maxTunnels')
+      .isInt({ min: 0 })
+      .withMessage('maxTunnels must be a non-negative integer'),
+    body('maxCronJobs')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('maxCronJobs must be a non-negative integer'),
+    body('maxSnapshots')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('maxSnapshots must be a non-negative integer'),
+    body('backupSchedule')
+      .optional({ nullable: true })
+      .custom(value => isValidSchedule(value))
+      .withMessage('backupSchedule must be a cron expression'),
+    body('backupKeepDaily')
+      .optional()
+      .isInt({ min: 0, max: 366 })
+      .withMessage('backupKeepDaily must be between 0 and 366'),
+    body('backupKeepWeekly')
+      .optional()
+      .isInt({ min: 0, max: 520 })
+      .withMessage('backupKeepWeekly must be between 0 and 520'),
+    body('logRetentionDays')
+      .optional()
+      .isInt({ min: 0, max: 365 })
+      .withMessage('logRetentionDays must be between 0 and 365 (0 = no log archive)'),
+    body('allowedImages')
+      .optional()
+      .isArray()
+      .withMessage('allowedImages must be an array of image names'),
+    body('allowedImages.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('allowedImages must contain image names'),
+    body('isDefault')
+      .optional()
+      .isBoolean()
+      .withMessage('isDefault must be a boolean'),
+  ];
+};
+
+const createPlanValidation = buildPlanValidation();
+const updatePlanValidation = buildPlanValidation(true);
+
+// Catalog image fields are required on create and optional on update
+const buildCatalogImageValidation = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .matches(/^[a-z0-9]+(?:[._-][a-z0-9]+)*(?::[0-9]+)?(?:\/[a-z0-9]+(?:[._-][a-z0-9]+)*)*$/)
+      .withMessage('Image name must be a repository like node or ghcr.io/org/app, without tag'),
+    body('tag')
+      .optional()
+      .trim()
+      .matches(/^[a-zA-Z0-9_][a-zA-Z0-9._-]{0,127}$/)
+      .withMessage('Invalid image tag'),
+    field('displayName')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Display name must be between 2 and 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters'),
+    body('defaultCmd')
+      .optional()
+      .isArray()
+      .withMessage('defaultCmd must be an array of arguments'),
+    body('defaultPorts')
+      .optional()
+      .isArray()
+      .withMessage('defaultPorts must be an array'),
+    body('defaultPorts.*.containerPort')
+      .isInt({ min: 1, max: 65535 })
+      .withMessage('Port must be between 1 and 65535'),
+    body('defaultPorts.*.protocol')
+      .optional()
+      .isIn(['tcp', 'udp'])
+      .withMessage('Protocol must be tcp or udp'),
+    body('defaultEnv')
+      .optional()
+      .isObject()
+      .withMessage('defaultEnv must be an object'),
+    body('minMemory')
+      .optional({ nullable: true })
+      .matches(/^\d+[kmg]?$/i)
+      .withMessage('minMemory must be in format like 512m, 1g, etc.'),
+    body('minCpus')
+      .optional({ nullable: true })
+      .isFloat({ min: 0.1 })
+      .withMessage('minCpus must be at least 0.1'),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('enabled must be a boolean'),
+  ];
+};
+
+const createCatalogImageValidation = buildCatalogImageValidation();
+const updateCatalogImageValidation = buildCatalogImageValidation(true);
+
+const buildTemplateValidation = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('slug')
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug can only contain lowercase letters, numbers and hyphens')
+      .isLength({ max: 50 })
+      .withMessage('Slug must be at most 50 characters'),
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Template name must be between 2 and 100 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description must be at most 500 characters'),
+    field('image')
+      .trim()
+      .matches(/^[a-z0-9]+(?:[._-][a-z0-9]+)*(?:\/[a-z0-9]+(?:[._-][a-z0-9]+)*)*(?::[a-zA-Z0-9_][a-zA-Z0-9._-]{0,127})?$/)
+      .withMessage('Invalid Docker image format'),
+    body('files')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('files must be an array of at most 50 files'),
+    // Paths are relative to /app and may not leave it
+    body('files.*.path')
+      .isString()
+      .custom(value => (
+        value.length > 0
+        && !value.startsWith('/')
+        && !value.split('/').some(segment => segment === '..' || segment === '')
+      ))
+      .withMessage('File paths must be relative to /app without ".." segments'),
+    body('files.*.content')
+      .isString()
+      .isLength({ max: 1024 * 1024 })
+      .withMessage('File content must be a string of at most 1MB'),
+    body('cmd')
+      .optional()
+      .isArray()
+      .withMessage('cmd must be an array of arguments'),
+    body('ports')
+      .optional()
+      .isArray()
+      .withMessage('ports must be an array'),
+    body('ports.*.containerPort')
+      .isInt({ min: 1, max: 65535 })
+      .withMessage('Port must be between 1 and 65535'),
+    body('ports.*.protocol')
+      .optional()
+      .isIn(['tcp', 'udp'])
+      .withMessage('Protocol must be tcp or udp'),
+    body('env')
+      .optional()
+      .isObject()
+      .withMessage('env must be an object'),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('enabled must be a boolean'),
+  ];
+};
+
+const createTemplateValidation = buildTemplateValidation();
+const updateTemplateValidation = buildTemplateValidation(true);
+
+const deleteContainerValidation = [
+  query('keepVolumes')
+    .optional()
+    .isBoolean()
+    .withMessage('keepVolumes must be a boolean'),
+];
+
+const backupDirectoryValidation = [
+  body('backupDir')
+    .isString()
+    .trim()
+    .custom(value => path.isAbsolute(value) && !value.split('/').includes('..'))
+    .withMessage('backupDir must be an absolute path'),
+];
+
+const portPoolValidation = [
+  body('start')
+    .isInt({ min: 1024, max: 65535 })
+    .withMessage('start must be a port between 1024 and 65535'),
+  body('end')
+    .isInt({ min: 1024, max: 65535 })
+    .withMessage('end must be a port between 1024 and 65535')
+    .custom((value, { req }) => parseInt(value) >= parseInt(req.body.start))
+    .withMessage('end must not be lower than start'),
+  body('publicHost')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[a-zA-Z0-9.-]{1,253}$|^\[[0-9a-fA-F:]+\]$/)
+    .withMessage('publicHost must be a hostname or IP address'),
+];
+
+const repairDriftValidation = [
+  body('key')
+    .isString()
+    .notEmpty()
+    .withMessage('Issue key is required'),
+  body('action')
+    .isIn(['recreate', 'adopt', 'remove'])
+    .withMessage('Action must be recreate, adopt or remove'),
+];
+
+// Helper functions
+const findPlanOrFail = async (planId) => {
+  const plan = await getPrismaClient().plan.findUnique({
+    where: { id: planId },
+  });
+
+  if (!plan) {
+    throw new NotFoundError('Plan not found');
+  }
+
+  return plan;
+};
+
+// Backup schedules follow the plan, so plan changes reschedule them in the background
+const resyncBackupSchedules = () => {
+  syncBackupSchedules().catch((error) => {
+    logger.error('Failed to reschedule backups:', error);
+  });
+};
+
+// Remove the tunnel sidecars, Docker container and stored data of a container record.
+// Kept volumes show up as orphans under /api/admin/volumes.
+const purgeContainer = async (container, { keepVolumes = false } = {}) => {
+  await removeContainerTunnels(container.id);
+
+  if (container.dockerId) {
+    try {
+      await containerManager.removeContainer(container.dockerId, true);
+    } catch (error) {
+      logger.warn('Failed to remove Docker container:', error.message);
+    }
+  }
+
+  if (!keepVolumes) {
+    await purgeContainerVolumes(container);
+  }
+  await purgeScriptOutputs(container.id);
+  await unscheduleContainerCronJobs(container.id);
+  await purgeContainerSnapshots(container.id);
+  await purgeContainerBackups(container.id);
+  await purgeStagedApp(container.id);
+  await purgeContainerLogArchive(container.id);
+};
+
 // User Management Routes
 
 // @desc    Get all users
@@ -111,6 +444,12 @@ router.get('/users', asyncHandler(async (req, res) => {
         isActive: true,
         createdAt: true,
         updatedAt: true,
+        plan: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
         _count: {
           select: {
             containers: true,
@@ -151,6 +490,8 @@ router.get('/users/:id', asyncHandler(async (req, res) => {
       email: true,
       role: true,
       isActive: true,
+      diskQuota: true,
+      plan: true,
       createdAt: true,
       updatedAt: true,
       containers: {
@@ -159,6 +500,7 @@ router.get('/users/:id', asyncHandler(async (req, res) => {
           name: true,
           image: true,
           status: true,
+          diskUsage: true,
           createdAt: true,
         },
         orderBy: { createdAt: 'desc' },
@@ -190,6 +532,12 @@ router.get('/users/:id', asyncHandler(async (req, res) => {
     throw new NotFoundError('User not found');
   }
 
+  const { plan, usage, limits } = await getPlanUsage(id);
+  user.plan = plan;
+  user.usage = usage;
+  user.limits = limits;
+  user.disk = await getUserDiskUsage(id);
+
   sendSuccessResponse(res, { user }, 'User retrieved successfully');
 }));
 
@@ -203,9 +551,13 @@ router.post('/users', strictLimiter, createUserValidation, auditLog('USER_CREATE
     throw new ValidationError('Validation failed', errors.array());
   }
 
-  const { username, email, password, role = 'MEMBER' } = req.body;
+  const { username, email, password, role = 'MEMBER', planId = null } = req.body;
   const prisma = getPrismaClient();
 
+  if (planId) {
+    await findPlanOrFail(planId);
+  }
+
   // Check if user already exists
   const existingUser = await prisma.user.findFirst({
     where: {
@@ -230,6 +582,7 @@ router.post('/users', strictLimiter, createUserValidation, auditLog('USER_CREATE
       email,
       password: hashedPassword,
       role: role.toUpperCase(),
+      planId,
     },
     select: {
       id: true,
@@ -237,6 +590,7 @@ router.post('/users', strictLimiter, createUserValidation, auditLog('USER_CREATE
       email: true,
       role: true,
       isActive: true,
+      planId: true,
       createdAt: true,
     },
   });
@@ -263,7 +617,7 @@ router.put('/users/:id', updateUserValidation, auditLog('USER_UPDATE', 'USER'),
   }
 
   const { id } = req.params;
-  const { username, email, role, isActive } = req.body;
+  const { username, email, role, isActive, diskQuota, planId } = req.body;
   const prisma = getPrismaClient();
 
   // Check if user exists
@@ -307,6 +661,11 @@ router.put('/users/:id', updateUserValidation, auditLog('USER_UPDATE', 'USER'),
   if (email) updateData.email = email;
   if (role) updateData.role = role.toUpperCase();
   if (isActive !== undefined) updateData.isActive = isActive;
+  if (diskQuota !== undefined) updateData.diskQuota = diskQuota === null ? null : parseInt(diskQuota);
+  if (planId !== undefined) {
+    if (planId) await findPlanOrFail(planId);
+    updateData.planId = planId || null;
+  }
 
   const user = await prisma.user.update({
     where: { id },
@@ -317,11 +676,17 @@ router.put('/users/:id', updateUserValidation, auditLog('USER_UPDATE', 'USER'),
       email: true,
       role: true,
       isActive: true,
+      diskQuota: true,
+      planId: true,
       createdAt: true,
       updatedAt: true,
     },
   });
 
+  if (planId !== undefined) {
+    resyncBackupSchedules();
+  }
+
   // If user is deactivated, remove all their sessions
   if (isActive === false) {
     await prisma.userSession.deleteMany({
@@ -342,8 +707,14 @@ router.put('/users/:id', updateUserValidation, auditLog('USER_UPDATE', 'USER'),
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
 // @access  Private/Admin
-router.delete('/users/:id', auditLog('USER_DELETE', 'USER'), asyncHandler(async (req, res) => {
+router.delete('/users/:id', deleteContainerValidation, auditLog('USER_DELETE', 'USER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
   const { id } = req.params;
+  const keepVolumes = req.query.keepVolumes === 'true';
   const prisma = getPrismaClient();
 
   // Prevent admin from deleting themselves
@@ -362,15 +733,9 @@ router.delete('/users/:id', auditLog('USER_DELETE', 'USER'), asyncHandler(async
     throw new NotFoundError('User not found');
   }
 
-  // Remove user's containers from Docker
+  // Remove user's containers and their tunnel sidecars from Docker
   for (const container of user.containers) {
-    if (container.dockerId) {
-      try {
-        await containerManager.removeContainer(container.dockerId, true);
-      } catch (error) {
-        logger.warn('Failed to remove Docker container:', error.message);
-      }
-    }
+    await purgeContainer(container, { keepVolumes });
   }
 
   // Delete user (cascade will handle related records)
@@ -383,6 +748,7 @@ router.delete('/users/:id', auditLog('USER_DELETE', 'USER'), asyncHandler(async
     deletedUserId: id,
     deletedUsername: user.username,
     containersRemoved: user.containers.length,
+    volumesKept: keepVolumes,
     ip: req.ip,
   });
 
@@ -436,6 +802,214 @@ router.post('/users/:id/reset-password', strictLimiter, resetPasswordValidation,
   sendSuccessResponse(res, null, 'Password reset successfully');
 }));
 
+// Plan Management Routes
+
+// @desc    Get all plans
+// @route   GET /api/admin/plans
+// @access  Private/Admin
+router.get('/plans', asyncHandler(async (req, res) => {
+  const prisma = getPrismaClient();
+
+  const plans = await prisma.plan.findMany({
+    include: {
+      _count: {
+        select: {
+          users: true,
+        },
+      },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  sendSuccessResponse(res, { plans }, 'Plans retrieved successfully');
+}));
+
+// @desc    Get plan by ID
+// @route   GET /api/admin/plans/:id
+// @access  Private/Admin
+router.get('/plans/:id', asyncHandler(async (req, res) => {
+  const plan = await findPlanOrFail(req.params.id);
+
+  sendSuccessResponse(res, { plan }, 'Plan retrieved successfully');
+}));
+
+// @desc    Create plan
+// @route   POST /api/admin/plans
+// @access  Private/Admin
+router.post('/plans', createPlanValidation, auditLog('PLAN_CREATE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const {
+    name,
+    description = null,
+    maxContainers,
+    maxMemory,
+    maxCpus,
+    diskQuota,
+    maxTunnels,
+    maxCronJobs = PLAN_DEFAULTS.maxCronJobs,
+    maxSnapshots = PLAN_DEFAULTS.maxSnapshots,
+    backupSchedule = PLAN_DEFAULTS.backupSchedule,
+    backupKeepDaily = PLAN_DEFAULTS.backupKeepDaily,
+    backupKeepWeekly = PLAN_DEFAULTS.backupKeepWeekly,
+    logRetentionDays = PLAN_DEFAULTS.logRetentionDays,
+    allowedImages = PLAN_DEFAULTS.allowedImages,
+    isDefault = false,
+  } = req.body;
+  const prisma = getPrismaClient();
+
+  const existingPlan = await prisma.plan.findUnique({
+    where: { name },
+  });
+
+  if (existingPlan) {
+    throw new ConflictError('Plan with this name already exists');
+  }
+
+  // Only one plan can be the default
+  const plan = await prisma.$transaction(async (tx) => {
+    if (isDefault) {
+      await tx.plan.updateMany({ where: { isDefault: true }, data: { isDefault: false } });
+    }
+
+    return tx.plan.create({
+      data: {
+        name,
+        description,
+        maxContainers: parseInt(maxContainers),
+        maxMemory: maxMemory.toLowerCase(),
+        maxCpus: parseFloat(maxCpus),
+        diskQuota: parseInt(diskQuota),
+        maxTunnels: parseInt(maxTunnels),
+        maxCronJobs: parseInt(maxCronJobs),
+        maxSnapshots: parseInt(maxSnapshots),
+        backupSchedule,
+        backupKeepDaily: parseInt(backupKeepDaily),
+        backupKeepWeekly: parseInt(backupKeepWeekly),
+        logRetentionDays: parseInt(logRetentionDays),
+        allowedImages,
+        isDefault,
+      },
+    });
+  });
+
+  logger.audit('Plan created by admin', {
+    adminId: req.user.id,
+    planId: plan.id,
+    name: plan.name,
+    ip: req.ip,
+  });
+
+  if (plan.isDefault) {
+    resyncBackupSchedules();
+  }
+
+  sendSuccessResponse(res, { plan }, 'Plan created successfully', 201);
+}));
+
+// @desc    Update plan
+// @route   PUT /api/admin/plans/:id
+// @access  Private/Admin
+router.put('/plans/:id', updatePlanValidation, auditLog('PLAN_UPDATE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id } = req.params;
+  const { name, description, maxContainers, maxMemory, maxCpus, diskQuota, maxTunnels, maxCronJobs, maxSnapshots, allowedImages, isDefault } = req.body;
+  const { backupSchedule, backupKeepDaily, backupKeepWeekly, logRetentionDays } = req.body;
+  const prisma = getPrismaClient();
+
+  await findPlanOrFail(id);
+
+  if (name) {
+    const conflictPlan = await prisma.plan.findFirst({
+      where: { name, id: { not: id } },
+    });
+
+    if (conflictPlan) {
+      throw new ConflictError('Plan with this name already exists');
+    }
+  }
+
+  // Lowering a limit does not touch existing containers; it applies to the next change
+  const updateData = {};
+  if (name) updateData.name = name;
+  if (description !== undefined) updateData.description = description;
+  if (maxContainers !== undefined) updateData.maxContainers = parseInt(maxContainers);
+  if (maxMemory) updateData.maxMemory = maxMemory.toLowerCase();
+  if (maxCpus !== undefined) updateData.maxCpus = parseFloat(maxCpus);
+  if (diskQuota !== undefined) updateData.diskQuota = parseInt(diskQuota);
+  if (maxTunnels !== undefined) updateData.maxTunnels = parseInt(maxTunnels);
+  if (maxCronJobs !== undefined) updateData.maxCronJobs = parseInt(maxCronJobs);
+  if (maxSnapshots !== undefined) updateData.maxSnapshots = parseInt(maxSnapshots);
+  if (backupSchedule !== undefined) updateData.backupSchedule = backupSchedule;
+  if (backupKeepDaily !== undefined) updateData.backupKeepDaily = parseInt(backupKeepDaily);
+  if (backupKeepWeekly !== undefined) updateData.backupKeepWeekly = parseInt(backupKeepWeekly);
+  if (logRetentionDays !== undefined) updateData.logRetentionDays = parseInt(logRetentionDays);
+  if (allowedImages !== undefined) updateData.allowedImages = allowedImages;
+  if (isDefault !== undefined) updateData.isDefault = isDefault;
+
+  const plan = await prisma.$transaction(async (tx) => {
+    if (isDefault) {
+      await tx.plan.updateMany({ where: { isDefault: true, id: { not: id } }, data: { isDefault: false } });
+    }
+
+    return tx.plan.update({
+      where: { id },
+      data: updateData,
+    });
+  });
+
+  logger.audit('Plan updated by admin', {
+    adminId: req.user.id,
+    planId: id,
+    changes: Object.keys(updateData),
+    ip: req.ip,
+  });
+
+  resyncBackupSchedules();
+
+  sendSuccessResponse(res, { plan }, 'Plan updated successfully');
+}));
+
+// @desc    Delete plan
+// @route   DELETE /api/admin/plans/:id
+// @access  Private/Admin
+router.delete('/plans/:id', auditLog('PLAN_DELETE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const prisma = getPrismaClient();
+
+  const plan = await findPlanOrFail(id);
+
+  const userCount = await prisma.user.count({
+    where: { planId: id },
+  });
+
+  if (userCount > 0) {
+    throw new ConflictError(`Plan is assigned to ${userCount} user(s); move them to another plan first`);
+  }
+
+  await prisma.plan.delete({
+    where: { id },
+  });
+
+  logger.audit('Plan deleted by admin', {
+    adminId: req.user.id,
+    planId: id,
+    name: plan.name,
+    ip: req.ip,
+  });
+
+  resyncBackupSchedules();
+
+  sendSuccessResponse(res, null, 'Plan deleted successfully');
+}));
+
 // Container Management Routes
 
 // @desc    Get all containers (admin view)
@@ -507,8 +1081,14 @@ router.get('/containers', asyncHandler(async (req, res) => {
 // @desc    Force delete container
 // @route   DELETE /api/admin/containers/:id
 // @access  Private/Admin
-router.delete('/containers/:id', auditLog('CONTAINER_FORCE_DELETE', 'CONTAINER'), asyncHandler(async (req, res) => {
+router.delete('/containers/:id', deleteContainerValidation, auditLog('CONTAINER_FORCE_DELETE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
   const { id } = req.params;
+  const keepVolumes = req.query.keepVolumes === 'true';
   const prisma = getPrismaClient();
 
   const container = await prisma.container.findUnique({
@@ -527,19 +1107,14 @@ router.delete('/containers/:id', auditLog('CONTAINER_FORCE_DELETE', 'CONTAINER')
     throw new NotFoundError('Container not found');
   }
 
-  // Remove Docker container if exists
-  if (container.dockerId) {
-    try {
-      await containerManager.removeContainer(container.dockerId, true);
-    } catch (error) {
-      logger.warn('Failed to remove Docker container:', error.message);
-    }
-  }
+  // Remove tunnel sidecars, the Docker container if it exists and stored data
+  await purgeContainer(container, { keepVolumes });
 
   // Remove from database
   await prisma.container.delete({
     where: { id },
   });
+  refreshProxyRoutes();
 
   logger.audit('Container force deleted by admin', {
     adminId: req.user.id,
@@ -547,12 +1122,651 @@ router.delete('/containers/:id', auditLog('CONTAINER_FORCE_DELETE', 'CONTAINER')
     containerName: container.name,
     ownerId: container.ownerId,
     ownerUsername: container.owner.username,
+    volumesKept: keepVolumes,
     ip: req.ip,
   });
 
   sendSuccessResponse(res, null, 'Container deleted successfully');
 }));
 
+// Image Management Routes
+
+// @desc    Get image catalog, including disabled images
+// @route   GET /api/admin/images
+// @access  Private/Admin
+router.get('/images', asyncHandler(async (req, res) => {
+  const images = await listCatalogImages({ enabledOnly: false });
+
+  sendSuccessResponse(res, { images }, 'Images retrieved successfully');
+}));
+
+// @desc    Add image to the catalog
+// @route   POST /api/admin/images
+// @access  Private/Admin
+router.post('/images', createCatalogImageValidation, auditLog('IMAGE_CREATE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const {
+    name,
+    tag = 'latest',
+    displayName,
+    description = null,
+    defaultCmd = [],
+    defaultPorts = [],
+    defaultEnv = {},
+    minMemory = null,
+    minCpus = null,
+    enabled = true,
+  } = req.body;
+  const prisma = getPrismaClient();
+
+  const existingImage = await prisma.image.findUnique({
+    where: { name_tag: { name, tag } },
+  });
+
+  if (existingImage) {
+    throw new ConflictError(`Image ${name}:${tag} is already in the catalog`);
+  }
+
+  const image = await prisma.image.create({
+    data: {
+      name,
+      tag,
+      displayName,
+      description,
+      defaultCmd,
+      defaultPorts: defaultPorts.map(port => ({
+        containerPort: parseInt(port.containerPort),
+        protocol: port.protocol || 'tcp',
+      })),
+      defaultEnv,
+      minMemory: minMemory ? minMemory.toLowerCase() : null,
+      minCpus: minCpus === null ? null : parseFloat(minCpus),
+      enabled,
+    },
+  });
+
+  logger.audit('Catalog image created by admin', {
+    adminId: req.user.id,
+    imageId: image.id,
+    image: `${name}:${tag}`,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, { image: serializeCatalogImage(image) }, 'Image added to catalog', 201);
+}));
+
+// @desc    Update catalog image
+// @route   PUT /api/admin/images/:id
+// @access  Private/Admin
+router.put('/images/:id', updateCatalogImageValidation, auditLog('IMAGE_UPDATE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id } = req.params;
+  const {
+    name,
+    tag,
+    displayName,
+    description,
+    defaultCmd,
+    defaultPorts,
+    defaultEnv,
+    minMemory,
+    minCpus,
+    enabled,
+  } = req.body;
+  const prisma = getPrismaClient();
+
+  const existingImage = await prisma.image.findUnique({
+    where: { id },
+  });
+
+  if (!existingImage) {
+    throw new NotFoundError('Image not found');
+  }
+
+  if (name || tag) {
+    const conflictImage = await prisma.image.findFirst({
+      where: {
+        name: name || existingImage.name,
+        tag: tag || existingImage.tag,
+        id: { not: id },
+      },
+    });
+
+    if (conflictImage) {
+      throw new ConflictError('Another catalog entry already uses this image and tag');
+    }
+  }
+
+  // Existing containers keep running; the catalog only affects new creates and switches
+  const updateData = {};
+  if (name) updateData.name = name;
+  if (tag) updateData.tag = tag;
+  if (displayName) updateData.displayName = displayName;
+  if (description !== undefined) updateData.description = description;
+  if (defaultCmd !== undefined) updateData.defaultCmd = defaultCmd;
+  if (defaultPorts !== undefined) {
+    updateData.defaultPorts = defaultPorts.map(port => ({
+      containerPort: parseInt(port.containerPort),
+      protocol: port.protocol || 'tcp',
+    }));
+  }
+  if (defaultEnv !== undefined) updateData.defaultEnv = defaultEnv;
+  if (minMemory !== undefined) updateData.minMemory = minMemory ? minMemory.toLowerCase() : null;
+  if (minCpus !== undefined) updateData.minCpus = minCpus === null ? null : parseFloat(minCpus);
+  if (enabled !== undefined) updateData.enabled = enabled;
+
+  const image = await prisma.image.update({
+    where: { id },
+    data: updateData,
+  });
+
+  logger.audit('Catalog image updated by admin', {
+    adminId: req.user.id,
+    imageId: id,
+    changes: Object.keys(updateData),
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, { image: serializeCatalogImage(image) }, 'Image updated successfully');
+}));
+
+// @desc    Remove image from the catalog
+// @route   DELETE /api/admin/images/:id
+// @access  Private/Admin
+router.delete('/images/:id', auditLog('IMAGE_DELETE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const prisma = getPrismaClient();
+
+  const image = await prisma.image.findUnique({
+    where: { id },
+  });
+
+  if (!image) {
+    throw new NotFoundError('Image not found');
+  }
+
+  await prisma.image.delete({
+    where: { id },
+  });
+
+  logger.audit('Catalog image deleted by admin', {
+    adminId: req.user.id,
+    imageId: id,
+    image: `${image.name}:${image.tag}`,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, null, 'Image removed from catalog');
+}));
+
+// @desc    Pull image in the background
+// @route   POST /api/admin/images/pull
+// @access  Private/Admin
+router.post('/images/pull', pullImageValidation, auditLog('IMAGE_PULL', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { image } = req.body;
+
+  const job = await addJob('image.pull', { image }, { userId: req.user.id });
+
+  logger.audit('Image pull queued by admin', {
+    adminId: req.user.id,
+    image,
+    jobId: job.id,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, { job }, 'Image pull queued', 202);
+}));
+
+// Template Management Routes
+
+// @desc    Get all templates, including built-in and disabled ones
+// @route   GET /api/admin/templates
+// @access  Private/Admin
+router.get('/templates', asyncHandler(async (req, res) => {
+  const templates = await listTemplates({ enabledOnly: false });
+
+  sendSuccessResponse(res, { templates }, 'Templates retrieved successfully');
+}));
+
+// @desc    Create template
+// @route   POST /api/admin/templates
+// @access  Private/Admin
+router.post('/templates', createTemplateValidation, auditLog('TEMPLATE_CREATE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const {
+    slug,
+    name,
+    description = null,
+    image,
+    files = [],
+    cmd = [],
+    ports = [],
+    env = {},
+    enabled = true,
+  } = req.body;
+  const prisma = getPrismaClient();
+
+  const existingTemplate = await prisma.template.findUnique({
+    where: { slug },
+  });
+
+  if (existingTemplate || isBuiltInSlug(slug)) {
+    throw new ConflictError(`Template ${slug} already exists`);
+  }
+
+  const template = await prisma.template.create({
+    data: {
+      slug,
+      name,
+      description,
+      image,
+      files: files.map(file => ({ path: file.path, content: file.content })),
+      cmd,
+      ports: ports.map(port => ({
+        containerPort: parseInt(port.containerPort),
+        protocol: port.protocol || 'tcp',
+      })),
+      env,
+      enabled,
+    },
+  });
+
+  logger.audit('Template created by admin', {
+    adminId: req.user.id,
+    templateId: template.id,
+    slug,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, { template }, 'Template created successfully', 201);
+}));
+
+// @desc    Update template
+// @route   PUT /api/admin/templates/:id
+// @access  Private/Admin
+router.put('/templates/:id', updateTemplateValidation, auditLog('TEMPLATE_UPDATE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id } = req.params;
+  const {
+    slug,
+    name,
+    description,
+    image,
+    files,
+    cmd,
+    ports,
+    env,
+    enabled,
+  } = req.body;
+  const prisma = getPrismaClient();
+
+  const existingTemplate = await prisma.template.findUnique({
+    where: { id },
+  });
+
+  if (!existingTemplate) {
+    throw new NotFoundError('Template not found');
+  }
+
+  if (slug && slug !== existingTemplate.slug) {
+    const conflictTemplate = await prisma.template.findUnique({
+      where: { slug },
+    });
+
+    if (conflictTemplate || isBuiltInSlug(slug)) {
+      throw new ConflictError(`Template ${slug} already exists`);
+    }
+  }
+
+  // Containers created earlier keep their files; changes only affect new containers
+  const updateData = {};
+  if (slug) updateData.slug = slug;
+  if (name) updateData.name = name;
+  if (description !== undefined) updateData.description = description;
+  if (image) updateData.image = image;
+  if (files !== undefined) updateData.files = files.map(file => ({ path: file.path, content: file.content }));
+  if (cmd !== undefined) updateData.cmd = cmd;
+  if (ports !== undefined) {
+    updateData.ports = ports.map(port => ({
+      containerPort: parseInt(port.containerPort),
+      protocol: port.protocol || 'tcp',
+    }));
+  }
+  if (env !== undefined) updateData.env = env;
+  if (enabled !== undefined) updateData.enabled = enabled;
+
+  const template = await prisma.template.update({
+    where: { id },
+    data: updateData,
+  });
+
+  logger.audit('Template updated by admin', {
+    adminId: req.user.id,
+    templateId: id,
+    changes: Object.keys(updateData),
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, { template }, 'Template updated successfully');
+}));
+
+// @desc    Delete template
+// @route   DELETE /api/admin/templates/:id
+// @access  Private/Admin
+router.delete('/templates/:id', auditLog('TEMPLATE_DELETE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const prisma = getPrismaClient();
+
+  const template = await prisma.template.findUnique({
+    where: { id },
+  });
+
+  if (!template) {
+    throw new NotFoundError('Template not found');
+  }
+
+  await prisma.template.delete({
+    where: { id },
+  });
+
+  logger.audit('Template deleted by admin', {
+    adminId: req.user.id,
+    templateId: id,
+    slug: template.slug,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, null, 'Template deleted successfully');
+}));
+
+// Volume Management Routes
+
+// @desc    Get panel volumes; volumes whose container no longer exists are orphans
+// @route   GET /api/admin/volumes
+// @access  Private/Admin
+router.get('/volumes', asyncHandler(async (req, res) => {
+  const prisma = getPrismaClient();
+  const volumes = await listPanelVolumes();
+
+  const containerIds = volumes.map(volume => volume.containerId).filter(Boolean);
+  const containers = await prisma.container.findMany({
+    where: { id: { in: containerIds } },
+    select: {
+      id: true,
+      name: true,
+      owner: {
+        select: {
+          id: true,
+          username: true,
+        },
+      },
+    },
+  });
+  const containersById = new Map(containers.map(container => [container.id, container]));
+
+  sendSuccessResponse(res, {
+    mode: VOLUME_MODE,
+    volumes: volumes.map(volume => ({
+      ...volume,
+      container: containersById.get(volume.containerId) || null,
+      orphaned: !containersById.has(volume.containerId),
+    })),
+  }, 'Volumes retrieved successfully');
+}));
+
+// @desc    Delete an orphaned volume
+// @route   DELETE /api/admin/volumes/:name
+// @access  Private/Admin
+router.delete('/volumes/:name', auditLog('VOLUME_DELETE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const prisma = getPrismaClient();
+
+  const volume = (await listPanelVolumes()).find(item => item.name === name);
+  if (!volume) {
+    throw new NotFoundError('Volume not found');
+  }
+
+  // Volumes of existing containers go away with their container
+  if (volume.containerId) {
+    const container = await prisma.container.findUnique({
+      where: { id: volume.containerId },
+      select: { id: true },
+    });
+
+    if (container) {
+      throw new ConflictError('Volume is still used by a container');
+    }
+  }
+
+  await removePanelVolume(name);
+
+  logger.audit('Volume deleted by admin', {
+    adminId: req.user.id,
+    volume: name,
+    containerId: volume.containerId,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, null, 'Volume deleted successfully');
+}));
+
+// Backup Management Routes
+
+// @desc    Get backup overview: last success, failures and storage per container
+// @route   GET /api/admin/backups
+// @access  Private/Admin
+router.get('/backups', asyncHandler(async (req, res) => {
+  const overview = await getBackupOverview();
+
+  sendSuccessResponse(res, overview, 'Backup overview retrieved successfully');
+}));
+
+// @desc    Set the local directory new backups are written to
+// @route   PUT /api/admin/backups/directory
+// @access  Private/Admin
+router.put('/backups/directory', backupDirectoryValidation, auditLog('BACKUP_DIR_UPDATE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const backupDir = path.normalize(req.body.backupDir);
+  const prisma = getPrismaClient();
+
+  // Fail early instead of on the next scheduled backup
+  try {
+    await fs.promises.mkdir(backupDir, { recursive: true });
+    await fs.promises.access(backupDir, fs.constants.W_OK);
+  } catch (error) {
+    throw new ValidationError(`Backup directory is not writable: ${error.message}`);
+  }
+
+  const setting = await prisma.systemSetting.upsert({
+    where: { key: BACKUP_DIR_SETTING },
+    update: { value: backupDir },
+    create: { key: BACKUP_DIR_SETTING, value: backupDir },
+  });
+
+  logger.audit('Backup directory updated', {
+    adminId: req.user.id,
+    backupDir,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, { setting }, 'Backup directory updated successfully');
+}));
+
+// Host Port Pool Routes
+
+// @desc    Get the host port range, public host and every allocated port
+// @route   GET /api/admin/ports
+// @access  Private/Admin
+router.get('/ports', asyncHandler(async (req, res) => {
+  const overview = await getPortPoolOverview();
+
+  sendSuccessResponse(res, overview, 'Host port pool retrieved successfully');
+}));
+
+// @desc    Set the host port range and the host shown in container addresses
+// @route   PUT /api/admin/ports
+// @access  Private/Admin
+// Allocations outside a new range move into it when their container is next recreated.
+router.put('/ports', portPoolValidation, auditLog('PORT_POOL_UPDATE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { start, end, publicHost } = req.body;
+
+  const settings = await updatePortPoolSettings({
+    start: parseInt(start),
+    end: parseInt(end),
+    publicHost,
+  });
+
+  logger.audit('Host port pool updated', {
+    adminId: req.user.id,
+    ...settings,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, settings, 'Host port pool updated successfully');
+}));
+
+// HTTP Proxy Routes
+
+// @desc    Get the built-in HTTP proxy status and its routing table
+// @route   GET /api/admin/proxy
+// @access  Private/Admin
+router.get('/proxy', asyncHandler(async (req, res) => {
+  sendSuccessResponse(res, getProxyStatus(), 'Proxy status retrieved successfully');
+}));
+
+// Secrets Routes
+
+// @desc    Get master key status and how many secrets each key encrypts
+// @route   GET /api/admin/secrets
+// @access  Private/Admin
+router.get('/secrets', asyncHandler(async (req, res) => {
+  const status = await getSecretsStatus();
+
+  sendSuccessResponse(res, status, 'Secrets status retrieved successfully');
+}));
+
+// @desc    Re-encrypt all secrets with the current master key
+// @route   POST /api/admin/secrets/rotate
+// @access  Private/Admin
+router.post('/secrets/rotate', auditLog('SECRETS_ROTATE', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const result = await rotateSecrets();
+
+  logger.audit('Secrets re-encrypted', {
+    adminId: req.user.id,
+    rotated: result.rotated,
+    failed: result.failed.length,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, {
+    ...result,
+    status: await getSecretsStatus(),
+  }, result.failed.length > 0 ? 'Some secrets could not be re-encrypted' : 'Secrets re-encrypted successfully');
+}));
+
+// Reconciliation Routes
+
+// @desc    Get the last drift report between the database and Docker
+// @route   GET /api/admin/reconcile
+// @access  Private/Admin
+router.get('/reconcile', asyncHandler(async (req, res) => {
+  const report = await getDriftReport({ refresh: req.query.refresh === 'true' });
+
+  sendSuccessResponse(res, report, 'Drift report retrieved successfully');
+}));
+
+// @desc    Scan for drift between the database and Docker now
+// @route   POST /api/admin/reconcile/scan
+// @access  Private/Admin
+router.post('/reconcile/scan', auditLog('RECONCILE_SCAN', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const report = await getDriftReport({ refresh: true });
+
+  sendSuccessResponse(res, report, 'Drift scan completed');
+}));
+
+// @desc    Repair a drift issue: recreate, adopt or remove
+// @route   POST /api/admin/reconcile/repair
+// @access  Private/Admin
+router.post('/reconcile/repair', repairDriftValidation, auditLog('RECONCILE_REPAIR', 'SYSTEM'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { key, action } = req.body;
+  const prisma = getPrismaClient();
+  const issue = await findIssue(key, action);
+
+  const result = {};
+  if (action === 'adopt') {
+    result.container = await adoptDockerContainer(issue.docker);
+  } else if (action === 'remove' && issue.type === 'orphaned') {
+    await removeDockerContainer(issue.docker.id);
+  } else {
+    const container = await prisma.container.findUnique({
+      where: { id: issue.container.id },
+    });
+
+    if (!container) {
+      throw new NotFoundError('Container not found');
+    }
+
+    if (action === 'recreate') {
+      result.job = await recreateContainer(container, req.user.id);
+    } else {
+      await purgeContainer(container);
+      await prisma.container.delete({
+        where: { id: container.id },
+      });
+    }
+  }
+
+  logger.audit('Container drift repaired', {
+    adminId: req.user.id,
+    issue: key,
+    type: issue.type,
+    action,
+    containerId: issue.container?.id || issue.docker?.containerId,
+    dockerId: issue.docker?.id || issue.container?.dockerId,
+    ip: req.ip,
+  });
+
+  // The report reflects the repair right away
+  result.report = await getDriftReport({ refresh: true });
+
+  sendSuccessResponse(res, result, 'Repair applied successfully');
+}));
+
 // System Management Routes
 
 // @desc    Get system statistics
@@ -567,6 +1781,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
     activeUsers,
     totalContainers,
     runningContainers,
+    unhealthyContainers,
     totalLogs,
     recentLogs,
   ] = await Promise.all([
@@ -574,6 +1789,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
     prisma.user.count({ where: { isActive: true } }),
     prisma.container.count(),
     prisma.container.count({ where: { status: 'RUNNING' } }),
+    prisma.container.count({ where: { healthStatus: 'UNHEALTHY' } }),
     prisma.auditLog.count(),
     prisma.auditLog.findMany({
       take: 10,
@@ -627,6 +1843,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
       total: totalContainers,
       running: runningContainers,
       stopped: totalContainers - runningContainers,
+      unhealthy: unhealthyContainers,
     },
     logs: {
       total: totalLogs,
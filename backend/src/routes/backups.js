@@ -0,0 +1,251 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { body, query, validationResult } = require('express-validator');
+const { getPrismaClient } = require('../utils/database');
+const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
+const { containerLimiter } = require('../middleware/rateLimiter');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { registerJobProcessor } = require('../services/jobQueue');
+const { getUserPlan } = require('../services/plans');
+const { isValidSchedule, isValidTimezone } = require('../services/cronJobs');
+const {
+  resolveBackupPolicy,
+  runBackup,
+  markBackupFailed,
+  queueBackup,
+  deleteBackup,
+  applyRetention,
+  scheduleContainerBackup,
+} = require('../services/backups');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+// null resets a field to the plan default
+const updatePolicyValidation = [
+  body('enabled')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+  body('schedule')
+    .optional({ nullable: true })
+    .custom(value => isValidSchedule(value))
+    .withMessage('Invalid cron expression'),
+  body('timezone')
+    .optional({ nullable: true })
+    .custom(value => isValidTimezone(value))
+    .withMessage('Invalid timezone'),
+  body('keepDaily')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 366 })
+    .withMessage('keepDaily must be between 0 and 366'),
+  body('keepWeekly')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 520 })
+    .withMessage('keepWeekly must be between 0 and 520'),
+];
+
+const listBackupsValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+// Helper functions
+const findBackupOrFail = async (containerId, backupId) => {
+  const backup = await getPrismaClient().backup.findFirst({
+    where: {
+      id: backupId,
+      containerId,
+    },
+  });
+
+  if (!backup) {
+    throw new NotFoundError('Backup not found');
+  }
+
+  return backup;
+};
+
+registerJobProcessor('backup.create', {
+  process: async (job, { report }) => {
+    const backup = await runBackup(job.data.backupId, { report });
+    if (!backup) {
+      return { skipped: true, reason: 'Backup record no longer exists' };
+    }
+
+    await report(100, 'Backup finished', 'done');
+
+    return { backupId: backup.id, size: backup.size };
+  },
+  onFailed: (job, error) => markBackupFailed(job.data.backupId, error),
+});
+
+// Routes
+
+// @desc    Get backups and backup policy of a container
+// @route   GET /api/backups/:containerId
+// @access  Private
+router.get('/:containerId', verifyToken, requireContainerOwnership, listBackupsValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId } = req.params;
+  const { limit = 50 } = req.query;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id: containerId },
+    select: { ownerId: true, backupPolicy: true },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  const backups = await prisma.backup.findMany({
+    where: { containerId },
+    orderBy: { startedAt: 'desc' },
+    take: parseInt(limit),
+  });
+  const plan = await getUserPlan(container.ownerId);
+
+  sendSuccessResponse(res, {
+    backups,
+    policy: resolveBackupPolicy(plan, container.backupPolicy),
+    overrides: container.backupPolicy,
+    planPolicy: resolveBackupPolicy(plan),
+    containerId,
+  }, 'Backups retrieved successfully');
+}));
+
+// @desc    Update backup schedule and retention of a container
+// @route   PUT /api/backups/:containerId/policy
+// @access  Private
+router.put('/:containerId/policy', verifyToken, requireContainerOwnership, updatePolicyValidation, auditLog('BACKUP_POLICY_UPDATE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId } = req.params;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id: containerId },
+    select: { ownerId: true, backupPolicy: true },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  const overrides = { ...container.backupPolicy };
+  for (const key of ['enabled', 'schedule', 'timezone', 'keepDaily', 'keepWeekly']) {
+    if (req.body[key] === null) {
+      delete overrides[key];
+    } else if (req.body[key] !== undefined) {
+      overrides[key] = ['keepDaily', 'keepWeekly'].includes(key) ? parseInt(req.body[key]) : req.body[key];
+    }
+  }
+
+  // Members may keep fewer backups than their plan, not more
+  const plan = await getUserPlan(container.ownerId);
+  if (req.user.role !== 'ADMIN') {
+    if (overrides.keepDaily > plan.backupKeepDaily || overrides.keepWeekly > plan.backupKeepWeekly) {
+      throw new ValidationError(`The ${plan.name} plan keeps at most ${plan.backupKeepDaily} daily and ${plan.backupKeepWeekly} weekly backup(s)`);
+    }
+  }
+
+  const policy = resolveBackupPolicy(plan, overrides);
+  if (policy.enabled && !policy.schedule) {
+    throw new ValidationError('A schedule is required to enable automatic backups');
+  }
+
+  const updatedContainer = await prisma.container.update({
+    where: { id: containerId },
+    data: { backupPolicy: overrides },
+  });
+
+  await scheduleContainerBackup(containerId);
+  // Lower retention applies right away
+  await applyRetention(updatedContainer);
+
+  logger.audit('Backup policy updated', {
+    userId: req.user.id,
+    containerId,
+    policy,
+  });
+
+  sendSuccessResponse(res, { policy, overrides }, 'Backup policy updated successfully');
+}));
+
+// @desc    Back up a container now
+// @route   POST /api/backups/:containerId
+// @access  Private
+router.post('/:containerId', verifyToken, requireContainerOwnership, containerLimiter, auditLog('BACKUP_CREATE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const { containerId } = req.params;
+
+  const container = await getPrismaClient().container.findUnique({
+    where: { id: containerId },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  if (!container.dockerId || container.status === 'CREATING') {
+    throw new ConflictError('Container is not ready to be backed up');
+  }
+
+  const { backup, job } = await queueBackup(container, {
+    trigger: 'manual',
+    userId: req.user.id,
+  });
+
+  sendSuccessResponse(res, { backup, job }, 'Backup queued', 202);
+}));
+
+// @desc    Download backup
+// @route   GET /api/backups/:containerId/:backupId/download
+// @access  Private
+router.get('/:containerId/:backupId/download', verifyToken, requireContainerOwnership, auditLog('BACKUP_DOWNLOAD', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const backup = await findBackupOrFail(req.params.containerId, req.params.backupId);
+
+  if (backup.status !== 'SUCCEEDED') {
+    throw new ConflictError('Only finished backups can be downloaded');
+  }
+
+  try {
+    await fs.promises.access(backup.path);
+  } catch (error) {
+    throw new NotFoundError('Backup file no longer exists');
+  }
+
+  res.setHeader('Content-Type', 'application/gzip');
+  res.setHeader('Content-Disposition', `attachment; filename="${path.basename(backup.path)}"`);
+  res.setHeader('Content-Length', backup.size);
+  fs.createReadStream(backup.path).pipe(res);
+}));
+
+// @desc    Delete backup
+// @route   DELETE /api/backups/:containerId/:backupId
+// @access  Private
+router.delete('/:containerId/:backupId', verifyToken, requireContainerOwnership, auditLog('BACKUP_DELETE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const backup = await findBackupOrFail(req.params.containerId, req.params.backupId);
+
+  if (['PENDING', 'RUNNING'].includes(backup.status)) {
+    throw new ConflictError('Backup is still in progress');
+  }
+
+  await deleteBackup(backup);
+
+  sendSuccessResponse(res, null, 'Backup deleted successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { getPrismaClient } = require('../utils/database');
+const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
+const { containerLimiter } = require('../middleware/rateLimiter');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const { addJob } = require('../services/jobQueue');
+const { assertContainerAllowed, assertTunnelAllowed, getDefaultResources } = require('../services/plans');
+const { findCatalogImage, isImageInCatalog, applyMinimumResources, assertMinimumResources } = require('../services/imageCatalog');
+const { assertDiskQuota, getUserDiskUsage } = require('../services/diskQuota');
+const { scheduleContainerBackup } = require('../services/backups');
+const {
+  buildBundleManifest,
+  writeBundle,
+  readBundle,
+  stageAppArchive,
+  stageContainerApp,
+  purgeStagedApp,
+} = require('../services/bundles');
+const logger = require('../utils/logger');
+
+// Mounted on /api/containers next to the container routes
+const router = express.Router();
+
+const upload = multer({
+  dest: process.env.UPLOAD_PATH || '/tmp/uploads',
+  limits: {
+    fileSize: parseInt(process.env.MAX_BUNDLE_SIZE) || 1024 * 1024 * 1024, // 1GB default
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(tar\.gz|tgz)$/i.test(file.originalname)) {
+      return cb(new ValidationError('Bundle must be a .tar.gz file'), false);
+    }
+
+    cb(null, true);
+  },
+});
+
+// Validation rules
+const containerNameRule = (field, { optional = false } = {}) => {
+  const chain = body(field);
+  if (optional) chain.optional();
+  return chain
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Container name must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Container name can only contain letters, numbers, underscores, and hyphens');
+};
+
+const importValidation = [
+  containerNameRule('name', { optional: true }),
+  body('ownerId')
+    .optional()
+    .isString()
+    .withMessage('ownerId must be a user ID'),
+];
+
+const cloneValidation = [
+  containerNameRule('name'),
+  body('ownerId')
+    .optional()
+    .isString()
+    .withMessage('ownerId must be a user ID'),
+];
+
+// Helper functions
+
+// Members import and clone into their own account; admins may pick any user
+const resolveTargetOwner = async (req, ownerId) => {
+  if (!ownerId || ownerId === req.user.id) {
+    return req.user.id;
+  }
+
+  if (req.user.role !== 'ADMIN') {
+    throw new AuthorizationError('Only admins can create containers for other users');
+  }
+
+  const owner = await getPrismaClient().user.findUnique({
+    where: { id: ownerId },
+    select: { id: true },
+  });
+
+  if (!owner) {
+    throw new NotFoundError('Target user not found');
+  }
+
+  return owner.id;
+};
+
+// Create a container record from a bundle manifest and queue its Docker container.
+// Imported manifests come from validateBundleManifest, cloned ones from a stored container.
+// The bundle is checked against the target owner's plan, the image catalog and the
+// disk quota; `stage(containerId)` puts the /app archive in place before the job runs.
+const createContainerFromBundle = async (req, manifest, { name, ownerId, appSize, origin, stage }) => {
+  const prisma = getPrismaClient();
+  const { container: bundled, tunnels = [] } = manifest;
+  const isAdmin = req.user.role === 'ADMIN';
+  const { image } = bundled;
+
+  // Members can only use enabled catalog images; admins may run any image
+  const catalogImage = await findCatalogImage(image);
+  if (!isImageInCatalog(catalogImage) && !isAdmin) {
+    throw new ValidationError(`Image ${image} is not available in the image catalog`);
+  }
+
+  const resources = applyMinimumResources(catalogImage, {
+    ...getDefaultResources(),
+    ...(bundled.resources?.memory && { memory: bundled.resources.memory }),
+    ...(bundled.resources?.cpus && { cpus: parseFloat(bundled.resources.cpus) }),
+  });
+  assertMinimumResources(catalogImage, resources);
+
+  // Only admins creating for themselves are exempt; other owners stay within their plan
+  if (!isAdmin || ownerId !== req.user.id) {
+    await assertContainerAllowed(ownerId, { image, resources });
+  }
+  await assertDiskQuota(ownerId, appSize);
+
+  const existingContainer = await prisma.container.findFirst({
+    where: {
+      name,
+      ownerId,
+    },
+  });
+
+  if (existingContainer) {
+    throw new ConflictError('Container with this name already exists');
+  }
+
+  const { cmd = [], env = {}, ports = [] } = bundled.config || {};
+  const container = await prisma.container.create({
+    data: {
+      name,
+      image,
+      ownerId,
+      status: 'CREATING',
+      config: {
+        cmd,
+        env,
+        ports,
+        ...origin,
+      },
+      resources: {
+        memory: resources.memory,
+        cpus: parseFloat(resources.cpus),
+      },
+      ports: ports.map(port => ({
+        containerPort: parseInt(port.containerPort),
+        protocol: port.protocol || 'tcp',
+      })),
+      environment: env,
+    },
+  });
+
+  let job;
+  try {
+    await stage(container.id);
+    job = await addJob('container.create', { image }, {
+      userId: req.user.id,
+      containerId: container.id,
+      jobId: `container-create-${container.id}`,
+    });
+  } catch (error) {
+    await purgeStagedApp(container.id);
+    await prisma.container.delete({ where: { id: container.id } }).catch((cleanupError) => {
+      logger.error('Failed to cleanup container record:', cleanupError);
+    });
+    throw error;
+  }
+
+  // Tunnel tokens are never exported, so only quick tunnels come back as they were.
+  // A container has at most one tunnel.
+  const skippedTunnels = [];
+  for (const tunnel of tunnels.slice(0, 1)) {
+    if (tunnel.named) {
+      skippedTunnels.push({ domain: tunnel.domain, reason: 'Named tunnel needs its token added again' });
+      continue;
+    }
+
+    if (!isAdmin) {
+      try {
+        await assertTunnelAllowed(ownerId);
+      } catch (error) {
+        skippedTunnels.push({ domain: tunnel.domain, reason: error.message });
+        continue;
+      }
+    }
+
+    await prisma.cloudflareTunnel.create({
+      data: {
+        containerId: container.id,
+        domain: null,
+        status: 'INACTIVE',
+        config: tunnel.config || {},
+      },
+    });
+  }
+
+  const queuedContainer = await prisma.container.update({
+    where: { id: container.id },
+    data: {
+      config: {
+        ...container.config,
+        createJobId: job.id,
+      },
+    },
+    include: {
+      owner: {
+        select: {
+          id: true,
+          username: true,
+          email: true,
+        },
+      },
+      tunnels: true,
+    },
+  });
+
+  scheduleContainerBackup(container.id).catch((error) => {
+    logger.error('Failed to schedule container backups:', error);
+  });
+
+  return { container: queuedContainer, job, skippedTunnels };
+};
+
+// Routes
+
+// @desc    Export container as a bundle (config and /app, without tunnel tokens)
+// @route   GET /api/containers/:id/export
+// @access  Private
+router.get('/:id/export', verifyToken, requireContainerOwnership, containerLimiter, auditLog('CONTAINER_EXPORT', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const container = await getPrismaClient().container.findUnique({
+    where: { id: req.params.id },
+    include: { tunnels: true },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  if (!container.dockerId || container.status === 'CREATING') {
+    throw new ConflictError('Container is not ready to be exported');
+  }
+
+  const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'panel-export-'));
+  const bundlePath = path.join(tmpDir, `${container.name}.tar.gz`);
+
+  try {
+    await writeBundle(container, bundlePath);
+    const { size } = await fs.promises.stat(bundlePath);
+
+    logger.audit('Container exported', {
+      userId: req.user.id,
+      containerId: container.id,
+      size,
+    });
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${container.name}-bundle.tar.gz"`);
+    res.setHeader('Content-Length', size);
+    await pipeline(fs.createReadStream(bundlePath), res);
+  } finally {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  }
+}));
+
+// @desc    Import container from a bundle
+// @route   POST /api/containers/import
+// @access  Private
+router.post('/import', verifyToken, containerLimiter, upload.single('bundle'), importValidation, auditLog('CONTAINER_IMPORT', 'CONTAINER'), asyncHandler(async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    if (!req.file) {
+      throw new ValidationError('No bundle uploaded');
+    }
+
+    const ownerId = await resolveTargetOwner(req, req.body.ownerId);
+    const usage = await getUserDiskUsage(ownerId);
+    const bundle = await readBundle(req.file.path, { available: usage?.available ?? null });
+
+    try {
+      const { manifest } = bundle;
+      const name = req.body.name || manifest.container.name;
+      if (!/^[a-zA-Z0-9_-]{3,50}$/.test(name || '')) {
+        throw new ValidationError('Bundle has no valid container name; provide one');
+      }
+
+      const result = await createContainerFromBundle(req, manifest, {
+        name,
+        ownerId,
+        appSize: bundle.appArchiveSize,
+        origin: {
+          importedFrom: {
+            name: manifest.container.name,
+            exportedAt: manifest.exportedAt,
+          },
+        },
+        stage: containerId => stageAppArchive(containerId, bundle.appArchive),
+      });
+
+      logger.audit('Container imported', {
+        userId: req.user.id,
+        ownerId,
+        containerId: result.container.id,
+        image: result.container.image,
+        skippedTunnels: result.skippedTunnels.length,
+      });
+
+      sendSuccessResponse(res, result, 'Container import queued', 202);
+    } finally {
+      await fs.promises.rm(bundle.dir, { recursive: true, force: true });
+    }
+  } finally {
+    if (req.file) {
+      await fs.promises.rm(req.file.path, { force: true });
+    }
+  }
+}));
+
+// @desc    Clone container (config and /app) into a new container
+// @route   POST /api/containers/:id/clone
+// @access  Private
+router.post('/:id/clone', verifyToken, requireContainerOwnership, containerLimiter, cloneValidation, auditLog('CONTAINER_CLONE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const source = await getPrismaClient().container.findUnique({
+    where: { id: req.params.id },
+    include: { tunnels: true },
+  });
+
+  if (!source) {
+    throw new NotFoundError('Container not found');
+  }
+
+  if (!source.dockerId || source.status === 'CREATING') {
+    throw new ConflictError('Container is not ready to be cloned');
+  }
+
+  // Clones stay with the source owner unless an admin hands them to someone else
+  const ownerId = await resolveTargetOwner(req, req.body.ownerId || source.ownerId);
+
+  const result = await createContainerFromBundle(req, buildBundleManifest(source), {
+    name: req.body.name,
+    ownerId,
+    appSize: source.diskUsage,
+    origin: { clonedFrom: source.id },
+    stage: containerId => stageContainerApp(source, containerId),
+  });
+
+  logger.audit('Container cloned', {
+    userId: req.user.id,
+    ownerId,
+    sourceContainerId: source.id,
+    containerId: result.container.id,
+  });
+
+  sendSuccessResponse(res, result, 'Container clone queued', 202);
+}));
+
+module.exports = router;
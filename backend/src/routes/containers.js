@@ -1,10 +1,54 @@
 const express = require('express');
+const { once } = require('events');
 const { body, param, query, validationResult } = require('express-validator');
 const { getPrismaClient } = require('../utils/database');
 const { getDockerClient, ContainerManager } = require('../utils/docker');
 const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
 const { containerLimiter } = require('../middleware/rateLimiter');
-const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError, DockerError } = require('../middleware/errorHandler');
+const { emitContainerEvent } = require('../websocket/containers');
+const { stopContainerTunnels, resumeContainerTunnels, removeContainerTunnels } = require('../services/tunnelSidecar');
+const { addJob, registerJobProcessor } = require('../services/jobQueue');
+const { pullImageWithProgress } = require('../services/imagePull');
+const { prepareContainerVolumes, purgeContainerVolumes, toBinds } = require('../services/volumes');
+const { getUserPlan, getPlanUsage, assertContainerAllowed, getDefaultResources, isImageAllowedByPlan } = require('../services/plans');
+const {
+  listCatalogImages,
+  findCatalogImage,
+  isImageInCatalog,
+  applyMinimumResources,
+  assertMinimumResources,
+} = require('../services/imageCatalog');
+const { getTemplate, seedTemplateFiles } = require('../services/templates');
+const { purgeScriptOutputs } = require('../services/scriptRuns');
+const { unscheduleContainerCronJobs } = require('../services/cronJobs');
+const { purgeContainerSnapshots } = require('../services/snapshots');
+const { scheduleContainerBackup, purgeContainerBackups } = require('../services/backups');
+const { hasStagedApp, seedStagedApp, purgeStagedApp } = require('../services/bundles');
+const { buildContainerEnv, writeSecretFiles, redactSecretEnv, recreateWithSecrets } = require('../services/secrets');
+const {
+  allocateHostPorts,
+  restoreHostPorts,
+  toExposedPorts,
+  toHostPorts,
+  getContainerEndpoints,
+} = require('../services/portPool');
+const { getContainerProxy, refreshProxyRoutes } = require('../services/httpProxy');
+const {
+  HEALTH_CHECK_TYPES,
+  normalizeHealthCheck,
+  toDockerHealthcheck,
+  getHealthyWaitTimeout,
+  getContainerHealth,
+} = require('../services/healthChecks');
+const { MAX_FILTER_LENGTH, streamContainerOutput, readContainerOutput, formatLine } = require('../services/containerOutput');
+const {
+  isLogArchiveEnabled,
+  readLogArchive,
+  queryLogArchive,
+  getLogArchiveRange,
+  purgeContainerLogArchive,
+} = require('../services/logArchive');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -26,7 +70,13 @@ const createContainerValidation = [
     .withMessage('Container name must be between 3 and 50 characters')
     .matches(/^[a-zA-Z0-9_-]+$/)
     .withMessage('Container name can only contain letters, numbers, underscores, and hyphens'),
+  body('template')
+    .optional()
+    .isString()
+    .withMessage('Template must be a template slug'),
+  // The image comes from the template when one is given
   body('image')
+    .if(body('template').not().exists())
     .trim()
     .notEmpty()
     .withMessage('Docker image is required')
@@ -38,8 +88,21 @@ const createContainerValidation = [
     .withMessage('Memory must be in format like 512m, 1g, etc.'),
   body('resources.cpus')
     .optional()
-    .isFloat({ min: 0.1, max: 8 })
-    .withMessage('CPU limit must be between 0.1 and 8'),
+    .isFloat({ min: 0.1 })
+    .withMessage('CPU limit must be at least 0.1'),
+];
+
+const switchImageValidation = [
+  body('image')
+    .trim()
+    .notEmpty()
+    .withMessage('Docker image is required')
+    .matches(/^[a-z0-9]+(?:[._-][a-z0-9]+)*(?:\/[a-z0-9]+(?:[._-][a-z0-9]+)*)*(?::[a-zA-Z0-9_][a-zA-Z0-9._-]{0,127})?$/)
+    .withMessage('Invalid Docker image format'),
+  body('healthCheckTimeout')
+    .optional()
+    .isInt({ min: 5, max: 300 })
+    .withMessage('Health check timeout must be between 5 and 300 seconds'),
 ];
 
 const updateContainerValidation = [
@@ -50,35 +113,312 @@ const updateContainerValidation = [
     .withMessage('Container name must be between 3 and 50 characters')
     .matches(/^[a-zA-Z0-9_-]+$/)
     .withMessage('Container name can only contain letters, numbers, underscores, and hyphens'),
+  body('cmd')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Command must be an array of arguments'),
+  body('cmd.*')
+    .isString()
+    .withMessage('Command arguments must be strings'),
+  body('env')
+    .optional()
+    .isObject()
+    .withMessage('Environment must be an object of variables')
+    .custom(env => Object.entries(env).every(([key, value]) => (
+      /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key) && ['string', 'number', 'boolean'].includes(typeof value)
+    )))
+    .withMessage('Environment variable names must be letters, numbers and underscores, with plain values'),
+  body('ports')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Ports must be an array of at most 20 ports'),
+  body('ports.*.containerPort')
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Container port must be between 1 and 65535'),
+  body('ports.*.protocol')
+    .optional()
+    .isIn(['tcp', 'udp'])
+    .withMessage('Protocol must be tcp or udp'),
+  body('resources.memory')
+    .optional()
+    .matches(/^\d+[kmg]?$/i)
+    .withMessage('Memory must be in format like 512m, 1g, etc.'),
+  body('resources.cpus')
+    .optional()
+    .isFloat({ min: 0.1 })
+    .withMessage('CPU limit must be at least 0.1'),
+  // null removes the health check
+  body('healthCheck')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Health check must be an object'),
+  body('healthCheck.type')
+    .if(body('healthCheck').exists({ values: 'null' }))
+    .isIn(HEALTH_CHECK_TYPES)
+    .withMessage(`Health check type must be one of: ${HEALTH_CHECK_TYPES.join(', ')}`),
+  body('healthCheck.port')
+    .if(body('healthCheck.type').isIn(['http', 'tcp']))
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Health check port must be between 1 and 65535'),
+  // Used inside a quoted shell argument, so only plain URL characters
+  body('healthCheck.path')
+    .optional()
+    .matches(/^\/[a-zA-Z0-9\-._~%/?=&+]*$/)
+    .withMessage('Health check path must start with / and contain only URL characters'),
+  body('healthCheck.command')
+    .if(body('healthCheck.type').equals('command'))
+    .isString()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Health check command must be between 1 and 1000 characters'),
+  body('healthCheck.interval')
+    .optional()
+    .isInt({ min: 5, max: 3600 })
+    .withMessage('Health check interval must be between 5 and 3600 seconds'),
+  body('healthCheck.timeout')
+    .optional()
+    .isInt({ min: 1, max: 300 })
+    .withMessage('Health check timeout must be between 1 and 300 seconds'),
+  body('healthCheck.retries')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Health check retries must be between 1 and 10'),
+  body('healthCheck.startPeriod')
+    .optional()
+    .isInt({ min: 0, max: 3600 })
+    .withMessage('Health check start period must be between 0 and 3600 seconds'),
+  body('healthCheck.autoRestart')
+    .optional()
+    .isBoolean()
+    .withMessage('autoRestart must be a boolean'),
+  body('healthCheck.restartAfter')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('restartAfter must be between 1 and 100 failures'),
+];
+
+// since/until: unix seconds or a date string
+const isLogTime = value => /^\d+(\.\d+)?$/.test(value) || !Number.isNaN(Date.parse(value));
+
+// Shared by the live output and the archive
+const outputFilterValidation = [
+  query('stream')
+    .optional()
+    .isIn(['stdout', 'stderr', 'all'])
+    .withMessage('stream must be stdout, stderr or all'),
+  query('search')
+    .optional()
+    .isLength({ max: MAX_FILTER_LENGTH })
+    .withMessage(`search must be at most ${MAX_FILTER_LENGTH} characters`),
+  query('regex')
+    .optional()
+    .isBoolean()
+    .withMessage('regex must be a boolean'),
+  query('caseSensitive')
+    .optional()
+    .isBoolean()
+    .withMessage('caseSensitive must be a boolean'),
+  query('format')
+    .optional()
+    .isIn(['json', 'text'])
+    .withMessage('format must be json or text'),
+];
+
+const containerOutputValidation = [
+  query('follow')
+    .optional()
+    .isBoolean()
+    .withMessage('follow must be a boolean'),
+  query('since')
+    .optional()
+    .custom(isLogTime)
+    .withMessage('since must be a unix timestamp or a date'),
+  query('until')
+    .optional()
+    .custom(isLogTime)
+    .withMessage('until must be a unix timestamp or a date'),
+  query('tail')
+    .optional()
+    .custom(value => value === 'all' || /^\d+$/.test(value))
+    .withMessage('tail must be a number of lines or "all"'),
+  query('timestamps')
+    .optional()
+    .isBoolean()
+    .withMessage('timestamps must be a boolean'),
+  ...outputFilterValidation,
+];
+
+const outputArchiveValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  // `next` of the previous page: a log timestamp, optionally with `~<n>` for the n-th line at it
+  query('after')
+    .optional()
+    .matches(/^[^~]+(~\d+)?$/)
+    .custom(value => !Number.isNaN(Date.parse(value.split('~')[0])))
+    .withMessage('after must be a log position'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('limit must be between 1 and 10000'),
+  ...outputFilterValidation,
 ];
 
 // Helper functions
-const checkContainerLimit = async (userId, userRole) => {
-  if (userRole === 'ADMIN') return true;
+// Containers with an image switch or reconfiguration in progress
+const switchingContainers = new Set();
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Sorted so the same variables in a different order do not count as a change
+const normalizeEnv = env => Object.keys(env).sort().reduce((acc, key) => {
+  acc[key] = String(env[key]);
+  return acc;
+}, {});
+
+const normalizePorts = ports => ports.map(port => ({
+  containerPort: parseInt(port.containerPort),
+  protocol: port.protocol || 'tcp',
+}));
+
+// Progress message of a failed recreate, telling whether the previous container is back
+const recreateFailureMessage = (action, error) => {
+  if (error.rolledBack) {
+    return `${action} failed, previous container restored: ${error.message}`;
+  }
+  if (error.rollbackError) {
+    return `${action} failed: ${error.message}; restoring the previous container failed too: ${error.rollbackError.message}`;
+  }
+  return `${action} failed: ${error.message}`;
+};
 
+// Run a change to the Docker container of a record, streaming its steps as
+// container:reconfigure events. apply(reportProgress, beforeStart) returns the Docker ID
+// the record should point at afterwards. A recreate hands beforeStart on: it saves the
+// new Docker ID (and the fields in data) before the old container is removed, and the
+// record goes back to its previous values if the recreate fails after that. Failures
+// are logged on the container.
+const reconfigureDockerContainer = async (container, apply, data = {}) => {
   const prisma = getPrismaClient();
-  const containerCount = await prisma.container.count({
-    where: { ownerId: userId },
-  });
+  const steps = [];
+  const reportProgress = (step, message, status = 'running') => {
+    steps.push({ step, message, status, at: new Date().toISOString() });
+    emitContainerEvent(container.id, 'container:reconfigure', { step, status, message });
+  };
+
+  // Whether the record points at the new Docker container, and whether that container
+  // replaced the old one
+  let recordSwitched = false;
+  let applied = false;
+  const beforeStart = async (newContainer) => {
+    await prisma.container.update({
+      where: { id: container.id },
+      data: { ...data, dockerId: newContainer.id },
+    });
+    recordSwitched = true;
+  };
+
+  switchingContainers.add(container.id);
+  try {
+    const dockerId = await apply(reportProgress, beforeStart);
+    applied = true;
+    reportProgress('done', 'Container configuration applied', 'success');
+    return { dockerId, steps };
+  } catch (error) {
+    // The new Docker container was removed again, so the record goes back to the old one
+    if (recordSwitched && !applied) {
+      const previous = Object.keys(data).reduce((acc, key) => {
+        acc[key] = container[key];
+        return acc;
+      }, {});
+      await prisma.container.update({
+        where: { id: container.id },
+        data: { ...previous, dockerId: container.dockerId },
+      }).catch((revertError) => {
+        logger.error('Failed to point the container back at its previous Docker container:', revertError);
+      });
+    }
+
+    if (error.rolledBack) {
+      resumeContainerTunnels(container).catch((resumeError) => {
+        logger.warn('Failed to resume container tunnels:', resumeError.message);
+      });
+    }
+
+    reportProgress('failed', recreateFailureMessage('Reconfiguration', error), 'error');
+
+    await prisma.containerLog.create({
+      data: {
+        containerId: container.id,
+        command: 'RECONFIGURE',
+        output: steps.map(entry => `[${entry.step}] ${entry.message}`).join('\n'),
+        exitCode: 1,
+      },
+    });
 
-  const maxContainers = parseInt(process.env.MAX_CONTAINERS_PER_MEMBER) || 1;
-  return containerCount < maxContainers;
+    throw new DockerError(`Failed to reconfigure container: ${error.message}`, error);
+  } finally {
+    switchingContainers.delete(container.id);
+  }
 };
 
-const getAllowedImages = () => {
+// Recreate with env and secrets applied, the stored health check (overrides.healthCheck
+// replaces it) and ports published on their pool host ports. If the recreation fails the
+// old container is back, and so are its host ports.
+const recreateWithHostPorts = async (container, ports, overrides = {}, options = {}) => {
+  const { healthCheck = container.config?.healthCheck || null, ...dockerOverrides } = overrides;
+  const allocated = await allocateHostPorts(container, ports);
+
   try {
-    const allowedImages = JSON.parse(process.env.ALLOWED_IMAGES || '[]');
-    return allowedImages.length > 0 ? allowedImages : [
-      'node:18-alpine',
-      'node:16-alpine',
-      'python:3.11-alpine',
-      'python:3.9-alpine',
-      'nginx:alpine',
-      'ubuntu:22.04',
-    ];
+    return await recreateWithSecrets(container, {
+      ...dockerOverrides,
+      healthcheck: toDockerHealthcheck(healthCheck),
+      ports: toExposedPorts(allocated),
+      hostPorts: toHostPorts(allocated),
+    }, {
+      ...options,
+      // The new container replaces the old one only once its health check passes
+      healthCheck: {
+        ...options.healthCheck,
+        timeout: Math.max(options.healthCheck?.timeout || 30000, getHealthyWaitTimeout(healthCheck)),
+      },
+    });
   } catch (error) {
-    logger.error('Error parsing allowed images:', error);
-    return ['node:18-alpine', 'python:3.11-alpine'];
+    await restoreHostPorts(container).catch((restoreError) => {
+      logger.warn('Failed to restore container host ports:', restoreError.message);
+    });
+    throw error;
+  }
+};
+
+// After the record points at its new Docker container: sync the status, bring the
+// tunnels back and log the steps
+const finishRecreate = async (container, previousDockerId, steps) => {
+  const prisma = getPrismaClient();
+
+  if (container.dockerId !== previousDockerId) {
+    await syncContainerStatus(container.dockerId);
+
+    // Tunnel sidecars share the network of the replaced container
+    resumeContainerTunnels(container).catch((error) => {
+      logger.warn('Failed to resume container tunnels:', error.message);
+    });
+  }
+
+  if (steps.length > 0) {
+    await prisma.containerLog.create({
+      data: {
+        containerId: container.id,
+        command: 'RECONFIGURE',
+        output: steps.map(entry => `[${entry.step}] ${entry.message}`).join('\n'),
+        exitCode: 0,
+      },
+    });
   }
 };
 
@@ -100,6 +440,177 @@ const syncContainerStatus = async (containerId) => {
   }
 };
 
+// Create the Docker container for a panel record (runs as a background job)
+const createDockerContainer = async (job, { report }) => {
+  const { containerId } = job.data;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id: containerId },
+    include: {
+      owner: {
+        select: {
+          username: true,
+        },
+      },
+    },
+  });
+
+  // Deleted while the job was waiting
+  if (!container) {
+    return { skipped: true, reason: 'Container record no longer exists' };
+  }
+
+  const dockerName = `panel_${container.id}`;
+  const { cmd = [], env = {}, ports = [], healthCheck = null } = container.config || {};
+
+  // A previous attempt may have left a container with the same name behind
+  const leftovers = await containerManager.listContainers(true, { name: [`^/${dockerName}$`] });
+  for (const leftover of leftovers) {
+    await containerManager.removeContainer(leftover.Id, true);
+  }
+
+  // The pull uses the job ID so clients can follow it on the /images namespace
+  await report(5, `Pulling image ${container.image}`, 'pull');
+  await pullImageWithProgress(container.image, {
+    pullId: job.id,
+    userId: container.ownerId,
+    containerId: container.id,
+    onProgress: (pull) => report(5 + pull.percent * 0.6, `Pulling image ${container.image} (${pull.percent}%)`, 'pull'),
+  });
+
+  // /app lives on a persistent volume so user code survives recreation
+  await report(68, 'Preparing volume', 'volume');
+  const volumes = await prepareContainerVolumes(container);
+  await prisma.container.update({
+    where: { id: container.id },
+    data: { volumes },
+  });
+
+  // Retries keep the host ports allocated by an earlier attempt
+  const allocatedPorts = await allocateHostPorts(container, ports);
+
+  await report(70, 'Creating container', 'create');
+  const dockerContainer = await containerManager.createContainer({
+    name: dockerName,
+    image: container.image,
+    cmd,
+    env: await buildContainerEnv(container.id, env),
+    ports: toExposedPorts(allocatedPorts),
+    hostPorts: toHostPorts(allocatedPorts),
+    volumes: toBinds(volumes),
+    memory: container.resources?.memory || '512m',
+    cpus: container.resources?.cpus || 0.5,
+    healthcheck: toDockerHealthcheck(healthCheck),
+    labels: {
+      'panel.container.id': container.id,
+      'panel.owner.id': container.ownerId,
+      'panel.owner.username': container.owner.username,
+    },
+  });
+
+  await writeSecretFiles(dockerContainer.id, container.id);
+
+  // Containers created from a template start with its starter files in /app
+  if (container.config?.template) {
+    const template = await getTemplate(container.config.template);
+    if (template) {
+      await report(90, `Copying ${template.name} starter files`, 'template');
+      await seedTemplateFiles(dockerContainer.id, template);
+    } else {
+      logger.warn('Template no longer exists, container created without starter files', {
+        containerId: container.id,
+        template: container.config.template,
+      });
+    }
+  }
+
+  // Imported and cloned containers start with the /app staged from their bundle
+  if (await hasStagedApp(container.id)) {
+    await report(92, 'Restoring /app from bundle', 'bundle');
+    await seedStagedApp(dockerContainer.id, container.id);
+  }
+
+  await prisma.container.update({
+    where: { id: container.id },
+    data: {
+      dockerId: dockerContainer.id,
+      status: 'CREATED',
+    },
+  });
+  await purgeStagedApp(container.id);
+
+  await prisma.containerLog.create({
+    data: {
+      containerId: container.id,
+      command: 'CREATE',
+      output: `Container created from ${container.image}`,
+      exitCode: 0,
+    },
+  });
+
+  await report(100, 'Container created', 'done');
+
+  logger.info('Container created successfully', {
+    containerId: container.id,
+    dockerId: dockerContainer.id,
+    image: container.image,
+    jobId: job.id,
+  });
+
+  return { containerId: container.id, dockerId: dockerContainer.id };
+};
+
+const markContainerCreateFailed = async (job, error) => {
+  const prisma = getPrismaClient();
+  const container = await prisma.container.findUnique({
+    where: { id: job.data.containerId },
+  });
+
+  if (!container) return;
+
+  await prisma.container.update({
+    where: { id: container.id },
+    data: {
+      status: 'ERROR',
+      config: {
+        ...container.config,
+        lastError: error.message,
+      },
+    },
+  });
+
+  await prisma.containerLog.create({
+    data: {
+      containerId: container.id,
+      command: 'CREATE',
+      output: `Container creation failed after ${job.attemptsMade} attempt(s): ${error.message}`,
+      exitCode: 1,
+    },
+  });
+};
+
+registerJobProcessor('container.create', {
+  process: createDockerContainer,
+  onFailed: markContainerCreateFailed,
+});
+
+registerJobProcessor('image.pull', {
+  process: async (job, { report }) => {
+    const { image } = job.data;
+
+    await report(0, `Pulling image ${image}`, 'pull');
+    await pullImageWithProgress(image, {
+      pullId: job.id,
+      userId: job.data.userId,
+      onProgress: (pull) => report(pull.percent, `Pulling image ${image} (${pull.percent}%)`, 'pull'),
+    });
+    await report(100, `Image ${image} pulled`, 'done');
+
+    return { image };
+  },
+});
+
 // Routes
 
 // @desc    Get all containers (filtered by user role)
@@ -224,7 +735,10 @@ router.get('/:id', verifyToken, requireContainerOwnership, asyncHandler(async (r
 
   if (container.dockerId) {
     try {
-      dockerInfo = await containerManager.getContainerInfo(container.dockerId);
+      // Env secret values are injected into Docker's config, so they are masked here
+      const info = await containerManager.getContainerInfo(container.dockerId);
+      info.Config.Env = await redactSecretEnv(container.id, info.Config.Env);
+      dockerInfo = info;
       stats = await containerManager.getContainerStats(container.dockerId);
       
       // Sync status
@@ -242,10 +756,35 @@ router.get('/:id', verifyToken, requireContainerOwnership, asyncHandler(async (r
       ...container,
       dockerInfo,
       stats,
+      health: getContainerHealth(container, dockerInfo),
     },
   }, 'Container retrieved successfully');
 }));
 
+// @desc    Get the host addresses and proxy subdomain a container is reachable at
+// @route   GET /api/containers/:id/ports
+// @access  Private
+router.get('/:id/ports', verifyToken, requireContainerOwnership, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const container = await getPrismaClient().container.findUnique({
+    where: { id },
+    select: { id: true, name: true, ports: true },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  const ports = await getContainerEndpoints(container);
+
+  sendSuccessResponse(res, {
+    ports,
+    proxy: getContainerProxy(container),
+    containerId: id,
+  }, 'Container ports retrieved successfully');
+}));
+
 // @desc    Create new container
 // @route   POST /api/containers
 // @access  Private
@@ -256,25 +795,49 @@ router.post('/', verifyToken, containerLimiter, createContainerValidation, audit
     throw new ValidationError('Validation failed', errors.array());
   }
 
-  const { name, image, cmd = [], env = {}, ports = [], resources = {} } = req.body;
+  const { name, template: templateSlug, cmd: requestCmd = [], env: requestEnv = {}, ports: requestPorts = [], resources = {} } = req.body;
   const userId = req.user.id;
   const userRole = req.user.role;
 
-  // Check container limit for members
-  const canCreateContainer = await checkContainerLimit(userId, userRole);
-  if (!canCreateContainer) {
-    throw new ConflictError('Container limit reached. Members can only have 1 active container.');
+  // A template supplies the image, start command, ports and env defaults
+  let template = null;
+  if (templateSlug) {
+    template = await getTemplate(templateSlug);
+    if (!template || !template.enabled) {
+      throw new NotFoundError('Template not found');
+    }
   }
 
-  // Check if image is allowed
-  const allowedImages = getAllowedImages();
-  const imageWithoutTag = image.split(':')[0];
-  const isImageAllowed = allowedImages.some(allowed => 
-    allowed === image || allowed.split(':')[0] === imageWithoutTag
-  );
+  const image = template ? template.image : req.body.image;
 
-  if (!isImageAllowed && userRole !== 'ADMIN') {
-    throw new ValidationError(`Image ${image} is not allowed. Allowed images: ${allowedImages.join(', ')}`);
+  // Members can only use enabled catalog images; admins may run any image
+  const catalogImage = await findCatalogImage(image);
+  if (!isImageInCatalog(catalogImage) && userRole !== 'ADMIN') {
+    throw new ValidationError(`Image ${image} is not available in the image catalog`);
+  }
+
+  // Template, then catalog defaults fill in whatever the request leaves out
+  const defaults = {
+    cmd: template?.cmd?.length > 0 ? template.cmd : (catalogImage?.defaultCmd || []),
+    ports: template?.ports?.length > 0 ? template.ports : (catalogImage?.defaultPorts || []),
+  };
+  const cmd = requestCmd.length > 0 ? requestCmd : defaults.cmd;
+  const ports = requestPorts.length > 0 ? requestPorts : defaults.ports;
+  const env = { ...(catalogImage?.defaultEnv || {}), ...(template?.env || {}), ...requestEnv };
+
+  // Members are limited by their plan; missing resources default to what the plan leaves
+  let containerResources;
+  if (userRole === 'ADMIN') {
+    containerResources = { ...applyMinimumResources(catalogImage, getDefaultResources()), ...resources };
+  } else {
+    const { plan, usage } = await getPlanUsage(userId);
+    containerResources = { ...applyMinimumResources(catalogImage, getDefaultResources(plan, usage.cpus)), ...resources };
+  }
+
+  assertMinimumResources(catalogImage, containerResources);
+
+  if (userRole !== 'ADMIN') {
+    await assertContainerAllowed(userId, { image, resources: containerResources });
   }
 
   const prisma = getPrismaClient();
@@ -291,101 +854,80 @@ router.post('/', verifyToken, containerLimiter, createContainerValidation, audit
     throw new ConflictError('Container with this name already exists');
   }
 
-  try {
-    // Create container in database first
-    const container = await prisma.container.create({
-      data: {
-        name,
-        image,
-        ownerId: userId,
-        status: 'CREATED',
-        config: {
-          cmd,
-          env,
-          ports,
-        },
-        resources: {
-          memory: resources.memory || process.env.DEFAULT_CONTAINER_MEMORY || '512m',
-          cpus: resources.cpus || parseFloat(process.env.DEFAULT_CONTAINER_CPU) || 0.5,
-        },
-        ports: ports.map(port => ({
-          containerPort: port.containerPort || 3000,
-          protocol: port.protocol || 'tcp',
-        })),
-        environment: env,
-      },
-      include: {
-        owner: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-          },
-        },
-      },
-    });
-
-    // Create Docker container
-    const dockerContainer = await containerManager.createContainer({
-      name: `panel_${container.id}`,
+  // Create the record now; the Docker container is created by a background job
+  const container = await prisma.container.create({
+    data: {
+      name,
       image,
-      cmd,
-      env: Object.entries(env).map(([key, value]) => `${key}=${value}`),
-      ports: ports.reduce((acc, port) => {
-        acc[`${port.containerPort}/${port.protocol || 'tcp'}`] = {};
-        return acc;
-      }, {}),
-      memory: resources.memory || '512m',
-      cpus: resources.cpus || 0.5,
-      labels: {
-        'panel.container.id': container.id,
-        'panel.owner.id': userId,
-        'panel.owner.username': req.user.username,
-      },
-    });
-
-    // Update container with Docker ID
-    const updatedContainer = await prisma.container.update({
-      where: { id: container.id },
-      data: {
-        dockerId: dockerContainer.id,
-        status: 'CREATED',
+      ownerId: userId,
+      status: 'CREATING',
+      config: {
+        cmd,
+        env,
+        ports,
+        ...(template ? { template: template.slug } : {}),
       },
-      include: {
-        owner: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-          },
-        },
+      resources: {
+        memory: containerResources.memory,
+        cpus: parseFloat(containerResources.cpus),
       },
-    });
+      ports: ports.map(port => ({
+        containerPort: port.containerPort || 3000,
+        protocol: port.protocol || 'tcp',
+      })),
+      environment: env,
+    },
+  });
 
-    logger.info('Container created successfully', {
-      containerId: container.id,
-      dockerId: dockerContainer.id,
-      name,
-      image,
+  let job;
+  try {
+    job = await addJob('container.create', { image }, {
       userId,
+      containerId: container.id,
+      jobId: `container-create-${container.id}`,
     });
-
-    sendSuccessResponse(res, { container: updatedContainer }, 'Container created successfully', 201);
   } catch (error) {
-    // Clean up database record if Docker creation failed
+    // Clean up database record if the job could not be queued
     try {
-      await prisma.container.delete({ where: { id: container?.id } });
+      await prisma.container.delete({ where: { id: container.id } });
     } catch (cleanupError) {
       logger.error('Failed to cleanup container record:', cleanupError);
     }
     throw error;
   }
+
+  const queuedContainer = await prisma.container.update({
+    where: { id: container.id },
+    data: {
+      config: {
+        ...container.config,
+        createJobId: job.id,
+      },
+    },
+    include: {
+      owner: {
+        select: {
+          id: true,
+          username: true,
+          email: true,
+        },
+      },
+    },
+  });
+
+  scheduleContainerBackup(container.id).catch((error) => {
+    logger.error('Failed to schedule container backups:', error);
+  });
+
+  sendSuccessResponse(res, { container: queuedContainer, job }, 'Container creation queued', 202);
 }));
 
-// @desc    Update container
+// @desc    Update container (name, command, env, ports, resources)
 // @route   PUT /api/containers/:id
 // @access  Private
-router.put('/:id', verifyToken, requireContainerOwnership, updateContainerValidation, auditLog('CONTAINER_UPDATE', 'CONTAINER'), asyncHandler(async (req, res) => {
+// Resource-only changes are applied live; command, env, port and health check changes
+// recreate the Docker container from its current configuration, keeping the /app volume.
+router.put('/:id', verifyToken, requireContainerOwnership, containerLimiter, updateContainerValidation, auditLog('CONTAINER_UPDATE', 'CONTAINER'), asyncHandler(async (req, res) => {
   // Check validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -393,15 +935,23 @@ router.put('/:id', verifyToken, requireContainerOwnership, updateContainerValida
   }
 
   const { id } = req.params;
-  const { name } = req.body;
+  const { name, cmd, env, ports, resources, healthCheck } = req.body;
   const prisma = getPrismaClient();
 
+  const container = await prisma.container.findUnique({
+    where: { id },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
   // Check if new name conflicts
   if (name) {
     const existingContainer = await prisma.container.findFirst({
       where: {
         name,
-        ownerId: req.user.id,
+        ownerId: container.ownerId,
         id: { not: id },
       },
     });
@@ -411,9 +961,96 @@ router.put('/:id', verifyToken, requireContainerOwnership, updateContainerValida
     }
   }
 
-  const container = await prisma.container.update({
+  // Only fields that differ from the stored configuration count as changes
+  const config = container.config || {};
+  const changes = {};
+  if (cmd !== undefined && !sameValue(cmd, config.cmd || [])) {
+    changes.cmd = cmd;
+  }
+  if (env !== undefined && !sameValue(normalizeEnv(env), normalizeEnv(config.env || {}))) {
+    changes.env = normalizeEnv(env);
+  }
+  if (ports !== undefined && !sameValue(normalizePorts(ports), normalizePorts(config.ports || []))) {
+    changes.ports = normalizePorts(ports);
+  }
+  if (healthCheck !== undefined && !sameValue(normalizeHealthCheck(healthCheck), config.healthCheck || null)) {
+    changes.healthCheck = normalizeHealthCheck(healthCheck);
+  }
+
+  const newResources = {
+    memory: resources?.memory || container.resources?.memory || '512m',
+    cpus: resources?.cpus !== undefined ? parseFloat(resources.cpus) : parseFloat(container.resources?.cpus || 0.5),
+  };
+  const resourcesChanged = newResources.memory !== container.resources?.memory
+    || newResources.cpus !== parseFloat(container.resources?.cpus);
+  const needsRecreate = Object.keys(changes).length > 0;
+
+  if (needsRecreate || resourcesChanged) {
+    if (['CREATING', 'REMOVING'].includes(container.status)) {
+      throw new ConflictError(`Container is ${container.status.toLowerCase()}; try again when it has finished`);
+    }
+
+    if (resourcesChanged) {
+      const catalogImage = await findCatalogImage(container.image);
+      assertMinimumResources(catalogImage, newResources);
+
+      // Members are limited by their plan; the container's current share is left out of the totals
+      if (req.user.role !== 'ADMIN') {
+        await assertContainerAllowed(container.ownerId, { resources: newResources, excludeContainerId: id });
+      }
+    }
+
+    if (switchingContainers.has(id)) {
+      throw new ConflictError('An image switch or reconfiguration is already in progress for this container');
+    }
+  }
+
+  const newConfig = { ...config, ...changes };
+  let dockerId = container.dockerId;
+  let steps = [];
+
+  if (container.dockerId && (needsRecreate || resourcesChanged)) {
+    ({ dockerId, steps } = await reconfigureDockerContainer(container, async (reportProgress, beforeStart) => {
+      if (!needsRecreate) {
+        reportProgress('resources', `Updating limits to ${newResources.memory} memory and ${newResources.cpus} CPU(s)`);
+        await containerManager.updateContainerResources(container.dockerId, newResources);
+        return container.dockerId;
+      }
+
+      const { container: newDockerContainer } = await recreateWithHostPorts(
+        container,
+        newConfig.ports || [],
+        {
+          cmd: newConfig.cmd || [],
+          env: newConfig.env || {},
+          healthCheck: newConfig.healthCheck || null,
+          ...(resourcesChanged && { hostConfig: containerManager.formatResources(newResources) }),
+        },
+        { onProgress: reportProgress, beforeStart }
+      );
+      return newDockerContainer.id;
+    }, {
+      // Saved together with the new Docker ID, since the container is created with them
+      config: newConfig,
+      environment: newConfig.env || {},
+      ...(resourcesChanged && { resources: newResources }),
+    }));
+  } else if (changes.ports) {
+    // No Docker container yet: reserve the host ports it will be created with
+    await allocateHostPorts(container, newConfig.ports);
+  }
+
+  const updatedContainer = await prisma.container.update({
     where: { id },
-    data: { name },
+    data: {
+      ...(name && { name }),
+      ...(dockerId !== container.dockerId && { dockerId }),
+      ...(needsRecreate && {
+        config: newConfig,
+        environment: newConfig.env || {},
+      }),
+      ...(resourcesChanged && { resources: newResources }),
+    },
     include: {
       owner: {
         select: {
@@ -425,7 +1062,74 @@ router.put('/:id', verifyToken, requireContainerOwnership, updateContainerValida
     },
   });
 
-  sendSuccessResponse(res, { container }, 'Container updated successfully');
+  await finishRecreate(updatedContainer, container.dockerId, steps);
+  // A new name or new host ports change the proxy route
+  refreshProxyRoutes();
+
+  logger.audit('Container updated', {
+    userId: req.user.id,
+    containerId: id,
+    changed: [
+      ...(name && name !== container.name ? ['name'] : []),
+      ...Object.keys(changes),
+      ...(resourcesChanged ? ['resources'] : []),
+    ],
+    recreated: dockerId !== container.dockerId,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, {
+    container: updatedContainer,
+    recreated: dockerId !== container.dockerId,
+    steps,
+  }, 'Container updated successfully');
+}));
+
+// @desc    Recreate container from its stored configuration (applies changed secrets)
+// @route   POST /api/containers/:id/recreate
+// @access  Private
+router.post('/:id/recreate', verifyToken, requireContainerOwnership, containerLimiter, auditLog('CONTAINER_RECREATE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  if (!container.dockerId) {
+    throw new ValidationError('Container has no Docker ID');
+  }
+
+  if (switchingContainers.has(id)) {
+    throw new ConflictError('An image switch or reconfiguration is already in progress for this container');
+  }
+
+  const { steps } = await reconfigureDockerContainer(container, async (reportProgress, beforeStart) => {
+    const { container: newDockerContainer } = await recreateWithHostPorts(container, container.config?.ports || [], {}, {
+      onProgress: reportProgress,
+      beforeStart,
+    });
+    return newDockerContainer.id;
+  });
+
+  // beforeStart already pointed the record at the new Docker container
+  const updatedContainer = await prisma.container.findUnique({
+    where: { id },
+  });
+
+  await finishRecreate(updatedContainer, container.dockerId, steps);
+
+  logger.audit('Container recreated', {
+    userId: req.user.id,
+    containerId: id,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, { container: updatedContainer, steps }, 'Container recreated successfully');
 }));
 
 // @desc    Start container
@@ -465,6 +1169,11 @@ router.post('/:id/start', verifyToken, requireContainerOwnership, containerLimit
     },
   });
 
+  // Tunnel sidecars share the container's network namespace and must be recreated with it
+  resumeContainerTunnels(container).catch((error) => {
+    logger.warn('Failed to resume container tunnels:', error.message);
+  });
+
   sendSuccessResponse(res, null, 'Container started successfully');
 }));
 
@@ -488,6 +1197,9 @@ router.post('/:id/stop', verifyToken, requireContainerOwnership, containerLimite
     throw new ValidationError('Container has no Docker ID');
   }
 
+  // Stop tunnel sidecars first, they lose their network with the container
+  await stopContainerTunnels(container);
+
   await containerManager.stopContainer(container.dockerId, timeout);
 
   // Update status
@@ -547,6 +1259,11 @@ router.post('/:id/restart', verifyToken, requireContainerOwnership, containerLim
     },
   });
 
+  // Tunnel sidecars share the container's network namespace and must be recreated with it
+  resumeContainerTunnels(container).catch((error) => {
+    logger.warn('Failed to resume container tunnels:', error.message);
+  });
+
   sendSuccessResponse(res, null, 'Container restarted successfully');
 }));
 
@@ -556,6 +1273,8 @@ router.post('/:id/restart', verifyToken, requireContainerOwnership, containerLim
 router.delete('/:id', verifyToken, requireContainerOwnership, auditLog('CONTAINER_DELETE', 'CONTAINER'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { force = false } = req.query;
+  // Only admins may keep the data of a deleted container
+  const keepVolumes = req.user.role === 'ADMIN' && req.query.keepVolumes === 'true';
   const prisma = getPrismaClient();
 
   const container = await prisma.container.findUnique({
@@ -566,7 +1285,9 @@ router.delete('/:id', verifyToken, requireContainerOwnership, auditLog('CONTAINE
     throw new NotFoundError('Container not found');
   }
 
-  // Remove Docker container if exists
+  // Remove tunnel sidecars and the Docker container if it exists
+  await removeContainerTunnels(id);
+
   if (container.dockerId) {
     try {
       await containerManager.removeContainer(container.dockerId, force);
@@ -575,14 +1296,194 @@ router.delete('/:id', verifyToken, requireContainerOwnership, auditLog('CONTAINE
     }
   }
 
+  if (!keepVolumes) {
+    await purgeContainerVolumes(container);
+  }
+  await purgeScriptOutputs(id);
+  await unscheduleContainerCronJobs(id);
+  await purgeContainerSnapshots(id);
+  await purgeContainerBackups(id);
+  await purgeStagedApp(id);
+  await purgeContainerLogArchive(id);
+
   // Remove from database
   await prisma.container.delete({
     where: { id },
   });
+  refreshProxyRoutes();
 
   sendSuccessResponse(res, null, 'Container deleted successfully');
 }));
 
+// @desc    Switch container image (pull, recreate, rollback on failure)
+// @route   POST /api/containers/:id/switch-image
+// @access  Private
+router.post('/:id/switch-image', verifyToken, requireContainerOwnership, containerLimiter, switchImageValidation, auditLog('CONTAINER_SWITCH_IMAGE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id } = req.params;
+  const { image, healthCheckTimeout = 30 } = req.body;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  if (!container.dockerId) {
+    throw new ValidationError('Container has no Docker ID');
+  }
+
+  const catalogImage = await findCatalogImage(image);
+  if (!isImageInCatalog(catalogImage) && req.user.role !== 'ADMIN') {
+    throw new ValidationError(`Image ${image} is not available in the image catalog`);
+  }
+
+  // The container keeps its resources, so they must satisfy the new image
+  assertMinimumResources(catalogImage, container.resources || {});
+
+  // Members may only switch to images included in their plan
+  if (req.user.role !== 'ADMIN') {
+    await assertContainerAllowed(container.ownerId, { image, excludeContainerId: id });
+  }
+
+  if (switchingContainers.has(id)) {
+    throw new ConflictError('An image switch is already in progress for this container');
+  }
+
+  switchingContainers.add(id);
+
+  const previousImage = container.image;
+  const pullId = `switch-image-${id}-${Date.now()}`;
+  // Whether the record points at the new Docker container, and whether that container
+  // replaced the old one
+  let recordSwitched = false;
+  let switched = false;
+  const steps = [];
+  const reportProgress = (step, message, status = 'running') => {
+    steps.push({ step, message, status, at: new Date().toISOString() });
+    emitContainerEvent(id, 'container:switch-image', {
+      step,
+      status,
+      message,
+      image,
+      previousImage,
+      pullId,
+    });
+  };
+
+  try {
+    reportProgress('pull', `Pulling image ${image}`);
+    const pull = await pullImageWithProgress(image, {
+      pullId,
+      userId: req.user.id,
+      containerId: id,
+    });
+    reportProgress('pull', `Image ${image} pulled (${pull.layers.length} layers)`);
+
+    const { container: newDockerContainer } = await recreateWithHostPorts(
+      container,
+      container.config?.ports || [],
+      {
+        image,
+        labels: { 'panel.image.previous': previousImage },
+      },
+      {
+        onProgress: reportProgress,
+        healthCheck: { timeout: healthCheckTimeout * 1000 },
+        // Before the old container goes away, so a failed write rolls the switch back
+        beforeStart: async (newContainer) => {
+          await prisma.container.update({
+            where: { id },
+            data: {
+              image,
+              dockerId: newContainer.id,
+            },
+          });
+          recordSwitched = true;
+        },
+      }
+    );
+    switched = true;
+
+    await syncContainerStatus(newDockerContainer.id);
+
+    const updatedContainer = await prisma.container.findUnique({
+      where: { id },
+    });
+
+    reportProgress('done', `Container now runs ${image}`, 'success');
+
+    resumeContainerTunnels(updatedContainer).catch((error) => {
+      logger.warn('Failed to resume container tunnels:', error.message);
+    });
+
+    await prisma.containerLog.create({
+      data: {
+        containerId: id,
+        command: `SWITCH_IMAGE ${previousImage} -> ${image}`,
+        output: steps.map(entry => `[${entry.step}] ${entry.message}`).join('\n'),
+        exitCode: 0,
+      },
+    });
+
+    logger.audit('Container image switched', {
+      userId: req.user.id,
+      containerId: id,
+      previousImage,
+      image,
+      ip: req.ip,
+    });
+
+    sendSuccessResponse(res, {
+      container: updatedContainer,
+      previousImage,
+      pullId,
+      steps,
+    }, 'Container image switched successfully');
+  } catch (error) {
+    // The new Docker container was removed again, so the record goes back to the old one
+    if (recordSwitched && !switched) {
+      await prisma.container.update({
+        where: { id },
+        data: {
+          image: previousImage,
+          dockerId: container.dockerId,
+        },
+      }).catch((revertError) => {
+        logger.error('Failed to point the container back at its previous Docker container:', revertError);
+      });
+    }
+
+    if (error.rolledBack) {
+      resumeContainerTunnels(container).catch((resumeError) => {
+        logger.warn('Failed to resume container tunnels:', resumeError.message);
+      });
+    }
+
+    reportProgress('failed', recreateFailureMessage('Switch', error), 'error');
+
+    await prisma.containerLog.create({
+      data: {
+        containerId: id,
+        command: `SWITCH_IMAGE ${previousImage} -> ${image}`,
+        output: steps.map(entry => `[${entry.step}] ${entry.message}`).join('\n'),
+        exitCode: 1,
+      },
+    });
+
+    throw new DockerError(`Failed to switch image to ${image}: ${error.message}`, error);
+  } finally {
+    switchingContainers.delete(id);
+  }
+}));
+
 // @desc    Get container stats
 // @route   GET /api/containers/:id/stats
 // @access  Private
@@ -592,7 +1493,7 @@ router.get('/:id/stats', verifyToken, requireContainerOwnership, asyncHandler(as
 
   const container = await prisma.container.findUnique({
     where: { id },
-    select: { dockerId: true },
+    select: { dockerId: true, diskUsage: true, diskUsageAt: true },
   });
 
   if (!container) {
@@ -605,10 +1506,17 @@ router.get('/:id/stats', verifyToken, requireContainerOwnership, asyncHandler(as
 
   const stats = await containerManager.getContainerStats(container.dockerId);
 
+  // Disk usage comes from the periodic measurement, not from Docker stats
+  stats.disk = {
+    usage: containerManager.formatBytes(container.diskUsage),
+    bytes: container.diskUsage,
+    measuredAt: container.diskUsageAt,
+  };
+
   sendSuccessResponse(res, { stats }, 'Container stats retrieved successfully');
 }));
 
-// @desc    Get container logs
+// @desc    Get container event logs (console sessions, commands, health events)
 // @route   GET /api/containers/:id/logs
 // @access  Private
 router.get('/:id/logs', verifyToken, requireContainerOwnership, asyncHandler(async (req, res) => {
@@ -625,13 +1533,178 @@ router.get('/:id/logs', verifyToken, requireContainerOwnership, asyncHandler(asy
   sendSuccessResponse(res, { logs }, 'Container logs retrieved successfully');
 }));
 
-// @desc    Get allowed images
+// @desc    Get container stdout/stderr from Docker
+// @route   GET /api/containers/:id/output
+// @access  Private
+// follow=true streams matching lines as NDJSON until the container stops; format=text
+// downloads the whole (filtered) log. Live output in the UI uses the /logs namespace.
+router.get('/:id/output', verifyToken, requireContainerOwnership, containerOutputValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id } = req.params;
+  const {
+    since,
+    until,
+    stream = 'all',
+    search,
+    format = 'json',
+  } = req.query;
+  const follow = req.query.follow === 'true';
+  const timestamps = req.query.timestamps !== 'false';
+  const regex = req.query.regex === 'true';
+  const caseSensitive = req.query.caseSensitive === 'true';
+
+  const container = await getPrismaClient().container.findUnique({
+    where: { id },
+    select: { id: true, name: true, dockerId: true },
+  });
+
+  if (!container?.dockerId) {
+    throw new NotFoundError('Docker container not found');
+  }
+
+  const options = { since, until, stream, search, regex, caseSensitive, timestamps };
+
+  if (format === 'text' || follow) {
+    const output = await streamContainerOutput(container.dockerId, {
+      ...options,
+      follow: follow && format !== 'text',
+      tail: req.query.tail || (format === 'text' ? 'all' : '100'),
+    }, {
+      onLines: (lines) => {
+        const chunk = format === 'text'
+          ? lines.map(formatLine).join('')
+          : lines.map(line => `${JSON.stringify(line)}\n`).join('');
+        if (!res.write(chunk)) {
+          output.pause();
+          res.once('drain', () => output.resume());
+        }
+      },
+      onEnd: () => res.end(),
+      onError: (error) => {
+        logger.warn(`Container output stream failed for ${id}:`, error.message);
+        res.end();
+      },
+    });
+
+    if (format === 'text') {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${container.name}-${stamp}.log"`);
+    } else {
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+    }
+    res.flushHeaders();
+
+    res.on('close', () => output.stop());
+    return;
+  }
+
+  const { lines, truncated } = await readContainerOutput(container.dockerId, {
+    ...options,
+    tail: req.query.tail || '500',
+  });
+
+  sendSuccessResponse(res, {
+    lines,
+    truncated,
+    containerId: id,
+  }, 'Container output retrieved successfully');
+}));
+
+// @desc    Get archived container stdout/stderr by time range
+// @route   GET /api/containers/:id/output/archive
+// @access  Private
+// Pages with `after` = `next` of the previous response; format=text downloads the whole range.
+router.get('/:id/output/archive', verifyToken, requireContainerOwnership, outputArchiveValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id } = req.params;
+  const {
+    from,
+    to,
+    after,
+    limit = 1000,
+    stream = 'all',
+    search,
+    format = 'json',
+  } = req.query;
+
+  const container = await getPrismaClient().container.findUnique({
+    where: { id },
+    select: { id: true, name: true, ownerId: true },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  const options = {
+    from: from ? Date.parse(from) : 0,
+    to: to ? Date.parse(to) : Infinity,
+    after: after || null,
+    stream,
+    search,
+    regex: req.query.regex === 'true',
+    caseSensitive: req.query.caseSensitive === 'true',
+  };
+
+  if (format === 'text') {
+    const lines = readLogArchive(id, options);
+    // Invalid filters throw before anything is sent
+    const first = await lines.next();
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${container.name}-archive.log"`);
+
+    if (!first.done) {
+      res.write(formatLine(first.value));
+      for await (const line of lines) {
+        if (res.destroyed) break;
+        if (!res.write(formatLine(line))) {
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+      }
+    }
+    res.end();
+    return;
+  }
+
+  const [result, range, plan] = await Promise.all([
+    queryLogArchive(id, { ...options, limit: parseInt(limit) }),
+    getLogArchiveRange(id),
+    getUserPlan(container.ownerId),
+  ]);
+
+  sendSuccessResponse(res, {
+    ...result,
+    range,
+    retentionDays: plan.logRetentionDays,
+    archiveEnabled: isLogArchiveEnabled() && plan.logRetentionDays > 0,
+    containerId: id,
+  }, 'Archived container output retrieved successfully');
+}));
+
+// @desc    Get allowed images from the catalog
 // @route   GET /api/containers/images/allowed
 // @access  Private
 router.get('/images/allowed', verifyToken, asyncHandler(async (req, res) => {
-  const allowedImages = getAllowedImages();
-  
-  sendSuccessResponse(res, { images: allowedImages }, 'Allowed images retrieved successfully');
+  let images = await listCatalogImages();
+
+  // Members only see the images of their plan
+  if (req.user.role !== 'ADMIN') {
+    const plan = await getUserPlan(req.user.id);
+    images = images.filter(entry => isImageAllowedByPlan(plan, entry.image));
+  }
+
+  sendSuccessResponse(res, { images }, 'Allowed images retrieved successfully');
 }));
 
 module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { getPrismaClient } = require('../utils/database');
+const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
+const { containerLimiter } = require('../middleware/rateLimiter');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { assertCronJobAllowed } = require('../services/plans');
+const {
+  isValidSchedule,
+  isValidTimezone,
+  runCronJob,
+  isCronJobRunning,
+  scheduleCronJob,
+  unscheduleCronJob,
+} = require('../services/cronJobs');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const buildCronJobValidation = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Cron job name must be between 1 and 100 characters'),
+    field('schedule')
+      .trim()
+      .custom(value => isValidSchedule(value))
+      .withMessage('Invalid cron expression'),
+    body('timezone')
+      .optional({ nullable: true })
+      .custom(value => isValidTimezone(value))
+      .withMessage('Invalid timezone'),
+    field('command')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Command must be between 1 and 2000 characters'),
+    body('timeout')
+      .optional()
+      .isInt({ min: 1, max: 24 * 3600 })
+      .withMessage('Timeout must be between 1 second and 24 hours'),
+    body('startIfStopped')
+      .optional()
+      .isBoolean()
+      .withMessage('startIfStopped must be a boolean'),
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('enabled must be a boolean'),
+  ];
+};
+
+const createCronJobValidation = buildCronJobValidation();
+const updateCronJobValidation = buildCronJobValidation(true);
+
+const listRunsValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+// Helper functions
+const findCronJobOrFail = async (containerId, cronJobId) => {
+  const cronJob = await getPrismaClient().cronJob.findFirst({
+    where: {
+      id: cronJobId,
+      containerId,
+    },
+  });
+
+  if (!cronJob) {
+    throw new NotFoundError('Cron job not found');
+  }
+
+  return cronJob;
+};
+
+// Routes
+
+// @desc    Get cron jobs of a container
+// @route   GET /api/cron/:containerId
+// @access  Private
+router.get('/:containerId', verifyToken, requireContainerOwnership, asyncHandler(async (req, res) => {
+  const { containerId } = req.params;
+  const prisma = getPrismaClient();
+
+  const cronJobs = await prisma.cronJob.findMany({
+    where: { containerId },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  sendSuccessResponse(res, { cronJobs, containerId }, 'Cron jobs retrieved successfully');
+}));
+
+// @desc    Create cron job
+// @route   POST /api/cron/:containerId
+// @access  Private
+router.post('/:containerId', verifyToken, requireContainerOwnership, containerLimiter, createCronJobValidation, auditLog('CRON_CREATE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId } = req.params;
+  const {
+    name,
+    schedule,
+    timezone = null,
+    command,
+    timeout = 3600,
+    startIfStopped = false,
+    enabled = true,
+  } = req.body;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id: containerId },
+    select: { ownerId: true },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  // The limit follows the container owner's plan
+  if (req.user.role !== 'ADMIN') {
+    await assertCronJobAllowed(container.ownerId);
+  }
+
+  const cronJob = await prisma.cronJob.create({
+    data: {
+      containerId,
+      name,
+      schedule,
+      timezone,
+      command,
+      timeout: parseInt(timeout),
+      startIfStopped,
+      enabled,
+    },
+  });
+
+  scheduleCronJob(cronJob);
+
+  logger.audit('Cron job created', {
+    userId: req.user.id,
+    containerId,
+    cronJobId: cronJob.id,
+    schedule,
+  });
+
+  sendSuccessResponse(res, { cronJob }, 'Cron job created successfully', 201);
+}));
+
+// @desc    Get cron job
+// @route   GET /api/cron/:containerId/:cronJobId
+// @access  Private
+router.get('/:containerId/:cronJobId', verifyToken, requireContainerOwnership, asyncHandler(async (req, res) => {
+  const cronJob = await findCronJobOrFail(req.params.containerId, req.params.cronJobId);
+
+  sendSuccessResponse(res, { cronJob }, 'Cron job retrieved successfully');
+}));
+
+// @desc    Update cron job
+// @route   PUT /api/cron/:containerId/:cronJobId
+// @access  Private
+router.put('/:containerId/:cronJobId', verifyToken, requireContainerOwnership, updateCronJobValidation, auditLog('CRON_UPDATE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId, cronJobId } = req.params;
+  const { name, schedule, timezone, command, timeout, startIfStopped, enabled } = req.body;
+  const prisma = getPrismaClient();
+
+  await findCronJobOrFail(containerId, cronJobId);
+
+  const updateData = {};
+  if (name) updateData.name = name;
+  if (schedule) updateData.schedule = schedule;
+  if (timezone !== undefined) updateData.timezone = timezone;
+  if (command) updateData.command = command;
+  if (timeout !== undefined) updateData.timeout = parseInt(timeout);
+  if (startIfStopped !== undefined) updateData.startIfStopped = startIfStopped;
+  if (enabled !== undefined) updateData.enabled = enabled;
+
+  const cronJob = await prisma.cronJob.update({
+    where: { id: cronJobId },
+    data: updateData,
+  });
+
+  scheduleCronJob(cronJob);
+
+  sendSuccessResponse(res, { cronJob }, 'Cron job updated successfully');
+}));
+
+// @desc    Delete cron job
+// @route   DELETE /api/cron/:containerId/:cronJobId
+// @access  Private
+router.delete('/:containerId/:cronJobId', verifyToken, requireContainerOwnership, auditLog('CRON_DELETE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const { containerId, cronJobId } = req.params;
+  const prisma = getPrismaClient();
+
+  await findCronJobOrFail(containerId, cronJobId);
+
+  unscheduleCronJob(cronJobId);
+  await prisma.cronJob.delete({
+    where: { id: cronJobId },
+  });
+
+  sendSuccessResponse(res, null, 'Cron job deleted successfully');
+}));
+
+// @desc    Run cron job now
+// @route   POST /api/cron/:containerId/:cronJobId/run
+// @access  Private
+router.post('/:containerId/:cronJobId/run', verifyToken, requireContainerOwnership, containerLimiter, auditLog('CRON_RUN', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const cronJob = await findCronJobOrFail(req.params.containerId, req.params.cronJobId);
+
+  if (isCronJobRunning(cronJob.id)) {
+    throw new ConflictError('Cron job is already running');
+  }
+
+  // The result shows up in the run history
+  runCronJob(cronJob.id, { trigger: 'manual' }).catch((error) => {
+    logger.error('Failed to run cron job:', error);
+  });
+
+  sendSuccessResponse(res, { cronJob }, 'Cron job started', 202);
+}));
+
+// @desc    Get run history of a cron job
+// @route   GET /api/cron/:containerId/:cronJobId/runs
+// @access  Private
+router.get('/:containerId/:cronJobId/runs', verifyToken, requireContainerOwnership, listRunsValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId, cronJobId } = req.params;
+  const { limit = 20 } = req.query;
+
+  await findCronJobOrFail(containerId, cronJobId);
+
+  const runs = await getPrismaClient().cronRun.findMany({
+    where: { cronJobId },
+    orderBy: { startedAt: 'desc' },
+    take: parseInt(limit),
+  });
+
+  sendSuccessResponse(res, { runs }, 'Cron job runs retrieved successfully');
+}));
+
+module.exports = router;
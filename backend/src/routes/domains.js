@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { getPrismaClient } = require('../utils/database');
+const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { registerJobProcessor } = require('../services/jobQueue');
+const { isProxyEnabled } = require('../services/httpProxy');
+const {
+  isAcmeEnabled,
+  serializeDomain,
+  addDomain,
+  verifyDomain,
+  queueCertificate,
+  issueCertificate,
+  markCertificateFailed,
+  deleteDomain,
+} = require('../services/domains');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const addDomainValidation = [
+  body('hostname')
+    .trim()
+    .isFQDN({ require_tld: true, allow_underscores: false, allow_wildcard: false })
+    .withMessage('Hostname must be a fully qualified domain name')
+    .isLength({ max: 253 })
+    .withMessage('Hostname must be at most 253 characters'),
+];
+
+const domainIdValidation = param('domainId')
+  .isString()
+  .notEmpty()
+  .withMessage('Domain ID is required');
+
+// Helper functions
+const findDomainOrFail = async (containerId, domainId) => {
+  const domain = await getPrismaClient().domain.findFirst({
+    where: {
+      id: domainId,
+      containerId,
+    },
+  });
+
+  if (!domain) {
+    throw new NotFoundError('Domain not found');
+  }
+
+  return domain;
+};
+
+registerJobProcessor('domain.certificate', {
+  process: async (job, { report }) => {
+    const domain = await issueCertificate(job.data.domainId, { report });
+    if (!domain) {
+      return { skipped: true, reason: 'Domain no longer exists' };
+    }
+
+    await report(100, `Certificate for ${domain.hostname} issued`, 'done');
+
+    logger.audit('Certificate issued', {
+      userId: job.data.userId,
+      containerId: domain.containerId,
+      domainId: domain.id,
+      hostname: domain.hostname,
+      expiresAt: domain.certExpiresAt,
+      jobId: job.id,
+    });
+
+    return { domainId: domain.id, expiresAt: domain.certExpiresAt };
+  },
+  onFailed: (job, error) => markCertificateFailed(job.data.domainId, error),
+});
+
+// Routes
+
+// @desc    Get custom domains of a container with verification and certificate status
+// @route   GET /api/domains/:containerId
+// @access  Private
+router.get('/:containerId', verifyToken, requireContainerOwnership, asyncHandler(async (req, res) => {
+  const { containerId } = req.params;
+
+  const domains = await getPrismaClient().domain.findMany({
+    where: { containerId },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  sendSuccessResponse(res, {
+    domains: domains.map(serializeDomain),
+    proxyEnabled: isProxyEnabled(),
+    acmeEnabled: isAcmeEnabled(),
+    containerId,
+  }, 'Domains retrieved successfully');
+}));
+
+// @desc    Add a custom domain to a container
+// @route   POST /api/domains/:containerId
+// @access  Private
+router.post('/:containerId', verifyToken, requireContainerOwnership, addDomainValidation, auditLog('DOMAIN_ADD', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId } = req.params;
+  const { hostname } = req.body;
+
+  const container = await getPrismaClient().container.findUnique({
+    where: { id: containerId },
+    select: { id: true },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  const domain = await addDomain(container, { hostname });
+
+  logger.audit('Domain added', {
+    userId: req.user.id,
+    containerId,
+    domainId: domain.id,
+    hostname: domain.hostname,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, {
+    domain: serializeDomain(domain),
+  }, 'Domain added successfully', 201);
+}));
+
+// @desc    Check ownership of a domain
+// @route   POST /api/domains/:containerId/:domainId/verify
+// @access  Private
+// Once verified the domain is routed and, with ACME configured, a certificate is ordered.
+router.post('/:containerId/:domainId/verify', verifyToken, requireContainerOwnership, domainIdValidation, auditLog('DOMAIN_VERIFY', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId, domainId } = req.params;
+  const domain = await findDomainOrFail(containerId, domainId);
+
+  if (domain.verifiedAt) {
+    throw new ConflictError('Domain is already verified');
+  }
+
+  const updated = await verifyDomain(domain, { userId: req.user.id });
+
+  if (updated.verifiedAt) {
+    logger.audit('Domain verified', {
+      userId: req.user.id,
+      containerId,
+      domainId,
+      hostname: domain.hostname,
+      ip: req.ip,
+    });
+  }
+
+  sendSuccessResponse(res, {
+    domain: serializeDomain(updated),
+  }, updated.verifiedAt ? 'Domain verified successfully' : 'Domain ownership could not be verified');
+}));
+
+// @desc    Issue or renew the certificate of a verified domain
+// @route   POST /api/domains/:containerId/:domainId/certificate
+// @access  Private
+router.post('/:containerId/:domainId/certificate', verifyToken, requireContainerOwnership, domainIdValidation, auditLog('DOMAIN_CERTIFICATE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId, domainId } = req.params;
+  const domain = await findDomainOrFail(containerId, domainId);
+
+  const { domain: updated, job } = await queueCertificate(domain, { userId: req.user.id });
+
+  sendSuccessResponse(res, {
+    domain: serializeDomain(updated),
+    jobId: job.id,
+  }, 'Certificate request queued', 202);
+}));
+
+// @desc    Remove a custom domain and its certificate
+// @route   DELETE /api/domains/:containerId/:domainId
+// @access  Private
+router.delete('/:containerId/:domainId', verifyToken, requireContainerOwnership, domainIdValidation, auditLog('DOMAIN_DELETE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId, domainId } = req.params;
+  const domain = await findDomainOrFail(containerId, domainId);
+
+  await deleteDomain(domain);
+
+  logger.audit('Domain removed', {
+    userId: req.user.id,
+    containerId,
+    domainId,
+    hostname: domain.hostname,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, null, 'Domain removed successfully');
+}));
+
+module.exports = router;
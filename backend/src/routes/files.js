@@ -11,6 +11,8 @@ const { getDockerClient, ContainerManager } = require('../utils/docker');
 const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
 const { fileLimiter } = require('../middleware/rateLimiter');
 const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, FileSystemError } = require('../middleware/errorHandler');
+const { addJob, registerJobProcessor } = require('../services/jobQueue');
+const { assertDiskQuota, recordDiskWrite } = require('../services/diskQuota');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -166,6 +168,126 @@ const getContainerPath = (containerId, filePath) => {
   return `/app${sanitized}`;
 };
 
+const getContainerDockerId = async (containerId) => {
+  const prisma = getPrismaClient();
+  const container = await prisma.container.findUnique({
+    where: { id: containerId },
+    select: { dockerId: true },
+  });
+
+  if (!container || !container.dockerId) {
+    throw new NotFoundError('Container not found');
+  }
+
+  return container.dockerId;
+};
+
+const buildArchiveCommand = (format, archivePath, containerPaths) => {
+  const relativePaths = containerPaths.map(p => `"${p.replace('/app/', '')}"`).join(' ');
+
+  if (format === 'zip') {
+    return `cd /app && zip -r "${archivePath}" ${relativePaths}`;
+  } else if (format === 'tar') {
+    return `cd /app && tar -cf "${archivePath}" ${relativePaths}`;
+  }
+  // tar.gz
+  return `cd /app && tar -czf "${archivePath}" ${relativePaths}`;
+};
+
+const buildExtractCommand = (archivePath, containerArchivePath, containerTargetPath, overwrite) => {
+  const fileExt = path.extname(archivePath).toLowerCase();
+
+  if (fileExt === '.zip') {
+    return `cd "${containerTargetPath}" && unzip ${overwrite ? '-o' : ''} "${containerArchivePath}"`;
+  } else if (fileExt === '.tar') {
+    return `cd "${containerTargetPath}" && tar -xf "${containerArchivePath}"`;
+  } else if (archivePath.endsWith('.tar.gz') || archivePath.endsWith('.tgz')) {
+    return `cd "${containerTargetPath}" && tar -xzf "${containerArchivePath}"`;
+  }
+
+  return null;
+};
+
+// Uncompressed size of an archive, summed from its listing. The listing is captured
+// first so the command fails when it does (a pipe would report the status of awk).
+const buildArchiveSizeCommand = (archivePath, containerArchivePath) => {
+  const fileExt = path.extname(archivePath).toLowerCase();
+
+  if (fileExt === '.zip') {
+    return `listing=$(unzip -l "${containerArchivePath}") && printf '%s\\n' "$listing" | tail -n 1 | awk '{ print $1 }'`;
+  } else if (fileExt === '.tar') {
+    return `listing=$(tar -tvf "${containerArchivePath}") && printf '%s\\n' "$listing" | awk '{ s += $3 } END { print s + 0 }'`;
+  }
+  return `listing=$(tar -tzvf "${containerArchivePath}") && printf '%s\\n' "$listing" | awk '{ s += $3 } END { print s + 0 }'`;
+};
+
+// Archive and extract can take a long time on big directories, so they run as background jobs
+registerJobProcessor('file.archive', {
+  process: async (job, { report }) => {
+    const { containerId, userId, paths, format, archiveFileName } = job.data;
+    const dockerId = await getContainerDockerId(containerId);
+    const archivePath = `/tmp/${archiveFileName}`;
+
+    await report(10, `Creating ${format} archive ${archiveFileName}`, 'archive');
+
+    const containerPaths = paths.map(p => getContainerPath(containerId, p));
+    const archiveResult = await executeInContainer(dockerId, buildArchiveCommand(format, archivePath, containerPaths));
+
+    if (archiveResult.exitCode !== 0) {
+      throw new FileSystemError(`Failed to create archive: ${archiveResult.error || archiveResult.output}`, 'archive');
+    }
+
+    await report(100, `Archive ${archiveFileName} created`, 'done');
+
+    logger.audit('Archive created', {
+      userId,
+      containerId,
+      paths,
+      format,
+      archiveName: archiveFileName,
+      jobId: job.id,
+    });
+
+    return { archiveName: archiveFileName, archivePath, format, paths };
+  },
+});
+
+registerJobProcessor('file.extract', {
+  process: async (job, { report }) => {
+    const { containerId, userId, archivePath, targetPath, overwrite, estimatedSize = 0 } = job.data;
+    const dockerId = await getContainerDockerId(containerId);
+
+    await report(10, `Extracting ${archivePath}`, 'extract');
+
+    const extractCommand = buildExtractCommand(
+      archivePath,
+      getContainerPath(containerId, archivePath),
+      getContainerPath(containerId, targetPath),
+      overwrite
+    );
+    const extractResult = await executeInContainer(dockerId, extractCommand);
+
+    if (extractResult.exitCode !== 0) {
+      throw new FileSystemError(`Failed to extract archive: ${extractResult.error || extractResult.output}`, 'extract');
+    }
+
+    await recordDiskWrite(containerId, estimatedSize);
+
+    await report(100, `Extracted to ${targetPath}`, 'done');
+
+    logger.audit('Archive extracted', {
+      userId,
+      containerId,
+      archivePath,
+      targetPath,
+      overwrite,
+      jobId: job.id,
+    });
+
+    return { archivePath, targetPath, overwrite };
+  },
+});
+
 // Routes
 
 // @desc    List files and directories
@@ -315,7 +437,7 @@ router.post('/:containerId', verifyToken, requireContainerOwnership, fileLimiter
 
   const container = await prisma.container.findUnique({
     where: { id: containerId },
-    select: { dockerId: true },
+    select: { dockerId: true, ownerId: true },
   });
 
   if (!container || !container.dockerId) {
@@ -333,6 +455,9 @@ router.post('/:containerId', verifyToken, requireContainerOwnership, fileLimiter
     throw new ValidationError('File or directory already exists');
   }
 
+  const size = isDirectory ? 0 : Buffer.byteLength(content);
+  await assertDiskQuota(container.ownerId, size);
+
   let command;
   if (isDirectory) {
     command = `mkdir -p "${containerPath}"`;
@@ -348,6 +473,8 @@ router.post('/:containerId', verifyToken, requireContainerOwnership, fileLimiter
     throw new FileSystemError(`Failed to create ${isDirectory ? 'directory' : 'file'}`, 'create');
   }
 
+  await recordDiskWrite(containerId, size);
+
   logger.audit(`${isDirectory ? 'Directory' : 'File'} created`, {
     userId: req.user.id,
     containerId,
@@ -377,7 +504,7 @@ router.put('/:containerId/content', verifyToken, requireContainerOwnership, file
 
   const container = await prisma.container.findUnique({
     where: { id: containerId },
-    select: { dockerId: true },
+    select: { dockerId: true, ownerId: true },
   });
 
   if (!container || !container.dockerId) {
@@ -387,7 +514,7 @@ router.put('/:containerId/content', verifyToken, requireContainerOwnership, file
   const containerPath = getContainerPath(containerId, filePath);
 
   // Check if file exists and is not a directory
-  const statCommand = `stat -c "%F" "${containerPath}" 2>/dev/null || echo "ERROR"`;
+  const statCommand = `stat -c "%F|%s" "${containerPath}" 2>/dev/null || echo "ERROR"`;
   const statResult = await executeInContainer(container.dockerId, statCommand);
 
   if (statResult.output.includes('ERROR')) {
@@ -398,6 +525,11 @@ router.put('/:containerId/content', verifyToken, requireContainerOwnership, file
     throw new ValidationError('Cannot write to directory');
   }
 
+  // Only the growth of the file counts against the quota
+  const currentSize = parseInt(statResult.output.split('|').pop()) || 0;
+  const growth = Buffer.byteLength(content) - currentSize;
+  await assertDiskQuota(container.ownerId, Math.max(0, growth));
+
   // Write content to file
   const escapedContent = content.replace(/'/g, "'\"'\"'");
   const writeCommand = `echo '${escapedContent}' > "${containerPath}"`;
@@ -407,6 +539,8 @@ router.put('/:containerId/content', verifyToken, requireContainerOwnership, file
     throw new FileSystemError('Failed to write file', 'write');
   }
 
+  await recordDiskWrite(containerId, growth);
+
   logger.audit('File updated', {
     userId: req.user.id,
     containerId,
@@ -564,7 +698,7 @@ router.post('/:containerId/upload', verifyToken, requireContainerOwnership, file
 
   const container = await prisma.container.findUnique({
     where: { id: containerId },
-    select: { dockerId: true },
+    select: { dockerId: true, ownerId: true },
   });
 
   if (!container || !container.dockerId) {
@@ -574,6 +708,8 @@ router.post('/:containerId/upload', verifyToken, requireContainerOwnership, file
   const uploadedFiles = [];
 
   try {
+    await assertDiskQuota(container.ownerId, files.reduce((sum, file) => sum + file.size, 0));
+
     for (const file of files) {
       const targetFilePath = path.posix.join(targetPath, file.originalname);
       const containerPath = getContainerPath(containerId, targetFilePath);
@@ -606,6 +742,8 @@ router.post('/:containerId/upload', verifyToken, requireContainerOwnership, file
       await fs.unlink(file.path);
     }
 
+    await recordDiskWrite(containerId, uploadedFiles.reduce((sum, file) => sum + file.size, 0));
+
     logger.audit('Files uploaded', {
       userId: req.user.id,
       containerId,
@@ -733,42 +871,24 @@ router.post('/:containerId/archive', verifyToken, requireContainerOwnership, fil
   }
 
   const sanitizedPaths = paths.map(p => sanitizePath(p));
-  const containerPaths = sanitizedPaths.map(p => getContainerPath(containerId, p));
-  
-  // Create archive in container
   const archiveFileName = archiveName || `archive_${Date.now()}.${format}`;
-  const archivePath = `/tmp/${archiveFileName}`;
-
-  let archiveCommand;
-  if (format === 'zip') {
-    archiveCommand = `cd /app && zip -r "${archivePath}" ${containerPaths.map(p => `"${p.replace('/app/', '')}"`).join(' ')}`;
-  } else if (format === 'tar') {
-    archiveCommand = `cd /app && tar -cf "${archivePath}" ${containerPaths.map(p => `"${p.replace('/app/', '')}"`).join(' ')}`;
-  } else { // tar.gz
-    archiveCommand = `cd /app && tar -czf "${archivePath}" ${containerPaths.map(p => `"${p.replace('/app/', '')}"`).join(' ')}`;
-  }
-
-  const archiveResult = await executeInContainer(container.dockerId, archiveCommand);
 
-  if (archiveResult.exitCode !== 0) {
-    throw new FileSystemError('Failed to create archive', 'archive');
-  }
-
-  logger.audit('Archive created', {
-    userId: req.user.id,
-    containerId,
+  const job = await addJob('file.archive', {
     paths: sanitizedPaths,
     format,
-    archiveName: archiveFileName,
-    ip: req.ip,
+    archiveFileName,
+  }, {
+    userId: req.user.id,
+    containerId,
   });
 
   sendSuccessResponse(res, {
+    job,
     archiveName: archiveFileName,
     archivePath: `/tmp/${archiveFileName}`,
     format,
     paths: sanitizedPaths,
-  }, 'Archive created successfully', 201);
+  }, 'Archive creation queued', 202);
 }));
 
 // @desc    Extract archive
@@ -785,7 +905,7 @@ router.post('/:containerId/extract', verifyToken, requireContainerOwnership, fil
 
   const container = await prisma.container.findUnique({
     where: { id: containerId },
-    select: { dockerId: true },
+    select: { dockerId: true, ownerId: true },
   });
 
   if (!container || !container.dockerId) {
@@ -803,40 +923,40 @@ router.post('/:containerId/extract', verifyToken, requireContainerOwnership, fil
     throw new NotFoundError('Archive file not found');
   }
 
-  // Determine archive type and extract
-  const fileExt = path.extname(archivePath).toLowerCase();
-  let extractCommand;
-
-  if (fileExt === '.zip') {
-    extractCommand = `cd "${containerTargetPath}" && unzip ${overwrite ? '-o' : ''} "${containerArchivePath}"`;
-  } else if (fileExt === '.tar') {
-    extractCommand = `cd "${containerTargetPath}" && tar -xf "${containerArchivePath}"`;
-  } else if (archivePath.endsWith('.tar.gz') || archivePath.endsWith('.tgz')) {
-    extractCommand = `cd "${containerTargetPath}" && tar -xzf "${containerArchivePath}"`;
-  } else {
+  if (!buildExtractCommand(archivePath, containerArchivePath, containerTargetPath, overwrite)) {
     throw new ValidationError('Unsupported archive format. Supported: .zip, .tar, .tar.gz, .tgz');
   }
 
-  const extractResult = await executeInContainer(container.dockerId, extractCommand);
-
-  if (extractResult.exitCode !== 0) {
-    throw new FileSystemError('Failed to extract archive', 'extract');
+  // Extracted files count against the quota with their uncompressed size
+  const sizeResult = await executeInContainer(
+    container.dockerId,
+    buildArchiveSizeCommand(archivePath, containerArchivePath)
+  );
+  const sizeMatch = sizeResult.output.match(/(\d+)\s*$/);
+  // Without a size the quota cannot be checked, so the archive is not extracted
+  if (sizeResult.exitCode !== 0 || !sizeMatch) {
+    throw new ValidationError('Archive contents could not be listed; the archive may be damaged');
   }
+  const estimatedSize = parseInt(sizeMatch[1]);
+  await assertDiskQuota(container.ownerId, estimatedSize);
 
-  logger.audit('Archive extracted', {
-    userId: req.user.id,
-    containerId,
+  const job = await addJob('file.extract', {
     archivePath,
     targetPath,
     overwrite,
-    ip: req.ip,
+    estimatedSize,
+  }, {
+    userId: req.user.id,
+    containerId,
   });
 
   sendSuccessResponse(res, {
+    job,
     archivePath,
     targetPath,
     overwrite,
-  }, 'Archive extracted successfully');
+    estimatedSize,
+  }, 'Archive extraction queued', 202);
 }));
 
 module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { getPull, listPulls } = require('../services/imagePull');
+
+const router = express.Router();
+
+// All image routes require authentication
+router.use(verifyToken);
+
+// Validation rules
+const listPullsValidation = [
+  query('containerId')
+    .optional()
+    .isString()
+    .withMessage('Container ID must be a string'),
+];
+
+// @desc    Get recent image pulls (REST fallback for the /images socket namespace)
+// @route   GET /api/images/pulls
+// @access  Private
+router.get('/pulls', listPullsValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const pulls = listPulls({
+    userId: req.user.role === 'ADMIN' ? null : req.user.id,
+    containerId: req.query.containerId,
+  });
+
+  sendSuccessResponse(res, { pulls }, 'Image pulls retrieved successfully');
+}));
+
+// @desc    Get image pull progress
+// @route   GET /api/images/pulls/:pullId
+// @access  Private
+router.get('/pulls/:pullId', asyncHandler(async (req, res) => {
+  const pull = getPull(req.params.pullId);
+
+  if (!pull || (req.user.role !== 'ADMIN' && pull.userId !== req.user.id)) {
+    throw new NotFoundError('Image pull not found');
+  }
+
+  sendSuccessResponse(res, { pull }, 'Image pull retrieved successfully');
+}));
+
+module.exports = router;
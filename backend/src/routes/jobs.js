@@ -0,0 +1,58 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { getJob, listJobs } = require('../services/jobQueue');
+
+const router = express.Router();
+
+// All job routes require authentication
+router.use(verifyToken);
+
+// Validation rules
+const listJobsValidation = [
+  query('containerId')
+    .optional()
+    .isString()
+    .withMessage('Container ID must be a string'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+// @desc    Get recent jobs of the current user (admins see all jobs)
+// @route   GET /api/jobs
+// @access  Private
+router.get('/', listJobsValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId, limit = 50 } = req.query;
+
+  const jobs = await listJobs({
+    userId: req.user.role === 'ADMIN' ? null : req.user.id,
+    containerId,
+    limit: parseInt(limit),
+  });
+
+  sendSuccessResponse(res, { jobs }, 'Jobs retrieved successfully');
+}));
+
+// @desc    Get job status and progress
+// @route   GET /api/jobs/:id
+// @access  Private
+router.get('/:id', asyncHandler(async (req, res) => {
+  const job = await getJob(req.params.id);
+
+  // Jobs of other users are reported as missing
+  if (!job || (req.user.role !== 'ADMIN' && job.userId !== req.user.id)) {
+    throw new NotFoundError('Job not found');
+  }
+
+  sendSuccessResponse(res, { job }, 'Job retrieved successfully');
+}));
+
+module.exports = router;
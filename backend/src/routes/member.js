@@ -4,6 +4,8 @@ const { body, validationResult } = require('express-validator');
 const { getPrismaClient } = require('../utils/database');
 const { verifyToken, requireMember, auditLog } = require('../middleware/auth');
 const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { getUserDiskUsage } = require('../services/diskQuota');
+const { getPlanUsage } = require('../services/plans');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -96,23 +98,25 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     totalContainers: containers.length,
     runningContainers: containers.filter(c => c.status === 'RUNNING').length,
     stoppedContainers: containers.filter(c => c.status === 'STOPPED').length,
+    unhealthyContainers: containers.filter(c => c.healthStatus === 'UNHEALTHY').length,
     activeTunnels: containers.reduce((acc, c) => acc + c.tunnels.filter(t => t.status === 'ACTIVE').length, 0),
     totalLogs: containers.reduce((acc, c) => acc + c._count.logs, 0),
     activeSessions,
   };
 
-  // Get container limits
-  const maxContainers = parseInt(process.env.MAX_CONTAINERS_PER_MEMBER) || 1;
-  const canCreateContainer = containers.length < maxContainers;
+  // Get plan limits
+  const { plan, usage, limits } = await getPlanUsage(userId);
+  const disk = await getUserDiskUsage(userId);
 
   sendSuccessResponse(res, {
     stats,
     containers,
     recentLogs,
+    plan,
+    usage,
     limits: {
-      maxContainers,
-      canCreateContainer,
-      remainingContainers: Math.max(0, maxContainers - containers.length),
+      ...limits,
+      disk,
     },
   }, 'Dashboard data retrieved successfully');
 }));
@@ -317,17 +321,12 @@ router.get('/containers', asyncHandler(async (req, res) => {
     orderBy: { createdAt: 'desc' },
   });
 
-  // Get container limits
-  const maxContainers = parseInt(process.env.MAX_CONTAINERS_PER_MEMBER) || 1;
-  const canCreateContainer = containers.length < maxContainers;
+  // Get plan limits
+  const { limits } = await getPlanUsage(userId);
 
   sendSuccessResponse(res, {
     containers,
-    limits: {
-      maxContainers,
-      canCreateContainer,
-      remainingContainers: Math.max(0, maxContainers - containers.length),
-    },
+    limits,
   }, 'Containers retrieved successfully');
 }));
 
@@ -558,6 +557,8 @@ router.get('/stats', asyncHandler(async (req, res) => {
     }
   });
 
+  const { limits } = await getPlanUsage(userId);
+
   sendSuccessResponse(res, {
     containers: {
       total: totalContainers,
@@ -578,10 +579,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
     sessions: {
       active: activeSessions,
     },
-    limits: {
-      maxContainers: parseInt(process.env.MAX_CONTAINERS_PER_MEMBER) || 1,
-      canCreateContainer: totalContainers < (parseInt(process.env.MAX_CONTAINERS_PER_MEMBER) || 1),
-    },
+    limits,
   }, 'Statistics retrieved successfully');
 }));
 
@@ -0,0 +1,218 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { getPrismaClient } = require('../utils/database');
+const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
+const { containerLimiter } = require('../middleware/rateLimiter');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const {
+  INTERPRETERS,
+  serializeScriptRun,
+  startScriptRun,
+  stopScriptRun,
+  readScriptOutput,
+} = require('../services/scriptRuns');
+
+const router = express.Router();
+
+// Validation rules
+const startScriptValidation = [
+  body('interpreter')
+    .isIn(Object.keys(INTERPRETERS))
+    .withMessage(`Interpreter must be one of: ${Object.keys(INTERPRETERS).join(', ')}`),
+  // Scripts are addressed relative to /app
+  body('script')
+    .isString()
+    .trim()
+    .customSanitizer(value => value.replace(/^\/app\/+/, ''))
+    .custom(value => (
+      value.length > 0
+      && value.length <= 500
+      && !value.startsWith('/')
+      && !value.split('/').includes('..')
+    ))
+    .withMessage('Script must be a path relative to /app without ".." segments'),
+  body('args')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('args must be an array of at most 50 arguments'),
+  body('args.*')
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Each argument must be a string of at most 1000 characters'),
+  body('env')
+    .optional()
+    .isObject()
+    .withMessage('env must be an object'),
+];
+
+const listRunsValidation = [
+  query('status')
+    .optional()
+    .isIn(['STARTING', 'RUNNING', 'SUCCEEDED', 'FAILED', 'STOPPED', 'INTERRUPTED'])
+    .withMessage('Invalid run status'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+const outputValidation = [
+  query('stream')
+    .optional()
+    .isIn(['stdout', 'stderr'])
+    .withMessage('Stream must be stdout or stderr'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 5000 })
+    .withMessage('Limit must be between 1 and 5000'),
+  query('format')
+    .optional()
+    .isIn(['json', 'text'])
+    .withMessage('Format must be json or text'),
+];
+
+// Helper functions
+const findRunOrFail = async (containerId, runId) => {
+  const run = await getPrismaClient().scriptRun.findFirst({
+    where: {
+      id: runId,
+      containerId,
+    },
+  });
+
+  if (!run) {
+    throw new NotFoundError('Script run not found');
+  }
+
+  return run;
+};
+
+// Routes
+
+// @desc    Get script runs of a container
+// @route   GET /api/scripts/:containerId
+// @access  Private
+router.get('/:containerId', verifyToken, requireContainerOwnership, listRunsValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId } = req.params;
+  const { status, limit = 50 } = req.query;
+  const prisma = getPrismaClient();
+
+  const runs = await prisma.scriptRun.findMany({
+    where: {
+      containerId,
+      ...(status ? { status } : {}),
+    },
+    orderBy: { startedAt: 'desc' },
+    take: parseInt(limit),
+  });
+
+  sendSuccessResponse(res, {
+    runs: runs.map(serializeScriptRun),
+    interpreters: Object.keys(INTERPRETERS),
+  }, 'Script runs retrieved successfully');
+}));
+
+// @desc    Start a script
+// @route   POST /api/scripts/:containerId
+// @access  Private
+router.post('/:containerId', verifyToken, requireContainerOwnership, containerLimiter, startScriptValidation, auditLog('SCRIPT_RUN', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId } = req.params;
+  const { interpreter, script, args = [], env = {} } = req.body;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id: containerId },
+  });
+
+  if (!container || !container.dockerId) {
+    throw new NotFoundError('Container not found');
+  }
+
+  if (container.status !== 'RUNNING') {
+    throw new ConflictError('Container must be running to start a script');
+  }
+
+  const run = await startScriptRun(container, {
+    userId: req.user.id,
+    interpreter,
+    script,
+    args,
+    env,
+  });
+
+  sendSuccessResponse(res, { run }, 'Script started', 201);
+}));
+
+// @desc    Get script run
+// @route   GET /api/scripts/:containerId/:runId
+// @access  Private
+router.get('/:containerId/:runId', verifyToken, requireContainerOwnership, asyncHandler(async (req, res) => {
+  const run = await findRunOrFail(req.params.containerId, req.params.runId);
+
+  sendSuccessResponse(res, { run: serializeScriptRun(run) }, 'Script run retrieved successfully');
+}));
+
+// @desc    Get captured stdout/stderr of a script run
+// @route   GET /api/scripts/:containerId/:runId/output
+// @access  Private
+router.get('/:containerId/:runId/output', verifyToken, requireContainerOwnership, outputValidation, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const run = await findRunOrFail(req.params.containerId, req.params.runId);
+  const { stream = null, offset = 0, limit = 1000, format = 'json' } = req.query;
+
+  // Plain text is meant for downloading the whole output
+  if (format === 'text') {
+    const { entries } = await readScriptOutput(run, { stream, limit: Infinity });
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="script-run-${run.id}.log"`);
+    res.send(entries.map(entry => entry.d).join(''));
+    return;
+  }
+
+  const output = await readScriptOutput(run, {
+    stream,
+    offset: parseInt(offset),
+    limit: parseInt(limit),
+  });
+
+  sendSuccessResponse(res, {
+    run: serializeScriptRun(run),
+    ...output,
+  }, 'Script output retrieved successfully');
+}));
+
+// @desc    Stop a running script
+// @route   POST /api/scripts/:containerId/:runId/stop
+// @access  Private
+router.post('/:containerId/:runId/stop', verifyToken, requireContainerOwnership, auditLog('SCRIPT_STOP', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const run = await findRunOrFail(req.params.containerId, req.params.runId);
+
+  const container = await getPrismaClient().container.findUnique({
+    where: { id: run.containerId },
+    select: { dockerId: true },
+  });
+
+  const stoppedRun = await stopScriptRun(run, container.dockerId);
+
+  sendSuccessResponse(res, { run: stoppedRun }, 'Stop signal sent');
+}));
+
+module.exports = router;
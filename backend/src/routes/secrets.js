@@ -0,0 +1,154 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { getPrismaClient } = require('../utils/database');
+const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const {
+  SECRETS_MOUNT_PATH,
+  isSecretsConfigured,
+  listContainerSecrets,
+  setContainerSecret,
+  deleteContainerSecret,
+} = require('../services/secrets');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_CONTAINER_SECRETS = 50;
+const MAX_SECRET_SIZE = 64 * 1024;
+
+// Validation rules
+// Names double as env variable and file names
+const secretNameValidation = param('name')
+  .matches(/^[a-zA-Z_][a-zA-Z0-9_]{0,99}$/)
+  .withMessage('Secret name must start with a letter or underscore and contain only letters, numbers and underscores (max 100)');
+
+const setSecretValidation = [
+  secretNameValidation,
+  body('value')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: MAX_SECRET_SIZE })
+    .withMessage(`Secret value must be between 1 and ${MAX_SECRET_SIZE} characters`),
+  body('exposeAsEnv')
+    .optional()
+    .isBoolean()
+    .withMessage('exposeAsEnv must be a boolean'),
+  body('mountAsFile')
+    .optional()
+    .isBoolean()
+    .withMessage('mountAsFile must be a boolean'),
+];
+
+// Routes
+
+// @desc    Get secrets of a container (values masked)
+// @route   GET /api/secrets/:containerId
+// @access  Private
+router.get('/:containerId', verifyToken, requireContainerOwnership, asyncHandler(async (req, res) => {
+  const { containerId } = req.params;
+
+  const secrets = await listContainerSecrets(containerId);
+
+  sendSuccessResponse(res, {
+    secrets,
+    configured: isSecretsConfigured(),
+    mountPath: SECRETS_MOUNT_PATH,
+    containerId,
+  }, 'Secrets retrieved successfully');
+}));
+
+// @desc    Create or replace a container secret
+// @route   PUT /api/secrets/:containerId/:name
+// @access  Private
+// Changes apply when the Docker container is next created or recreated.
+router.put('/:containerId/:name', verifyToken, requireContainerOwnership, setSecretValidation, auditLog('SECRET_SET', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId, name } = req.params;
+  const { value, exposeAsEnv, mountAsFile } = req.body;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id: containerId },
+    select: { id: true, dockerId: true },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  const existing = await prisma.secret.findUnique({
+    where: { containerId_name: { containerId, name } },
+  });
+
+  if (existing && existing.kind !== 'CONTAINER') {
+    throw new ConflictError(`${name} is reserved`);
+  }
+
+  if (!existing) {
+    if (value === undefined) {
+      throw new ValidationError('A value is required for a new secret');
+    }
+
+    const count = await prisma.secret.count({
+      where: { containerId, kind: 'CONTAINER' },
+    });
+    if (count >= MAX_CONTAINER_SECRETS) {
+      throw new ConflictError(`A container can have at most ${MAX_CONTAINER_SECRETS} secrets`);
+    }
+  }
+
+  const nextExposeAsEnv = exposeAsEnv !== undefined ? exposeAsEnv : (existing ? existing.exposeAsEnv : true);
+  const nextMountAsFile = mountAsFile !== undefined ? mountAsFile : (existing ? existing.mountAsFile : false);
+  if (!nextExposeAsEnv && !nextMountAsFile) {
+    throw new ValidationError('A secret must be exposed as an env variable, a file, or both');
+  }
+
+  const secret = await setContainerSecret(containerId, name, { value, exposeAsEnv, mountAsFile });
+
+  logger.audit(existing ? 'Secret updated' : 'Secret created', {
+    userId: req.user.id,
+    containerId,
+    name,
+    valueChanged: value !== undefined,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, {
+    secret,
+    // The running container still has the previous values until it is recreated
+    recreateRequired: Boolean(container.dockerId),
+  }, existing ? 'Secret updated successfully' : 'Secret created successfully', existing ? 200 : 201);
+}));
+
+// @desc    Delete a container secret
+// @route   DELETE /api/secrets/:containerId/:name
+// @access  Private
+router.delete('/:containerId/:name', verifyToken, requireContainerOwnership, secretNameValidation, auditLog('SECRET_DELETE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { containerId, name } = req.params;
+
+  const deleted = await deleteContainerSecret(containerId, name);
+  if (!deleted) {
+    throw new NotFoundError('Secret not found');
+  }
+
+  logger.audit('Secret deleted', {
+    userId: req.user.id,
+    containerId,
+    name,
+    ip: req.ip,
+  });
+
+  sendSuccessResponse(res, null, 'Secret deleted successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,380 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getPrismaClient } = require('../utils/database');
+const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
+const { containerLimiter } = require('../middleware/rateLimiter');
+const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { addJob, registerJobProcessor } = require('../services/jobQueue');
+const { getUserPlan, assertContainerAllowed, assertSnapshotAllowed } = require('../services/plans');
+const { findCatalogImage, isImageInCatalog } = require('../services/imageCatalog');
+const {
+  capturePanelConfig,
+  captureSnapshot,
+  markSnapshotFailed,
+  restoreSnapshot,
+  deleteSnapshot,
+  pruneSnapshots,
+} = require('../services/snapshots');
+const { scheduleContainerBackup } = require('../services/backups');
+const logger = require('../utils/logger');
+
+// Mounted on /api/containers next to the container routes
+const router = express.Router();
+
+// Validation rules
+const createSnapshotValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Snapshot name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body('commit')
+    .optional()
+    .isBoolean()
+    .withMessage('commit must be a boolean'),
+  body('replaceOldest')
+    .optional()
+    .isBoolean()
+    .withMessage('replaceOldest must be a boolean'),
+];
+
+const restoreSnapshotValidation = [
+  body('target')
+    .optional()
+    .isIn(['same', 'new'])
+    .withMessage('Target must be same or new'),
+  body('name')
+    .if(body('target').equals('new'))
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Container name must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Container name can only contain letters, numbers, underscores, and hyphens'),
+  body('start')
+    .optional()
+    .isBoolean()
+    .withMessage('start must be a boolean'),
+];
+
+// Helper functions
+const findSnapshotOrFail = async (containerId, snapshotId) => {
+  const snapshot = await getPrismaClient().snapshot.findFirst({
+    where: {
+      id: snapshotId,
+      containerId,
+    },
+  });
+
+  if (!snapshot) {
+    throw new NotFoundError('Snapshot not found');
+  }
+
+  return snapshot;
+};
+
+// Snapshot and restore work runs as background jobs
+registerJobProcessor('snapshot.create', {
+  process: async (job, { report }) => {
+    const { snapshotId, commit } = job.data;
+
+    const snapshot = await captureSnapshot(snapshotId, { commit, report });
+    if (!snapshot) {
+      return { skipped: true, reason: 'Snapshot record no longer exists' };
+    }
+
+    await report(100, `Snapshot ${snapshot.name} created`, 'done');
+
+    logger.audit('Snapshot created', {
+      userId: job.data.userId,
+      containerId: snapshot.containerId,
+      snapshotId: snapshot.id,
+      archiveSize: snapshot.archiveSize,
+      commitImage: snapshot.commitImage,
+      jobId: job.id,
+    });
+
+    return { snapshotId: snapshot.id, archiveSize: snapshot.archiveSize, commitImage: snapshot.commitImage };
+  },
+  onFailed: (job, error) => markSnapshotFailed(job.data.snapshotId, error),
+});
+
+registerJobProcessor('snapshot.restore', {
+  process: async (job, { report }) => {
+    const { snapshotId, containerId, startAfter } = job.data;
+
+    const result = await restoreSnapshot(snapshotId, containerId, { startAfter, report });
+    await report(100, 'Snapshot restored', 'done');
+
+    return result;
+  },
+  onFailed: async (job, error) => {
+    const prisma = getPrismaClient();
+    const container = await prisma.container.findUnique({
+      where: { id: job.data.containerId },
+    });
+
+    if (!container) return;
+
+    await prisma.container.update({
+      where: { id: container.id },
+      data: {
+        status: 'ERROR',
+        config: {
+          ...container.config,
+          lastError: error.message,
+        },
+      },
+    });
+
+    await prisma.containerLog.create({
+      data: {
+        containerId: container.id,
+        command: 'RESTORE',
+        output: `Restoring snapshot ${job.data.snapshotId} failed: ${error.message}`,
+        exitCode: 1,
+      },
+    });
+  },
+});
+
+// Routes
+
+// @desc    Get snapshots of a container
+// @route   GET /api/containers/:id/snapshots
+// @access  Private
+router.get('/:id/snapshots', verifyToken, requireContainerOwnership, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id },
+    select: { ownerId: true },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  const snapshots = await prisma.snapshot.findMany({
+    where: { containerId: id },
+    orderBy: { createdAt: 'desc' },
+  });
+  const plan = await getUserPlan(container.ownerId);
+
+  sendSuccessResponse(res, {
+    snapshots,
+    containerId: id,
+    maxSnapshots: plan.maxSnapshots,
+  }, 'Snapshots retrieved successfully');
+}));
+
+// @desc    Create snapshot (config, /app archive and optionally a docker commit)
+// @route   POST /api/containers/:id/snapshots
+// @access  Private
+router.post('/:id/snapshots', verifyToken, requireContainerOwnership, containerLimiter, createSnapshotValidation, auditLog('SNAPSHOT_CREATE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id } = req.params;
+  const { description = null, commit = false, replaceOldest = false } = req.body;
+  const prisma = getPrismaClient();
+
+  const container = await prisma.container.findUnique({
+    where: { id },
+  });
+
+  if (!container) {
+    throw new NotFoundError('Container not found');
+  }
+
+  if (!container.dockerId || container.status === 'CREATING') {
+    throw new ConflictError('Container is not ready to be snapshotted');
+  }
+
+  // The limit follows the container owner's plan; replaceOldest makes room first
+  if (req.user.role !== 'ADMIN') {
+    if (replaceOldest) {
+      const plan = await getUserPlan(container.ownerId);
+      await pruneSnapshots(id, plan.maxSnapshots - 1);
+    }
+    await assertSnapshotAllowed(container.ownerId, id);
+  }
+
+  const snapshot = await prisma.snapshot.create({
+    data: {
+      containerId: id,
+      name: req.body.name || `${container.name}-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+      description,
+      image: container.image,
+      config: capturePanelConfig(container),
+    },
+  });
+
+  let job;
+  try {
+    job = await addJob('snapshot.create', {
+      snapshotId: snapshot.id,
+      commit,
+    }, {
+      userId: req.user.id,
+      containerId: id,
+      jobId: `snapshot-create-${snapshot.id}`,
+    });
+  } catch (error) {
+    await prisma.snapshot.delete({ where: { id: snapshot.id } }).catch((cleanupError) => {
+      logger.error('Failed to cleanup snapshot record:', cleanupError);
+    });
+    throw error;
+  }
+
+  sendSuccessResponse(res, { snapshot, job }, 'Snapshot creation queued', 202);
+}));
+
+// @desc    Get snapshot
+// @route   GET /api/containers/:id/snapshots/:snapshotId
+// @access  Private
+router.get('/:id/snapshots/:snapshotId', verifyToken, requireContainerOwnership, asyncHandler(async (req, res) => {
+  const snapshot = await findSnapshotOrFail(req.params.id, req.params.snapshotId);
+
+  sendSuccessResponse(res, { snapshot }, 'Snapshot retrieved successfully');
+}));
+
+// @desc    Restore snapshot into the same container or a new one
+// @route   POST /api/containers/:id/snapshots/:snapshotId/restore
+// @access  Private
+router.post('/:id/snapshots/:snapshotId/restore', verifyToken, requireContainerOwnership, containerLimiter, restoreSnapshotValidation, auditLog('SNAPSHOT_RESTORE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id, snapshotId } = req.params;
+  const { target = 'same', name } = req.body;
+  const prisma = getPrismaClient();
+
+  const snapshot = await findSnapshotOrFail(id, snapshotId);
+  if (snapshot.status !== 'READY') {
+    throw new ConflictError('Only completed snapshots can be restored');
+  }
+
+  const container = await prisma.container.findUnique({
+    where: { id },
+  });
+
+  let targetContainer;
+  if (target === 'same') {
+    if (container.status === 'CREATING') {
+      throw new ConflictError('Container is being created or restored');
+    }
+
+    const pendingSnapshots = await prisma.snapshot.count({
+      where: { containerId: id, status: 'CREATING' },
+    });
+    if (pendingSnapshots > 0) {
+      throw new ConflictError('A snapshot of this container is still being created');
+    }
+
+    targetContainer = await prisma.container.update({
+      where: { id },
+      data: { status: 'CREATING' },
+    });
+  } else {
+    // The copy belongs to the owner of the source container and counts against their plan
+    const { resources = {} } = snapshot.config || {};
+    if (req.user.role !== 'ADMIN') {
+      const catalogImage = await findCatalogImage(snapshot.image);
+      if (!isImageInCatalog(catalogImage)) {
+        throw new ValidationError(`Image ${snapshot.image} is not available in the image catalog`);
+      }
+      await assertContainerAllowed(container.ownerId, { image: snapshot.image, resources });
+    }
+
+    const existingContainer = await prisma.container.findFirst({
+      where: {
+        name,
+        ownerId: container.ownerId,
+      },
+    });
+
+    if (existingContainer) {
+      throw new ConflictError('Container with this name already exists');
+    }
+
+    const { cmd = [], env = {}, ports = [] } = snapshot.config || {};
+    targetContainer = await prisma.container.create({
+      data: {
+        name,
+        image: snapshot.image,
+        ownerId: container.ownerId,
+        status: 'CREATING',
+        config: { cmd, env, ports },
+        resources,
+        ports,
+        environment: env,
+      },
+    });
+  }
+
+  let job;
+  try {
+    job = await addJob('snapshot.restore', {
+      snapshotId,
+      // A restored container comes back up when it was running before
+      startAfter: req.body.start !== undefined ? req.body.start : (target === 'same' && container.status === 'RUNNING'),
+    }, {
+      userId: req.user.id,
+      containerId: targetContainer.id,
+    });
+  } catch (error) {
+    if (target === 'same') {
+      await prisma.container.update({
+        where: { id },
+        data: { status: container.status },
+      });
+    } else {
+      await prisma.container.delete({ where: { id: targetContainer.id } }).catch((cleanupError) => {
+        logger.error('Failed to cleanup container record:', cleanupError);
+      });
+    }
+    throw error;
+  }
+
+  if (target === 'new') {
+    scheduleContainerBackup(targetContainer.id).catch((error) => {
+      logger.error('Failed to schedule container backups:', error);
+    });
+  }
+
+  logger.audit('Snapshot restore queued', {
+    userId: req.user.id,
+    snapshotId,
+    sourceContainerId: id,
+    containerId: targetContainer.id,
+    target,
+  });
+
+  sendSuccessResponse(res, { container: targetContainer, snapshot, job }, 'Snapshot restore queued', 202);
+}));
+
+// @desc    Delete snapshot
+// @route   DELETE /api/containers/:id/snapshots/:snapshotId
+// @access  Private
+router.delete('/:id/snapshots/:snapshotId', verifyToken, requireContainerOwnership, auditLog('SNAPSHOT_DELETE', 'CONTAINER'), asyncHandler(async (req, res) => {
+  const snapshot = await findSnapshotOrFail(req.params.id, req.params.snapshotId);
+
+  if (snapshot.status === 'CREATING') {
+    throw new ConflictError('Snapshot is still being created');
+  }
+
+  await deleteSnapshot(snapshot);
+
+  sendSuccessResponse(res, null, 'Snapshot deleted successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { verifyToken } = require('../middleware/auth');
+const { asyncHandler, sendSuccessResponse, NotFoundError } = require('../middleware/errorHandler');
+const { listTemplates, getTemplate, summarizeTemplate } = require('../services/templates');
+const { listCatalogImages } = require('../services/imageCatalog');
+const { getUserPlan, isImageAllowedByPlan } = require('../services/plans');
+
+const router = express.Router();
+
+// All template routes require authentication
+router.use(verifyToken);
+
+// Members only see templates whose image is in the catalog and their plan
+const isTemplateAvailable = async (user) => {
+  if (user.role === 'ADMIN') return () => true;
+
+  const [images, plan] = await Promise.all([
+    listCatalogImages(),
+    getUserPlan(user.id),
+  ]);
+  const catalog = new Set(images.map(entry => entry.image));
+
+  return (template) => catalog.has(template.image) && isImageAllowedByPlan(plan, template.image);
+};
+
+// @desc    Get available application templates
+// @route   GET /api/templates
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const isAvailable = await isTemplateAvailable(req.user);
+  const templates = (await listTemplates()).filter(isAvailable);
+
+  sendSuccessResponse(res, { templates }, 'Templates retrieved successfully');
+}));
+
+// @desc    Get template details
+// @route   GET /api/templates/:slug
+// @access  Private
+router.get('/:slug', asyncHandler(async (req, res) => {
+  const template = await getTemplate(req.params.slug);
+  const isAvailable = await isTemplateAvailable(req.user);
+
+  if (!template || !template.enabled || !isAvailable(template)) {
+    throw new NotFoundError('Template not found');
+  }
+
+  sendSuccessResponse(res, {
+    template: {
+      ...summarizeTemplate(template),
+      files: template.files,
+    },
+  }, 'Template retrieved successfully');
+}));
+
+module.exports = router;
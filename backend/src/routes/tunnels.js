@@ -1,29 +1,54 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { getPrismaClient } = require('../utils/database');
-const { getDockerClient, ContainerManager } = require('../utils/docker');
 const { verifyToken, requireContainerOwnership, auditLog } = require('../middleware/auth');
 const { containerLimiter } = require('../middleware/rateLimiter');
 const { asyncHandler, sendSuccessResponse, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { isQuickTunnel, toStoredIngressRules } = require('../services/cloudflared');
+const { addJob, getJob, registerJobProcessor } = require('../services/jobQueue');
+const {
+  readTunnelLog,
+  stopTunnel,
+  removeSidecar,
+  getTunnelStatus,
+  startTunnelRecord,
+} = require('../services/tunnelSidecar');
+const { assertTunnelAllowed } = require('../services/plans');
+const { setTunnelToken, deleteTunnelToken } = require('../services/secrets');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Initialize container manager
-let containerManager;
-try {
-  const docker = getDockerClient();
-  containerManager = new ContainerManager(docker);
-} catch (error) {
-  logger.error('Failed to initialize container manager:', error);
-}
-
 // Validation rules
+const ingressValidation = [
+  body('port')
+    .optional()
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Port must be between 1 and 65535'),
+  body('ingress')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Ingress must be an array of 1 to 10 rules'),
+  body('ingress.*.hostname')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^[a-zA-Z0-9.-]+$/)
+    .withMessage('Invalid ingress hostname format'),
+  body('ingress.*.port')
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Ingress port must be between 1 and 65535'),
+  body('ingress.*.path')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Ingress path must be a string'),
+];
+
 const createTunnelValidation = [
   body('token')
+    .optional({ checkFalsy: true })
     .trim()
     .isLength({ min: 10 })
-    .withMessage('Cloudflare tunnel token is required and must be at least 10 characters'),
+    .withMessage('Cloudflare tunnel token must be at least 10 characters (omit it for a quick tunnel)'),
   body('domain')
     .optional()
     .trim()
@@ -31,6 +56,7 @@ const createTunnelValidation = [
     .withMessage('Domain must be at least 3 characters')
     .matches(/^[a-zA-Z0-9.-]+$/)
     .withMessage('Invalid domain format'),
+  ...ingressValidation,
 ];
 
 const updateTunnelValidation = [
@@ -46,187 +72,86 @@ const updateTunnelValidation = [
     .withMessage('Domain must be at least 3 characters')
     .matches(/^[a-zA-Z0-9.-]+$/)
     .withMessage('Invalid domain format'),
+  ...ingressValidation,
 ];
 
 // Helper functions
-const executeInContainer = async (containerId, command) => {
-  try {
-    const { exec, stream } = await containerManager.execCommand(containerId, command, {
-      AttachStdout: true,
-      AttachStderr: true,
-    });
 
-    return new Promise((resolve, reject) => {
-      let output = '';
-      let error = '';
-
-      stream.on('data', (chunk) => {
-        const data = chunk.toString();
-        if (data.includes('stderr')) {
-          error += data;
-        } else {
-          output += data;
-        }
-      });
-
-      stream.on('end', async () => {
-        try {
-          const inspectResult = await exec.inspect();
-          resolve({
-            output: output.trim(),
-            error: error.trim(),
-            exitCode: inspectResult.ExitCode,
-          });
-        } catch (err) {
-          reject(err);
-        }
-      });
-
-      stream.on('error', reject);
-    });
-  } catch (error) {
-    throw new Error('Failed to execute command in container');
+// Quick tunnels can only forward to a single origin
+const validateIngressForTunnel = (token, ingress) => {
+  if (!token && Array.isArray(ingress) && ingress.length > 1) {
+    throw new ValidationError('Quick tunnels (without token) support a single ingress rule only');
   }
 };
 
-const installCloudflared = async (containerId) => {
-  logger.info('Installing cloudflared in container', { containerId });
+// Pulling the cloudflared image and waiting for a connection can take a while
+registerJobProcessor('tunnel.start', {
+  process: async (job, { report }) => {
+    const { tunnelId, userId } = job.data;
+    const prisma = getPrismaClient();
 
-  // Check if cloudflared is already installed
-  const checkCommand = 'which cloudflared';
-  const checkResult = await executeInContainer(containerId, checkCommand);
-
-  if (checkResult.exitCode === 0) {
-    logger.info('Cloudflared already installed', { containerId });
-    return true;
-  }
-
-  // Install cloudflared (for Alpine Linux)
-  const installCommands = [
-    'apk update',
-    'apk add --no-cache curl',
-    'curl -L --output cloudflared.tgz https://github.com/cloudflare/cloudflared/releases/latest/download/cloudflared-linux-amd64.tgz',
-    'tar -xzf cloudflared.tgz',
-    'mv cloudflared /usr/local/bin/',
-    'chmod +x /usr/local/bin/cloudflared',
-    'rm cloudflared.tgz',
-  ];
-
-  for (const command of installCommands) {
-    const result = await executeInContainer(containerId, command);
-    if (result.exitCode !== 0) {
-      logger.error('Failed to install cloudflared', { 
-        containerId, 
-        command, 
-        error: result.error 
-      });
-      throw new Error(`Failed to install cloudflared: ${result.error}`);
-    }
-  }
-
-  logger.info('Cloudflared installed successfully', { containerId });
-  return true;
-};
-
-const startTunnel = async (containerId, token, config = {}) => {
-  logger.info('Starting Cloudflare tunnel', { containerId });
-
-  // Create tunnel configuration
-  const tunnelConfig = {
-    'tunnel': token,
-    'credentials-file': '/tmp/tunnel.json',
-    'ingress': [
-      {
-        'hostname': config.domain || '*',
-        'service': `http://localhost:${config.port || 3000}`,
-      },
-      {
-        'service': 'http_status:404',
+    const tunnel = await prisma.cloudflareTunnel.findUnique({
+      where: { id: tunnelId },
+      include: {
+        container: {
+          select: {
+            id: true,
+            ownerId: true,
+            dockerId: true,
+            status: true,
+          },
+        },
       },
-    ],
-  };
-
-  // Write config file
-  const configContent = JSON.stringify(tunnelConfig, null, 2);
-  const writeConfigCommand = `echo '${configContent}' > /tmp/tunnel-config.yml`;
-  await executeInContainer(containerId, writeConfigCommand);
-
-  // Create credentials file (mock for PoC)
-  const credentialsContent = JSON.stringify({
-    AccountTag: 'mock-account',
-    TunnelSecret: token,
-    TunnelID: 'mock-tunnel-id',
-  });
-  const writeCredentialsCommand = `echo '${credentialsContent}' > /tmp/tunnel.json`;
-  await executeInContainer(containerId, writeCredentialsCommand);
-
-  // Start tunnel in background (mock implementation)
-  const startCommand = 'nohup cloudflared tunnel --config /tmp/tunnel-config.yml run > /tmp/tunnel.log 2>&1 &';
-  const startResult = await executeInContainer(containerId, startCommand);
-
-  if (startResult.exitCode !== 0) {
-    throw new Error(`Failed to start tunnel: ${startResult.error}`);
-  }
-
-  // For PoC, we'll simulate a successful tunnel with a mock domain
-  const mockDomain = config.domain || `${containerId.substring(0, 8)}.trycloudflare.com`;
-  
-  logger.info('Cloudflare tunnel started (mock)', { 
-    containerId, 
-    domain: mockDomain 
-  });
+    });
 
-  return {
-    domain: mockDomain,
-    status: 'ACTIVE',
-    ports: [config.port || 3000],
-  };
-};
+    // Deleted while the job was waiting
+    if (!tunnel) {
+      return { skipped: true, reason: 'Tunnel no longer exists' };
+    }
 
-const stopTunnel = async (containerId) => {
-  logger.info('Stopping Cloudflare tunnel', { containerId });
+    if (!tunnel.container.dockerId || tunnel.container.status !== 'RUNNING') {
+      throw new Error('Container must be running to start tunnel');
+    }
 
-  // Kill cloudflared processes
-  const killCommand = 'pkill -f cloudflared || true';
-  await executeInContainer(containerId, killCommand);
+    await report(10, 'Starting cloudflared sidecar', 'start');
 
-  // Clean up config files
-  const cleanupCommand = 'rm -f /tmp/tunnel-config.yml /tmp/tunnel.json /tmp/tunnel.log';
-  await executeInContainer(containerId, cleanupCommand);
+    // Start the cloudflared sidecar and wait for it to register a connection
+    const { tunnelInfo } = await startTunnelRecord(tunnel.container, tunnel);
 
-  logger.info('Cloudflare tunnel stopped', { containerId });
-};
+    await report(100, `Tunnel connected${tunnelInfo.domain ? ` at ${tunnelInfo.domain}` : ''}`, 'done');
 
-const getTunnelStatus = async (containerId) => {
-  try {
-    // Check if cloudflared process is running
-    const checkCommand = 'pgrep -f cloudflared';
-    const checkResult = await executeInContainer(containerId, checkCommand);
-
-    if (checkResult.exitCode === 0) {
-      // Get tunnel logs for status
-      const logCommand = 'tail -n 10 /tmp/tunnel.log 2>/dev/null || echo "No logs"';
-      const logResult = await executeInContainer(containerId, logCommand);
+    logger.audit('Tunnel started', {
+      userId,
+      containerId: tunnel.containerId,
+      tunnelId,
+      domain: tunnelInfo.domain,
+      sidecarId: tunnelInfo.sidecarId,
+      jobId: job.id,
+    });
 
-      return {
-        status: 'ACTIVE',
-        logs: logResult.output,
-        pid: checkResult.output.trim(),
-      };
-    } else {
-      return {
-        status: 'INACTIVE',
-        logs: 'Tunnel not running',
-        pid: null,
-      };
-    }
-  } catch (error) {
     return {
-      status: 'ERROR',
-      logs: error.message,
-      pid: null,
+      tunnelId,
+      domain: tunnelInfo.domain,
+      ports: tunnelInfo.ports,
     };
+  },
+});
+
+// Persist what cloudflared reports when it differs from the stored record
+const syncTunnelRecord = async (tunnel, statusInfo) => {
+  const data = {};
+  if (statusInfo.status !== tunnel.status) data.status = statusInfo.status;
+  if (isQuickTunnel(tunnel) && statusInfo.hostname && statusInfo.hostname !== tunnel.domain) {
+    data.domain = statusInfo.hostname;
   }
+
+  if (Object.keys(data).length === 0) return tunnel;
+
+  const prisma = getPrismaClient();
+  return prisma.cloudflareTunnel.update({
+    where: { id: tunnel.id },
+    data,
+  });
 };
 
 // Routes
@@ -243,29 +168,28 @@ router.get('/:containerId', verifyToken, requireContainerOwnership, asyncHandler
     orderBy: { createdAt: 'desc' },
   });
 
+  const container = await prisma.container.findUnique({
+    where: { id: containerId },
+    select: { dockerId: true, status: true },
+  });
+
   // Get real-time status for each tunnel
   const tunnelsWithStatus = await Promise.all(
     tunnels.map(async (tunnel) => {
-      const container = await prisma.container.findUnique({
-        where: { id: containerId },
-        select: { dockerId: true, status: true },
-      });
-
-      let realTimeStatus = tunnel.status;
+      let currentTunnel = tunnel;
       let statusInfo = null;
 
       if (container?.dockerId && container.status === 'RUNNING') {
         try {
-          statusInfo = await getTunnelStatus(container.dockerId);
-          realTimeStatus = statusInfo.status;
+          statusInfo = await getTunnelStatus(tunnel.id, container.dockerId);
+          currentTunnel = await syncTunnelRecord(tunnel, statusInfo);
         } catch (error) {
           logger.debug('Failed to get tunnel status:', error.message);
         }
       }
 
       return {
-        ...tunnel,
-        status: realTimeStatus,
+        ...currentTunnel,
         statusInfo,
       };
     })
@@ -306,10 +230,12 @@ router.get('/:containerId/:tunnelId', verifyToken, requireContainerOwnership, as
   }
 
   // Get real-time status
+  let currentTunnel = tunnel;
   let statusInfo = null;
   if (tunnel.container.dockerId && tunnel.container.status === 'RUNNING') {
     try {
-      statusInfo = await getTunnelStatus(tunnel.container.dockerId);
+      statusInfo = await getTunnelStatus(tunnel.id, tunnel.container.dockerId);
+      currentTunnel = { ...tunnel, ...(await syncTunnelRecord(tunnel, statusInfo)) };
     } catch (error) {
       logger.debug('Failed to get tunnel status:', error.message);
     }
@@ -317,7 +243,7 @@ router.get('/:containerId/:tunnelId', verifyToken, requireContainerOwnership, as
 
   sendSuccessResponse(res, {
     tunnel: {
-      ...tunnel,
+      ...currentTunnel,
       statusInfo,
     },
   }, 'Tunnel retrieved successfully');
@@ -333,9 +259,12 @@ router.post('/:containerId', verifyToken, requireContainerOwnership, containerLi
   }
 
   const { containerId } = req.params;
-  const { token, domain, port = 3000 } = req.body;
+  const { token, domain, ingress } = req.body;
+  const port = parseInt(req.body.port) || 3000;
   const prisma = getPrismaClient();
 
+  validateIngressForTunnel(token, ingress);
+
   // Get container info
   const container = await prisma.container.findUnique({
     where: { id: containerId },
@@ -344,6 +273,7 @@ router.post('/:containerId', verifyToken, requireContainerOwnership, containerLi
       name: true,
       dockerId: true,
       status: true,
+      ownerId: true,
       tunnels: true,
     },
   });
@@ -352,6 +282,11 @@ router.post('/:containerId', verifyToken, requireContainerOwnership, containerLi
     throw new NotFoundError('Container not found');
   }
 
+  // Tunnels count against the container owner's plan
+  if (req.user.role !== 'ADMIN') {
+    await assertTunnelAllowed(container.ownerId);
+  }
+
   // Check if tunnel already exists for this container
   const existingTunnel = await prisma.cloudflareTunnel.findFirst({
     where: { containerId },
@@ -361,20 +296,29 @@ router.post('/:containerId', verifyToken, requireContainerOwnership, containerLi
     throw new ConflictError('Tunnel already exists for this container');
   }
 
-  // Create tunnel record
-  const tunnel = await prisma.cloudflareTunnel.create({
+  // Create tunnel record; the token goes into the secrets store
+  let tunnel = await prisma.cloudflareTunnel.create({
     data: {
       containerId,
-      token,
       domain,
       status: 'INACTIVE',
       config: {
         port,
+        ingress: ingress ? toStoredIngressRules(ingress) : [{ hostname: domain || null, port }],
         autoStart: true,
       },
     },
   });
 
+  if (token) {
+    try {
+      tunnel = await setTunnelToken(tunnel, token);
+    } catch (error) {
+      await prisma.cloudflareTunnel.delete({ where: { id: tunnel.id } });
+      throw error;
+    }
+  }
+
   logger.audit('Tunnel created', {
     userId: req.user.id,
     containerId,
@@ -396,7 +340,7 @@ router.put('/:containerId/:tunnelId', verifyToken, requireContainerOwnership, up
   }
 
   const { containerId, tunnelId } = req.params;
-  const { token, domain, port } = req.body;
+  const { token, domain, port, ingress } = req.body;
   const prisma = getPrismaClient();
 
   const tunnel = await prisma.cloudflareTunnel.findFirst({
@@ -410,14 +354,20 @@ router.put('/:containerId/:tunnelId', verifyToken, requireContainerOwnership, up
     throw new NotFoundError('Tunnel not found');
   }
 
+  validateIngressForTunnel(token || tunnel.tokenSecretId, ingress);
+
+  if (token) {
+    await setTunnelToken(tunnel, token);
+  }
+
   // Update tunnel
   const updateData = {};
-  if (token) updateData.token = token;
   if (domain) updateData.domain = domain;
-  if (port) {
+  if (port || ingress) {
     updateData.config = {
       ...tunnel.config,
-      port,
+      ...(port && { port: parseInt(port) }),
+      ...(ingress && { ingress: toStoredIngressRules(ingress) }),
     };
   }
 
@@ -430,7 +380,7 @@ router.put('/:containerId/:tunnelId', verifyToken, requireContainerOwnership, up
     userId: req.user.id,
     containerId,
     tunnelId,
-    changes: updateData,
+    changes: { ...updateData, ...(token && { token: '[REDACTED]' }) },
     ip: req.ip,
   });
 
@@ -452,6 +402,8 @@ router.post('/:containerId/:tunnelId/start', verifyToken, requireContainerOwners
     include: {
       container: {
         select: {
+          id: true,
+          ownerId: true,
           dockerId: true,
           status: true,
         },
@@ -471,61 +423,37 @@ router.post('/:containerId/:tunnelId/start', verifyToken, requireContainerOwners
     throw new ValidationError('Container must be running to start tunnel');
   }
 
-  try {
-    // Install cloudflared if not already installed
-    await installCloudflared(tunnel.container.dockerId);
-
-    // Start tunnel
-    const tunnelInfo = await startTunnel(tunnel.container.dockerId, tunnel.token, {
-      domain: tunnel.domain,
-      port: tunnel.config?.port || 3000,
-    });
+  // Only one start at a time per tunnel
+  if (tunnel.status === 'CONNECTING' && tunnel.config?.startJobId) {
+    const runningJob = await getJob(tunnel.config.startJobId);
+    if (runningJob && ['active', 'waiting', 'delayed'].includes(runningJob.state)) {
+      throw new ConflictError('Tunnel is already starting');
+    }
+  }
 
-    // Update tunnel status
-    const updatedTunnel = await prisma.cloudflareTunnel.update({
-      where: { id: tunnelId },
-      data: {
-        status: 'ACTIVE',
-        domain: tunnelInfo.domain,
-        config: {
-          ...tunnel.config,
-          ports: tunnelInfo.ports,
-          startedAt: new Date().toISOString(),
-        },
+  // Record the job before queueing it so the worker never sees a stale record
+  const startJobId = `tunnel-start-${tunnelId}-${Date.now()}`;
+  const updatedTunnel = await prisma.cloudflareTunnel.update({
+    where: { id: tunnelId },
+    data: {
+      status: 'CONNECTING',
+      config: {
+        ...tunnel.config,
+        startJobId,
       },
-    });
-
-    logger.audit('Tunnel started', {
-      userId: req.user.id,
-      containerId,
-      tunnelId,
-      domain: tunnelInfo.domain,
-      ip: req.ip,
-    });
-
-    sendSuccessResponse(res, {
-      tunnel: updatedTunnel,
-      domain: tunnelInfo.domain,
-      ports: tunnelInfo.ports,
-    }, 'Tunnel started successfully');
+    },
+  });
 
-  } catch (error) {
-    // Update tunnel status to error
-    await prisma.cloudflareTunnel.update({
-      where: { id: tunnelId },
-      data: {
-        status: 'ERROR',
-        config: {
-          ...tunnel.config,
-          lastError: error.message,
-          errorAt: new Date().toISOString(),
-        },
-      },
-    });
+  const job = await addJob('tunnel.start', { tunnelId }, {
+    userId: req.user.id,
+    containerId,
+    jobId: startJobId,
+  });
 
-    logger.error('Failed to start tunnel:', error);
-    throw new Error(`Failed to start tunnel: ${error.message}`);
-  }
+  sendSuccessResponse(res, {
+    tunnel: updatedTunnel,
+    job,
+  }, 'Tunnel start queued', 202);
 }));
 
 // @desc    Stop tunnel
@@ -560,7 +488,7 @@ router.post('/:containerId/:tunnelId/stop', verifyToken, requireContainerOwnersh
 
   try {
     // Stop tunnel
-    await stopTunnel(tunnel.container.dockerId);
+    await stopTunnel(tunnelId);
 
     // Update tunnel status
     const updatedTunnel = await prisma.cloudflareTunnel.update({
@@ -615,19 +543,18 @@ router.delete('/:containerId/:tunnelId', verifyToken, requireContainerOwnership,
     throw new NotFoundError('Tunnel not found');
   }
 
-  // Stop tunnel if it's running
-  if (tunnel.status === 'ACTIVE' && tunnel.container.dockerId) {
-    try {
-      await stopTunnel(tunnel.container.dockerId);
-    } catch (error) {
-      logger.warn('Failed to stop tunnel during deletion:', error.message);
-    }
+  // Remove the cloudflared sidecar
+  try {
+    await removeSidecar(tunnelId);
+  } catch (error) {
+    logger.warn('Failed to remove tunnel sidecar during deletion:', error.message);
   }
 
   // Delete tunnel from database
   await prisma.cloudflareTunnel.delete({
     where: { id: tunnelId },
   });
+  await deleteTunnelToken(tunnel);
 
   logger.audit('Tunnel deleted', {
     userId: req.user.id,
@@ -669,15 +596,11 @@ router.get('/:containerId/:tunnelId/logs', verifyToken, requireContainerOwnershi
 
   let logs = 'No logs available';
 
-  if (tunnel.container.dockerId) {
-    try {
-      const logCommand = `tail -n ${lines} /tmp/tunnel.log 2>/dev/null || echo "No logs available"`;
-      const logResult = await executeInContainer(tunnel.container.dockerId, logCommand);
-      logs = logResult.output || 'No logs available';
-    } catch (error) {
-      logger.debug('Failed to get tunnel logs:', error.message);
-      logs = `Error retrieving logs: ${error.message}`;
-    }
+  try {
+    logs = await readTunnelLog(tunnelId, lines) || 'No logs available';
+  } catch (error) {
+    logger.debug('Failed to get tunnel logs:', error.message);
+    logs = `Error retrieving logs: ${error.message}`;
   }
 
   sendSuccessResponse(res, {
@@ -718,20 +641,28 @@ router.post('/:containerId/:tunnelId/test', verifyToken, requireContainerOwnersh
     throw new ValidationError('Container has no Docker ID');
   }
 
-  // Test tunnel connectivity (mock implementation for PoC)
+  // Test tunnel connectivity based on what cloudflared reports
   const testResults = {
     tunnelStatus: tunnel.status,
     containerStatus: tunnel.container.status,
     domain: tunnel.domain,
-    accessible: tunnel.status === 'ACTIVE' && tunnel.container.status === 'RUNNING',
+    accessible: false,
     lastChecked: new Date().toISOString(),
   };
 
   if (tunnel.container.status === 'RUNNING') {
     try {
-      const statusInfo = await getTunnelStatus(tunnel.container.dockerId);
+      const statusInfo = await getTunnelStatus(tunnelId, tunnel.container.dockerId);
+      const syncedTunnel = await syncTunnelRecord(tunnel, statusInfo);
+      testResults.tunnelStatus = syncedTunnel.status;
+      testResults.domain = syncedTunnel.domain;
       testResults.processStatus = statusInfo.status;
-      testResults.processId = statusInfo.pid;
+      testResults.connections = statusInfo.connections;
+      testResults.locations = statusInfo.locations;
+      testResults.accessible = statusInfo.status === 'ACTIVE' && statusInfo.connections > 0;
+      if (statusInfo.lastError) {
+        testResults.error = statusInfo.lastError;
+      }
     } catch (error) {
       testResults.error = error.message;
     }
@@ -13,6 +13,18 @@ const logger = require('./utils/logger');
 const { connectDatabase } = require('./utils/database');
 const { connectRedis } = require('./utils/redis');
 const { initializeDocker } = require('./utils/docker');
+const { initializeJobQueue, closeJobQueue } = require('./services/jobQueue');
+const { startDiskUsageMonitor, stopDiskUsageMonitor } = require('./services/diskQuota');
+const { recoverScriptRuns } = require('./services/scriptRuns');
+const { startCronScheduler, stopCronScheduler } = require('./services/cronJobs');
+const { startBackupScheduler, stopBackupScheduler } = require('./services/backups');
+const { startDockerEventSubscriber, stopDockerEventSubscriber } = require('./services/dockerEvents');
+const { startReconciler, stopReconciler } = require('./services/reconciler');
+const { migrateTunnelTokens } = require('./services/secrets');
+const { startHttpProxy, stopHttpProxy } = require('./services/httpProxy');
+const { startCertificateRenewal, stopCertificateRenewal } = require('./services/domains');
+const { startHealthMonitor, stopHealthMonitor } = require('./services/healthChecks');
+const { startLogArchive, stopLogArchive } = require('./services/logArchive');
 
 // Import middleware
 const rateLimiter = require('./middleware/rateLimiter');
@@ -24,12 +36,27 @@ const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
 const memberRoutes = require('./routes/member');
 const containerRoutes = require('./routes/containers');
+const snapshotRoutes = require('./routes/snapshots');
+const bundleRoutes = require('./routes/bundles');
 const fileRoutes = require('./routes/files');
 const tunnelRoutes = require('./routes/tunnels');
+const jobRoutes = require('./routes/jobs');
+const imageRoutes = require('./routes/images');
+const templateRoutes = require('./routes/templates');
+const scriptRoutes = require('./routes/scripts');
+const cronRoutes = require('./routes/cron');
+const backupRoutes = require('./routes/backups');
+const secretRoutes = require('./routes/secrets');
+const domainRoutes = require('./routes/domains');
 const healthRoutes = require('./routes/health');
 
 // Import WebSocket handlers
 const consoleHandler = require('./websocket/console');
+const { containerEventsHandler } = require('./websocket/containers');
+const { jobEventsHandler } = require('./websocket/jobs');
+const { imagePullHandler } = require('./websocket/images');
+const { scriptRunHandler } = require('./websocket/scripts');
+const { containerLogsHandler } = require('./websocket/logs');
 
 const app = express();
 const server = createServer(app);
@@ -76,11 +103,26 @@ app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/member', memberRoutes);
 app.use('/api/containers', containerRoutes);
+app.use('/api/containers', snapshotRoutes);
+app.use('/api/containers', bundleRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/tunnels', tunnelRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/images', imageRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/scripts', scriptRoutes);
+app.use('/api/cron', cronRoutes);
+app.use('/api/backups', backupRoutes);
+app.use('/api/secrets', secretRoutes);
+app.use('/api/domains', domainRoutes);
 
 // WebSocket handlers
 consoleHandler(io);
+containerEventsHandler(io);
+jobEventsHandler(io);
+imagePullHandler(io);
+scriptRunHandler(io);
+containerLogsHandler(io);
 
 // Error handling middleware
 app.use(notFound);
@@ -93,8 +135,18 @@ process.on('SIGINT', gracefulShutdown);
 async function gracefulShutdown(signal) {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
-  server.close(() => {
+  server.close(async () => {
     logger.info('HTTP server closed');
+    stopDiskUsageMonitor();
+    stopCronScheduler();
+    stopBackupScheduler();
+    stopDockerEventSubscriber();
+    stopReconciler();
+    stopHealthMonitor();
+    await stopLogArchive();
+    stopHttpProxy();
+    stopCertificateRenewal();
+    await closeJobQueue();
     process.exit(0);
   });
 
@@ -112,6 +164,21 @@ async function startServer() {
     await connectDatabase();
     await connectRedis();
     await initializeDocker();
+    await initializeJobQueue();
+    await migrateTunnelTokens();
+    await recoverScriptRuns();
+    await startCronScheduler();
+    await startBackupScheduler();
+    startDockerEventSubscriber();
+    startReconciler();
+    startHealthMonitor();
+    startLogArchive();
+    startDiskUsageMonitor();
+    // The API keeps running when the proxy port cannot be bound
+    startHttpProxy().catch((error) => {
+      logger.error('Failed to start HTTP proxy:', error);
+    });
+    startCertificateRenewal();
 
     const PORT = process.env.PORT || 5000;
     
@@ -0,0 +1,502 @@
+// Scheduled backups: each run writes a gzipped tarball holding container.json (the
+// Container record with config, env, ports, resources and tunnels) and app.tar (/app
+// via getArchive). The schedule and retention come from the owner's plan and can be
+// overridden per container in Container.backupPolicy. Retention keeps the newest
+// backup of each of the last `keepDaily` days and `keepWeekly` weeks. Files are stored
+// in the BACKUP_DIR system setting, falling back to the BACKUP_DIR env variable.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const tar = require('tar');
+const cron = require('node-cron');
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { ConflictError } = require('../middleware/errorHandler');
+const { APP_MOUNT_PATH } = require('./volumes');
+const { getUserPlan } = require('./plans');
+const { addJob } = require('./jobQueue');
+const logger = require('../utils/logger');
+
+const DEFAULT_BACKUP_DIR = process.env.BACKUP_DIR || '/var/lib/panel/backups';
+const BACKUP_DIR_SETTING = 'BACKUP_DIR';
+// Failed runs kept per container for the overview
+const FAILED_HISTORY_LIMIT = 10;
+
+const containerManager = new ContainerManager(getDockerClient());
+
+// Scheduled node-cron tasks by container ID
+const tasks = new Map();
+
+const getBackupDir = async () => {
+  const setting = await getPrismaClient().systemSetting.findUnique({
+    where: { key: BACKUP_DIR_SETTING },
+  });
+
+  return setting?.value || DEFAULT_BACKUP_DIR;
+};
+
+// Plan defaults with the container overrides applied
+const resolveBackupPolicy = (plan, overrides = {}) => ({
+  enabled: overrides.enabled ?? Boolean(plan.backupSchedule),
+  schedule: overrides.schedule || plan.backupSchedule || null,
+  timezone: overrides.timezone || null,
+  keepDaily: overrides.keepDaily ?? plan.backupKeepDaily,
+  keepWeekly: overrides.keepWeekly ?? plan.backupKeepWeekly,
+});
+
+const getContainerBackupPolicy = async (container) => {
+  const plan = await getUserPlan(container.ownerId);
+  return resolveBackupPolicy(plan, container.backupPolicy || {});
+};
+
+// Monday of the UTC week a date falls in, e.g. 2024-05-13
+const getWeekKey = (date) => {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+};
+
+// Successful backups (newest first) that fall outside the retention policy.
+// The newest backup is always kept.
+const selectExpiredBackups = (backups, { keepDaily, keepWeekly }) => {
+  const days = new Set();
+  const weeks = new Set();
+
+  return backups.filter((backup, index) => {
+    const startedAt = new Date(backup.startedAt);
+    const day = startedAt.toISOString().slice(0, 10);
+    const week = getWeekKey(startedAt);
+    let keep = index === 0;
+
+    if (!days.has(day) && days.size < keepDaily) {
+      days.add(day);
+      keep = true;
+    }
+    if (!weeks.has(week) && weeks.size < keepWeekly) {
+      weeks.add(week);
+      keep = true;
+    }
+
+    return !keep;
+  });
+};
+
+const removeBackupFile = async (backup) => {
+  if (!backup.path) return;
+
+  await fs.promises.rm(backup.path, { force: true }).catch((error) => {
+    logger.warn('Failed to remove backup file:', { path: backup.path, error: error.message });
+  });
+};
+
+const deleteBackup = async (backup) => {
+  await removeBackupFile(backup);
+  await getPrismaClient().backup.delete({
+    where: { id: backup.id },
+  });
+};
+
+// Delete backups outside the retention policy and old failed runs
+const applyRetention = async (container) => {
+  const prisma = getPrismaClient();
+  const policy = await getContainerBackupPolicy(container);
+
+  const succeeded = await prisma.backup.findMany({
+    where: { containerId: container.id, status: 'SUCCEEDED' },
+    orderBy: { startedAt: 'desc' },
+  });
+  const failed = await prisma.backup.findMany({
+    where: { containerId: container.id, status: 'FAILED' },
+    orderBy: { startedAt: 'desc' },
+    skip: FAILED_HISTORY_LIMIT,
+  });
+
+  const expired = [...selectExpiredBackups(succeeded, policy), ...failed];
+  for (const backup of expired) {
+    await deleteBackup(backup);
+  }
+
+  return expired.length;
+};
+
+// Container record stored next to /app. Secrets and tunnel tokens are included still
+// encrypted, so reading them back needs the master key they were encrypted with.
+const buildContainerRecord = (container) => ({
+  version: 1,
+  createdAt: new Date().toISOString(),
+  container: {
+    id: container.id,
+    name: container.name,
+    image: container.image,
+    ownerId: container.ownerId,
+    config: container.config,
+    resources: container.resources,
+    ports: container.ports,
+    environment: container.environment,
+    volumes: container.volumes,
+    backupPolicy: container.backupPolicy,
+  },
+  tunnels: container.tunnels.map(tunnel => ({
+    id: tunnel.id,
+    tokenSecretId: tunnel.tokenSecretId,
+    domain: tunnel.domain,
+    status: tunnel.status,
+    config: tunnel.config,
+  })),
+  secrets: container.secrets.map(secret => ({
+    id: secret.id,
+    kind: secret.kind,
+    name: secret.name,
+    value: secret.value,
+    keyId: secret.keyId,
+    exposeAsEnv: secret.exposeAsEnv,
+    mountAsFile: secret.mountAsFile,
+  })),
+});
+
+// Write the backup tarball of a queued Backup record (runs as a background job)
+const runBackup = async (backupId, { report = async () => {} } = {}) => {
+  const prisma = getPrismaClient();
+
+  const pending = await prisma.backup.findUnique({
+    where: { id: backupId },
+    include: {
+      container: {
+        include: { tunnels: true, secrets: true },
+      },
+    },
+  });
+
+  // Deleted while the job was waiting
+  if (!pending) return null;
+
+  const { container } = pending;
+  if (!container.dockerId) {
+    throw new Error('Container has no Docker container to back up');
+  }
+
+  const startedAt = new Date();
+  const backupDir = await getBackupDir();
+  const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(backupDir, container.id, `${stamp}-${pending.id}.tar.gz`);
+
+  // A retried run starts over with a new file
+  await removeBackupFile(pending);
+  await prisma.backup.update({
+    where: { id: pending.id },
+    data: { status: 'RUNNING', startedAt, path: backupPath },
+  });
+
+  const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'panel-backup-'));
+  try {
+    await report(10, 'Saving container record', 'record');
+    await fs.promises.writeFile(
+      path.join(tmpDir, 'container.json'),
+      JSON.stringify(buildContainerRecord(container), null, 2)
+    );
+
+    await report(20, `Archiving ${APP_MOUNT_PATH}`, 'archive');
+    const archive = await containerManager.getArchive(container.dockerId, APP_MOUNT_PATH);
+    await pipeline(archive, fs.createWriteStream(path.join(tmpDir, 'app.tar')));
+
+    await report(70, 'Compressing backup', 'compress');
+    await fs.promises.mkdir(path.dirname(backupPath), { recursive: true });
+    await tar.create({ gzip: true, cwd: tmpDir, file: backupPath, portable: true }, ['container.json', 'app.tar']);
+  } finally {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  }
+
+  const { size } = await fs.promises.stat(backupPath);
+  const finishedAt = new Date();
+  const backup = await prisma.backup.update({
+    where: { id: pending.id },
+    data: {
+      status: 'SUCCEEDED',
+      size,
+      error: null,
+      finishedAt,
+      duration: finishedAt - startedAt,
+    },
+  });
+
+  await report(90, 'Applying retention policy', 'retention');
+  const removed = await applyRetention(container);
+
+  logger.info('Container backup finished', {
+    containerId: container.id,
+    backupId: backup.id,
+    size,
+    removed,
+  });
+
+  return backup;
+};
+
+const markBackupFailed = async (backupId, error) => {
+  const prisma = getPrismaClient();
+
+  const backup = await prisma.backup.findUnique({
+    where: { id: backupId },
+    include: { container: true },
+  });
+
+  if (!backup) return;
+
+  await removeBackupFile(backup);
+
+  const finishedAt = new Date();
+  await prisma.backup.update({
+    where: { id: backup.id },
+    data: {
+      status: 'FAILED',
+      error: error.message,
+      finishedAt,
+      duration: finishedAt - backup.startedAt,
+    },
+  });
+
+  await applyRetention(backup.container);
+
+  logger.error('Container backup failed', {
+    containerId: backup.containerId,
+    backupId: backup.id,
+    error: error.message,
+  });
+};
+
+// Queue a backup run. Only one backup per container is pending or running at a time.
+const queueBackup = async (container, { trigger = 'schedule', userId = null } = {}) => {
+  const prisma = getPrismaClient();
+
+  const inProgress = await prisma.backup.count({
+    where: {
+      containerId: container.id,
+      status: { in: ['PENDING', 'RUNNING'] },
+    },
+  });
+
+  if (inProgress > 0) {
+    throw new ConflictError('A backup of this container is already in progress');
+  }
+
+  const backup = await prisma.backup.create({
+    data: {
+      containerId: container.id,
+      trigger,
+    },
+  });
+
+  try {
+    const job = await addJob('backup.create', { backupId: backup.id }, {
+      userId,
+      containerId: container.id,
+      jobId: `backup-${backup.id}`,
+    });
+    return { backup, job };
+  } catch (error) {
+    await prisma.backup.delete({ where: { id: backup.id } }).catch((cleanupError) => {
+      logger.error('Failed to cleanup backup record:', cleanupError);
+    });
+    throw error;
+  }
+};
+
+const runScheduledBackup = async (containerId) => {
+  const container = await getPrismaClient().container.findUnique({
+    where: { id: containerId },
+  });
+
+  if (!container) {
+    unscheduleContainerBackup(containerId);
+    return;
+  }
+
+  // Containers still being created have nothing to back up yet
+  if (!container.dockerId) return;
+
+  try {
+    await queueBackup(container, { trigger: 'schedule' });
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      logger.warn('Skipping scheduled backup, previous backup still in progress', { containerId });
+      return;
+    }
+    throw error;
+  }
+};
+
+const unscheduleContainerBackup = (containerId) => {
+  const task = tasks.get(containerId);
+  if (task) {
+    task.stop();
+    tasks.delete(containerId);
+  }
+};
+
+// (Re)schedule the backups of a container after it, its policy or its plan changed
+const scheduleContainerBackup = async (containerId) => {
+  unscheduleContainerBackup(containerId);
+
+  const container = await getPrismaClient().container.findUnique({
+    where: { id: containerId },
+    select: { id: true, ownerId: true, backupPolicy: true },
+  });
+
+  if (!container) return null;
+
+  const policy = await getContainerBackupPolicy(container);
+  if (!policy.enabled || !policy.schedule || !cron.validate(policy.schedule)) {
+    return policy;
+  }
+
+  const task = cron.schedule(policy.schedule, () => {
+    runScheduledBackup(containerId).catch((error) => {
+      logger.error('Failed to queue scheduled backup:', error);
+    });
+  }, {
+    ...(policy.timezone && { timezone: policy.timezone }),
+  });
+
+  tasks.set(containerId, task);
+  return policy;
+};
+
+// Schedule every container; also used after plans change
+const syncBackupSchedules = async () => {
+  const containers = await getPrismaClient().container.findMany({
+    select: { id: true },
+  });
+
+  for (const container of containers) {
+    try {
+      await scheduleContainerBackup(container.id);
+    } catch (error) {
+      logger.error(`Failed to schedule backups of container ${container.id}:`, error);
+    }
+  }
+
+  return tasks.size;
+};
+
+const startBackupScheduler = async () => {
+  const scheduled = await syncBackupSchedules();
+  logger.info(`Backup scheduler started with ${scheduled} container(s)`);
+};
+
+const stopBackupScheduler = () => {
+  for (const task of tasks.values()) {
+    task.stop();
+  }
+  tasks.clear();
+};
+
+// Unschedule and remove the backup files of a container that is being deleted.
+// Never throws: the records go away with the container.
+const purgeContainerBackups = async (containerId) => {
+  unscheduleContainerBackup(containerId);
+
+  try {
+    const backups = await getPrismaClient().backup.findMany({
+      where: { containerId },
+      select: { path: true },
+    });
+
+    for (const backup of backups) {
+      await removeBackupFile(backup);
+    }
+
+    await fs.promises.rm(path.join(await getBackupDir(), containerId), { recursive: true, force: true });
+  } catch (error) {
+    logger.error('Failed to remove container backups:', error);
+  }
+};
+
+// Per-container status for the admin overview
+const getBackupOverview = async () => {
+  const prisma = getPrismaClient();
+
+  const [containers, groups, lastFailures, backupDir] = await Promise.all([
+    prisma.container.findMany({
+      select: {
+        id: true,
+        name: true,
+        ownerId: true,
+        backupPolicy: true,
+        owner: {
+          select: { username: true },
+        },
+      },
+      orderBy: { name: 'asc' },
+    }),
+    prisma.backup.groupBy({
+      by: ['containerId', 'status'],
+      _count: { _all: true },
+      _sum: { size: true },
+      _max: { startedAt: true },
+    }),
+    prisma.backup.findMany({
+      where: { status: 'FAILED' },
+      orderBy: { startedAt: 'desc' },
+      distinct: ['containerId'],
+      select: { containerId: true, error: true, startedAt: true },
+    }),
+    getBackupDir(),
+  ]);
+
+  const failureByContainer = new Map(lastFailures.map(failure => [failure.containerId, failure]));
+  const groupsByContainer = groups.reduce((acc, group) => {
+    acc[group.containerId] = { ...acc[group.containerId], [group.status]: group };
+    return acc;
+  }, {});
+
+  const rows = await Promise.all(containers.map(async (container) => {
+    const byStatus = groupsByContainer[container.id] || {};
+    const lastFailure = failureByContainer.get(container.id) || null;
+
+    return {
+      containerId: container.id,
+      name: container.name,
+      owner: container.owner.username,
+      policy: await getContainerBackupPolicy(container),
+      scheduled: tasks.has(container.id),
+      backups: byStatus.SUCCEEDED?._count._all || 0,
+      size: byStatus.SUCCEEDED?._sum.size || 0,
+      lastSuccessAt: byStatus.SUCCEEDED?._max.startedAt || null,
+      failures: byStatus.FAILED?._count._all || 0,
+      lastFailureAt: lastFailure?.startedAt || null,
+      lastError: lastFailure?.error || null,
+      inProgress: Boolean(byStatus.PENDING || byStatus.RUNNING),
+    };
+  }));
+
+  return {
+    backupDir,
+    totalSize: rows.reduce((sum, row) => sum + row.size, 0),
+    totalBackups: rows.reduce((sum, row) => sum + row.backups, 0),
+    // A failure is only outstanding while no newer backup succeeded
+    failingContainers: rows.filter(row => row.lastFailureAt && (!row.lastSuccessAt || row.lastFailureAt > row.lastSuccessAt)).length,
+    containers: rows,
+  };
+};
+
+module.exports = {
+  BACKUP_DIR_SETTING,
+  getBackupDir,
+  resolveBackupPolicy,
+  getContainerBackupPolicy,
+  selectExpiredBackups,
+  runBackup,
+  markBackupFailed,
+  queueBackup,
+  deleteBackup,
+  applyRetention,
+  scheduleContainerBackup,
+  unscheduleContainerBackup,
+  syncBackupSchedules,
+  startBackupScheduler,
+  stopBackupScheduler,
+  purgeContainerBackups,
+  getBackupOverview,
+};
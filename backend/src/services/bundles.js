@@ -0,0 +1,343 @@
+// Portable container bundles: a gzipped tarball holding bundle.json (image, config,
+// resources, ports, environment and tunnels of a container, without IDs, owner or
+// tunnel tokens) and app.tar (/app via getArchive). Bundles move containers between
+// panel installs and users; cloning stages the same /app archive in place.
+// Staged archives wait in BUNDLE_DIR/<containerId>.tar until the container.create
+// job has created the Docker container and extracted them into /app.
+// A bundle is user input: its config passes the same checks as PUT /api/containers/:id
+// and the tunnels route, and its archive can only write below /app.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const tar = require('tar');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { ValidationError, QuotaExceededError } = require('../middleware/errorHandler');
+const { APP_MOUNT_PATH } = require('./volumes');
+const { toStoredIngressRules } = require('./cloudflared');
+const logger = require('../utils/logger');
+
+const BUNDLE_DIR = process.env.BUNDLE_DIR || '/var/lib/panel/bundles';
+const BUNDLE_FORMAT = 'panel-container-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_FILE = 'bundle.json';
+const APP_ARCHIVE_FILE = 'app.tar';
+// Bundles are compressed, so the upload limit says little about what they unpack to
+const MAX_UNPACKED_SIZE = parseInt(process.env.MAX_BUNDLE_UNPACKED_SIZE) || 4 * 1024 * 1024 * 1024;
+const MB = 1024 * 1024;
+// Same image format the container routes accept
+const IMAGE_REGEX = /^[a-z0-9]+(?:[._-][a-z0-9]+)*(?:\/[a-z0-9]+(?:[._-][a-z0-9]+)*)*(?::[a-zA-Z0-9_][a-zA-Z0-9._-]{0,127})?$/;
+// Entry types written into /app; devices, FIFOs and the like are dropped
+const APP_ENTRY_TYPES = ['File', 'OldFile', 'Directory', 'SymbolicLink', 'Link'];
+
+const containerManager = new ContainerManager(getDockerClient());
+
+const getStagedArchivePath = (containerId) => path.join(BUNDLE_DIR, `${containerId}.tar`);
+
+// Everything needed to recreate a container; named tunnels lose their token
+const buildBundleManifest = (container) => {
+  const { cmd = [], env = {}, ports = [] } = container.config || {};
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    container: {
+      name: container.name,
+      image: container.image,
+      config: { cmd, env, ports },
+      resources: container.resources || {},
+      // Host ports come from the pool of the panel the bundle is imported into
+      ports: (container.ports || []).map(({ hostPort, ...port }) => port),
+      environment: container.environment || {},
+    },
+    tunnels: (container.tunnels || []).map(tunnel => ({
+      domain: tunnel.domain,
+      named: Boolean(tunnel.tokenSecretId),
+      config: tunnel.config,
+    })),
+  };
+};
+
+const isPort = value => /^\d+$/.test(String(value)) && parseInt(value) >= 1 && parseInt(value) <= 65535;
+
+// Tunnel config of a bundle as the tunnels route would have stored it
+const validateTunnelConfig = (config = {}) => {
+  const { port = 3000, ingress } = config || {};
+  if (!isPort(port)) {
+    throw new ValidationError('Bundle tunnel port must be between 1 and 65535');
+  }
+
+  if (ingress === undefined) {
+    return { port: parseInt(port), autoStart: true };
+  }
+
+  // Imported tunnels come back as quick tunnels, which forward to a single origin
+  if (!Array.isArray(ingress) || ingress.length !== 1) {
+    throw new ValidationError('Bundle tunnels must have a single ingress rule');
+  }
+  const [rule] = ingress;
+  if (!rule || !isPort(rule.port)
+    || (rule.hostname != null && !/^[a-zA-Z0-9.-]+$/.test(rule.hostname))
+    || (rule.path != null && typeof rule.path !== 'string')) {
+    throw new ValidationError('Bundle tunnel ingress is invalid');
+  }
+
+  return { port: parseInt(port), ingress: toStoredIngressRules(ingress), autoStart: true };
+};
+
+// Check bundle.json before anything is created from it. Returns the manifest with only
+// the fields an import uses, so nothing else from the bundle reaches the database.
+const validateBundleManifest = (manifest) => {
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+    throw new ValidationError('Not a container bundle');
+  }
+
+  if (!Number.isInteger(manifest.version) || manifest.version > BUNDLE_VERSION) {
+    throw new ValidationError(`Unsupported bundle version ${manifest.version}`);
+  }
+
+  const { container, tunnels = [] } = manifest;
+  if (!container || typeof container.image !== 'string' || !container.image) {
+    throw new ValidationError('Bundle does not describe a container image');
+  }
+
+  if (!IMAGE_REGEX.test(container.image)) {
+    throw new ValidationError('Bundle container image has an invalid format');
+  }
+
+  const { cmd = [], env = {}, ports = [] } = container.config || {};
+  if (!Array.isArray(cmd) || !Array.isArray(ports) || !env || typeof env !== 'object' || Array.isArray(env)) {
+    throw new ValidationError('Bundle container config is invalid');
+  }
+
+  if (cmd.length > 50 || cmd.some(arg => typeof arg !== 'string')) {
+    throw new ValidationError('Bundle command must be an array of at most 50 string arguments');
+  }
+
+  if (!Object.entries(env).every(([key, value]) => (
+    /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key) && ['string', 'number', 'boolean'].includes(typeof value)
+  ))) {
+    throw new ValidationError('Bundle environment variable names must be letters, numbers and underscores, with plain values');
+  }
+
+  if (ports.length > 20 || ports.some(port => !port || !isPort(port.containerPort)
+    || (port.protocol !== undefined && !['tcp', 'udp'].includes(port.protocol)))) {
+    throw new ValidationError('Bundle container ports are invalid');
+  }
+
+  const { memory, cpus } = container.resources || {};
+  if ((memory !== undefined && !/^\d+[kmg]?$/i.test(memory))
+    || (cpus !== undefined && !(parseFloat(cpus) >= 0.1))) {
+    throw new ValidationError('Bundle resources are invalid');
+  }
+
+  if (!Array.isArray(tunnels)) {
+    throw new ValidationError('Bundle tunnels are invalid');
+  }
+
+  return {
+    format: manifest.format,
+    version: manifest.version,
+    exportedAt: typeof manifest.exportedAt === 'string' ? manifest.exportedAt : null,
+    container: {
+      name: typeof container.name === 'string' ? container.name : null,
+      image: container.image,
+      config: {
+        cmd,
+        env: Object.keys(env).reduce((acc, key) => {
+          acc[key] = String(env[key]);
+          return acc;
+        }, {}),
+        ports: ports.map(port => ({
+          containerPort: parseInt(port.containerPort),
+          protocol: port.protocol || 'tcp',
+        })),
+      },
+      resources: {
+        ...(memory !== undefined && { memory }),
+        ...(cpus !== undefined && { cpus: parseFloat(cpus) }),
+      },
+    },
+    tunnels: tunnels.map(tunnel => ({
+      domain: tunnel?.domain || null,
+      named: Boolean(tunnel?.named),
+      // Named tunnels are not imported, so only quick tunnel configs are checked
+      config: tunnel?.named ? {} : validateTunnelConfig(tunnel?.config),
+    })),
+  };
+};
+
+// Write the bundle of a container to `file`
+const writeBundle = async (container, file) => {
+  if (!container.dockerId) {
+    throw new Error('Container has no Docker container to export');
+  }
+
+  const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'panel-bundle-'));
+  try {
+    await fs.promises.writeFile(
+      path.join(tmpDir, MANIFEST_FILE),
+      JSON.stringify(buildBundleManifest(container), null, 2)
+    );
+
+    const archive = await containerManager.getArchive(container.dockerId, APP_MOUNT_PATH);
+    await pipeline(archive, fs.createWriteStream(path.join(tmpDir, APP_ARCHIVE_FILE)));
+
+    await tar.create({ gzip: true, cwd: tmpDir, file, portable: true }, [MANIFEST_FILE, APP_ARCHIVE_FILE]);
+  } finally {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  }
+};
+
+// Unpack an uploaded bundle into a temporary directory. The caller removes `dir`.
+// Extraction stops as soon as the entries add up to more than MAX_UNPACKED_SIZE or the
+// `available` bytes of the owner's disk quota (null = unlimited).
+const readBundle = async (file, { available = null } = {}) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'panel-import-'));
+
+  try {
+    let unpackedSize = 0;
+    let limitError = null;
+    const unpack = new tar.Unpack({
+      cwd: dir,
+      strict: true,
+      // Sizes come from the entry headers, so skipped entries count before they are read
+      filter: (entryPath, entry) => {
+        unpackedSize += entry.size || 0;
+        if (!limitError && unpackedSize > MAX_UNPACKED_SIZE) {
+          limitError = new ValidationError(`Bundle unpacks to more than ${Math.round(MAX_UNPACKED_SIZE / MB)} MB`);
+        } else if (!limitError && available !== null && unpackedSize > available) {
+          limitError = new QuotaExceededError(
+            `Disk quota exceeded: the bundle unpacks to more than the ${(available / MB).toFixed(1)} MB available`,
+            { available, requested: unpackedSize }
+          );
+        }
+        if (limitError) {
+          unpack.abort(limitError);
+          return false;
+        }
+
+        return entry.type === 'File' && [MANIFEST_FILE, APP_ARCHIVE_FILE].includes(path.posix.normalize(entryPath));
+      },
+    });
+
+    try {
+      await pipeline(fs.createReadStream(file), unpack);
+    } catch (error) {
+      if (limitError) throw limitError;
+      throw new ValidationError(`Bundle is not a valid .tar.gz archive: ${error.message}`);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.promises.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      throw new ValidationError(`Bundle has no readable ${MANIFEST_FILE}`);
+    }
+    manifest = validateBundleManifest(manifest);
+
+    const appArchive = path.join(dir, APP_ARCHIVE_FILE);
+    let appArchiveSize;
+    try {
+      ({ size: appArchiveSize } = await fs.promises.stat(appArchive));
+    } catch (error) {
+      throw new ValidationError(`Bundle has no ${APP_ARCHIVE_FILE}`);
+    }
+
+    return { dir, manifest, appArchive, appArchiveSize };
+  } catch (error) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+};
+
+// Keep an /app archive for a container record until its Docker container exists
+const stageAppArchive = async (containerId, appArchive) => {
+  const stagedPath = getStagedArchivePath(containerId);
+  await fs.promises.mkdir(BUNDLE_DIR, { recursive: true });
+  await fs.promises.copyFile(appArchive, stagedPath);
+  return stagedPath;
+};
+
+// Stage the current /app of another container (clone)
+const stageContainerApp = async (sourceContainer, containerId) => {
+  const stagedPath = getStagedArchivePath(containerId);
+  await fs.promises.mkdir(BUNDLE_DIR, { recursive: true });
+
+  const archive = await containerManager.getArchive(sourceContainer.dockerId, APP_MOUNT_PATH);
+  await pipeline(archive, fs.createWriteStream(stagedPath));
+
+  const { size } = await fs.promises.stat(stagedPath);
+  return { stagedPath, size };
+};
+
+const hasStagedApp = async (containerId) => {
+  try {
+    await fs.promises.access(getStagedArchivePath(containerId));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Path of an entry of an /app archive (app/...) relative to /app, null when it lies outside
+const toAppEntryPath = (entryPath) => {
+  const normalized = path.posix.normalize(entryPath).replace(/\/+$/, '');
+  const prefix = `${path.posix.basename(APP_MOUNT_PATH)}/`;
+  if (!normalized.startsWith(prefix)) return null;
+
+  const relative = normalized.slice(prefix.length);
+  return relative.split('/').includes('..') ? null : relative;
+};
+
+// An /app archive (entries under app/, as getArchive returns them) rewritten to entries
+// relative to /app. Anything outside app/ is dropped.
+const createAppArchiveStream = (file) => {
+  const pack = new tar.Pack({ portable: false });
+  const parse = new tar.Parse({
+    filter: (entryPath, entry) => APP_ENTRY_TYPES.includes(entry.type)
+      && Boolean(toAppEntryPath(entryPath))
+      && (entry.type !== 'Link' || Boolean(toAppEntryPath(entry.linkpath))),
+    onentry: (entry) => {
+      entry.path = toAppEntryPath(entry.path);
+      if (entry.type === 'Link') entry.linkpath = toAppEntryPath(entry.linkpath);
+      pack.add(entry);
+    },
+  });
+
+  parse.on('end', () => pack.end());
+  parse.on('error', error => pack.emit('error', error));
+  const source = fs.createReadStream(file);
+  source.on('error', error => pack.emit('error', error));
+  source.pipe(parse);
+
+  return pack;
+};
+
+// Extract the staged archive of a container record into /app of its Docker container
+const seedStagedApp = async (dockerId, containerId) => {
+  await containerManager.putArchive(dockerId, createAppArchiveStream(getStagedArchivePath(containerId)), APP_MOUNT_PATH);
+};
+
+const purgeStagedApp = async (containerId) => {
+  await fs.promises.rm(getStagedArchivePath(containerId), { force: true }).catch((error) => {
+    logger.warn('Failed to remove staged bundle archive:', { containerId, error: error.message });
+  });
+};
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  buildBundleManifest,
+  validateBundleManifest,
+  createAppArchiveStream,
+  writeBundle,
+  readBundle,
+  stageAppArchive,
+  stageContainerApp,
+  hasStagedApp,
+  seedStagedApp,
+  purgeStagedApp,
+};
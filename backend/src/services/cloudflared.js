@@ -0,0 +1,254 @@
+// Helpers for running cloudflared and interpreting its log output.
+// Everything here works on plain strings so it can be exercised against a stub
+// binary that prints cloudflared-style log lines.
+
+const CLOUDFLARED_BIN = process.env.CLOUDFLARED_BIN || 'cloudflared';
+const QUICK_TUNNEL_HOST_REGEX = /https:\/\/([a-z0-9-]+\.trycloudflare\.com)/i;
+const LOG_LINE_REGEX = /^(\S+)\s+(DBG|INF|WRN|ERR|FTL)\s+(.*)$/;
+
+// Errors after which cloudflared will not recover by retrying
+const FATAL_ERROR_PATTERNS = [
+  /tunnel token is not valid/i,
+  /unauthorized/i,
+  /invalid tunnel secret/i,
+  /failed to parse/i,
+  /error parsing/i,
+  /no ingress rules/i,
+  /couldn't start tunnel/i,
+  /failed to request quick tunnel/i,
+];
+
+// The fields a stored ingress rule keeps. A tunnel only ever forwards to a port of its
+// own container, so an upstream given by the client (service, host) is dropped.
+const toStoredIngressRules = ingress => ingress.map(rule => ({
+  hostname: rule.hostname || null,
+  port: parseInt(rule.port),
+  ...(rule.path && { path: rule.path }),
+}));
+
+// Normalize ingress rules from the tunnel config (falls back to domain + port)
+const getIngressRules = (tunnel) => {
+  const config = tunnel.config || {};
+  const rules = Array.isArray(config.ingress) && config.ingress.length > 0
+    ? config.ingress
+    : [{ hostname: tunnel.domain || null, port: config.port || 3000 }];
+
+  // The sidecar shares the network of the container, which is reached on localhost
+  return rules.map(rule => ({
+    hostname: rule.hostname || null,
+    path: rule.path || null,
+    service: `http://localhost:${parseInt(rule.port) || 3000}`,
+  }));
+};
+
+// Tunnels without a token run as quick tunnels on trycloudflare.com
+const isQuickTunnel = (tunnel) => !tunnel.tokenSecretId;
+
+// Build cloudflared config.yml with one ingress rule per mapped hostname
+const buildConfigYaml = (rules) => {
+  const lines = ['ingress:'];
+
+  for (const rule of rules) {
+    if (!rule.hostname) continue;
+    lines.push(`  - hostname: ${JSON.stringify(rule.hostname)}`);
+    if (rule.path) {
+      lines.push(`    path: ${JSON.stringify(rule.path)}`);
+    }
+    lines.push(`    service: ${JSON.stringify(rule.service)}`);
+  }
+
+  // cloudflared requires a catch-all rule last
+  const catchAll = rules.find(rule => !rule.hostname);
+  lines.push(`  - service: ${JSON.stringify(catchAll ? catchAll.service : 'http_status:404')}`);
+
+  return lines.join('\n') + '\n';
+};
+
+// Build command line arguments. The token is passed via TUNNEL_TOKEN, never argv.
+const buildTunnelArgs = (tunnel, { configPath = null } = {}) => {
+  const args = ['tunnel', '--no-autoupdate'];
+
+  if (isQuickTunnel(tunnel)) {
+    // Quick tunnels only support a single origin
+    const [rule] = getIngressRules(tunnel);
+    args.push('--url', rule.service);
+    return args;
+  }
+
+  if (configPath) {
+    args.push('--config', configPath);
+  }
+  args.push('run');
+
+  return args;
+};
+
+// token is the decrypted value from the secrets store
+const buildTunnelEnv = (token) => {
+  return token ? [`TUNNEL_TOKEN=${token}`] : [];
+};
+
+// Parse a single cloudflared log line into an event (or null)
+const parseLogLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  const match = trimmed.match(LOG_LINE_REGEX);
+  const level = match ? match[2] : 'INF';
+  const message = match ? match[3] : trimmed;
+
+  const quickHost = message.match(QUICK_TUNNEL_HOST_REGEX);
+  if (quickHost) {
+    return { type: 'hostname', hostname: quickHost[1].toLowerCase() };
+  }
+
+  if (/Registered tunnel connection/.test(message)) {
+    return {
+      type: 'connected',
+      connIndex: (message.match(/connIndex=(\d+)/) || [])[1] || '0',
+      location: (message.match(/location=(\S+)/) || [])[1] || null,
+    };
+  }
+
+  if (/Unregistered tunnel connection|Connection terminated|Lost connection/.test(message)) {
+    return {
+      type: 'disconnected',
+      connIndex: (message.match(/connIndex=(\d+)/) || [])[1] || '0',
+    };
+  }
+
+  const tunnelId = message.match(/tunnelID=([0-9a-f-]{36})/i);
+  if (tunnelId) {
+    return { type: 'tunnel-id', tunnelId: tunnelId[1] };
+  }
+
+  if (/Updated to new configuration/.test(message)) {
+    // config="{\"ingress\":[{\"hostname\":\"app.example.com\", ...}]}"
+    const hostnames = [...message.matchAll(/\\?"hostname\\?"\s*:\s*\\?"([^"\\]+)\\?"/g)].map(m => m[1]);
+    return { type: 'config', hostnames };
+  }
+
+  if (level === 'ERR' || level === 'FTL') {
+    const errorText = (message.match(/error="([^"]*)"/) || [])[1] || message;
+    return {
+      type: 'error',
+      message: errorText,
+      fatal: level === 'FTL' || FATAL_ERROR_PATTERNS.some(pattern => pattern.test(message)),
+    };
+  }
+
+  return null;
+};
+
+const createTunnelState = () => ({
+  status: 'CONNECTING',
+  hostname: null,
+  hostnames: [],
+  tunnelId: null,
+  connections: {},
+  locations: [],
+  lastError: null,
+  fatal: false,
+});
+
+// Apply a parsed event to the tunnel state
+const applyLogEvent = (state, event) => {
+  if (!event) return state;
+
+  switch (event.type) {
+  case 'hostname':
+    state.hostname = event.hostname;
+    if (!state.hostnames.includes(event.hostname)) state.hostnames.push(event.hostname);
+    break;
+  case 'config':
+    state.hostnames = [...new Set([...state.hostnames, ...event.hostnames])];
+    state.hostname = state.hostname || event.hostnames[0] || null;
+    break;
+  case 'tunnel-id':
+    state.tunnelId = event.tunnelId;
+    break;
+  case 'connected':
+    state.connections[event.connIndex] = true;
+    if (event.location && !state.locations.includes(event.location)) state.locations.push(event.location);
+    break;
+  case 'disconnected':
+    delete state.connections[event.connIndex];
+    break;
+  case 'error':
+    state.lastError = event.message;
+    state.fatal = state.fatal || event.fatal;
+    break;
+  default:
+    break;
+  }
+
+  const connected = Object.keys(state.connections).length > 0;
+  if (state.fatal) {
+    state.status = 'ERROR';
+  } else if (connected) {
+    state.status = 'ACTIVE';
+  } else {
+    state.status = 'CONNECTING';
+  }
+
+  return state;
+};
+
+// Replay a full cloudflared log and return the resulting state
+const parseTunnelLog = (text = '') => {
+  return text.split(/\r?\n/).reduce(
+    (state, line) => applyLogEvent(state, parseLogLine(line)),
+    createTunnelState()
+  );
+};
+
+// Poll a log source until the tunnel is connected, failed, or timed out.
+// readLog() resolves to the full log text; isAlive() to whether the process still runs.
+const waitForTunnel = async (readLog, isAlive, { quick = false, timeout = 30000, interval = 1000 } = {}) => {
+  const deadline = Date.now() + timeout;
+  let state = createTunnelState();
+
+  while (Date.now() < deadline) {
+    // Checked before reading, so the log of an exited process is complete
+    const alive = await isAlive();
+    state = parseTunnelLog(await readLog());
+
+    if (state.status === 'ERROR') {
+      throw Object.assign(new Error(state.lastError || 'cloudflared reported an error'), { tunnelState: state });
+    }
+
+    // Quick tunnels are only useful once the assigned hostname is known
+    if (state.status === 'ACTIVE' && (!quick || state.hostname)) {
+      return state;
+    }
+
+    if (!alive) {
+      throw Object.assign(
+        new Error(state.lastError ? `cloudflared exited: ${state.lastError}` : 'cloudflared exited unexpectedly'),
+        { tunnelState: state }
+      );
+    }
+
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+
+  throw Object.assign(
+    new Error(`cloudflared did not connect within ${Math.round(timeout / 1000)}s`),
+    { tunnelState: state }
+  );
+};
+
+module.exports = {
+  CLOUDFLARED_BIN,
+  toStoredIngressRules,
+  getIngressRules,
+  isQuickTunnel,
+  buildConfigYaml,
+  buildTunnelArgs,
+  buildTunnelEnv,
+  parseLogLine,
+  parseTunnelLog,
+  applyLogEvent,
+  createTunnelState,
+  waitForTunnel,
+};
@@ -0,0 +1,280 @@
+// Container stdout/stderr from the Docker logs API. Streams are demultiplexed into lines of
+// { stream, timestamp, text } (Docker is always asked for timestamps so they can be shown
+// or dropped per request) and filtered server-side by stream and by text or regex.
+// Used by the output routes, the /logs Socket.IO namespace and the log archive.
+
+const { StringDecoder } = require('string_decoder');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_LINES = parseInt(process.env.CONTAINER_OUTPUT_MAX_LINES) || 10000;
+const MAX_FILTER_LENGTH = 200;
+// A single unterminated line is cut here so a binary blob cannot grow the buffer forever
+const MAX_LINE_LENGTH = 64 * 1024;
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})) ?/;
+const TIMESTAMP_PARTS = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:\d{2})$/;
+
+const containerManager = new ContainerManager(getDockerClient());
+
+// since/until as accepted by the API (unix seconds or a date string) in Docker's format
+const toDockerTime = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (/^\d+(\.\d+)?$/.test(String(value))) return String(value);
+
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new AppError(`Invalid time: ${value}`, 400, 'INVALID_TIME');
+  }
+  return (time / 1000).toFixed(3);
+};
+
+// Docker's RFC3339Nano timestamps drop trailing zeros, so `.1Z` would sort after `.12Z` as
+// text. Lines carry UTC timestamps with exactly nine fraction digits instead, which order
+// correctly as strings.
+const normalizeTimestamp = (timestamp) => {
+  const match = TIMESTAMP_PARTS.exec(timestamp || '');
+  if (!match) return timestamp || null;
+
+  const [, seconds, fraction = '', zone] = match;
+  const utcSeconds = zone === 'Z' ? seconds : new Date(`${seconds}${zone}`).toISOString().slice(0, 19);
+  return `${utcSeconds}.${fraction.padEnd(9, '0').slice(0, 9)}Z`;
+};
+
+// Regexes run on the event loop against every line, so patterns that can backtrack
+// exponentially are refused: a repeated group that itself holds a quantifier or an
+// alternation, e.g. (a+)+ or (a|ab)*, and backreferences. `pattern` is a valid regex.
+const findBacktrackingRisk = (pattern) => {
+  // One entry per open group: whether it holds a quantifier or an alternation
+  const groups = [{ quantified: false, alternation: false }];
+  let lastGroup = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    let closedGroup = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences are not supported';
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; a ] right after [ or [^ is a literal
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      // (?:, (?=, (?!, (?<=, (?<! and (?<name> do not start a quantifier
+      if (pattern[i + 1] === '?') {
+        i += pattern[i + 2] === '<' && !/[=!]/.test(pattern[i + 3]) ? pattern.indexOf('>', i) - i : 2;
+      }
+    } else if (char === ')') {
+      closedGroup = groups.pop();
+      const parent = groups[groups.length - 1];
+      parent.quantified = parent.quantified || closedGroup.quantified;
+      parent.alternation = parent.alternation || closedGroup.alternation;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+    } else if ('*+?{'.includes(char)) {
+      const bounds = char === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i)) : null;
+      if (char !== '{' || bounds) {
+        const repeats = char === '*' || char === '+'
+          || (bounds && (bounds[2] !== undefined ? bounds[3] === '' || parseInt(bounds[3]) > 1 : parseInt(bounds[1]) > 1));
+        if (repeats && lastGroup && (lastGroup.quantified || lastGroup.alternation)) {
+          return 'nested quantifiers and repeated alternations are not supported';
+        }
+        groups[groups.length - 1].quantified = true;
+        if (bounds) i += bounds[0].length - 1;
+        // Lazy marker of this quantifier
+        if (pattern[i + 1] === '?') i++;
+      }
+    }
+
+    lastGroup = closedGroup;
+  }
+
+  return null;
+};
+
+// Predicate for lines matching the requested stream and text; an invalid regex is a client error
+const buildLineFilter = ({ stream = 'all', search, regex = false, caseSensitive = false } = {}) => {
+  let matchText = null;
+
+  if (search) {
+    if (search.length > MAX_FILTER_LENGTH) {
+      throw new AppError(`Search must be at most ${MAX_FILTER_LENGTH} characters`, 400, 'INVALID_FILTER');
+    }
+
+    if (regex) {
+      let pattern;
+      try {
+        pattern = new RegExp(search, caseSensitive ? '' : 'i');
+      } catch (error) {
+        throw new AppError(error.message, 400, 'INVALID_FILTER');
+      }
+
+      const risk = findBacktrackingRisk(search);
+      if (risk) {
+        throw new AppError(`Search pattern is too expensive to run: ${risk}`, 400, 'INVALID_FILTER');
+      }
+      matchText = text => pattern.test(text);
+    } else {
+      const needle = caseSensitive ? search : search.toLowerCase();
+      matchText = text => (caseSensitive ? text : text.toLowerCase()).includes(needle);
+    }
+  }
+
+  return line => (stream === 'all' || line.stream === stream) && (!matchText || matchText(line.text));
+};
+
+// Incremental parser for a Docker log stream. Frames may be split across chunks and lines
+// across frames, so both are buffered until complete.
+const createLogParser = ({ tty = false } = {}) => {
+  const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+  const partial = { stdout: '', stderr: '' };
+  let pending = Buffer.alloc(0);
+
+  const toLine = (stream, raw) => {
+    const text = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+    const match = TIMESTAMP_PATTERN.exec(text);
+    return match
+      ? { stream, timestamp: normalizeTimestamp(match[1]), text: text.slice(match[0].length) }
+      : { stream, timestamp: null, text };
+  };
+
+  const pushText = (stream, text, lines) => {
+    const parts = (partial[stream] + text).split('\n');
+    partial[stream] = parts.pop();
+
+    if (partial[stream].length > MAX_LINE_LENGTH) {
+      parts.push(partial[stream]);
+      partial[stream] = '';
+    }
+
+    for (const part of parts) {
+      lines.push(toLine(stream, part));
+    }
+  };
+
+  return {
+    push(chunk) {
+      const lines = [];
+
+      if (tty) {
+        pushText('stdout', decoders.stdout.write(chunk), lines);
+        return lines;
+      }
+
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      let offset = 0;
+      while (offset + 8 <= pending.length) {
+        const size = pending.readUInt32BE(offset + 4);
+        if (offset + 8 + size > pending.length) break;
+
+        const stream = pending[offset] === 2 ? 'stderr' : 'stdout';
+        pushText(stream, decoders[stream].write(pending.slice(offset + 8, offset + 8 + size)), lines);
+        offset += 8 + size;
+      }
+      pending = pending.slice(offset);
+
+      return lines;
+    },
+
+    // Lines still waiting for their newline when the stream ends
+    flush() {
+      const lines = [];
+      for (const stream of ['stdout', 'stderr']) {
+        const rest = partial[stream] + decoders[stream].end();
+        partial[stream] = '';
+        if (rest) lines.push(toLine(stream, rest));
+      }
+      return lines;
+    },
+  };
+};
+
+// Stream the output of a container. `onLines` receives batches of matching lines and
+// `onEnd` is called once when Docker closes the stream (for follow: the container stopped).
+// Returns controls to stop the stream or pause it for backpressure.
+const streamContainerOutput = async (dockerId, options = {}, handlers = {}) => {
+  const { follow = false, tail = 'all', since, until, timestamps = true } = options;
+  const { onLines = () => {}, onEnd = () => {}, onError = () => {} } = handlers;
+  const filter = buildLineFilter(options);
+
+  const info = await containerManager.getContainerInfo(dockerId);
+  const parser = createLogParser({ tty: info.Config?.Tty });
+
+  const stream = await containerManager.streamContainerLogs(dockerId, {
+    follow,
+    tail,
+    since: toDockerTime(since),
+    until: toDockerTime(until),
+  });
+
+  let ended = false;
+  const emit = (lines) => {
+    const matching = lines.filter(filter);
+    if (!timestamps) {
+      for (const line of matching) line.timestamp = null;
+    }
+    if (matching.length > 0) onLines(matching);
+  };
+  const finish = () => {
+    if (ended) return;
+    ended = true;
+    emit(parser.flush());
+    onEnd();
+  };
+
+  stream.on('data', chunk => emit(parser.push(chunk)));
+  stream.on('end', finish);
+  stream.on('close', finish);
+  stream.on('error', (error) => {
+    // Destroying the stream on stop is not an error
+    if (!ended) onError(error);
+    finish();
+  });
+
+  return {
+    stop: () => {
+      ended = true;
+      stream.destroy();
+    },
+    pause: () => stream.pause(),
+    resume: () => stream.resume(),
+  };
+};
+
+// Output of a container as an array; only the last MAX_LINES matching lines are kept
+const readContainerOutput = (dockerId, options = {}) => new Promise((resolve, reject) => {
+  let lines = [];
+  let truncated = false;
+
+  streamContainerOutput(dockerId, { ...options, follow: false }, {
+    onLines: (batch) => {
+      lines = lines.concat(batch);
+      if (lines.length > MAX_LINES) {
+        lines = lines.slice(lines.length - MAX_LINES);
+        truncated = true;
+      }
+    },
+    onEnd: () => resolve({ lines, truncated }),
+    onError: reject,
+  }).catch(reject);
+});
+
+// One line of the plain text form used for downloads
+const formatLine = line => `${line.timestamp ? `${line.timestamp} ` : ''}${line.stream === 'stderr' ? '[stderr] ' : ''}${line.text}\n`;
+
+module.exports = {
+  MAX_LINES,
+  MAX_FILTER_LENGTH,
+  toDockerTime,
+  normalizeTimestamp,
+  buildLineFilter,
+  createLogParser,
+  streamContainerOutput,
+  readContainerOutput,
+  formatLine,
+};
@@ -0,0 +1,405 @@
+// Cron jobs: per-container schedules (node-cron) that run a shell command inside the
+// container with `sh -c` in /app. Every execution is stored as a CronRun with its
+// output and exit code. Jobs can start a stopped container for the run and stop it
+// again afterwards.
+
+const { PassThrough } = require('stream');
+const cron = require('node-cron');
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { APP_MOUNT_PATH } = require('./volumes');
+const { PID_MARKER, PID_WRAPPER, killInContainer } = require('./scriptRuns');
+const logger = require('../utils/logger');
+
+const OUTPUT_LIMIT = 64 * 1024;
+const HISTORY_LIMIT = parseInt(process.env.CRON_HISTORY_LIMIT) || 50;
+
+const containerManager = new ContainerManager(getDockerClient());
+
+// Scheduled node-cron tasks by cron job ID
+const tasks = new Map();
+// Cron job IDs with a run in progress; a tick that overlaps a run is skipped
+const runningJobs = new Set();
+// Active runs per container, so a container started for a run is only stopped by the last one
+const activeByContainer = new Map();
+// Containers started for runs -> Docker's StartedAt of that start, to tell it from a later manual start
+const startedForRuns = new Map();
+
+const isValidSchedule = (schedule) => cron.validate(schedule);
+
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Run a command and collect its output; on timeout the process is killed
+const execWithTimeout = async (dockerId, command, timeoutMs) => {
+  const { exec, stream } = await containerManager.execCommand(dockerId, [
+    'sh', '-c', PID_WRAPPER, 'cron', 'sh', '-c', command,
+  ], {
+    AttachStdin: false,
+    WorkingDir: APP_MOUNT_PATH,
+  });
+
+  return new Promise((resolve) => {
+    let output = '';
+    let pendingStderr = '';
+    let pid = null;
+    let truncated = false;
+    let finished = false;
+
+    const collect = (text) => {
+      if (truncated) return;
+      output += text;
+      if (Buffer.byteLength(output) > OUTPUT_LIMIT) {
+        output = `${output.slice(0, OUTPUT_LIMIT)}\n[output truncated]\n`;
+        truncated = true;
+      }
+    };
+
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    containerManager.docker.modem.demuxStream(stream, stdout, stderr);
+
+    stdout.on('data', chunk => collect(chunk.toString()));
+    stderr.on('data', (chunk) => {
+      if (pid !== null) {
+        collect(chunk.toString());
+        return;
+      }
+
+      pendingStderr += chunk.toString();
+      const match = pendingStderr.match(PID_MARKER);
+      if (match) {
+        pid = parseInt(match[1]);
+        collect(pendingStderr.slice(match[0].length));
+        pendingStderr = '';
+      }
+    });
+
+    const finish = async (timedOut = false) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+
+      if (timedOut && pid !== null) {
+        await killInContainer(dockerId, 'KILL', pid).catch((error) => {
+          logger.warn('Failed to kill timed out cron command:', error.message);
+        });
+      }
+      stream.destroy();
+
+      // Let the demuxed streams deliver their last chunks first
+      await new Promise(resolve => setImmediate(resolve));
+      collect(pendingStderr);
+
+      let exitCode = null;
+      if (!timedOut) {
+        try {
+          ({ ExitCode: exitCode } = await exec.inspect());
+        } catch (error) {
+          logger.warn('Failed to inspect cron exec:', error.message);
+        }
+      }
+
+      resolve({ output, exitCode, timedOut });
+    };
+
+    const timer = setTimeout(() => finish(true), timeoutMs);
+    stream.on('end', () => finish());
+    stream.on('close', () => finish());
+    stream.on('error', () => finish());
+  });
+};
+
+// Keep the newest HISTORY_LIMIT runs of a job
+const pruneHistory = async (cronJobId) => {
+  const prisma = getPrismaClient();
+
+  const oldRuns = await prisma.cronRun.findMany({
+    where: { cronJobId },
+    orderBy: { startedAt: 'desc' },
+    skip: HISTORY_LIMIT,
+    select: { id: true },
+  });
+
+  if (oldRuns.length > 0) {
+    await prisma.cronRun.deleteMany({
+      where: { id: { in: oldRuns.map(run => run.id) } },
+    });
+  }
+};
+
+// Create a run, or finish it when runId is given, and mirror its status on the job
+const recordRun = async (cronJob, data, runId = null) => {
+  const prisma = getPrismaClient();
+
+  const run = runId
+    ? await prisma.cronRun.update({ where: { id: runId }, data })
+    : await prisma.cronRun.create({ data: { cronJobId: cronJob.id, ...data } });
+
+  await prisma.cronJob.update({
+    where: { id: cronJob.id },
+    data: {
+      lastRunAt: run.startedAt,
+      lastStatus: run.status,
+    },
+  });
+
+  return run;
+};
+
+// Whether this run started the container; another run may have just started it (304)
+const startContainerForRun = async (container, cronJob) => {
+  const prisma = getPrismaClient();
+
+  try {
+    await containerManager.startContainer(container.dockerId);
+  } catch (error) {
+    if (error.statusCode === 304) return false;
+    throw error;
+  }
+
+  const info = await containerManager.getContainerInfo(container.dockerId);
+  startedForRuns.set(container.id, info.State?.StartedAt);
+
+  await prisma.container.update({
+    where: { id: container.id },
+    data: { status: 'RUNNING' },
+  });
+
+  await prisma.containerLog.create({
+    data: {
+      containerId: container.id,
+      command: 'START',
+      output: `Container started for cron job ${cronJob.name}`,
+      exitCode: 0,
+    },
+  });
+
+  return true;
+};
+
+// Stop a container started for runs, unless it was stopped or started again by hand since
+const stopContainerAfterRun = async (container, cronJob, startedAt) => {
+  const prisma = getPrismaClient();
+
+  const { State: state = {} } = await containerManager.getContainerInfo(container.dockerId);
+  if (!state.Running || state.StartedAt !== startedAt) return;
+
+  await containerManager.stopContainer(container.dockerId);
+  await prisma.container.update({
+    where: { id: container.id },
+    data: { status: 'STOPPED' },
+  });
+
+  await prisma.containerLog.create({
+    data: {
+      containerId: container.id,
+      command: 'STOP',
+      output: `Container stopped after cron job ${cronJob.name}`,
+      exitCode: 0,
+    },
+  });
+};
+
+// Execute a cron job once and store the result as a CronRun
+const runCronJob = async (cronJobId, { trigger = 'schedule' } = {}) => {
+  const prisma = getPrismaClient();
+
+  const cronJob = await prisma.cronJob.findUnique({
+    where: { id: cronJobId },
+    include: { container: true },
+  });
+
+  if (!cronJob) {
+    unscheduleCronJob(cronJobId);
+    return null;
+  }
+
+  const { container } = cronJob;
+  const startedAt = new Date();
+
+  if (runningJobs.has(cronJob.id)) {
+    return recordRun(cronJob, {
+      status: 'SKIPPED',
+      trigger,
+      output: 'Previous run is still in progress',
+      startedAt,
+      finishedAt: startedAt,
+      duration: 0,
+    });
+  }
+
+  const isRunning = container.status === 'RUNNING';
+  if (!container.dockerId || (!isRunning && !cronJob.startIfStopped)) {
+    return recordRun(cronJob, {
+      status: 'SKIPPED',
+      trigger,
+      output: 'Container is not running',
+      startedAt,
+      finishedAt: startedAt,
+      duration: 0,
+    });
+  }
+
+  runningJobs.add(cronJob.id);
+  activeByContainer.set(container.id, (activeByContainer.get(container.id) || 0) + 1);
+
+  let runId = null;
+  let startedContainer = false;
+  let result;
+  try {
+    ({ id: runId } = await recordRun(cronJob, { status: 'RUNNING', trigger, startedAt }));
+
+    if (!isRunning) {
+      startedContainer = await startContainerForRun(container, cronJob);
+    }
+
+    result = await execWithTimeout(container.dockerId, cronJob.command, cronJob.timeout * 1000);
+  } catch (error) {
+    logger.error('Cron job execution failed:', error);
+    result = { output: error.message, exitCode: null, timedOut: false };
+  } finally {
+    runningJobs.delete(cronJob.id);
+    const active = activeByContainer.get(container.id) - 1;
+    if (active > 0) {
+      activeByContainer.set(container.id, active);
+    } else {
+      activeByContainer.delete(container.id);
+    }
+
+    // Whichever run ends last stops the container, not necessarily the one that started it
+    if (startedForRuns.has(container.id) && !activeByContainer.has(container.id)) {
+      const containerStartedAt = startedForRuns.get(container.id);
+      startedForRuns.delete(container.id);
+      await stopContainerAfterRun(container, cronJob, containerStartedAt).catch((error) => {
+        logger.warn('Failed to stop container after cron job:', error.message);
+      });
+    }
+  }
+
+  let status = result.exitCode === 0 ? 'SUCCEEDED' : 'FAILED';
+  if (result.timedOut) status = 'TIMEOUT';
+
+  const finishedAt = new Date();
+  const run = await recordRun(cronJob, {
+    status,
+    trigger,
+    startedAt,
+    exitCode: result.exitCode,
+    output: result.timedOut
+      ? `${result.output}\nKilled after ${cronJob.timeout}s timeout\n`
+      : result.output,
+    startedContainer,
+    finishedAt,
+    duration: finishedAt - startedAt,
+  }, runId);
+
+  await pruneHistory(cronJob.id);
+
+  logger.info('Cron job finished', {
+    cronJobId: cronJob.id,
+    containerId: container.id,
+    status,
+    exitCode: result.exitCode,
+    duration: run.duration,
+  });
+
+  return run;
+};
+
+const unscheduleCronJob = (cronJobId) => {
+  const task = tasks.get(cronJobId);
+  if (task) {
+    task.stop();
+    tasks.delete(cronJobId);
+  }
+};
+
+// (Re)schedule a job after it was created or changed
+const scheduleCronJob = (cronJob) => {
+  unscheduleCronJob(cronJob.id);
+  if (!cronJob.enabled) return;
+
+  const task = cron.schedule(cronJob.schedule, () => {
+    runCronJob(cronJob.id).catch((error) => {
+      logger.error('Failed to run cron job:', error);
+    });
+  }, {
+    ...(cronJob.timezone && { timezone: cronJob.timezone }),
+  });
+
+  tasks.set(cronJob.id, task);
+};
+
+const isCronJobRunning = (cronJobId) => runningJobs.has(cronJobId);
+
+const startCronScheduler = async () => {
+  const prisma = getPrismaClient();
+
+  // Runs that were in progress when the panel stopped never reported back
+  await prisma.cronRun.updateMany({
+    where: { status: 'RUNNING' },
+    data: {
+      status: 'FAILED',
+      output: 'Panel restarted while the command was running',
+      finishedAt: new Date(),
+    },
+  });
+  await prisma.cronJob.updateMany({
+    where: { lastStatus: 'RUNNING' },
+    data: { lastStatus: 'FAILED' },
+  });
+
+  const cronJobs = await prisma.cronJob.findMany({
+    where: { enabled: true },
+  });
+
+  for (const cronJob of cronJobs) {
+    try {
+      scheduleCronJob(cronJob);
+    } catch (error) {
+      logger.error(`Failed to schedule cron job ${cronJob.id}:`, error);
+    }
+  }
+
+  logger.info(`Cron scheduler started with ${tasks.size} job(s)`);
+};
+
+const stopCronScheduler = () => {
+  for (const task of tasks.values()) {
+    task.stop();
+  }
+  tasks.clear();
+};
+
+// Unschedule every job of a container that is being deleted
+const unscheduleContainerCronJobs = async (containerId) => {
+  const prisma = getPrismaClient();
+
+  const cronJobs = await prisma.cronJob.findMany({
+    where: { containerId },
+    select: { id: true },
+  });
+
+  for (const cronJob of cronJobs) {
+    unscheduleCronJob(cronJob.id);
+  }
+};
+
+module.exports = {
+  isValidSchedule,
+  isValidTimezone,
+  runCronJob,
+  isCronJobRunning,
+  scheduleCronJob,
+  unscheduleCronJob,
+  startCronScheduler,
+  stopCronScheduler,
+  unscheduleContainerCronJobs,
+};
@@ -0,0 +1,246 @@
+// Disk quotas for container storage. The size of every container's /app volume is
+// measured periodically and stored on the record; file manager writes are checked
+// against the owner's quota and counted until the next measurement corrects them.
+
+const fs = require('fs');
+const path = require('path');
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { QuotaExceededError } = require('../middleware/errorHandler');
+const { getUserPlan } = require('./plans');
+const logger = require('../utils/logger');
+
+const MB = 1024 * 1024;
+const DISK_USAGE_INTERVAL = parseInt(process.env.DISK_USAGE_INTERVAL) || 5 * 60 * 1000;
+const DU_TIMEOUT = 30000;
+
+const containerManager = new ContainerManager(getDockerClient());
+
+let monitorTimer = null;
+let measuring = false;
+
+const formatSize = (bytes) => `${(bytes / MB).toFixed(1)} MB`;
+
+// Quota in bytes: the user's own override, else their plan's (null = unlimited)
+const getQuotaBytes = (user, plan) => {
+  const quotaMb = user.diskQuota ?? plan.diskQuota;
+  return quotaMb > 0 ? quotaMb * MB : null;
+};
+
+// Size of a directory tree in bytes (bind volumes)
+const getDirectorySize = async (root) => {
+  let total = 0;
+  const pending = [root];
+
+  while (pending.length > 0) {
+    const dir = pending.pop();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else {
+        const stat = await fs.promises.lstat(entryPath).catch(() => null);
+        if (stat) total += stat.size;
+      }
+    }
+  }
+
+  return total;
+};
+
+// Sizes of all named volumes from a single `docker system df` call
+const getVolumeSizes = async () => {
+  const usage = await containerManager.getDiskUsage();
+  return new Map((usage.Volumes || []).map(volume => [
+    volume.Name,
+    Math.max(0, volume.UsageData?.Size || 0),
+  ]));
+};
+
+// Containers created before persistent volumes store /app in their writable layer;
+// measure it with du while they are running
+const measureWithDu = async (dockerId) => {
+  const { stream } = await containerManager.execCommand(dockerId, 'du -sk /app 2>/dev/null');
+
+  const output = await new Promise((resolve, reject) => {
+    let data = '';
+    const timer = setTimeout(() => {
+      stream.destroy();
+      reject(new Error('du timed out'));
+    }, DU_TIMEOUT);
+
+    stream.on('data', (chunk) => {
+      data += chunk.toString();
+    });
+    stream.on('end', () => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+    stream.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+
+  const match = output.match(/(\d+)\s+\/app/);
+  return match ? parseInt(match[1]) * 1024 : null;
+};
+
+// Measured /app size of a container in bytes (null when it cannot be measured now)
+const measureContainer = async (container, volumeSizes) => {
+  const volumes = Array.isArray(container.volumes) ? container.volumes : [];
+
+  if (volumes.length === 0) {
+    if (!container.dockerId || container.status !== 'RUNNING') return null;
+    return measureWithDu(container.dockerId);
+  }
+
+  let total = 0;
+  for (const volume of volumes) {
+    if (volume.type === 'bind') {
+      total += await getDirectorySize(volume.source);
+    } else {
+      total += volumeSizes?.get(volume.name) || 0;
+    }
+  }
+  return total;
+};
+
+// Measure every container and store the result
+const measureDiskUsage = async () => {
+  if (measuring) return;
+  measuring = true;
+
+  try {
+    const prisma = getPrismaClient();
+    const containers = await prisma.container.findMany({
+      select: {
+        id: true,
+        dockerId: true,
+        status: true,
+        volumes: true,
+      },
+    });
+
+    const usesNamedVolumes = containers.some(container => (
+      Array.isArray(container.volumes) && container.volumes.some(volume => volume.type === 'volume')
+    ));
+    const volumeSizes = usesNamedVolumes ? await getVolumeSizes() : null;
+
+    for (const container of containers) {
+      try {
+        const diskUsage = await measureContainer(container, volumeSizes);
+        if (diskUsage === null) continue;
+
+        await prisma.container.update({
+          where: { id: container.id },
+          data: {
+            diskUsage,
+            diskUsageAt: new Date(),
+          },
+        });
+      } catch (error) {
+        logger.warn('Failed to measure container disk usage:', { containerId: container.id, error: error.message });
+      }
+    }
+
+    logger.debug('Disk usage measured', { containers: containers.length });
+  } catch (error) {
+    logger.error('Failed to measure disk usage:', error);
+  } finally {
+    measuring = false;
+  }
+};
+
+// Usage of all containers of a user against their quota
+const getUserDiskUsage = async (userId) => {
+  const prisma = getPrismaClient();
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { diskQuota: true },
+  });
+
+  if (!user) return null;
+
+  const usage = await prisma.container.aggregate({
+    where: { ownerId: userId },
+    _sum: { diskUsage: true },
+    _max: { diskUsageAt: true },
+  });
+
+  const used = usage._sum.diskUsage || 0;
+  const quota = getQuotaBytes(user, await getUserPlan(userId));
+
+  return {
+    used,
+    quota,
+    available: quota === null ? null : Math.max(0, quota - used),
+    percent: quota ? Math.min(100, Math.round((used / quota) * 100)) : 0,
+    measuredAt: usage._max.diskUsageAt,
+  };
+};
+
+// Reject a write of `bytes` into a container of `userId` that would exceed the quota
+const assertDiskQuota = async (userId, bytes) => {
+  const usage = await getUserDiskUsage(userId);
+  if (!usage || usage.quota === null || usage.used + bytes <= usage.quota) return usage;
+
+  throw new QuotaExceededError(
+    `Disk quota exceeded: ${formatSize(usage.used)} of ${formatSize(usage.quota)} used, this write needs ${formatSize(bytes)}`,
+    {
+      used: usage.used,
+      quota: usage.quota,
+      available: usage.available,
+      requested: bytes,
+    }
+  );
+};
+
+// Count a successful write until the next measurement replaces the estimate
+const recordDiskWrite = async (containerId, bytes) => {
+  if (!bytes || bytes <= 0) return;
+
+  try {
+    await getPrismaClient().container.update({
+      where: { id: containerId },
+      data: { diskUsage: { increment: bytes } },
+    });
+  } catch (error) {
+    logger.warn('Failed to record disk write:', { containerId, error: error.message });
+  }
+};
+
+const startDiskUsageMonitor = () => {
+  if (monitorTimer) return;
+
+  monitorTimer = setInterval(measureDiskUsage, DISK_USAGE_INTERVAL);
+  monitorTimer.unref();
+  measureDiskUsage();
+
+  logger.info('✅ Disk usage monitor started', { interval: DISK_USAGE_INTERVAL });
+};
+
+const stopDiskUsageMonitor = () => {
+  if (!monitorTimer) return;
+  clearInterval(monitorTimer);
+  monitorTimer = null;
+};
+
+module.exports = {
+  getQuotaBytes,
+  measureDiskUsage,
+  getUserDiskUsage,
+  assertDiskQuota,
+  recordDiskWrite,
+  startDiskUsageMonitor,
+  stopDiskUsageMonitor,
+};
@@ -0,0 +1,213 @@
+// Docker events subscriber: follows docker.getEvents() for containers labelled
+// panel.managed=true so Container.status also follows what Docker does on its own
+// (crashes, OOM kills, restart policies, pause/unpause). die and oom events are
+// recorded as ContainerLog entries with the exit code, and status changes are
+// published on `containerStateEvents` for Socket.IO. A dropped stream is reopened
+// from the time of the last event so nothing in between is missed.
+
+const { EventEmitter } = require('events');
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const logger = require('../utils/logger');
+
+const RECONNECT_DELAY = 5000;
+const WATCHED_ACTIONS = ['start', 'restart', 'die', 'oom', 'stop', 'pause', 'unpause'];
+
+// Statuses that follow directly from an event; die is resolved by inspecting the container
+const STATUS_BY_ACTION = {
+  start: 'RUNNING',
+  restart: 'RUNNING',
+  unpause: 'RUNNING',
+  pause: 'PAUSED',
+  stop: 'STOPPED',
+};
+
+// The panel owns these transitions (create, recreate, delete), so events are ignored
+const PANEL_MANAGED_STATUSES = ['CREATING', 'REMOVING'];
+
+const containerStateEvents = new EventEmitter();
+const containerManager = new ContainerManager(getDockerClient());
+
+let eventStream = null;
+let reconnectTimer = null;
+let lastEventTime = null;
+let lastEventNano = 0;
+let running = false;
+
+// Docker's view after a die: restarting under a restart policy, dead or exited
+const resolveDieStatus = async (dockerId) => {
+  try {
+    const { State } = await containerManager.getContainerInfo(dockerId);
+    if (State.Restarting) return 'RESTARTING';
+    if (State.Dead) return 'DEAD';
+    if (State.Running) return 'RUNNING';
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
+
+  return 'EXITED';
+};
+
+const recordEventLog = async (container, event) => {
+  const exitCode = parseInt(event.Actor?.Attributes?.exitCode);
+
+  await getPrismaClient().containerLog.create({
+    data: {
+      containerId: container.id,
+      command: event.Action === 'oom' ? 'OOM' : 'DIE',
+      output: event.Action === 'oom'
+        ? 'Container ran out of memory and was killed'
+        : `Container exited with code ${Number.isNaN(exitCode) ? 'unknown' : exitCode}`,
+      exitCode: event.Action === 'oom' ? 137 : (Number.isNaN(exitCode) ? null : exitCode),
+    },
+  });
+};
+
+const handleEvent = async (event) => {
+  if (event.Type !== 'container' || !WATCHED_ACTIONS.includes(event.Action)) return;
+
+  const prisma = getPrismaClient();
+  const dockerId = event.id || event.Actor?.ID;
+
+  // Containers replaced by a recreate no longer match any record
+  const container = await prisma.container.findFirst({
+    where: { dockerId },
+  });
+  if (!container) return;
+
+  if (['die', 'oom'].includes(event.Action)) {
+    await recordEventLog(container, event);
+  }
+
+  if (event.Action === 'oom' || PANEL_MANAGED_STATUSES.includes(container.status)) return;
+
+  const status = event.Action === 'die'
+    ? await resolveDieStatus(dockerId)
+    : STATUS_BY_ACTION[event.Action];
+
+  if (status === container.status) return;
+
+  // Only update while the record still points at this Docker container
+  const { count } = await prisma.container.updateMany({
+    where: {
+      id: container.id,
+      dockerId,
+      status: { notIn: PANEL_MANAGED_STATUSES },
+    },
+    data: { status },
+  });
+  if (count === 0) return;
+
+  const exitCode = parseInt(event.Actor?.Attributes?.exitCode);
+  containerStateEvents.emit('status', {
+    containerId: container.id,
+    ownerId: container.ownerId,
+    status,
+    previousStatus: container.status,
+    action: event.Action,
+    ...(event.Action === 'die' && { exitCode: Number.isNaN(exitCode) ? null : exitCode }),
+  });
+
+  logger.info('Container status changed by Docker event', {
+    containerId: container.id,
+    action: event.Action,
+    from: container.status,
+    to: status,
+  });
+};
+
+const scheduleReconnect = () => {
+  eventStream = null;
+  if (!running || reconnectTimer) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    subscribe();
+  }, RECONNECT_DELAY);
+  reconnectTimer.unref();
+};
+
+const subscribe = async () => {
+  try {
+    const stream = await getDockerClient().getEvents({
+      ...(lastEventTime && { since: lastEventTime }),
+      filters: {
+        type: ['container'],
+        label: ['panel.managed=true'],
+        event: WATCHED_ACTIONS,
+      },
+    });
+
+    if (!running) {
+      stream.destroy();
+      return;
+    }
+
+    eventStream = stream;
+    let buffer = '';
+    // Events are handled one at a time so a die is never applied before its start
+    let queue = Promise.resolve();
+
+    stream.on('data', (chunk) => {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines.filter(Boolean)) {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          logger.warn('Failed to parse Docker event:', error.message);
+          continue;
+        }
+
+        // Reconnecting from the last second delivers its events again
+        if (event.timeNano <= lastEventNano) continue;
+        lastEventTime = event.time;
+        lastEventNano = event.timeNano;
+
+        queue = queue.then(() => handleEvent(event)).catch((error) => {
+          logger.error('Failed to handle Docker event:', error);
+        });
+      }
+    });
+
+    stream.on('error', (error) => {
+      logger.warn('Docker events stream error:', error.message);
+    });
+    stream.on('close', () => {
+      if (eventStream === stream) scheduleReconnect();
+    });
+
+    logger.info('✅ Subscribed to Docker events', { since: lastEventTime });
+  } catch (error) {
+    logger.error('Failed to subscribe to Docker events:', error.message);
+    scheduleReconnect();
+  }
+};
+
+const startDockerEventSubscriber = () => {
+  if (running) return;
+
+  running = true;
+  lastEventTime = Math.floor(Date.now() / 1000);
+  subscribe();
+};
+
+const stopDockerEventSubscriber = () => {
+  running = false;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  if (eventStream) {
+    eventStream.destroy();
+    eventStream = null;
+  }
+};
+
+module.exports = {
+  containerStateEvents,
+  startDockerEventSubscriber,
+  stopDockerEventSubscriber,
+};
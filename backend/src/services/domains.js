@@ -0,0 +1,394 @@
+// Custom domains: a container can be reached on hostnames its owner controls once
+// ownership is proven with a TXT record at _panel-verification.<hostname>. Only DNS counts:
+// a file served over HTTP would merely show that the hostname points at the panel, which
+// is true for every customer's domain. Certificates are ordered from the
+// ACME server at ACME_DIRECTORY_URL (Let's Encrypt, or Pebble for local testing) with the
+// http-01 challenge, also answered by the proxy. Private keys live in the secrets store.
+// A cron task renews certificates that expire within CERT_RENEW_BEFORE_DAYS.
+// Several containers may claim a hostname while it is pending; the first to prove
+// ownership gets it and the other claims are dropped, so a claim alone blocks nobody.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const acme = require('acme-client');
+const cron = require('node-cron');
+const { getPrismaClient } = require('../utils/database');
+const { AppError, ConflictError } = require('../middleware/errorHandler');
+const { addJob } = require('./jobQueue');
+const { isSecretsConfigured, setDomainKey, deleteDomainKey } = require('./secrets');
+const {
+  isProxyEnabled,
+  getProxyStatus,
+  refreshProxyRoutes,
+  setAcmeChallenge,
+  removeAcmeChallenge,
+} = require('./httpProxy');
+const logger = require('../utils/logger');
+
+const ACME_DIRECTORY_URL = process.env.ACME_DIRECTORY_URL || '';
+const ACME_EMAIL = process.env.ACME_EMAIL || '';
+const ACME_DIR = process.env.ACME_DIR || '/var/lib/panel/acme';
+// The client checks its own challenge response first, which fails when the panel cannot
+// resolve the hostname itself (e.g. test domains only known to Pebble's DNS)
+const ACME_SKIP_SELF_CHECK = process.env.ACME_SKIP_SELF_CHECK === 'true';
+const RENEW_SCHEDULE = process.env.CERT_RENEW_SCHEDULE || '0 3 * * *';
+const RENEW_BEFORE_DAYS = parseInt(process.env.CERT_RENEW_BEFORE_DAYS) || 30;
+const MAX_DOMAINS_PER_CONTAINER = parseInt(process.env.MAX_DOMAINS_PER_CONTAINER) || 10;
+const VERIFICATION_RECORD = '_panel-verification';
+
+let acmeClient = null;
+let renewTask = null;
+
+const isAcmeEnabled = () => Boolean(ACME_DIRECTORY_URL);
+
+const normalizeHostname = hostname => String(hostname).trim().toLowerCase().replace(/\.$/, '');
+
+// What the owner has to publish to prove control of the domain
+const getVerificationInstructions = domain => ({
+  dns: {
+    type: 'TXT',
+    name: `${VERIFICATION_RECORD}.${domain.hostname}`,
+    value: domain.verificationToken,
+  },
+});
+
+const serializeDomain = domain => ({
+  id: domain.id,
+  containerId: domain.containerId,
+  hostname: domain.hostname,
+  url: `${domain.certificate ? 'https' : 'http'}://${domain.hostname}`,
+  verification: {
+    verified: Boolean(domain.verifiedAt),
+    verifiedAt: domain.verifiedAt,
+    lastCheckedAt: domain.lastCheckedAt,
+    error: domain.verificationError,
+    instructions: getVerificationInstructions(domain),
+  },
+  certificate: {
+    status: domain.certStatus,
+    issuedAt: domain.certIssuedAt,
+    expiresAt: domain.certExpiresAt,
+    error: domain.certError,
+    jobId: domain.certJobId,
+  },
+  createdAt: domain.createdAt,
+});
+
+const addDomain = async (container, { hostname }) => {
+  if (!isProxyEnabled()) {
+    throw new AppError('Custom domains need the HTTP proxy: PROXY_DOMAIN is not configured', 503, 'PROXY_DISABLED');
+  }
+
+  const prisma = getPrismaClient();
+  const name = normalizeHostname(hostname);
+  const proxyDomain = getProxyStatus().domain.toLowerCase();
+
+  // Subdomains of the proxy domain are handed out by container name
+  if (name === proxyDomain || name.endsWith(`.${proxyDomain}`)) {
+    throw new AppError(`Hostnames under ${proxyDomain} are reserved for container subdomains`, 400, 'DOMAIN_RESERVED');
+  }
+
+  const count = await prisma.domain.count({ where: { containerId: container.id } });
+  if (count >= MAX_DOMAINS_PER_CONTAINER) {
+    throw new AppError(`A container can have at most ${MAX_DOMAINS_PER_CONTAINER} domains`, 400, 'DOMAIN_LIMIT_REACHED');
+  }
+
+  const existing = await prisma.domain.findFirst({
+    where: {
+      hostname: name,
+      OR: [{ verifiedAt: { not: null } }, { containerId: container.id }],
+    },
+  });
+  if (existing) {
+    throw new ConflictError(`Domain ${name} is already in use`);
+  }
+
+  const domain = await prisma.domain.create({
+    data: {
+      containerId: container.id,
+      hostname: name,
+      verificationToken: crypto.randomBytes(16).toString('hex'),
+    },
+  });
+
+  return domain;
+};
+
+// Error message when ownership could not be proven, null when it was
+const checkOwnership = async (domain) => {
+  const { dns: record } = getVerificationInstructions(domain);
+
+  try {
+    const records = await dns.promises.resolveTxt(record.name);
+    return records.some(chunks => chunks.join('') === record.value)
+      ? null
+      : `TXT record ${record.name} does not contain the verification token`;
+  } catch (error) {
+    return `TXT record ${record.name} not found (${error.code || error.message})`;
+  }
+};
+
+// Check ownership and, once proven, route the domain and order its certificate
+const verifyDomain = async (domain, { userId = null } = {}) => {
+  const ownershipError = await checkOwnership(domain);
+  const now = new Date();
+
+  const updated = await getPrismaClient().$transaction(async (tx) => {
+    const taken = !ownershipError && await tx.domain.findFirst({
+      where: { hostname: domain.hostname, verifiedAt: { not: null }, id: { not: domain.id } },
+    });
+    const error = ownershipError || (taken ? 'Domain is already verified by another container' : null);
+
+    if (!error) {
+      await tx.domain.deleteMany({
+        where: { hostname: domain.hostname, verifiedAt: null, id: { not: domain.id } },
+      });
+    }
+
+    return tx.domain.update({
+      where: { id: domain.id },
+      data: {
+        lastCheckedAt: now,
+        verificationError: error,
+        ...(!error && { verifiedAt: now }),
+      },
+    });
+  });
+
+  if (!updated.verifiedAt) return updated;
+
+  refreshProxyRoutes();
+
+  if (isAcmeEnabled() && isSecretsConfigured()) {
+    try {
+      return (await queueCertificate(updated, { userId })).domain;
+    } catch (queueError) {
+      logger.error(`Failed to queue certificate of ${updated.hostname}:`, queueError);
+    }
+  }
+
+  return updated;
+};
+
+const queueCertificate = async (domain, { userId = null } = {}) => {
+  if (!isAcmeEnabled()) {
+    throw new AppError('Certificate issuance is disabled: ACME_DIRECTORY_URL is not configured', 503, 'ACME_DISABLED');
+  }
+  if (!isSecretsConfigured()) {
+    throw new AppError('Certificate keys need the secrets store: SECRETS_MASTER_KEY is not configured', 503, 'SECRETS_UNAVAILABLE');
+  }
+  if (!domain.verifiedAt) {
+    throw new ConflictError('Domain must be verified before a certificate can be issued');
+  }
+  if (domain.certStatus === 'PENDING') {
+    throw new ConflictError('A certificate for this domain is already being issued');
+  }
+
+  const prisma = getPrismaClient();
+  await prisma.domain.update({
+    where: { id: domain.id },
+    data: { certStatus: 'PENDING', certError: null },
+  });
+
+  try {
+    const job = await addJob('domain.certificate', { domainId: domain.id }, {
+      userId,
+      containerId: domain.containerId,
+      jobId: `certificate-${domain.id}-${Date.now()}`,
+    });
+
+    const updated = await prisma.domain.update({
+      where: { id: domain.id },
+      data: { certJobId: job.id },
+    });
+    return { domain: updated, job };
+  } catch (error) {
+    await prisma.domain.update({
+      where: { id: domain.id },
+      data: { certStatus: domain.certStatus },
+    }).catch((restoreError) => {
+      logger.error('Failed to restore certificate status:', restoreError);
+    });
+    throw error;
+  }
+};
+
+// The account key is created on first use and kept so renewals use the same account
+const loadAccountKey = async () => {
+  const file = path.join(ACME_DIR, 'account.pem');
+
+  try {
+    return await fs.promises.readFile(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const key = await acme.crypto.createPrivateKey();
+  await fs.promises.mkdir(ACME_DIR, { recursive: true, mode: 0o700 });
+  await fs.promises.writeFile(file, key, { mode: 0o600 });
+  logger.info(`Created ACME account key in ${file}`);
+
+  return key;
+};
+
+const getAcmeClient = async () => {
+  if (acmeClient) return acmeClient;
+
+  // Pebble and other test servers use a certificate from their own CA
+  if (process.env.ACME_CA_CERT) {
+    acme.axios.defaults.httpsAgent = new https.Agent({
+      ca: await fs.promises.readFile(process.env.ACME_CA_CERT),
+    });
+  }
+
+  acmeClient = new acme.Client({
+    directoryUrl: ACME_DIRECTORY_URL,
+    accountKey: await loadAccountKey(),
+  });
+  return acmeClient;
+};
+
+// Order a certificate for a queued domain (runs as a background job)
+const issueCertificate = async (domainId, { report = async () => {} } = {}) => {
+  const prisma = getPrismaClient();
+  const domain = await prisma.domain.findUnique({ where: { id: domainId } });
+  if (!domain) return null;
+
+  const client = await getAcmeClient();
+
+  await report(10, 'Creating certificate request', 'csr');
+  const [key, csr] = await acme.crypto.createCsr({ commonName: domain.hostname });
+
+  await report(30, `Ordering certificate for ${domain.hostname}`, 'order');
+  const certificate = await client.auto({
+    csr,
+    ...(ACME_EMAIL && { email: ACME_EMAIL }),
+    termsOfServiceAgreed: true,
+    challengePriority: ['http-01'],
+    skipChallengeVerification: ACME_SKIP_SELF_CHECK,
+    challengeCreateFn: async (authz, challenge, keyAuthorization) => {
+      setAcmeChallenge(challenge.token, keyAuthorization);
+    },
+    challengeRemoveFn: async (authz, challenge) => {
+      removeAcmeChallenge(challenge.token);
+    },
+  });
+
+  await report(90, 'Storing certificate', 'store');
+  const { notAfter } = acme.crypto.readCertificateInfo(certificate);
+  const keySecretId = await setDomainKey(domain, key.toString());
+
+  const updated = await prisma.domain.update({
+    where: { id: domain.id },
+    data: {
+      certificate,
+      keySecretId,
+      certStatus: 'ISSUED',
+      certIssuedAt: new Date(),
+      certExpiresAt: notAfter,
+      certError: null,
+    },
+  });
+
+  refreshProxyRoutes();
+  return updated;
+};
+
+// A failed renewal keeps the previous certificate, which the proxy serves until it expires
+const markCertificateFailed = async (domainId, error) => {
+  await getPrismaClient().domain.updateMany({
+    where: { id: domainId },
+    data: {
+      certStatus: 'FAILED',
+      certError: error?.message || String(error),
+    },
+  });
+};
+
+const deleteDomain = async (domain) => {
+  await getPrismaClient().domain.delete({ where: { id: domain.id } });
+  await deleteDomainKey(domain);
+  refreshProxyRoutes();
+};
+
+// Mark expired certificates and queue renewals of those expiring soon
+const renewCertificates = async () => {
+  const prisma = getPrismaClient();
+  const now = new Date();
+
+  const expired = await prisma.domain.updateMany({
+    where: { certStatus: 'ISSUED', certExpiresAt: { lte: now } },
+    data: { certStatus: 'EXPIRED' },
+  });
+
+  if (!isAcmeEnabled()) {
+    return { queued: 0, expired: expired.count };
+  }
+
+  const domains = await prisma.domain.findMany({
+    where: {
+      verifiedAt: { not: null },
+      certStatus: { in: ['ISSUED', 'EXPIRED', 'FAILED'] },
+      certExpiresAt: { lte: new Date(now.getTime() + RENEW_BEFORE_DAYS * 24 * 60 * 60 * 1000) },
+    },
+  });
+
+  let queued = 0;
+  for (const domain of domains) {
+    try {
+      await queueCertificate(domain);
+      queued++;
+    } catch (error) {
+      logger.error(`Failed to queue certificate renewal of ${domain.hostname}:`, error);
+    }
+  }
+
+  return { queued, expired: expired.count };
+};
+
+const startCertificateRenewal = () => {
+  if (renewTask) return;
+
+  if (!cron.validate(RENEW_SCHEDULE)) {
+    logger.error(`Certificate renewal disabled: invalid CERT_RENEW_SCHEDULE "${RENEW_SCHEDULE}"`);
+    return;
+  }
+
+  renewTask = cron.schedule(RENEW_SCHEDULE, () => {
+    renewCertificates()
+      .then((result) => {
+        if (result.queued || result.expired) {
+          logger.info('Certificate renewal run finished', result);
+        }
+      })
+      .catch((error) => {
+        logger.error('Certificate renewal run failed:', error);
+      });
+  });
+
+  logger.info(`Certificate renewal scheduled (${RENEW_SCHEDULE})`);
+};
+
+const stopCertificateRenewal = () => {
+  if (renewTask) {
+    renewTask.stop();
+    renewTask = null;
+  }
+};
+
+module.exports = {
+  isAcmeEnabled,
+  serializeDomain,
+  addDomain,
+  verifyDomain,
+  queueCertificate,
+  issueCertificate,
+  markCertificateFailed,
+  deleteDomain,
+  renewCertificates,
+  startCertificateRenewal,
+  stopCertificateRenewal,
+};
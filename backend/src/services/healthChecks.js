@@ -0,0 +1,295 @@
+// Container health checks: the check stored in Container.config.healthCheck (an HTTP path
+// on a port, a TCP port or a shell command) becomes the Docker Healthcheck of the
+// container, so Docker probes it from inside. A monitor polls the health state of running
+// containers every HEALTH_MONITOR_INTERVAL into healthStatus / healthFailures, records
+// when a container turns unhealthy or recovers as ContainerLog entries and publishes the
+// change on `containerStateEvents`. With autoRestart on, a container is restarted after
+// `restartAfter` consecutive failed probes, at most HEALTH_MAX_RESTARTS times per hour.
+
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { containerStateEvents } = require('./dockerEvents');
+const { resumeContainerTunnels } = require('./tunnelSidecar');
+const logger = require('../utils/logger');
+
+const MONITOR_INTERVAL = parseInt(process.env.HEALTH_MONITOR_INTERVAL) || 15000;
+const MAX_RESTARTS_PER_HOUR = parseInt(process.env.HEALTH_MAX_RESTARTS) || 5;
+const RESTART_WINDOW = 60 * 60 * 1000;
+const NANOSECONDS = 1e9;
+
+const HEALTH_CHECK_TYPES = ['http', 'tcp', 'command'];
+
+// Seconds, except retries and restartAfter
+const HEALTH_CHECK_DEFAULTS = {
+  path: '/',
+  interval: 30,
+  timeout: 5,
+  retries: 3,
+  startPeriod: 10,
+  autoRestart: false,
+  restartAfter: 3,
+};
+
+const HEALTH_STATUS = {
+  starting: 'STARTING',
+  healthy: 'HEALTHY',
+  unhealthy: 'UNHEALTHY',
+};
+
+const containerManager = new ContainerManager(getDockerClient());
+
+let monitorTimer = null;
+// Auto-restarts per container ID in the last hour
+const restartHistory = new Map();
+const restarting = new Set();
+
+// Stored form of a health check from the API; null removes it
+const normalizeHealthCheck = (healthCheck) => {
+  if (!healthCheck) return null;
+
+  const normalized = {
+    type: healthCheck.type,
+    ...(healthCheck.type !== 'command' && { port: parseInt(healthCheck.port) }),
+    ...(healthCheck.type === 'http' && { path: healthCheck.path || HEALTH_CHECK_DEFAULTS.path }),
+    ...(healthCheck.type === 'command' && { command: healthCheck.command }),
+  };
+
+  for (const key of ['interval', 'timeout', 'retries', 'startPeriod', 'restartAfter']) {
+    normalized[key] = healthCheck[key] !== undefined ? parseInt(healthCheck[key]) : HEALTH_CHECK_DEFAULTS[key];
+  }
+  normalized.autoRestart = healthCheck.autoRestart !== undefined ? Boolean(healthCheck.autoRestart) : HEALTH_CHECK_DEFAULTS.autoRestart;
+
+  return normalized;
+};
+
+// Probes run with /bin/sh inside the container and use whichever client the image has
+const buildProbe = (healthCheck) => {
+  const { type, port, path, command, timeout } = healthCheck;
+
+  if (type === 'command') return command;
+
+  if (type === 'http') {
+    const url = `'http://127.0.0.1:${port}${path}'`;
+    return [
+      `wget -q -T ${timeout} -O /dev/null ${url}`,
+      `curl -fs -m ${timeout} -o /dev/null ${url}`,
+      `python3 -c 'import sys,urllib.request;urllib.request.urlopen(sys.argv[1],timeout=${timeout})' ${url}`,
+      `node -e 'require("http").get(process.argv[1],r=>process.exit(r.statusCode<400?0:1)).on("error",()=>process.exit(1))' ${url}`,
+    ].map(probe => `${probe} >/dev/null 2>&1`).join(' || ').concat(' || exit 1');
+  }
+
+  return [
+    `nc -z -w ${timeout} 127.0.0.1 ${port}`,
+    `bash -c 'echo > /dev/tcp/127.0.0.1/${port}'`,
+    `python3 -c 'import socket;socket.create_connection(("127.0.0.1",${port}),${timeout})'`,
+    `node -e 'require("net").connect(${port},"127.0.0.1").on("connect",()=>process.exit(0)).on("error",()=>process.exit(1))'`,
+  ].map(probe => `${probe} >/dev/null 2>&1`).join(' || ').concat(' || exit 1');
+};
+
+// Docker Healthcheck for a stored health check; null means the image default applies
+const toDockerHealthcheck = (healthCheck) => {
+  if (!healthCheck) return null;
+
+  return {
+    Test: ['CMD-SHELL', buildProbe(healthCheck)],
+    Interval: healthCheck.interval * NANOSECONDS,
+    Timeout: healthCheck.timeout * NANOSECONDS,
+    Retries: healthCheck.retries,
+    StartPeriod: healthCheck.startPeriod * NANOSECONDS,
+  };
+};
+
+// How long a recreated container may take to report healthy before it is rolled back
+const getHealthyWaitTimeout = (healthCheck) => {
+  if (!healthCheck) return 0;
+  const { startPeriod, interval, timeout, retries } = healthCheck;
+  return (startPeriod + (interval + timeout) * (retries + 1)) * 1000;
+};
+
+// Health of a container for the API: configuration, stored state and the latest probes
+const getContainerHealth = (container, dockerInfo = null) => {
+  const health = dockerInfo?.State?.Health;
+
+  return {
+    check: container.config?.healthCheck || null,
+    // Images can bring their own HEALTHCHECK
+    source: container.config?.healthCheck ? 'panel' : (health ? 'image' : null),
+    status: health ? HEALTH_STATUS[health.Status] || null : container.healthStatus,
+    failingStreak: health ? health.FailingStreak : container.healthFailures,
+    updatedAt: container.healthUpdatedAt,
+    probes: (health?.Log || []).map(probe => ({
+      startedAt: probe.Start,
+      finishedAt: probe.End,
+      exitCode: probe.ExitCode,
+      output: probe.Output,
+    })),
+  };
+};
+
+const recordHealthLog = (containerId, command, output, exitCode) => getPrismaClient().containerLog.create({
+  data: { containerId, command, output, exitCode },
+});
+
+const lastProbeOutput = (health) => {
+  const probe = health.Log?.[health.Log.length - 1];
+  return probe?.Output?.trim() ? `: ${probe.Output.trim().slice(0, 500)}` : '';
+};
+
+// Restarts left in the current hour for a container
+const takeRestartSlot = (containerId) => {
+  const since = Date.now() - RESTART_WINDOW;
+  const recent = (restartHistory.get(containerId) || []).filter(time => time > since);
+  if (recent.length >= MAX_RESTARTS_PER_HOUR) {
+    restartHistory.set(containerId, recent);
+    return false;
+  }
+
+  restartHistory.set(containerId, [...recent, Date.now()]);
+  return true;
+};
+
+const autoRestart = async (container, failures) => {
+  if (restarting.has(container.id)) return;
+
+  if (!takeRestartSlot(container.id)) {
+    logger.warn('Auto-restart limit reached, container left unhealthy', {
+      containerId: container.id,
+      limit: MAX_RESTARTS_PER_HOUR,
+    });
+    return;
+  }
+
+  restarting.add(container.id);
+  try {
+    await containerManager.restartContainer(container.dockerId);
+    await recordHealthLog(container.id, 'AUTO_RESTART', `Restarted after ${failures} consecutive failed health checks`, 0);
+
+    // The restarted container starts a new health check run
+    await getPrismaClient().container.update({
+      where: { id: container.id },
+      data: { healthStatus: 'STARTING', healthFailures: 0, healthUpdatedAt: new Date() },
+    });
+
+    // Tunnel sidecars share the network namespace of the restarted container
+    resumeContainerTunnels(container).catch((error) => {
+      logger.warn('Failed to resume container tunnels:', error.message);
+    });
+
+    logger.warn('Container restarted by failing health check', {
+      containerId: container.id,
+      failures,
+    });
+  } catch (error) {
+    await recordHealthLog(container.id, 'AUTO_RESTART', `Restart after ${failures} failed health checks failed: ${error.message}`, 1);
+    logger.error(`Failed to auto-restart container ${container.id}:`, error);
+  } finally {
+    restarting.delete(container.id);
+  }
+};
+
+// Store the Docker health state of a container and act on it
+const applyHealthState = async (container, health) => {
+  const status = health ? HEALTH_STATUS[health.Status] || null : null;
+  const failures = health?.FailingStreak || 0;
+
+  if (status !== container.healthStatus || failures !== container.healthFailures) {
+    await getPrismaClient().container.update({
+      where: { id: container.id },
+      data: { healthStatus: status, healthFailures: failures, healthUpdatedAt: new Date() },
+    });
+  }
+
+  if (status !== container.healthStatus) {
+    if (status === 'UNHEALTHY') {
+      await recordHealthLog(container.id, 'HEALTH', `Health check failed ${failures} times in a row${lastProbeOutput(health)}`, 1);
+    } else if (status === 'HEALTHY' && container.healthStatus === 'UNHEALTHY') {
+      await recordHealthLog(container.id, 'HEALTH', 'Health check passing again', 0);
+    }
+
+    containerStateEvents.emit('health', {
+      containerId: container.id,
+      ownerId: container.ownerId,
+      health: status,
+      previousHealth: container.healthStatus,
+      failingStreak: failures,
+    });
+  }
+
+  const healthCheck = container.config?.healthCheck;
+  if (healthCheck?.autoRestart && failures >= healthCheck.restartAfter) {
+    await autoRestart(container, failures);
+  }
+};
+
+const checkContainerHealth = async () => {
+  const prisma = getPrismaClient();
+
+  // Health only applies while a container runs
+  await prisma.container.updateMany({
+    where: { status: { not: 'RUNNING' }, healthStatus: { not: null } },
+    data: { healthStatus: null, healthFailures: 0, healthUpdatedAt: new Date() },
+  });
+
+  const containers = await prisma.container.findMany({
+    where: { dockerId: { not: null }, status: 'RUNNING' },
+    select: {
+      id: true,
+      ownerId: true,
+      dockerId: true,
+      config: true,
+      healthStatus: true,
+      healthFailures: true,
+    },
+  });
+
+  // `docker ps` marks containers with a health check as (starting), (healthy) or (unhealthy)
+  const running = await containerManager.listContainers(false);
+  const withHealth = new Set(running.filter(item => /\((health: )?(starting|healthy|unhealthy)\)/.test(item.Status)).map(item => item.Id));
+
+  for (const container of containers) {
+    try {
+      let health = null;
+      if (withHealth.has(container.dockerId)) {
+        const info = await containerManager.getContainerInfo(container.dockerId);
+        health = info.State?.Health || null;
+      }
+      await applyHealthState(container, health);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        logger.warn(`Failed to check health of container ${container.id}:`, error.message);
+      }
+    }
+  }
+};
+
+const startHealthMonitor = () => {
+  if (monitorTimer) return;
+
+  monitorTimer = setInterval(() => {
+    checkContainerHealth().catch((error) => {
+      logger.error('Container health monitor failed:', error);
+    });
+  }, MONITOR_INTERVAL);
+  monitorTimer.unref();
+
+  logger.info('✅ Container health monitor started', { interval: MONITOR_INTERVAL });
+};
+
+const stopHealthMonitor = () => {
+  if (!monitorTimer) return;
+  clearInterval(monitorTimer);
+  monitorTimer = null;
+};
+
+module.exports = {
+  HEALTH_CHECK_TYPES,
+  HEALTH_CHECK_DEFAULTS,
+  normalizeHealthCheck,
+  buildProbe,
+  toDockerHealthcheck,
+  getHealthyWaitTimeout,
+  getContainerHealth,
+  checkContainerHealth,
+  startHealthMonitor,
+  stopHealthMonitor,
+};
@@ -0,0 +1,505 @@
+// Built-in HTTP reverse proxy: requests for <container-name>.<PROXY_DOMAIN> and verified
+// custom domains are routed by Host header to the first TCP port of the container, reached
+// on its pool host port at PROXY_UPSTREAM_HOST. It runs as its own HTTP server on
+// PROXY_PORT next to the API, plus an HTTPS server on PROXY_TLS_PORT that terminates TLS
+// with the certificate of each custom domain (SNI) or the PROXY_TLS_CERT fallback.
+// WebSocket upgrades are piped through; stopped containers and apps that do not answer
+// get a placeholder page. The proxy also answers ACME http-01 challenges and the HTTP
+// ownership check of pending domains. The routing table is built from the Container and
+// Domain records and rebuilt when Docker reports a status change, when the panel changes
+// a container or domain, and every PROXY_REFRESH_INTERVAL as a safety net.
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { getPrismaClient } = require('../utils/database');
+const { containerStateEvents } = require('./dockerEvents');
+const { getDomainKey } = require('./secrets');
+const logger = require('../utils/logger');
+
+const PROXY_DOMAIN = (process.env.PROXY_DOMAIN || '').toLowerCase().replace(/^\.+|\.+$/g, '');
+const PROXY_PORT = parseInt(process.env.PROXY_PORT) || 8080;
+const PROXY_TLS_PORT = parseInt(process.env.PROXY_TLS_PORT) || 8443;
+const UPSTREAM_HOST = process.env.PROXY_UPSTREAM_HOST || '127.0.0.1';
+const CONNECT_TIMEOUT = parseInt(process.env.PROXY_CONNECT_TIMEOUT) || 5000;
+const RESPONSE_TIMEOUT = parseInt(process.env.PROXY_TIMEOUT) || 60000;
+const WEBSOCKET_TIMEOUT = parseInt(process.env.PROXY_WEBSOCKET_TIMEOUT) || 3600000;
+const REFRESH_INTERVAL = parseInt(process.env.PROXY_REFRESH_INTERVAL) || 60000;
+const REBUILD_DELAY = 200;
+
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'te', 'trailer', 'upgrade'];
+const ACME_CHALLENGE_PATH = '/.well-known/acme-challenge/';
+
+const upstreamAgent = new http.Agent({ keepAlive: true });
+
+// hostname -> { hostname, domainId, containerId, containerName, status, hostPort, containerPort }
+let routes = new Map();
+// hostname -> { version, context } for custom domains with a valid certificate
+let secureContexts = new Map();
+// ACME http-01 token -> key authorization, set while an order is being validated
+const acmeChallenges = new Map();
+let defaultSecureContext = null;
+let server = null;
+let tlsServer = null;
+let refreshTimer = null;
+let rebuildTimer = null;
+
+const isProxyEnabled = () => Boolean(PROXY_DOMAIN);
+
+// Container names allow underscores and capitals, DNS labels do not
+const getContainerHostname = name => `${name.toLowerCase().replace(/_/g, '-').replace(/^-+|-+$/g, '')}.${PROXY_DOMAIN}`;
+
+// TLS context of a domain, reused while its certificate stays the same
+const loadSecureContext = async (domain) => {
+  const version = `${domain.id}:${domain.certIssuedAt?.getTime()}`;
+  const current = secureContexts.get(domain.hostname);
+  if (current?.version === version) return current;
+
+  return {
+    version,
+    context: tls.createSecureContext({ cert: domain.certificate, key: await getDomainKey(domain) }),
+  };
+};
+
+const buildRoutes = async () => {
+  const prisma = getPrismaClient();
+  const [containers, domains] = await Promise.all([
+    prisma.container.findMany({
+      select: { id: true, name: true, status: true, ports: true },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.domain.findMany({
+      select: {
+        id: true,
+        containerId: true,
+        hostname: true,
+        verifiedAt: true,
+        certificate: true,
+        keySecretId: true,
+        certIssuedAt: true,
+        certExpiresAt: true,
+      },
+    }),
+  ]);
+
+  const next = new Map();
+  const targets = new Map();
+  for (const container of containers) {
+    const port = (container.ports || []).find(item => (item.protocol || 'tcp') === 'tcp' && item.hostPort);
+    const target = {
+      containerId: container.id,
+      containerName: container.name,
+      status: container.status,
+      hostPort: port?.hostPort || null,
+      containerPort: port?.containerPort || null,
+    };
+    targets.set(container.id, target);
+
+    const hostname = getContainerHostname(container.name);
+    // Names are unique per owner only; the oldest container keeps a shared subdomain
+    if (!next.has(hostname)) {
+      next.set(hostname, { hostname, domainId: null, ...target });
+    }
+  }
+
+  const now = new Date();
+  const nextContexts = new Map();
+  for (const domain of domains) {
+    if (!domain.verifiedAt) continue;
+
+    const target = targets.get(domain.containerId);
+    if (!target) continue;
+    next.set(domain.hostname, { hostname: domain.hostname, domainId: domain.id, ...target });
+
+    // A certificate stays in use while its renewal runs or failed, until it expires
+    if (domain.certificate && domain.keySecretId && domain.certExpiresAt > now) {
+      try {
+        nextContexts.set(domain.hostname, await loadSecureContext(domain));
+      } catch (error) {
+        logger.warn('Failed to load the certificate of a domain', {
+          domainId: domain.id,
+          hostname: domain.hostname,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  routes = next;
+  secureContexts = nextContexts;
+  return routes;
+};
+
+const setAcmeChallenge = (token, keyAuthorization) => {
+  acmeChallenges.set(token, keyAuthorization);
+};
+
+const removeAcmeChallenge = (token) => {
+  acmeChallenges.delete(token);
+};
+
+// Rebuild soon; bursts of changes (e.g. a recreate) end up as one rebuild
+const refreshProxyRoutes = () => {
+  if (!server || rebuildTimer) return;
+
+  rebuildTimer = setTimeout(() => {
+    rebuildTimer = null;
+    buildRoutes().catch((error) => {
+      logger.error('Failed to rebuild proxy routes:', error);
+    });
+  }, REBUILD_DELAY);
+  rebuildTimer.unref();
+};
+
+// Subdomain of a container and whether the proxy currently routes it there
+const getContainerProxy = (container) => {
+  if (!isProxyEnabled()) return { enabled: false };
+
+  const hostname = getContainerHostname(container.name);
+  const route = routes.get(hostname);
+
+  return {
+    enabled: true,
+    hostname,
+    url: `http://${hostname}`,
+    active: route?.containerId === container.id,
+    conflict: Boolean(route && route.containerId !== container.id),
+  };
+};
+
+const getProxyStatus = () => ({
+  enabled: isProxyEnabled(),
+  listening: Boolean(server?.listening),
+  tlsListening: Boolean(tlsServer?.listening),
+  domain: PROXY_DOMAIN || null,
+  port: PROXY_PORT,
+  tlsPort: PROXY_TLS_PORT,
+  upstreamHost: UPSTREAM_HOST,
+  routes: [...routes.values()].map(route => ({ ...route, tls: secureContexts.has(route.hostname) })),
+});
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const renderPage = (title, message) => `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body{margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;font-family:system-ui,sans-serif;background:#f9fafb;color:#111827}
+main{max-width:32rem;padding:2rem;text-align:center}
+h1{font-size:1.5rem;margin:0 0 .5rem}
+p{color:#4b5563;margin:0}
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+</main>
+</body>
+</html>
+`;
+
+const sendPage = (res, statusCode, title, message) => {
+  res.writeHead(statusCode, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  res.end(renderPage(title, message));
+};
+
+const PAGES = {
+  notFound: host => [404, 'Aplikasi tidak ditemukan', `Tidak ada container untuk ${host}.`],
+  stopped: route => [503, 'Aplikasi sedang berhenti', `Container ${route.containerName} tidak berjalan. Jalankan container dari panel untuk membuka aplikasi ini.`],
+  noPort: route => [503, 'Aplikasi belum bisa diakses', `Container ${route.containerName} tidak memiliki port TCP yang dipublikasikan.`],
+  unreachable: route => [502, 'Aplikasi tidak merespons', `Container ${route.containerName} berjalan, tetapi aplikasi tidak menerima koneksi di port ${route.containerPort}.`],
+  timeout: route => [504, 'Aplikasi terlalu lama merespons', `Container ${route.containerName} tidak menjawab tepat waktu.`],
+};
+
+const getRequestHost = req => (req.headers.host || '').toLowerCase().replace(/:\d+$/, '');
+
+// Route for a request, or the placeholder page to answer with instead
+const resolveRoute = (req) => {
+  const host = getRequestHost(req);
+  const route = routes.get(host);
+
+  if (!route) return { page: PAGES.notFound(host || 'host ini') };
+  if (route.status !== 'RUNNING') return { route, page: PAGES.stopped(route) };
+  if (!route.hostPort) return { route, page: PAGES.noPort(route) };
+  return { route };
+};
+
+const forwardHeaders = (req, { upgrade = false } = {}) => {
+  const headers = { ...req.headers };
+  for (const header of HOP_BY_HOP_HEADERS) {
+    delete headers[header];
+  }
+
+  if (upgrade) {
+    headers.connection = 'Upgrade';
+    headers.upgrade = req.headers.upgrade;
+  }
+
+  const clientIp = req.socket.remoteAddress;
+  headers['x-forwarded-for'] = req.headers['x-forwarded-for'] ? `${req.headers['x-forwarded-for']}, ${clientIp}` : clientIp;
+  headers['x-forwarded-host'] = req.headers.host;
+  headers['x-forwarded-proto'] = req.socket.encrypted ? 'https' : 'http';
+
+  return headers;
+};
+
+const responseHeaders = (headers) => {
+  const result = { ...headers };
+  for (const header of HOP_BY_HOP_HEADERS) {
+    delete result[header];
+  }
+  return result;
+};
+
+const timeoutError = () => Object.assign(new Error('Upstream timed out'), { code: 'ETIMEDOUT' });
+
+const sendText = (res, text) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' });
+  res.end(text);
+};
+
+// ACME challenges are answered by the proxy itself
+const handleWellKnown = (req, res) => {
+  const path = req.url.split('?')[0];
+
+  if (path.startsWith(ACME_CHALLENGE_PATH)) {
+    const keyAuthorization = acmeChallenges.get(path.slice(ACME_CHALLENGE_PATH.length));
+    if (!keyAuthorization) return false;
+    sendText(res, keyAuthorization);
+    return true;
+  }
+
+  return false;
+};
+
+const handleRequest = (req, res) => {
+  if (handleWellKnown(req, res)) return;
+
+  // Custom domains with a certificate are served over HTTPS only
+  const host = getRequestHost(req);
+  if (!req.socket.encrypted && secureContexts.has(host)) {
+    res.writeHead(308, { Location: `https://${host}${req.url}` });
+    res.end();
+    return;
+  }
+
+  const { route, page } = resolveRoute(req);
+  if (page) {
+    sendPage(res, ...page);
+    return;
+  }
+
+  const upstream = http.request({
+    host: UPSTREAM_HOST,
+    port: route.hostPort,
+    method: req.method,
+    path: req.url,
+    headers: forwardHeaders(req),
+    agent: upstreamAgent,
+  });
+
+  // Connecting gets the short timeout; a connected upstream has until the response timeout
+  upstream.on('socket', (socket) => {
+    if (socket.connecting) {
+      socket.setTimeout(CONNECT_TIMEOUT);
+      socket.once('connect', () => socket.setTimeout(RESPONSE_TIMEOUT));
+    } else {
+      socket.setTimeout(RESPONSE_TIMEOUT);
+    }
+  });
+  upstream.on('timeout', () => upstream.destroy(timeoutError()));
+
+  upstream.on('response', (upstreamRes) => {
+    res.writeHead(upstreamRes.statusCode, responseHeaders(upstreamRes.headers));
+    upstreamRes.pipe(res);
+  });
+
+  upstream.on('error', (error) => {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+
+    logger.debug('Proxy upstream error', {
+      host: route.hostname,
+      containerId: route.containerId,
+      error: error.message,
+    });
+    sendPage(res, ...(error.code === 'ETIMEDOUT' ? PAGES.timeout(route) : PAGES.unreachable(route)));
+  });
+
+  // The client went away before the response was complete
+  res.on('close', () => {
+    if (!res.writableFinished) upstream.destroy();
+  });
+
+  req.pipe(upstream);
+};
+
+const writeRawResponse = (socket, statusCode, statusText) => {
+  socket.end(`HTTP/1.1 ${statusCode} ${statusText}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+};
+
+const handleUpgrade = (req, socket, head) => {
+  const { route, page } = resolveRoute(req);
+  if (page) {
+    writeRawResponse(socket, page[0], http.STATUS_CODES[page[0]]);
+    return;
+  }
+
+  let connected = false;
+  const upstream = net.connect(route.hostPort, UPSTREAM_HOST);
+  upstream.setTimeout(CONNECT_TIMEOUT);
+
+  const close = () => {
+    upstream.destroy();
+    socket.destroy();
+  };
+
+  upstream.once('connect', () => {
+    connected = true;
+    upstream.setTimeout(WEBSOCKET_TIMEOUT);
+    socket.setTimeout(WEBSOCKET_TIMEOUT);
+
+    const headerLines = Object.entries(forwardHeaders(req, { upgrade: true }))
+      .flatMap(([key, value]) => (Array.isArray(value) ? value : [value]).map(item => `${key}: ${item}`));
+    upstream.write([`${req.method} ${req.url} HTTP/1.1`, ...headerLines, '', ''].join('\r\n'));
+    if (head?.length > 0) upstream.write(head);
+
+    // The upstream answers the handshake itself (101 Switching Protocols)
+    upstream.pipe(socket);
+    socket.pipe(upstream);
+  });
+
+  upstream.on('timeout', () => {
+    if (!connected) {
+      writeRawResponse(socket, 504, 'Gateway Timeout');
+      upstream.destroy();
+      return;
+    }
+    close();
+  });
+  upstream.on('error', (error) => {
+    if (!connected) {
+      logger.debug('Proxy WebSocket upstream error', {
+        host: route.hostname,
+        containerId: route.containerId,
+        error: error.message,
+      });
+      writeRawResponse(socket, 502, 'Bad Gateway');
+      return;
+    }
+    close();
+  });
+  upstream.on('close', () => socket.destroy());
+  socket.on('timeout', close);
+  socket.on('error', close);
+  socket.on('close', () => upstream.destroy());
+};
+
+// Certificate for the SNI name: the custom domain's own, else the fallback certificate
+const selectSecureContext = (servername, callback) => {
+  const context = secureContexts.get(servername.toLowerCase())?.context || defaultSecureContext;
+  if (!context) {
+    callback(new Error(`No certificate for ${servername}`));
+    return;
+  }
+  callback(null, context);
+};
+
+const handleClientError = (error, socket) => {
+  if (socket.writable) writeRawResponse(socket, 400, 'Bad Request');
+};
+
+const listen = (target, port) => new Promise((resolve, reject) => {
+  target.once('error', reject);
+  target.listen(port, () => {
+    target.off('error', reject);
+    resolve();
+  });
+});
+
+const startHttpProxy = async () => {
+  if (!isProxyEnabled()) {
+    logger.info('HTTP proxy disabled: PROXY_DOMAIN is not set');
+    return;
+  }
+  if (server) return;
+
+  await buildRoutes();
+
+  server = http.createServer(handleRequest);
+  server.on('upgrade', handleUpgrade);
+  server.on('clientError', handleClientError);
+  await listen(server, PROXY_PORT);
+
+  // A wildcard certificate for PROXY_DOMAIN covers the container subdomains
+  if (process.env.PROXY_TLS_CERT && process.env.PROXY_TLS_KEY) {
+    defaultSecureContext = tls.createSecureContext({
+      cert: fs.readFileSync(process.env.PROXY_TLS_CERT),
+      key: fs.readFileSync(process.env.PROXY_TLS_KEY),
+    });
+  }
+
+  tlsServer = https.createServer({ SNICallback: selectSecureContext }, handleRequest);
+  tlsServer.on('upgrade', handleUpgrade);
+  tlsServer.on('tlsClientError', (error) => {
+    logger.debug('Proxy TLS handshake failed:', error.message);
+  });
+  try {
+    await listen(tlsServer, PROXY_TLS_PORT);
+  } catch (error) {
+    logger.error(`HTTPS proxy could not listen on port ${PROXY_TLS_PORT}:`, error);
+    tlsServer = null;
+  }
+
+  containerStateEvents.on('status', refreshProxyRoutes);
+  refreshTimer = setInterval(() => {
+    buildRoutes().catch((error) => {
+      logger.error('Failed to rebuild proxy routes:', error);
+    });
+  }, REFRESH_INTERVAL);
+  refreshTimer.unref();
+
+  logger.info(`✅ HTTP proxy listening on port ${PROXY_PORT} for *.${PROXY_DOMAIN}`, {
+    routes: routes.size,
+  });
+};
+
+const stopHttpProxy = () => {
+  containerStateEvents.off('status', refreshProxyRoutes);
+  clearInterval(refreshTimer);
+  clearTimeout(rebuildTimer);
+  refreshTimer = null;
+  rebuildTimer = null;
+
+  // Keep-alive connections would otherwise hold the servers open
+  for (const target of [server, tlsServer].filter(Boolean)) {
+    target.close();
+    target.closeAllConnections();
+  }
+  server = null;
+  tlsServer = null;
+  upstreamAgent.destroy();
+};
+
+module.exports = {
+  isProxyEnabled,
+  getContainerHostname,
+  getContainerProxy,
+  getProxyStatus,
+  refreshProxyRoutes,
+  setAcmeChallenge,
+  removeAcmeChallenge,
+  startHttpProxy,
+  stopHttpProxy,
+};
@@ -0,0 +1,93 @@
+// Image catalog: the images members may run, with their defaults and minimum
+// resources. Admins manage it under /api/admin/images; changes apply immediately.
+
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const containerManager = new ContainerManager(getDockerClient());
+
+// Split "repo[:tag]" into name and tag. A colon before the last slash belongs to a
+// registry port (registry:5000/app), not to the tag.
+const parseImageReference = (image) => {
+  const lastSlash = image.lastIndexOf('/');
+  const lastColon = image.lastIndexOf(':');
+
+  if (lastColon > lastSlash) {
+    return { name: image.slice(0, lastColon), tag: image.slice(lastColon + 1) };
+  }
+
+  return { name: image, tag: 'latest' };
+};
+
+const getImageReference = (entry) => `${entry.name}:${entry.tag}`;
+
+// Public shape: the entry plus its full reference
+const serializeCatalogImage = (entry) => ({
+  ...entry,
+  image: getImageReference(entry),
+});
+
+const listCatalogImages = async ({ enabledOnly = true } = {}) => {
+  const prisma = getPrismaClient();
+
+  const images = await prisma.image.findMany({
+    where: enabledOnly ? { enabled: true } : {},
+    orderBy: [{ displayName: 'asc' }, { tag: 'asc' }],
+  });
+
+  return images.map(serializeCatalogImage);
+};
+
+const findCatalogImage = async (image) => {
+  const prisma = getPrismaClient();
+  const { name, tag } = parseImageReference(image);
+
+  return prisma.image.findUnique({
+    where: {
+      name_tag: { name, tag },
+    },
+  });
+};
+
+// Members may only use enabled catalog images
+const isImageInCatalog = (entry) => !!entry && entry.enabled;
+
+// Raise default resources to the minimum the image needs
+const applyMinimumResources = (entry, resources) => {
+  if (!entry) return resources;
+
+  const result = { ...resources };
+  if (entry.minMemory && containerManager.parseMemory(result.memory) < containerManager.parseMemory(entry.minMemory)) {
+    result.memory = entry.minMemory;
+  }
+  if (entry.minCpus && parseFloat(result.cpus) < entry.minCpus) {
+    result.cpus = entry.minCpus;
+  }
+  return result;
+};
+
+const assertMinimumResources = (entry, resources) => {
+  if (!entry) return;
+
+  const reference = getImageReference(entry);
+
+  if (entry.minMemory && containerManager.parseMemory(resources.memory) < containerManager.parseMemory(entry.minMemory)) {
+    throw new ValidationError(`Image ${reference} needs at least ${entry.minMemory} of memory`);
+  }
+
+  if (entry.minCpus && parseFloat(resources.cpus) < entry.minCpus) {
+    throw new ValidationError(`Image ${reference} needs at least ${entry.minCpus} CPU(s)`);
+  }
+};
+
+module.exports = {
+  parseImageReference,
+  getImageReference,
+  serializeCatalogImage,
+  listCatalogImages,
+  findCatalogImage,
+  isImageInCatalog,
+  applyMinimumResources,
+  assertMinimumResources,
+};
@@ -0,0 +1,191 @@
+// Image pulls with per-layer progress. The latest state of every pull is kept in
+// memory for the REST fallback and published on `pullEvents` for Socket.IO.
+
+const { EventEmitter } = require('events');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const logger = require('../utils/logger');
+
+const EMIT_INTERVAL = 500;
+const FINISHED_PULL_TTL = 10 * 60 * 1000;
+
+const pullEvents = new EventEmitter();
+const pulls = new Map();
+
+const containerManager = new ContainerManager(getDockerClient());
+
+const percentOf = ({ current = 0, total = 0 }) => (total > 0 ? Math.min(100, (current / total) * 100) : 0);
+
+// Apply one Docker pull event to a layer
+const applyLayerEvent = (layer, event) => {
+  const detail = event.progressDetail || {};
+  layer.status = event.status;
+
+  switch (event.status) {
+  case 'Downloading':
+    layer.download = { current: detail.current || 0, total: detail.total || layer.download.total };
+    break;
+  case 'Verifying Checksum':
+  case 'Download complete':
+    layer.download.current = layer.download.total;
+    layer.downloadDone = true;
+    break;
+  case 'Extracting':
+    layer.downloadDone = true;
+    layer.extract = { current: detail.current || 0, total: detail.total || layer.extract.total };
+    break;
+  case 'Pull complete':
+  case 'Already exists':
+    layer.downloadDone = true;
+    layer.done = true;
+    break;
+  default:
+    break;
+  }
+
+  // Download and extraction each count for half of a layer
+  if (layer.done) {
+    layer.percent = 100;
+  } else {
+    const downloadPercent = layer.downloadDone ? 100 : percentOf(layer.download);
+    layer.percent = Math.round(downloadPercent / 2 + percentOf(layer.extract) / 2);
+  }
+};
+
+const createPullState = (pullId, image, meta = {}) => ({
+  pullId,
+  image,
+  userId: meta.userId || null,
+  containerId: meta.containerId || null,
+  status: 'pulling',
+  message: `Pulling ${image}`,
+  layers: {},
+  percent: 0,
+  downloadedBytes: 0,
+  totalBytes: 0,
+  error: null,
+  startedAt: new Date().toISOString(),
+  finishedAt: null,
+});
+
+const applyPullEvent = (state, event) => {
+  if (event.error) {
+    state.message = event.error;
+    return state;
+  }
+
+  // Layer events carry progressDetail; the rest are messages such as
+  // "18-alpine: Pulling from library/node", "Digest: ..." or "Status: ..."
+  if (!event.id || !event.progressDetail) {
+    if (event.status) state.message = event.id ? `${event.id}: ${event.status}` : event.status;
+    return state;
+  }
+
+  const layer = state.layers[event.id] || {
+    id: event.id,
+    status: null,
+    download: { current: 0, total: 0 },
+    extract: { current: 0, total: 0 },
+    downloadDone: false,
+    done: false,
+    percent: 0,
+  };
+  applyLayerEvent(layer, event);
+  state.layers[event.id] = layer;
+
+  const layers = Object.values(state.layers);
+  state.downloadedBytes = layers.reduce((sum, item) => sum + (item.download.current || 0), 0);
+  state.totalBytes = layers.reduce((sum, item) => sum + (item.download.total || 0), 0);
+  state.percent = Math.round(layers.reduce((sum, item) => sum + item.percent, 0) / layers.length);
+
+  return state;
+};
+
+// Public shape: layers as an array
+const serializePull = (state) => ({
+  ...state,
+  layers: Object.values(state.layers).map(({ id, status, download, extract, percent }) => ({
+    id,
+    status,
+    download,
+    extract,
+    percent,
+  })),
+});
+
+const publish = (event, state) => {
+  pullEvents.emit(event, serializePull(state));
+};
+
+// Pull an image and report progress under `pullId`.
+// onProgress(pull) is called with the same throttled snapshots that go to Socket.IO.
+const pullImageWithProgress = async (image, { pullId, userId = null, containerId = null, onProgress = null } = {}) => {
+  const id = pullId || `pull-${Date.now()}-${Math.round(Math.random() * 1E6)}`;
+  const state = createPullState(id, image, { userId, containerId });
+  pulls.set(id, state);
+
+  let lastEmit = 0;
+  const emitProgress = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastEmit < EMIT_INTERVAL) return;
+    lastEmit = now;
+
+    publish('progress', state);
+    if (onProgress) {
+      Promise.resolve(onProgress(serializePull(state))).catch((error) => {
+        logger.debug('Pull progress callback failed:', error.message);
+      });
+    }
+  };
+
+  emitProgress(true);
+
+  try {
+    await containerManager.pullImage(image, (event) => {
+      applyPullEvent(state, event);
+      emitProgress();
+    });
+
+    state.status = 'completed';
+    state.percent = 100;
+    state.message = `Image ${image} pulled`;
+    state.finishedAt = new Date().toISOString();
+    publish('completed', state);
+
+    return serializePull(state);
+  } catch (error) {
+    state.status = 'failed';
+    state.error = error.message;
+    state.message = `Failed to pull ${image}: ${error.message}`;
+    state.finishedAt = new Date().toISOString();
+    publish('failed', state);
+
+    throw error;
+  } finally {
+    setTimeout(() => {
+      if (pulls.get(id) === state) pulls.delete(id);
+    }, FINISHED_PULL_TTL).unref();
+  }
+};
+
+const getPull = (pullId) => {
+  const state = pulls.get(pullId);
+  return state ? serializePull(state) : null;
+};
+
+// Pulls newest first, optionally filtered by owner and container
+const listPulls = ({ userId = null, containerId = null } = {}) => {
+  return [...pulls.values()]
+    .filter(state => !userId || state.userId === userId)
+    .filter(state => !containerId || state.containerId === containerId)
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .map(serializePull);
+};
+
+module.exports = {
+  pullEvents,
+  pullImageWithProgress,
+  applyPullEvent,
+  createPullState,
+  getPull,
+  listPulls,
+};
@@ -0,0 +1,217 @@
+// Background jobs for long-running operations (image pulls, container creation,
+// archives, tunnel start, snapshots, backups, certificates). Feature modules register a processor
+// per job type; progress is published on `jobEvents` and forwarded to Socket.IO.
+
+const { EventEmitter } = require('events');
+const { Queue, Worker } = require('bullmq');
+const { getRedisClient, createRedisConnection } = require('../utils/redis');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const QUEUE_NAME = process.env.JOB_QUEUE_NAME || 'panel-jobs';
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+// Defaults per job type (attempts include the first run)
+const JOB_TYPES = {
+  'image.pull': { attempts: 3, backoff: { type: 'exponential', delay: 5000 } },
+  'container.create': { attempts: 3, backoff: { type: 'exponential', delay: 5000 } },
+  'file.archive': { attempts: 2, backoff: { type: 'fixed', delay: 2000 } },
+  'file.extract': { attempts: 1 },
+  'tunnel.start': { attempts: 2, backoff: { type: 'fixed', delay: 5000 } },
+  'snapshot.create': { attempts: 2, backoff: { type: 'fixed', delay: 5000 } },
+  'snapshot.restore': { attempts: 1 },
+  'backup.create': { attempts: 2, backoff: { type: 'fixed', delay: 30000 } },
+  'domain.certificate': { attempts: 3, backoff: { type: 'exponential', delay: 60000 } },
+};
+
+const JOB_STATES = ['active', 'waiting', 'delayed', 'completed', 'failed'];
+
+const jobEvents = new EventEmitter();
+const processors = new Map();
+
+let queue = null;
+let worker = null;
+
+// Register the handler for a job type.
+// process(job, { report }) does the work, onFailed(job, error) runs once all retries are used up.
+const registerJobProcessor = (type, { process, onFailed = null }) => {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  processors.set(type, { process, onFailed });
+};
+
+// Plain representation used by the API and Socket.IO
+const serializeJob = (job, state = null) => ({
+  id: job.id,
+  type: job.name,
+  state,
+  progress: typeof job.progress === 'object' ? job.progress : { percent: job.progress || 0 },
+  attemptsMade: job.attemptsMade,
+  attempts: job.opts.attempts || 1,
+  userId: job.data.userId || null,
+  containerId: job.data.containerId || null,
+  result: job.returnvalue ?? null,
+  error: job.failedReason || null,
+  createdAt: new Date(job.timestamp).toISOString(),
+  startedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+  finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+});
+
+const runJob = async (job) => {
+  const processor = processors.get(job.name);
+  if (!processor) {
+    throw new Error(`No processor registered for job type ${job.name}`);
+  }
+
+  const report = async (percent, message, step = null) => {
+    await job.updateProgress({
+      percent: Math.max(0, Math.min(100, Math.round(percent))),
+      message,
+      step,
+    });
+  };
+
+  return processor.process(job, { report });
+};
+
+// Create the queue and an in-process worker
+async function initializeJobQueue() {
+  try {
+    if (queue) return queue;
+
+    // The queue shares the main Redis client
+    queue = new Queue(QUEUE_NAME, {
+      connection: getRedisClient(),
+    });
+
+    // Workers block on Redis, so they need a connection without command timeouts
+    worker = new Worker(QUEUE_NAME, runJob, {
+      connection: createRedisConnection({
+        maxRetriesPerRequest: null,
+        commandTimeout: undefined,
+        lazyConnect: false,
+      }),
+      concurrency: JOB_CONCURRENCY,
+    });
+
+    worker.on('active', (job) => {
+      jobEvents.emit('active', serializeJob(job, 'active'));
+    });
+
+    worker.on('progress', (job) => {
+      jobEvents.emit('progress', serializeJob(job, 'active'));
+    });
+
+    worker.on('completed', (job) => {
+      logger.info('✅ Job completed', { jobId: job.id, type: job.name });
+      jobEvents.emit('completed', serializeJob(job, 'completed'));
+    });
+
+    worker.on('failed', async (job, error) => {
+      if (!job) return;
+
+      const final = job.attemptsMade >= (job.opts.attempts || 1);
+      logger.error('❌ Job failed', {
+        jobId: job.id,
+        type: job.name,
+        attemptsMade: job.attemptsMade,
+        final,
+        error: error.message,
+      });
+
+      jobEvents.emit('failed', { ...serializeJob(job, final ? 'failed' : 'delayed'), final });
+
+      const processor = processors.get(job.name);
+      if (final && processor?.onFailed) {
+        try {
+          await processor.onFailed(job, error);
+        } catch (handlerError) {
+          logger.error('❌ Job failure handler error:', handlerError);
+        }
+      }
+    });
+
+    worker.on('error', (error) => {
+      logger.error('❌ Job worker error:', error);
+    });
+
+    logger.info('✅ Job queue initialized', { queue: QUEUE_NAME, concurrency: JOB_CONCURRENCY });
+
+    return queue;
+  } catch (error) {
+    logger.error('❌ Failed to initialize job queue:', error);
+    throw error;
+  }
+}
+
+async function closeJobQueue() {
+  try {
+    if (worker) await worker.close();
+    if (queue) await queue.close();
+    worker = null;
+    queue = null;
+    logger.info('✅ Job queue closed');
+  } catch (error) {
+    logger.error('❌ Error closing job queue:', error);
+  }
+}
+
+const getQueue = () => {
+  if (!queue) {
+    throw new AppError('Job queue is not available', 503, 'JOB_QUEUE_UNAVAILABLE');
+  }
+  return queue;
+};
+
+// Enqueue a job. meta.userId / meta.containerId are used for access checks and events.
+const addJob = async (type, data = {}, meta = {}) => {
+  if (!JOB_TYPES[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const { userId = null, containerId = null, jobId, ...options } = meta;
+
+  const job = await getQueue().add(type, { ...data, userId, containerId }, {
+    ...JOB_TYPES[type],
+    ...(jobId && { jobId }),
+    removeOnComplete: { age: 24 * 3600, count: 1000 },
+    removeOnFail: { age: 7 * 24 * 3600 },
+    ...options,
+  });
+
+  logger.info('Job queued', { jobId: job.id, type, userId, containerId });
+
+  return serializeJob(job, 'waiting');
+};
+
+const getJob = async (jobId) => {
+  const job = await getQueue().getJob(jobId);
+  if (!job) return null;
+
+  return serializeJob(job, await job.getState());
+};
+
+// Recent jobs, optionally filtered by owner and container
+const listJobs = async ({ userId = null, containerId = null, limit = 50 } = {}) => {
+  const jobs = await getQueue().getJobs(JOB_STATES, 0, 499);
+
+  const filtered = jobs
+    .filter(job => job && (!userId || job.data.userId === userId))
+    .filter(job => !containerId || job.data.containerId === containerId)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+
+  return Promise.all(filtered.map(async job => serializeJob(job, await job.getState())));
+};
+
+module.exports = {
+  JOB_TYPES,
+  jobEvents,
+  registerJobProcessor,
+  initializeJobQueue,
+  closeJobQueue,
+  addJob,
+  getJob,
+  listJobs,
+};
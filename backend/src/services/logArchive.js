@@ -0,0 +1,503 @@
+// Persistent archive of container stdout/stderr. Docker's json-file logs go away with the
+// container, so every running container is followed and its output appended to
+// LOG_ARCHIVE_DIR/<containerId>/active.ndjson (one { t, s, d } entry per line: timestamp,
+// stream, text). The active file is rotated into a gzipped `<fromMs>-<toMs>.ndjson.gz`
+// segment once it reaches LOG_ARCHIVE_ROTATE_SIZE bytes or LOG_ARCHIVE_ROTATE_INTERVAL ms.
+// A `cursor` file keeps the position of the last archived line, so followers resume
+// without gaps or duplicates after a restart or a recreate. Positions are `<timestamp>~<n>`,
+// the n-th line with that (fixed width) timestamp, since several lines can share one.
+// Segments older than the owner's plan `logRetentionDays` are pruned on
+// LOG_ARCHIVE_PRUNE_SCHEDULE; 0 days means the output of that plan's containers is not archived.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const cron = require('node-cron');
+const { getPrismaClient } = require('../utils/database');
+const { getUserPlan } = require('./plans');
+const { containerStateEvents } = require('./dockerEvents');
+const { normalizeTimestamp, buildLineFilter, streamContainerOutput } = require('./containerOutput');
+const logger = require('../utils/logger');
+
+const ARCHIVE_DIR = process.env.LOG_ARCHIVE_DIR || '/var/lib/panel/log-archive';
+const ROTATE_SIZE = parseInt(process.env.LOG_ARCHIVE_ROTATE_SIZE) || 10 * 1024 * 1024;
+const ROTATE_INTERVAL = parseInt(process.env.LOG_ARCHIVE_ROTATE_INTERVAL) || 60 * 60 * 1000;
+const SCAN_INTERVAL = parseInt(process.env.LOG_ARCHIVE_SCAN_INTERVAL) || 30000;
+const PRUNE_SCHEDULE = process.env.LOG_ARCHIVE_PRUNE_SCHEDULE || '15 * * * *';
+const ARCHIVE_ENABLED = process.env.LOG_ARCHIVE_ENABLED !== 'false';
+const DAY = 24 * 60 * 60 * 1000;
+
+const ACTIVE_FILE = 'active.ndjson';
+const CURSOR_FILE = 'cursor';
+const SEGMENT_PATTERN = /^(\d+)-(\d+)\.ndjson\.gz$/;
+
+// Followers per container ID: { dockerId, output }
+const shippers = new Map();
+// Pending file operations per container ID, so appends, rotation and purge never interleave
+const queues = new Map();
+// First timestamp in the active file per container ID, for time based rotation
+const activeSince = new Map();
+
+let scanTimer = null;
+let pruneTask = null;
+
+const containerDir = containerId => path.join(ARCHIVE_DIR, containerId);
+
+const withContainerQueue = (containerId, task) => {
+  const run = (queues.get(containerId) || Promise.resolve()).then(task);
+  const tail = run.catch(() => {});
+  queues.set(containerId, tail);
+  tail.then(() => {
+    if (queues.get(containerId) === tail) queues.delete(containerId);
+  });
+  return run;
+};
+
+// `<timestamp>~<n>`; a bare timestamp stands for every line with that timestamp
+const parseCursor = (value) => {
+  if (!value) return null;
+  const [timestamp, count] = String(value).trim().split('~');
+  if (!timestamp) return null;
+
+  return {
+    timestamp: normalizeTimestamp(timestamp),
+    count: count === undefined ? Infinity : parseInt(count) || 0,
+  };
+};
+
+const formatCursor = cursor => `${cursor.timestamp}~${cursor.count}`;
+
+// Passes the lines after `cursor` of a stream in archive order and keeps track of the
+// position of the last one passed
+const createCursorTracker = (cursor) => {
+  let current = cursor ? { ...cursor } : null;
+  let skip = cursor ? cursor.count : 0;
+
+  return {
+    accept(timestamp) {
+      if (current) {
+        if (timestamp < current.timestamp) return false;
+        if (timestamp === current.timestamp) {
+          if (skip > 0) {
+            skip--;
+            return false;
+          }
+          current.count++;
+          return true;
+        }
+      }
+
+      current = { timestamp, count: 1 };
+      skip = 0;
+      return true;
+    },
+    get cursor() {
+      return current && { ...current };
+    },
+  };
+};
+
+const readCursor = async (containerId) => {
+  try {
+    return parseCursor(await fs.promises.readFile(path.join(containerDir(containerId), CURSOR_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+const toEntry = line => JSON.stringify({ t: line.timestamp, s: line.stream, d: line.text });
+const fromEntry = entry => ({ timestamp: entry.t, stream: entry.s, text: entry.d });
+
+// Entries of one archive file, gzipped or not, in order
+async function* readArchiveFile(file) {
+  const source = fs.createReadStream(file);
+  let input = source;
+  if (file.endsWith('.gz')) {
+    input = source.pipe(zlib.createGunzip());
+    source.on('error', error => input.destroy(error));
+  }
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  try {
+    for await (const line of lines) {
+      if (!line) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // A line cut short by a crash while appending
+      }
+    }
+  } finally {
+    lines.close();
+    source.destroy();
+  }
+}
+
+const readFirstEntry = async (file) => {
+  for await (const entry of readArchiveFile(file)) {
+    return entry;
+  }
+  return null;
+};
+
+// Compress the active file into a segment named after its first and last timestamp
+const rotateActiveFile = async (containerId) => {
+  const dir = containerDir(containerId);
+  const activeFile = path.join(dir, ACTIVE_FILE);
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(activeFile);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  activeSince.delete(containerId);
+  if (stat.size === 0) {
+    await fs.promises.rm(activeFile, { force: true });
+    return null;
+  }
+
+  const first = await readFirstEntry(activeFile);
+  const last = await readCursor(containerId);
+  const from = Date.parse(first?.t) || stat.birthtimeMs || stat.mtimeMs;
+  const to = Math.max(Date.parse(last?.timestamp) || stat.mtimeMs, from);
+
+  const segment = path.join(dir, `${from}-${to}.ndjson.gz`);
+  const tmpFile = `${segment}.tmp`;
+  await pipeline(fs.createReadStream(activeFile), zlib.createGzip(), fs.createWriteStream(tmpFile));
+  await fs.promises.rename(tmpFile, segment);
+  await fs.promises.rm(activeFile, { force: true });
+
+  return segment;
+};
+
+const appendLines = (containerId, lines, cursor) => withContainerQueue(containerId, async () => {
+  const dir = containerDir(containerId);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const activeFile = path.join(dir, ACTIVE_FILE);
+  await fs.promises.appendFile(activeFile, lines.map(line => `${toEntry(line)}\n`).join(''));
+  await fs.promises.writeFile(path.join(dir, CURSOR_FILE), formatCursor(cursor));
+
+  if (!activeSince.has(containerId)) {
+    activeSince.set(containerId, Date.parse(lines[0].timestamp) || Date.now());
+  }
+
+  const { size } = await fs.promises.stat(activeFile);
+  if (size >= ROTATE_SIZE) {
+    await rotateActiveFile(containerId);
+  }
+});
+
+// Start following a running container unless it is already followed
+const attachShipper = async (container) => {
+  const current = shippers.get(container.id);
+  if (current?.dockerId === container.dockerId) return;
+  // A recreated container has a new Docker ID, stop following the old one
+  current?.output?.stop();
+
+  const shipper = { dockerId: container.dockerId, output: null };
+  shippers.set(container.id, shipper);
+
+  try {
+    const plan = await getUserPlan(container.ownerId);
+    if (!plan.logRetentionDays) {
+      shippers.delete(container.id);
+      return;
+    }
+
+    // Docker replays from the start of the cursor's second, so lines up to the cursor are dropped here
+    const cursor = await readCursor(container.id);
+    const tracker = createCursorTracker(cursor);
+
+    shipper.output = await streamContainerOutput(container.dockerId, {
+      follow: true,
+      tail: 'all',
+      since: cursor?.timestamp,
+    }, {
+      onLines: (lines) => {
+        const fresh = lines.filter(line => line.timestamp && tracker.accept(line.timestamp));
+        if (fresh.length === 0) return;
+
+        appendLines(container.id, fresh, tracker.cursor).catch((error) => {
+          logger.error(`Failed to archive output of container ${container.id}:`, error);
+        });
+      },
+      onEnd: () => {
+        if (shippers.get(container.id) === shipper) shippers.delete(container.id);
+      },
+      onError: (error) => {
+        logger.warn(`Log archive stream of container ${container.id} failed:`, error.message);
+      },
+    });
+  } catch (error) {
+    if (shippers.get(container.id) === shipper) shippers.delete(container.id);
+    if (error.statusCode !== 404) {
+      logger.warn(`Failed to follow output of container ${container.id}:`, error.message);
+    }
+  }
+};
+
+const detachShipper = (containerId) => {
+  const shipper = shippers.get(containerId);
+  if (!shipper) return;
+  shippers.delete(containerId);
+  shipper.output?.stop();
+};
+
+// Follow every running container and rotate active files that are old enough
+const syncShippers = async () => {
+  const containers = await getPrismaClient().container.findMany({
+    where: { dockerId: { not: null }, status: 'RUNNING' },
+    select: { id: true, ownerId: true, dockerId: true },
+  });
+
+  for (const container of containers) {
+    await attachShipper(container);
+  }
+
+  const now = Date.now();
+  for (const containerId of await listArchivedContainers()) {
+    if (!activeSince.has(containerId)) {
+      const first = await readFirstEntry(path.join(containerDir(containerId), ACTIVE_FILE)).catch(() => null);
+      if (!first) continue;
+      activeSince.set(containerId, Date.parse(first.t) || now);
+    }
+
+    if (now - activeSince.get(containerId) >= ROTATE_INTERVAL) {
+      await withContainerQueue(containerId, () => rotateActiveFile(containerId));
+    }
+  }
+};
+
+const listArchivedContainers = async () => {
+  try {
+    const entries = await fs.promises.readdir(ARCHIVE_DIR, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+// Rotated segments of a container, oldest first
+const listSegments = async (containerId) => {
+  let files;
+  try {
+    files = await fs.promises.readdir(containerDir(containerId));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return files
+    .map((file) => {
+      const match = SEGMENT_PATTERN.exec(file);
+      return match && { file: path.join(containerDir(containerId), file), from: parseInt(match[1]), to: parseInt(match[2]) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.from - b.from);
+};
+
+// Delete segments past the retention of each owner's plan and archives of removed containers
+const pruneLogArchive = async () => {
+  const prisma = getPrismaClient();
+  const result = { segments: 0, containers: 0 };
+
+  for (const containerId of await listArchivedContainers()) {
+    const container = await prisma.container.findUnique({
+      where: { id: containerId },
+      select: { ownerId: true },
+    });
+
+    if (!container) {
+      await purgeContainerLogArchive(containerId);
+      result.containers++;
+      continue;
+    }
+
+    const plan = await getUserPlan(container.ownerId);
+    const cutoff = Date.now() - plan.logRetentionDays * DAY;
+
+    for (const segment of await listSegments(containerId)) {
+      if (segment.to < cutoff) {
+        await fs.promises.rm(segment.file, { force: true });
+        result.segments++;
+      }
+    }
+
+    // Output of a plan without retention is not kept in the active file either
+    if (!plan.logRetentionDays) {
+      await withContainerQueue(containerId, () => fs.promises.rm(path.join(containerDir(containerId), ACTIVE_FILE), { force: true }));
+    }
+  }
+
+  return result;
+};
+
+// Archived lines of a container between `from` and `to` (ms), after the `after` position,
+// matching the filter of the output route; each with the position to continue after it
+async function* readArchiveLines(containerId, options = {}) {
+  const { from = 0, to = Infinity, after = null } = options;
+  const filter = buildLineFilter(options);
+  // Positions count every archived line, so they stay valid whatever the filter
+  const tracker = createCursorTracker(parseCursor(after));
+
+  const files = (await listSegments(containerId))
+    .filter(segment => segment.to >= from && segment.from <= to)
+    .map(segment => segment.file);
+  files.push(path.join(containerDir(containerId), ACTIVE_FILE));
+
+  for (const file of files) {
+    try {
+      for await (const entry of readArchiveFile(file)) {
+        const timestamp = normalizeTimestamp(entry.t);
+        if (!tracker.accept(timestamp)) continue;
+
+        const time = Date.parse(timestamp);
+        if (time < from) continue;
+        if (time > to) return;
+
+        const line = fromEntry({ ...entry, t: timestamp });
+        if (filter(line)) yield { line, cursor: formatCursor(tracker.cursor) };
+      }
+    } catch (error) {
+      // Rotated or pruned while reading
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+async function* readLogArchive(containerId, options = {}) {
+  for await (const { line } of readArchiveLines(containerId, options)) {
+    yield line;
+  }
+}
+
+// Up to `limit` archived lines; `next` continues the query as the `after` option
+const queryLogArchive = async (containerId, options = {}) => {
+  const { limit = 1000 } = options;
+  const lines = [];
+  let next = null;
+  let truncated = false;
+
+  for await (const { line, cursor } of readArchiveLines(containerId, options)) {
+    if (lines.length >= limit) {
+      truncated = true;
+      break;
+    }
+    lines.push(line);
+    next = cursor;
+  }
+
+  return {
+    lines,
+    truncated,
+    next: truncated ? next : null,
+  };
+};
+
+// Time span covered by the archive of a container
+const getLogArchiveRange = async (containerId) => {
+  const segments = await listSegments(containerId);
+  const activeFirst = await readFirstEntry(path.join(containerDir(containerId), ACTIVE_FILE)).catch(() => null);
+  const cursor = await readCursor(containerId);
+
+  const oldest = segments.length > 0 ? segments[0].from : Date.parse(activeFirst?.t) || null;
+  return {
+    oldest: oldest ? new Date(oldest).toISOString() : null,
+    newest: cursor?.timestamp || null,
+    segments: segments.length,
+  };
+};
+
+const purgeContainerLogArchive = async (containerId) => {
+  detachShipper(containerId);
+  activeSince.delete(containerId);
+
+  try {
+    await withContainerQueue(containerId, () => fs.promises.rm(containerDir(containerId), { recursive: true, force: true }));
+  } catch (error) {
+    logger.error('Failed to remove container log archive:', error);
+  }
+};
+
+const onStatusChange = ({ containerId, status }) => {
+  if (status !== 'RUNNING') return;
+
+  getPrismaClient().container.findUnique({
+    where: { id: containerId },
+    select: { id: true, ownerId: true, dockerId: true },
+  })
+    .then(container => container?.dockerId && attachShipper(container))
+    .catch((error) => {
+      logger.warn(`Failed to follow output of container ${containerId}:`, error.message);
+    });
+};
+
+const startLogArchive = () => {
+  if (!ARCHIVE_ENABLED || scanTimer) return;
+
+  const scan = () => {
+    syncShippers().catch((error) => {
+      logger.error('Log archive scan failed:', error);
+    });
+  };
+
+  scan();
+  scanTimer = setInterval(scan, SCAN_INTERVAL);
+  scanTimer.unref();
+  containerStateEvents.on('status', onStatusChange);
+
+  if (cron.validate(PRUNE_SCHEDULE)) {
+    pruneTask = cron.schedule(PRUNE_SCHEDULE, () => {
+      pruneLogArchive()
+        .then((result) => {
+          if (result.segments || result.containers) {
+            logger.info('Log archive pruned', result);
+          }
+        })
+        .catch((error) => {
+          logger.error('Log archive pruning failed:', error);
+        });
+    });
+  } else {
+    logger.error(`Log archive pruning disabled: invalid LOG_ARCHIVE_PRUNE_SCHEDULE "${PRUNE_SCHEDULE}"`);
+  }
+
+  logger.info('✅ Container log archive started', { dir: ARCHIVE_DIR, interval: SCAN_INTERVAL });
+};
+
+const stopLogArchive = async () => {
+  if (!scanTimer) return;
+
+  clearInterval(scanTimer);
+  scanTimer = null;
+  pruneTask?.stop();
+  pruneTask = null;
+  containerStateEvents.off('status', onStatusChange);
+
+  for (const containerId of [...shippers.keys()]) {
+    detachShipper(containerId);
+  }
+  // Let queued appends reach the disk
+  await Promise.all([...queues.values()]);
+};
+
+const isLogArchiveEnabled = () => ARCHIVE_ENABLED;
+
+module.exports = {
+  isLogArchiveEnabled,
+  readLogArchive,
+  queryLogArchive,
+  getLogArchiveRange,
+  pruneLogArchive,
+  purgeContainerLogArchive,
+  startLogArchive,
+  stopLogArchive,
+};
@@ -0,0 +1,234 @@
+// Plans (resource tiers) assigned to users. Every container, tunnel and file route
+// checks the owner's plan; users without a plan get the default plan, and the
+// built-in FALLBACK_PLAN applies until an admin has created one. Its limits are
+// PLAN_DEFAULTS, the @default values of the Plan model, so a user without a plan gets
+// the same limits as a plan created with defaults.
+
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+
+// Same values as the @default attributes of the Plan model in schema.prisma
+const PLAN_DEFAULTS = {
+  maxContainers: 1,
+  maxMemory: '512m',
+  maxCpus: 0.5,
+  diskQuota: 1024,
+  maxTunnels: 1,
+  maxCronJobs: 3,
+  maxSnapshots: 3,
+  backupSchedule: '0 3 * * *',
+  backupKeepDaily: 7,
+  backupKeepWeekly: 4,
+  logRetentionDays: 7,
+  allowedImages: [],
+};
+
+const FALLBACK_PLAN = {
+  id: null,
+  name: 'default',
+  description: 'Built-in limits used until a default plan is created',
+  ...PLAN_DEFAULTS,
+  isDefault: true,
+};
+
+const containerManager = new ContainerManager(getDockerClient());
+
+// Plan of a user: assigned plan, then the default plan, then FALLBACK_PLAN
+const getUserPlan = async (userId) => {
+  const prisma = getPrismaClient();
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { plan: true },
+  });
+
+  if (user?.plan) return user.plan;
+
+  const defaultPlan = await prisma.plan.findFirst({
+    where: { isDefault: true },
+  });
+
+  return defaultPlan || FALLBACK_PLAN;
+};
+
+// An empty allowedImages list allows every image of the global allow list
+const isImageAllowedByPlan = (plan, image) => {
+  const allowedImages = Array.isArray(plan.allowedImages) ? plan.allowedImages : [];
+  if (allowedImages.length === 0) return true;
+
+  const imageWithoutTag = image.split(':')[0];
+  return allowedImages.some(allowed => (
+    allowed === image || (!allowed.includes(':') && allowed === imageWithoutTag)
+  ));
+};
+
+// Containers and tunnels a user currently has, and how much of the plan they use
+const getPlanUsage = async (userId, plan = null) => {
+  const prisma = getPrismaClient();
+  const userPlan = plan || await getUserPlan(userId);
+
+  const containers = await prisma.container.findMany({
+    where: { ownerId: userId },
+    select: {
+      id: true,
+      resources: true,
+      _count: {
+        select: {
+          tunnels: true,
+          cronJobs: true,
+        },
+      },
+    },
+  });
+
+  const usage = {
+    containers: containers.length,
+    cpus: containers.reduce((sum, container) => sum + (parseFloat(container.resources?.cpus) || 0), 0),
+    tunnels: containers.reduce((sum, container) => sum + container._count.tunnels, 0),
+    cronJobs: containers.reduce((sum, container) => sum + container._count.cronJobs, 0),
+  };
+
+  return {
+    plan: userPlan,
+    usage,
+    limits: {
+      maxContainers: userPlan.maxContainers,
+      canCreateContainer: usage.containers < userPlan.maxContainers,
+      remainingContainers: Math.max(0, userPlan.maxContainers - usage.containers),
+      maxMemory: userPlan.maxMemory,
+      maxCpus: userPlan.maxCpus,
+      remainingCpus: Math.max(0, Math.round((userPlan.maxCpus - usage.cpus) * 100) / 100),
+      maxTunnels: userPlan.maxTunnels,
+      canCreateTunnel: usage.tunnels < userPlan.maxTunnels,
+      maxCronJobs: userPlan.maxCronJobs,
+      canCreateCronJob: usage.cronJobs < userPlan.maxCronJobs,
+      maxSnapshots: userPlan.maxSnapshots,
+      backupSchedule: userPlan.backupSchedule,
+      backupKeepDaily: userPlan.backupKeepDaily,
+      backupKeepWeekly: userPlan.backupKeepWeekly,
+      logRetentionDays: userPlan.logRetentionDays,
+    },
+  };
+};
+
+// Check a new or updated container against the owner's plan.
+// excludeContainerId leaves the container being updated out of the totals.
+const assertContainerAllowed = async (userId, { image = null, resources = null, excludeContainerId = null } = {}) => {
+  const prisma = getPrismaClient();
+  const plan = await getUserPlan(userId);
+
+  if (image && !isImageAllowedByPlan(plan, image)) {
+    throw new ValidationError(`Image ${image} is not included in the ${plan.name} plan. Allowed images: ${plan.allowedImages.join(', ')}`);
+  }
+
+  const containers = await prisma.container.findMany({
+    where: {
+      ownerId: userId,
+      ...(excludeContainerId ? { id: { not: excludeContainerId } } : {}),
+    },
+    select: { resources: true },
+  });
+
+  if (!excludeContainerId && containers.length >= plan.maxContainers) {
+    throw new ConflictError(`Container limit reached. The ${plan.name} plan allows ${plan.maxContainers} container(s).`);
+  }
+
+  if (resources) {
+    if (resources.memory && containerManager.parseMemory(resources.memory) > containerManager.parseMemory(plan.maxMemory)) {
+      throw new ValidationError(`Memory limit exceeds the ${plan.name} plan maximum of ${plan.maxMemory} per container`);
+    }
+
+    const usedCpus = containers.reduce((sum, container) => sum + (parseFloat(container.resources?.cpus) || 0), 0);
+    const cpus = parseFloat(resources.cpus) || 0;
+    // A CPU quota of 0 would mean no limit at all
+    if (cpus < 0.1) {
+      throw new ValidationError(`CPU limit must be at least 0.1; the ${plan.name} plan has ${Math.max(0, plan.maxCpus - usedCpus).toFixed(2)} CPU(s) remaining`);
+    }
+    if (usedCpus + cpus > plan.maxCpus + 1e-9) {
+      throw new ValidationError(`CPU limit exceeds the ${plan.name} plan total of ${plan.maxCpus} CPU(s); ${Math.max(0, plan.maxCpus - usedCpus).toFixed(2)} remaining`);
+    }
+  }
+
+  return plan;
+};
+
+// Default resources for a new container, capped by the plan when one is given
+const getDefaultResources = (plan = null, usedCpus = 0) => {
+  const defaultMemory = process.env.DEFAULT_CONTAINER_MEMORY || '512m';
+  const defaultCpus = parseFloat(process.env.DEFAULT_CONTAINER_CPU) || 0.5;
+
+  if (!plan) {
+    return { memory: defaultMemory, cpus: defaultCpus };
+  }
+
+  return {
+    memory: containerManager.parseMemory(defaultMemory) > containerManager.parseMemory(plan.maxMemory)
+      ? plan.maxMemory
+      : defaultMemory,
+    cpus: Math.max(0, Math.min(defaultCpus, Math.round((plan.maxCpus - usedCpus) * 100) / 100)),
+  };
+};
+
+const assertTunnelAllowed = async (userId) => {
+  const prisma = getPrismaClient();
+  const plan = await getUserPlan(userId);
+
+  const tunnelCount = await prisma.cloudflareTunnel.count({
+    where: {
+      container: { ownerId: userId },
+    },
+  });
+
+  if (tunnelCount >= plan.maxTunnels) {
+    throw new ConflictError(`Tunnel limit reached. The ${plan.name} plan allows ${plan.maxTunnels} tunnel(s).`);
+  }
+
+  return plan;
+};
+
+const assertCronJobAllowed = async (userId) => {
+  const prisma = getPrismaClient();
+  const plan = await getUserPlan(userId);
+
+  const cronJobCount = await prisma.cronJob.count({
+    where: {
+      container: { ownerId: userId },
+    },
+  });
+
+  if (cronJobCount >= plan.maxCronJobs) {
+    throw new ConflictError(`Cron job limit reached. The ${plan.name} plan allows ${plan.maxCronJobs} cron job(s).`);
+  }
+
+  return plan;
+};
+
+// Snapshots are limited per container
+const assertSnapshotAllowed = async (userId, containerId) => {
+  const prisma = getPrismaClient();
+  const plan = await getUserPlan(userId);
+
+  const snapshotCount = await prisma.snapshot.count({
+    where: { containerId },
+  });
+
+  if (snapshotCount >= plan.maxSnapshots) {
+    throw new ConflictError(`Snapshot limit reached. The ${plan.name} plan allows ${plan.maxSnapshots} snapshot(s) per container.`);
+  }
+
+  return plan;
+};
+
+module.exports = {
+  PLAN_DEFAULTS,
+  FALLBACK_PLAN,
+  getUserPlan,
+  getPlanUsage,
+  isImageAllowedByPlan,
+  assertContainerAllowed,
+  getDefaultResources,
+  assertTunnelAllowed,
+  assertCronJobAllowed,
+  assertSnapshotAllowed,
+};
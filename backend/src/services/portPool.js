@@ -0,0 +1,217 @@
+// Host port pool: published container ports get a stable host port from an admin-configured
+// range instead of a random one picked by Docker. Allocations are stored as hostPort on the
+// entries of Container.ports, so they survive recreation and are released together with the
+// record. The lowest free port wins; ports held by other records or published by other
+// Docker containers on the host count as taken.
+
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const PORT_RANGE_START_SETTING = 'HOST_PORT_RANGE_START';
+const PORT_RANGE_END_SETTING = 'HOST_PORT_RANGE_END';
+const PUBLIC_HOST_SETTING = 'HOST_PORT_PUBLIC_HOST';
+
+const DEFAULT_RANGE = {
+  start: parseInt(process.env.HOST_PORT_RANGE_START) || 20000,
+  end: parseInt(process.env.HOST_PORT_RANGE_END) || 29999,
+};
+
+const containerManager = new ContainerManager(getDockerClient());
+
+// Allocations run one at a time so two containers never get the same free port
+let allocationQueue = Promise.resolve();
+const serialize = (task) => {
+  const run = allocationQueue.then(task, task);
+  allocationQueue = run.catch(() => {});
+  return run;
+};
+
+const portKey = port => `${port.containerPort}/${port.protocol || 'tcp'}`;
+
+const defaultPublicHost = () => {
+  if (process.env.PUBLIC_HOST) return process.env.PUBLIC_HOST;
+  try {
+    return new URL(process.env.FRONTEND_URL).hostname;
+  } catch (error) {
+    return 'localhost';
+  }
+};
+
+const getPortPoolSettings = async () => {
+  const settings = await getPrismaClient().systemSetting.findMany({
+    where: { key: { in: [PORT_RANGE_START_SETTING, PORT_RANGE_END_SETTING, PUBLIC_HOST_SETTING] } },
+  });
+  const values = settings.reduce((acc, setting) => {
+    acc[setting.key] = setting.value;
+    return acc;
+  }, {});
+
+  return {
+    start: parseInt(values[PORT_RANGE_START_SETTING]) || DEFAULT_RANGE.start,
+    end: parseInt(values[PORT_RANGE_END_SETTING]) || DEFAULT_RANGE.end,
+    publicHost: values[PUBLIC_HOST_SETTING] || defaultPublicHost(),
+  };
+};
+
+const updatePortPoolSettings = async ({ start, end, publicHost }) => {
+  const prisma = getPrismaClient();
+  const values = {
+    [PORT_RANGE_START_SETTING]: start,
+    [PORT_RANGE_END_SETTING]: end,
+    ...(publicHost !== undefined && { [PUBLIC_HOST_SETTING]: publicHost }),
+  };
+
+  await prisma.$transaction(Object.entries(values).map(([key, value]) => prisma.systemSetting.upsert({
+    where: { key },
+    update: { value: String(value) },
+    create: { key, value: String(value) },
+  })));
+
+  return getPortPoolSettings();
+};
+
+// Host ports taken by other records, and by Docker containers that do not belong to this one
+const getUsedHostPorts = async (containerId) => {
+  const used = new Set();
+
+  const containers = await getPrismaClient().container.findMany({
+    where: { id: { not: containerId } },
+    select: { ports: true },
+  });
+  for (const container of containers) {
+    for (const port of container.ports || []) {
+      if (port.hostPort) used.add(port.hostPort);
+    }
+  }
+
+  try {
+    const dockerContainers = await containerManager.listContainers(false);
+    for (const dockerContainer of dockerContainers) {
+      if (dockerContainer.Labels?.['panel.container.id'] === containerId) continue;
+      for (const port of dockerContainer.Ports || []) {
+        if (port.PublicPort) used.add(port.PublicPort);
+      }
+    }
+  } catch (error) {
+    logger.warn('Could not list Docker ports for host port allocation:', error.message);
+  }
+
+  return used;
+};
+
+// Give every port of a container a host port and store the result on the record.
+// Ports that already have a free host port inside the range keep it.
+const allocateHostPorts = (container, ports) => serialize(async () => {
+  const { start, end } = await getPortPoolSettings();
+  const used = await getUsedHostPorts(container.id);
+  const previous = new Map((container.ports || []).map(port => [portKey(port), port.hostPort]));
+
+  const allocated = ports.map((port) => {
+    const hostPort = previous.get(portKey(port));
+    const keep = hostPort >= start && hostPort <= end && !used.has(hostPort);
+    if (keep) used.add(hostPort);
+    return {
+      containerPort: parseInt(port.containerPort),
+      protocol: port.protocol || 'tcp',
+      hostPort: keep ? hostPort : null,
+    };
+  });
+
+  let candidate = start;
+  for (const port of allocated.filter(item => !item.hostPort)) {
+    while (candidate <= end && used.has(candidate)) candidate++;
+    if (candidate > end) {
+      throw new AppError(`No free host ports left in the pool (${start}-${end})`, 503, 'PORT_POOL_EXHAUSTED');
+    }
+    port.hostPort = candidate;
+    used.add(candidate);
+  }
+
+  await getPrismaClient().container.update({
+    where: { id: container.id },
+    data: { ports: allocated },
+  });
+
+  return allocated;
+});
+
+// Put back the ports a record had before a failed recreation
+const restoreHostPorts = async container => getPrismaClient().container.update({
+  where: { id: container.id },
+  data: { ports: container.ports || [] },
+});
+
+const toExposedPorts = ports => ports.reduce((acc, port) => {
+  acc[portKey(port)] = {};
+  return acc;
+}, {});
+
+const toHostPorts = ports => ports.reduce((acc, port) => {
+  if (port.hostPort) acc[portKey(port)] = port.hostPort;
+  return acc;
+}, {});
+
+// Where the published ports of a container can be reached
+const getContainerEndpoints = async (container) => {
+  const { publicHost } = await getPortPoolSettings();
+
+  return (container.ports || []).map(port => ({
+    containerPort: port.containerPort,
+    protocol: port.protocol || 'tcp',
+    hostPort: port.hostPort || null,
+    address: port.hostPort ? `${publicHost}:${port.hostPort}` : null,
+  }));
+};
+
+// Pool range, usage and every allocation, for the admin overview
+const getPortPoolOverview = async () => {
+  const settings = await getPortPoolSettings();
+  const containers = await getPrismaClient().container.findMany({
+    select: {
+      id: true,
+      name: true,
+      status: true,
+      ports: true,
+      owner: { select: { id: true, username: true } },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  const allocations = containers.flatMap(container => (container.ports || [])
+    .filter(port => port.hostPort)
+    .map(port => ({
+      hostPort: port.hostPort,
+      containerPort: port.containerPort,
+      protocol: port.protocol || 'tcp',
+      containerId: container.id,
+      containerName: container.name,
+      status: container.status,
+      owner: container.owner,
+      outOfRange: port.hostPort < settings.start || port.hostPort > settings.end,
+    })))
+    .sort((a, b) => a.hostPort - b.hostPort);
+
+  const inRange = allocations.filter(allocation => !allocation.outOfRange).length;
+
+  return {
+    ...settings,
+    size: settings.end - settings.start + 1,
+    allocated: inRange,
+    free: settings.end - settings.start + 1 - inRange,
+    allocations,
+  };
+};
+
+module.exports = {
+  DEFAULT_RANGE,
+  getPortPoolSettings,
+  updatePortPoolSettings,
+  allocateHostPorts,
+  restoreHostPorts,
+  toExposedPorts,
+  toHostPorts,
+  getContainerEndpoints,
+  getPortPoolOverview,
+};
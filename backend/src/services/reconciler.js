@@ -0,0 +1,366 @@
+// Reconciliation between the containers table and the Docker host. A scan lists the
+// Docker containers labelled panel.managed/panel.container.id and compares them with
+// the Container records:
+//   missing   - record without a Docker container (creation failed half way, removed by hand)
+//   orphaned  - Docker container no record points at (DB update failed, record deleted)
+//   image     - record and Docker container disagree on the image
+//   status    - record and Docker container disagree on the state
+// Scans run every RECONCILE_INTERVAL and on demand; the last report is kept in memory.
+// Repairs recreate the Docker container from the record, adopt the Docker side into the
+// record, or remove the Docker container.
+
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { addJob } = require('./jobQueue');
+const { APP_MOUNT_PATH } = require('./volumes');
+const { stopContainerTunnels } = require('./tunnelSidecar');
+const logger = require('../utils/logger');
+
+const RECONCILE_INTERVAL = parseInt(process.env.RECONCILE_INTERVAL) || 10 * 60 * 1000;
+// Snapshot restores run the committed image, which is expected to differ from the record
+const SNAPSHOT_IMAGE_PREFIX = 'panel-snapshot:';
+// The panel is in the middle of changing these containers
+const TRANSITIONAL_STATUSES = ['CREATING', 'REMOVING'];
+
+const containerManager = new ContainerManager(getDockerClient());
+
+let lastReport = null;
+let scanTimer = null;
+let scanning = null;
+
+// Docker state as a Container.status; a stopped container reports as exited
+const toPanelStatus = (state) => (state || '').toUpperCase();
+
+const statusesMatch = (recordStatus, dockerStatus) => (
+  recordStatus === dockerStatus
+  || (recordStatus === 'STOPPED' && dockerStatus === 'EXITED')
+  || (recordStatus === 'ERROR' && ['EXITED', 'CREATED', 'DEAD'].includes(dockerStatus))
+);
+
+const summarizeRecord = (container) => ({
+  id: container.id,
+  name: container.name,
+  image: container.image,
+  status: container.status,
+  dockerId: container.dockerId,
+  owner: container.owner ? { id: container.owner.id, username: container.owner.username } : null,
+});
+
+const summarizeDocker = (dockerContainer) => ({
+  id: dockerContainer.Id,
+  name: (dockerContainer.Names?.[0] || '').replace(/^\//, ''),
+  image: dockerContainer.Image,
+  state: dockerContainer.State,
+  status: dockerContainer.Status,
+  containerId: dockerContainer.Labels['panel.container.id'],
+  ownerId: dockerContainer.Labels['panel.owner.id'] || null,
+});
+
+// Compare records and Docker containers. Each issue has a stable key used for repairs.
+const buildDriftReport = async () => {
+  const prisma = getPrismaClient();
+
+  const [records, dockerContainers] = await Promise.all([
+    prisma.container.findMany({
+      include: {
+        owner: {
+          select: { id: true, username: true },
+        },
+      },
+      orderBy: { name: 'asc' },
+    }),
+    containerManager.listContainers(true, { label: ['panel.managed=true', 'panel.container.id'] }),
+  ]);
+
+  // Tunnel sidecars carry the container ID label too
+  const panelContainers = dockerContainers.filter(item => item.Labels['panel.sidecar'] !== 'true');
+  const dockerById = new Map(panelContainers.map(item => [item.Id, item]));
+  const recordsById = new Map(records.map(record => [record.id, record]));
+  const linkedDockerIds = new Set();
+  const issues = [];
+
+  for (const record of records) {
+    if (TRANSITIONAL_STATUSES.includes(record.status)) {
+      if (record.dockerId) linkedDockerIds.add(record.dockerId);
+      continue;
+    }
+
+    const dockerContainer = record.dockerId ? dockerById.get(record.dockerId) : null;
+    if (!dockerContainer) {
+      issues.push({
+        key: `missing:${record.id}`,
+        type: 'missing',
+        message: record.dockerId
+          ? 'Docker container of this record no longer exists'
+          : 'Record was never linked to a Docker container',
+        container: summarizeRecord(record),
+        docker: null,
+        actions: ['recreate', 'remove'],
+      });
+      continue;
+    }
+
+    linkedDockerIds.add(record.dockerId);
+
+    const dockerImage = dockerContainer.Image;
+    if (dockerImage !== record.image && !dockerImage.startsWith(SNAPSHOT_IMAGE_PREFIX) && !dockerImage.startsWith('sha256:')) {
+      issues.push({
+        key: `image:${record.id}`,
+        type: 'image',
+        message: `Record uses ${record.image}, Docker runs ${dockerImage}`,
+        container: summarizeRecord(record),
+        docker: summarizeDocker(dockerContainer),
+        actions: ['adopt', 'recreate'],
+      });
+    }
+
+    const dockerStatus = toPanelStatus(dockerContainer.State);
+    if (!statusesMatch(record.status, dockerStatus)) {
+      issues.push({
+        key: `status:${record.id}`,
+        type: 'status',
+        message: `Record is ${record.status}, Docker reports ${dockerStatus}`,
+        container: summarizeRecord(record),
+        docker: summarizeDocker(dockerContainer),
+        actions: ['adopt'],
+      });
+    }
+  }
+
+  for (const dockerContainer of panelContainers) {
+    if (linkedDockerIds.has(dockerContainer.Id)) continue;
+
+    const docker = summarizeDocker(dockerContainer);
+    const record = recordsById.get(docker.containerId);
+
+    // A record that still has a working Docker container of its own cannot take this one
+    const recordTaken = record && record.dockerId && dockerById.has(record.dockerId);
+    issues.push({
+      key: `orphaned:${dockerContainer.Id}`,
+      type: 'orphaned',
+      message: record
+        ? `Labelled for ${record.name}, but the record points ${record.dockerId ? 'at another Docker container' : 'at no Docker container'}`
+        : 'No record exists for this Docker container',
+      container: record ? summarizeRecord(record) : null,
+      docker,
+      actions: recordTaken || (!record && !docker.ownerId) ? ['remove'] : ['adopt', 'remove'],
+    });
+  }
+
+  lastReport = {
+    scannedAt: new Date().toISOString(),
+    records: records.length,
+    dockerContainers: panelContainers.length,
+    issues,
+  };
+
+  if (issues.length > 0) {
+    logger.warn('Container drift detected', {
+      issues: issues.length,
+      types: issues.reduce((acc, issue) => ({ ...acc, [issue.type]: (acc[issue.type] || 0) + 1 }), {}),
+    });
+  }
+
+  return lastReport;
+};
+
+// Concurrent callers share one scan
+const scanDrift = async () => {
+  if (!scanning) {
+    scanning = buildDriftReport().finally(() => {
+      scanning = null;
+    });
+  }
+  return scanning;
+};
+
+const getDriftReport = async ({ refresh = false } = {}) => {
+  if (refresh || !lastReport) {
+    return scanDrift();
+  }
+  return lastReport;
+};
+
+// Panel config and volumes of a Docker container that has no usable record
+const readDockerConfig = async (dockerId) => {
+  const info = await containerManager.getContainerInfo(dockerId);
+  const env = (info.Config.Env || []).reduce((acc, entry) => {
+    const index = entry.indexOf('=');
+    if (index > 0) acc[entry.slice(0, index)] = entry.slice(index + 1);
+    return acc;
+  }, {});
+  // Adopted records keep the host ports the container is already published on
+  const ports = Object.keys(info.Config.ExposedPorts || {}).map((key) => {
+    const [containerPort, protocol = 'tcp'] = key.split('/');
+    const hostPort = parseInt(info.HostConfig.PortBindings?.[key]?.[0]?.HostPort);
+    return { containerPort: parseInt(containerPort), protocol, ...(hostPort && { hostPort }) };
+  });
+  const volumes = (info.Mounts || [])
+    .filter(mount => mount.Destination === APP_MOUNT_PATH)
+    .map(mount => (mount.Type === 'volume'
+      ? { type: 'volume', name: mount.Name, target: APP_MOUNT_PATH }
+      : { type: 'bind', source: mount.Source, target: APP_MOUNT_PATH }));
+
+  return {
+    info,
+    config: { cmd: info.Config.Cmd || [], env, ports: ports.map(({ hostPort, ...port }) => port) },
+    ports,
+    resources: {
+      memory: info.HostConfig.Memory ? `${Math.round(info.HostConfig.Memory / (1024 * 1024))}m` : '512m',
+      cpus: info.HostConfig.CpuQuota ? info.HostConfig.CpuQuota / (info.HostConfig.CpuPeriod || 100000) : 0.5,
+    },
+    volumes,
+  };
+};
+
+// Queue a new Docker container for a record; /app survives on its volume
+const recreateContainer = async (container, userId) => {
+  const prisma = getPrismaClient();
+
+  if (container.dockerId) {
+    await stopContainerTunnels(container);
+    try {
+      await containerManager.removeContainer(container.dockerId, true);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+
+  await prisma.container.update({
+    where: { id: container.id },
+    data: { dockerId: null, status: 'CREATING' },
+  });
+
+  const job = await addJob('container.create', { image: container.image }, {
+    userId,
+    containerId: container.id,
+    jobId: `container-recreate-${container.id}-${Date.now()}`,
+  });
+
+  const { lastError, ...config } = container.config || {};
+  await prisma.container.update({
+    where: { id: container.id },
+    data: {
+      config: {
+        ...config,
+        createJobId: job.id,
+      },
+    },
+  });
+
+  return job;
+};
+
+// Point a record at a Docker container, creating the record when it is gone
+const adoptDockerContainer = async (docker) => {
+  const prisma = getPrismaClient();
+  const { info, config, ports, resources, volumes } = await readDockerConfig(docker.id);
+  const status = toPanelStatus(info.State.Status);
+  const image = info.Config.Image;
+
+  const record = await prisma.container.findUnique({
+    where: { id: docker.containerId },
+  });
+
+  if (record) {
+    return prisma.container.update({
+      where: { id: record.id },
+      data: {
+        dockerId: docker.id,
+        status,
+        ...(!image.startsWith(SNAPSHOT_IMAGE_PREFIX) && { image }),
+        ...(volumes.length > 0 && { volumes }),
+        ports,
+      },
+    });
+  }
+
+  const owner = docker.ownerId && await prisma.user.findUnique({
+    where: { id: docker.ownerId },
+    select: { id: true },
+  });
+  if (!owner) {
+    throw new ConflictError('The owner of this Docker container no longer exists');
+  }
+
+  // The record keeps the labelled ID so volume names and labels still line up
+  return prisma.container.create({
+    data: {
+      id: docker.containerId,
+      name: `adopted-${docker.containerId.slice(-8)}`,
+      image,
+      dockerId: docker.id,
+      status,
+      ownerId: owner.id,
+      config: { ...config, adoptedAt: new Date().toISOString() },
+      resources,
+      ports,
+      environment: config.env,
+      volumes,
+    },
+  });
+};
+
+// Remove a Docker container and the tunnel sidecars attached to it
+const removeDockerContainer = async (dockerId) => {
+  const sidecars = await containerManager.listContainers(true, {
+    label: [`panel.parent.docker.id=${dockerId}`],
+  });
+
+  for (const sidecar of sidecars) {
+    await containerManager.removeContainer(sidecar.Id, true);
+  }
+
+  try {
+    await containerManager.removeContainer(dockerId, true);
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
+};
+
+// Find an issue in a fresh scan, so repairs never act on a stale report
+const findIssue = async (key, action) => {
+  const report = await scanDrift();
+  const issue = report.issues.find(item => item.key === key);
+
+  if (!issue) {
+    throw new NotFoundError('Issue not found; it may already be resolved');
+  }
+
+  if (!issue.actions.includes(action)) {
+    throw new ConflictError(`Action ${action} is not available for this issue`);
+  }
+
+  return issue;
+};
+
+const startReconciler = () => {
+  if (scanTimer) return;
+
+  scanTimer = setInterval(() => {
+    scanDrift().catch((error) => {
+      logger.error('Container reconciliation failed:', error);
+    });
+  }, RECONCILE_INTERVAL);
+  scanTimer.unref();
+
+  logger.info('✅ Container reconciler started', { interval: RECONCILE_INTERVAL });
+};
+
+const stopReconciler = () => {
+  if (!scanTimer) return;
+  clearInterval(scanTimer);
+  scanTimer = null;
+};
+
+module.exports = {
+  scanDrift,
+  getDriftReport,
+  findIssue,
+  recreateContainer,
+  adoptDockerContainer,
+  removeDockerContainer,
+  startReconciler,
+  stopReconciler,
+};
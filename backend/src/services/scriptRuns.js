@@ -0,0 +1,341 @@
+// Script runs: Python/Node/shell scripts started through the API inside a container.
+// Each run is a docker exec whose PID, timing and exit code are stored on a ScriptRun
+// record; stdout/stderr are appended to an NDJSON file under SCRIPT_RUN_DIR and
+// published on `scriptEvents` for Socket.IO.
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { ConflictError } = require('../middleware/errorHandler');
+const { APP_MOUNT_PATH } = require('./volumes');
+const logger = require('../utils/logger');
+
+const SCRIPT_RUN_DIR = process.env.SCRIPT_RUN_DIR || '/var/lib/panel/script-runs';
+const OUTPUT_LIMIT = (parseInt(process.env.SCRIPT_OUTPUT_LIMIT_MB) || 10) * 1024 * 1024;
+const MAX_ACTIVE_RUNS = parseInt(process.env.SCRIPT_MAX_ACTIVE_RUNS) || 3;
+const STOP_TIMEOUT = 10000;
+
+// -u keeps Python output unbuffered so it shows up live
+const INTERPRETERS = {
+  python: ['python3', '-u'],
+  node: ['node'],
+  sh: ['sh'],
+};
+
+// The wrapper reports its PID on stderr, then execs the script so the PID stays the same
+const PID_MARKER = /^__PANEL_PID__ (\d+)\n/;
+const PID_WRAPPER = 'echo "__PANEL_PID__ $$" >&2; exec "$@"';
+
+const scriptEvents = new EventEmitter();
+const activeRuns = new Map();
+
+const containerManager = new ContainerManager(getDockerClient());
+
+const getOutputPath = (run) => path.join(SCRIPT_RUN_DIR, run.containerId, `${run.id}.log`);
+
+// Public shape: the record plus elapsed time, which keeps growing while the script runs
+const serializeScriptRun = (run) => ({
+  ...run,
+  active: activeRuns.has(run.id),
+  elapsed: (run.finishedAt ? new Date(run.finishedAt) : new Date()) - new Date(run.startedAt),
+});
+
+const finishRun = async (state, data) => {
+  const prisma = getPrismaClient();
+  state.finished = true;
+  activeRuns.delete(state.run.id);
+  clearTimeout(state.killTimer);
+
+  await new Promise(resolve => state.output.end(resolve));
+
+  const finishedAt = new Date();
+  const run = await prisma.scriptRun.update({
+    where: { id: state.run.id },
+    data: {
+      ...data,
+      outputSize: state.outputSize,
+      truncated: state.truncated,
+      finishedAt,
+      duration: finishedAt - state.run.startedAt,
+    },
+  });
+
+  await prisma.containerLog.create({
+    data: {
+      containerId: run.containerId,
+      command: `SCRIPT_RUN ${run.interpreter} ${run.script}`.substring(0, 1000),
+      output: `Script ${run.status.toLowerCase()} after ${(run.duration / 1000).toFixed(1)}s${run.error ? `: ${run.error}` : ''}`,
+      exitCode: run.exitCode,
+    },
+  });
+
+  logger.info('Script run finished', {
+    runId: run.id,
+    containerId: run.containerId,
+    status: run.status,
+    exitCode: run.exitCode,
+    duration: run.duration,
+  });
+
+  scriptEvents.emit('finished', serializeScriptRun(run));
+  return run;
+};
+
+const writeOutput = (state, streamName, text) => {
+  if (!text || state.finished) return;
+
+  const entry = { t: Date.now(), s: streamName, d: text };
+  scriptEvents.emit('output', {
+    runId: state.run.id,
+    containerId: state.run.containerId,
+    userId: state.run.userId,
+    ...entry,
+  });
+
+  // The live view keeps streaming; only the stored copy is capped
+  if (state.truncated) return;
+  if (state.outputSize + Buffer.byteLength(text) > OUTPUT_LIMIT) {
+    state.truncated = true;
+    state.output.write(`${JSON.stringify({ t: entry.t, s: 'system', d: 'Output limit reached, the rest is not stored\n' })}\n`);
+    return;
+  }
+
+  state.outputSize += Buffer.byteLength(text);
+  state.output.write(`${JSON.stringify(entry)}\n`);
+};
+
+const markRunning = async (state, pid) => {
+  const prisma = getPrismaClient();
+  state.pid = pid;
+
+  const run = await prisma.scriptRun.update({
+    where: { id: state.run.id },
+    data: { pid, status: 'RUNNING' },
+  });
+
+  scriptEvents.emit('started', serializeScriptRun(run));
+};
+
+// Start a script in a running container and track it until it exits
+const startScriptRun = async (container, { userId, interpreter, script, args = [], env = {} }) => {
+  const prisma = getPrismaClient();
+
+  const activeCount = [...activeRuns.values()].filter(state => state.run.containerId === container.id).length;
+  if (activeCount >= MAX_ACTIVE_RUNS) {
+    throw new ConflictError(`At most ${MAX_ACTIVE_RUNS} scripts can run at the same time in one container`);
+  }
+
+  const run = await prisma.scriptRun.create({
+    data: {
+      containerId: container.id,
+      userId,
+      interpreter,
+      script,
+      args,
+    },
+  });
+
+  const outputPath = getOutputPath(run);
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+
+  const state = {
+    run,
+    pid: null,
+    exec: null,
+    output: fs.createWriteStream(outputPath, { flags: 'a' }),
+    outputSize: 0,
+    truncated: false,
+    stopRequested: false,
+    killTimer: null,
+    started: Promise.resolve(),
+    finished: false,
+  };
+  activeRuns.set(run.id, state);
+
+  let exec;
+  let stream;
+  try {
+    ({ exec, stream } = await containerManager.execCommand(container.dockerId, [
+      'sh', '-c', PID_WRAPPER, 'script-run',
+      ...INTERPRETERS[interpreter],
+      script,
+      ...args,
+    ], {
+      AttachStdin: false,
+      WorkingDir: APP_MOUNT_PATH,
+      Env: Object.entries(env).map(([key, value]) => `${key}=${value}`),
+    }));
+  } catch (error) {
+    await finishRun(state, { status: 'FAILED', error: error.message });
+    throw error;
+  }
+
+  state.exec = exec;
+
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  containerManager.docker.modem.demuxStream(stream, stdout, stderr);
+
+  let pendingStderr = '';
+  stdout.on('data', chunk => writeOutput(state, 'stdout', chunk.toString()));
+  stderr.on('data', (chunk) => {
+    if (state.pid !== null) {
+      writeOutput(state, 'stderr', chunk.toString());
+      return;
+    }
+
+    // Everything before the PID marker belongs to the wrapper
+    pendingStderr += chunk.toString();
+    const match = pendingStderr.match(PID_MARKER);
+    if (!match) return;
+
+    const rest = pendingStderr.slice(match[0].length);
+    pendingStderr = '';
+    state.started = markRunning(state, parseInt(match[1])).catch((error) => {
+      logger.error('Failed to record script PID:', error);
+    });
+    writeOutput(state, 'stderr', rest);
+  });
+
+  let finished = false;
+  const onEnd = async (streamError = null) => {
+    if (finished) return;
+    finished = true;
+
+    try {
+      // Let the demuxed streams deliver their last chunks first
+      await new Promise(resolve => setImmediate(resolve));
+
+      // Output of a wrapper that never reached the script (e.g. no sh in the image)
+      writeOutput(state, 'stderr', pendingStderr);
+      await state.started;
+
+      const { ExitCode: exitCode } = await exec.inspect();
+      let status = exitCode === 0 ? 'SUCCEEDED' : 'FAILED';
+      if (state.stopRequested) status = 'STOPPED';
+
+      await finishRun(state, {
+        status,
+        exitCode,
+        error: streamError ? streamError.message : null,
+      });
+    } catch (error) {
+      logger.error('Failed to record script run result:', error);
+      await finishRun(state, { status: 'FAILED', error: error.message }).catch(() => {});
+    }
+  };
+
+  stream.on('end', () => onEnd());
+  stream.on('close', () => onEnd());
+  stream.on('error', error => onEnd(error));
+
+  logger.audit('Script run started', {
+    userId,
+    containerId: container.id,
+    runId: run.id,
+    interpreter,
+    script,
+  });
+
+  return serializeScriptRun(run);
+};
+
+const killInContainer = async (dockerId, signal, pid) => {
+  const { stream } = await containerManager.execCommand(dockerId, ['kill', `-${signal}`, String(pid)]);
+  await new Promise((resolve) => {
+    stream.on('end', resolve);
+    stream.on('close', resolve);
+    stream.on('error', resolve);
+    stream.resume();
+  });
+};
+
+// Ask the script to stop with SIGTERM and kill it if it is still running after STOP_TIMEOUT
+const stopScriptRun = async (run, dockerId) => {
+  const state = activeRuns.get(run.id);
+  if (!state) {
+    throw new ConflictError('Script is not running');
+  }
+  if (state.pid === null) {
+    throw new ConflictError('Script has not started yet');
+  }
+
+  state.stopRequested = true;
+  await killInContainer(dockerId, 'TERM', state.pid);
+
+  state.killTimer = setTimeout(() => {
+    if (!activeRuns.has(run.id)) return;
+    killInContainer(dockerId, 'KILL', state.pid).catch((error) => {
+      logger.error('Failed to kill script run:', error);
+    });
+  }, STOP_TIMEOUT);
+
+  return serializeScriptRun(run);
+};
+
+// Stored output entries ({ t, s, d }) starting at entry `offset`
+const readScriptOutput = async (run, { stream = null, offset = 0, limit = 1000 } = {}) => {
+  let content;
+  try {
+    content = await fs.promises.readFile(getOutputPath(run), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { entries: [], nextOffset: offset, total: 0 };
+    throw error;
+  }
+
+  const lines = content.split('\n').filter(Boolean);
+  const entries = lines
+    .slice(offset, offset + limit)
+    .map(line => JSON.parse(line))
+    .filter(entry => !stream || entry.s === stream);
+
+  return {
+    entries,
+    nextOffset: Math.min(lines.length, offset + limit),
+    total: lines.length,
+  };
+};
+
+// Runs that were active when the panel stopped can no longer be followed
+const recoverScriptRuns = async () => {
+  const prisma = getPrismaClient();
+
+  const { count } = await prisma.scriptRun.updateMany({
+    where: { status: { in: ['STARTING', 'RUNNING'] } },
+    data: {
+      status: 'INTERRUPTED',
+      error: 'Panel restarted while the script was running',
+      finishedAt: new Date(),
+    },
+  });
+
+  if (count > 0) {
+    logger.warn(`Marked ${count} script run(s) as interrupted`);
+  }
+};
+
+// Remove the stored output of all runs of a container (never throws)
+const purgeScriptOutputs = async (containerId) => {
+  try {
+    await fs.promises.rm(path.join(SCRIPT_RUN_DIR, containerId), { recursive: true, force: true });
+  } catch (error) {
+    logger.error('Failed to remove script run output:', error);
+  }
+};
+
+module.exports = {
+  INTERPRETERS,
+  PID_MARKER,
+  PID_WRAPPER,
+  killInContainer,
+  scriptEvents,
+  serializeScriptRun,
+  startScriptRun,
+  stopScriptRun,
+  readScriptOutput,
+  recoverScriptRuns,
+  purgeScriptOutputs,
+};
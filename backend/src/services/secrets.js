@@ -0,0 +1,379 @@
+// Secrets store: container secrets, Cloudflare tunnel tokens and the TLS keys of custom
+// domains, encrypted at rest with AES-256-GCM under the panel master key
+// (SECRETS_MASTER_KEY). Values are write-only through the API. Container secrets are injected when the Docker container is created
+// or recreated: as environment variables, as files under /run/secrets, or both.
+// Each value records the fingerprint of the key that encrypted it. Rotation sets a new
+// SECRETS_MASTER_KEY and moves the old one to SECRETS_PREVIOUS_KEYS (still used for
+// decryption), then rotateSecrets() re-encrypts everything under the new key.
+
+const crypto = require('crypto');
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const SECRETS_MOUNT_PATH = '/run/secrets';
+const CIPHER = 'aes-256-gcm';
+const CIPHER_VERSION = 'v1';
+const MASKED_VALUE = '********';
+// Container secrets share one namespace, so tunnel tokens and TLS keys use names env vars cannot have
+const tunnelSecretName = tunnelId => `tunnel-${tunnelId}`;
+const domainKeySecretName = domainId => `tls-${domainId}`;
+
+const containerManager = new ContainerManager(getDockerClient());
+
+// Any string works as a key; it is stretched to 32 bytes with SHA-256
+const deriveKey = (rawKey) => {
+  const key = crypto.createHash('sha256').update(rawKey).digest();
+  return {
+    id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16),
+    key,
+  };
+};
+
+// Current key first, then the previous keys that can still decrypt
+const loadKeys = () => {
+  const current = process.env.SECRETS_MASTER_KEY ? deriveKey(process.env.SECRETS_MASTER_KEY) : null;
+  const previous = (process.env.SECRETS_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(deriveKey);
+
+  return { current, all: [current, ...previous].filter(Boolean) };
+};
+
+const keys = loadKeys();
+
+const secretsUnavailable = () => new AppError('Secrets are unavailable: SECRETS_MASTER_KEY is not configured', 503, 'SECRETS_UNAVAILABLE');
+
+const isSecretsConfigured = () => Boolean(keys.current);
+
+const encryptValue = (plaintext) => {
+  if (!keys.current) throw secretsUnavailable();
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, keys.current.key, iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return {
+    value: [CIPHER_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':'),
+    keyId: keys.current.id,
+  };
+};
+
+const decryptValue = (secret) => {
+  const entry = keys.all.find(item => item.id === secret.keyId);
+  if (!entry) {
+    throw new AppError(`Secret ${secret.name} is encrypted with a key that is not configured (${secret.keyId})`, 503, 'SECRETS_UNAVAILABLE');
+  }
+
+  const [version, iv, tag, data] = secret.value.split(':');
+  if (version !== CIPHER_VERSION) {
+    throw new AppError(`Secret ${secret.name} uses an unknown format`, 500, 'SECRETS_UNAVAILABLE');
+  }
+
+  const decipher = crypto.createDecipheriv(CIPHER, entry.key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// What the API returns: never the value, not even encrypted
+const maskSecret = secret => ({
+  id: secret.id,
+  name: secret.name,
+  value: MASKED_VALUE,
+  exposeAsEnv: secret.exposeAsEnv,
+  mountAsFile: secret.mountAsFile,
+  createdAt: secret.createdAt,
+  updatedAt: secret.updatedAt,
+});
+
+const listContainerSecrets = async (containerId) => {
+  const secrets = await getPrismaClient().secret.findMany({
+    where: { containerId, kind: 'CONTAINER' },
+    orderBy: { name: 'asc' },
+  });
+  return secrets.map(maskSecret);
+};
+
+// Create or replace a container secret; without a value only the flags change
+const setContainerSecret = async (containerId, name, { value, exposeAsEnv, mountAsFile }) => {
+  const prisma = getPrismaClient();
+  const flags = {
+    ...(exposeAsEnv !== undefined && { exposeAsEnv }),
+    ...(mountAsFile !== undefined && { mountAsFile }),
+  };
+
+  const secret = await prisma.secret.upsert({
+    where: { containerId_name: { containerId, name } },
+    create: {
+      kind: 'CONTAINER',
+      containerId,
+      name,
+      ...encryptValue(value),
+      ...flags,
+    },
+    update: {
+      ...(value !== undefined && encryptValue(value)),
+      ...flags,
+    },
+  });
+
+  return maskSecret(secret);
+};
+
+const deleteContainerSecret = async (containerId, name) => {
+  const { count } = await getPrismaClient().secret.deleteMany({
+    where: { containerId, name, kind: 'CONTAINER' },
+  });
+  return count > 0;
+};
+
+const loadContainerSecrets = async (containerId) => getPrismaClient().secret.findMany({
+  where: { containerId, kind: 'CONTAINER' },
+  orderBy: { name: 'asc' },
+});
+
+// KEY=VALUE list for Docker: the plain env of the container, then its env secrets
+const buildContainerEnv = async (containerId, env = {}) => {
+  const secrets = await loadContainerSecrets(containerId);
+  const merged = { ...env };
+
+  for (const secret of secrets.filter(item => item.exposeAsEnv)) {
+    merged[secret.name] = decryptValue(secret);
+  }
+
+  return Object.entries(merged).map(([key, value]) => `${key}=${value}`);
+};
+
+// Write file secrets into a created (not necessarily started) Docker container
+const writeSecretFiles = async (dockerId, containerId) => {
+  const secrets = (await loadContainerSecrets(containerId)).filter(item => item.mountAsFile);
+  if (secrets.length === 0) return 0;
+
+  await containerManager.putFiles(dockerId, secrets.map(secret => ({
+    path: `${SECRETS_MOUNT_PATH}/${secret.name}`,
+    content: decryptValue(secret),
+    mode: 0o444,
+  })));
+
+  return secrets.length;
+};
+
+// Hide env secret values in a Docker Env list; drop: true removes the entries instead
+const redactSecretEnv = async (containerId, envList = [], { drop = false } = {}) => {
+  const secrets = await loadContainerSecrets(containerId);
+  const names = new Set(secrets.filter(item => item.exposeAsEnv).map(item => item.name));
+  if (names.size === 0) return envList;
+
+  return envList.reduce((acc, entry) => {
+    const name = entry.split('=')[0];
+    if (!names.has(name)) {
+      acc.push(entry);
+    } else if (!drop) {
+      acc.push(`${name}=${MASKED_VALUE}`);
+    }
+    return acc;
+  }, []);
+};
+
+// Recreate the Docker container of a record with its env and secrets applied.
+// overrides.env is the plain env object (defaults to the stored config).
+const recreateWithSecrets = async (container, overrides = {}, options = {}) => {
+  const { env = container.config?.env || {}, ...dockerOverrides } = overrides;
+
+  return containerManager.recreateContainer(container.dockerId, {
+    ...dockerOverrides,
+    env: await buildContainerEnv(container.id, env),
+  }, {
+    ...options,
+    // Secret files first; the caller's beforeStart may then point the record at the new container
+    beforeStart: async (newContainer) => {
+      await writeSecretFiles(newContainer.id, container.id);
+      if (options.beforeStart) await options.beforeStart(newContainer);
+    },
+  });
+};
+
+// Store a tunnel token and link it to the tunnel; null removes it (quick tunnel)
+const setTunnelToken = async (tunnel, token) => {
+  const prisma = getPrismaClient();
+
+  if (!token) {
+    if (tunnel.tokenSecretId) {
+      await prisma.cloudflareTunnel.update({
+        where: { id: tunnel.id },
+        data: { tokenSecretId: null, token: null },
+      });
+      await prisma.secret.delete({ where: { id: tunnel.tokenSecretId } });
+    }
+    return prisma.cloudflareTunnel.findUnique({ where: { id: tunnel.id } });
+  }
+
+  const name = tunnelSecretName(tunnel.id);
+  const secret = await prisma.secret.upsert({
+    where: { containerId_name: { containerId: tunnel.containerId, name } },
+    create: {
+      kind: 'TUNNEL_TOKEN',
+      containerId: tunnel.containerId,
+      name,
+      ...encryptValue(token),
+      exposeAsEnv: false,
+    },
+    update: encryptValue(token),
+  });
+
+  return prisma.cloudflareTunnel.update({
+    where: { id: tunnel.id },
+    data: { tokenSecretId: secret.id, token: null },
+  });
+};
+
+const getTunnelToken = async (tunnel) => {
+  if (!tunnel.tokenSecretId) return null;
+
+  const secret = await getPrismaClient().secret.findUnique({
+    where: { id: tunnel.tokenSecretId },
+  });
+  return secret ? decryptValue(secret) : null;
+};
+
+const deleteTunnelToken = async (tunnel) => {
+  if (!tunnel.tokenSecretId) return;
+
+  await getPrismaClient().secret.deleteMany({
+    where: { id: tunnel.tokenSecretId },
+  });
+};
+
+// Store the private key of a domain certificate and link it to the domain
+const setDomainKey = async (domain, privateKey) => {
+  const prisma = getPrismaClient();
+  const name = domainKeySecretName(domain.id);
+
+  const secret = await prisma.secret.upsert({
+    where: { containerId_name: { containerId: domain.containerId, name } },
+    create: {
+      kind: 'TLS_KEY',
+      containerId: domain.containerId,
+      name,
+      ...encryptValue(privateKey),
+      exposeAsEnv: false,
+    },
+    update: encryptValue(privateKey),
+  });
+
+  return secret.id;
+};
+
+const getDomainKey = async (domain) => {
+  if (!domain.keySecretId) return null;
+
+  const secret = await getPrismaClient().secret.findUnique({
+    where: { id: domain.keySecretId },
+  });
+  return secret ? decryptValue(secret) : null;
+};
+
+const deleteDomainKey = async (domain) => {
+  if (!domain.keySecretId) return;
+
+  await getPrismaClient().secret.deleteMany({
+    where: { id: domain.keySecretId },
+  });
+};
+
+// Move plaintext tokens left in CloudflareTunnel.token into the store
+const migrateTunnelTokens = async () => {
+  const prisma = getPrismaClient();
+  const tunnels = await prisma.cloudflareTunnel.findMany({
+    where: { token: { not: null } },
+  });
+
+  if (tunnels.length === 0) return 0;
+
+  if (!isSecretsConfigured()) {
+    logger.warn('Tunnel tokens are stored in plaintext; set SECRETS_MASTER_KEY to encrypt them', {
+      tunnels: tunnels.length,
+    });
+    return 0;
+  }
+
+  for (const tunnel of tunnels) {
+    await setTunnelToken(tunnel, tunnel.token);
+  }
+
+  logger.info('Tunnel tokens moved into the secrets store', { tunnels: tunnels.length });
+  return tunnels.length;
+};
+
+// Re-encrypt every value that is not under the current key
+const rotateSecrets = async () => {
+  if (!keys.current) throw secretsUnavailable();
+
+  const prisma = getPrismaClient();
+  const secrets = await prisma.secret.findMany({
+    where: { keyId: { not: keys.current.id } },
+  });
+
+  const failed = [];
+  for (const secret of secrets) {
+    try {
+      await prisma.secret.update({
+        where: { id: secret.id },
+        data: encryptValue(decryptValue(secret)),
+      });
+    } catch (error) {
+      failed.push({ id: secret.id, name: secret.name, keyId: secret.keyId, error: error.message });
+    }
+  }
+
+  if (failed.length > 0) {
+    logger.warn('Some secrets could not be re-encrypted', { failed: failed.length });
+  }
+
+  return { rotated: secrets.length - failed.length, failed };
+};
+
+const getSecretsStatus = async () => {
+  const groups = await getPrismaClient().secret.groupBy({
+    by: ['keyId'],
+    _count: { _all: true },
+  });
+  const knownKeyIds = new Set(keys.all.map(item => item.id));
+
+  return {
+    configured: isSecretsConfigured(),
+    keyId: keys.current?.id || null,
+    previousKeys: keys.all.length - (keys.current ? 1 : 0),
+    total: groups.reduce((sum, group) => sum + group._count._all, 0),
+    keys: groups.map(group => ({
+      keyId: group.keyId,
+      secrets: group._count._all,
+      current: group.keyId === keys.current?.id,
+      available: knownKeyIds.has(group.keyId),
+    })),
+  };
+};
+
+module.exports = {
+  SECRETS_MOUNT_PATH,
+  isSecretsConfigured,
+  listContainerSecrets,
+  setContainerSecret,
+  deleteContainerSecret,
+  buildContainerEnv,
+  writeSecretFiles,
+  redactSecretEnv,
+  recreateWithSecrets,
+  setTunnelToken,
+  getTunnelToken,
+  deleteTunnelToken,
+  setDomainKey,
+  getDomainKey,
+  deleteDomainKey,
+  migrateTunnelTokens,
+  rotateSecrets,
+  getSecretsStatus,
+};
@@ -0,0 +1,342 @@
+// Container snapshots: the panel config and Docker config of a container plus a
+// tarball of /app (getArchive), optionally with a `docker commit` of the whole
+// filesystem. Archives are stored under SNAPSHOT_DIR/<containerId>/<snapshotId>.tar.
+// Restoring recreates the Docker container from the captured config on a fresh
+// /app volume and extracts the archive into it.
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { ConflictError } = require('../middleware/errorHandler');
+const { APP_MOUNT_PATH, prepareContainerVolumes, purgeContainerVolumes, toBinds } = require('./volumes');
+const { pullImageWithProgress } = require('./imagePull');
+const { stopContainerTunnels, resumeContainerTunnels } = require('./tunnelSidecar');
+const { buildContainerEnv, writeSecretFiles, redactSecretEnv } = require('./secrets');
+const { allocateHostPorts, toExposedPorts, toHostPorts } = require('./portPool');
+const { toDockerHealthcheck } = require('./healthChecks');
+const logger = require('../utils/logger');
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || '/var/lib/panel/snapshots';
+const COMMIT_REPOSITORY = 'panel-snapshot';
+
+const containerManager = new ContainerManager(getDockerClient());
+
+const getArchivePath = (snapshot) => path.join(SNAPSHOT_DIR, snapshot.containerId, `${snapshot.id}.tar`);
+
+// Panel config stored on the snapshot, restored onto the target container record
+const capturePanelConfig = (container) => {
+  const { cmd = [], env = {}, ports = [] } = container.config || {};
+  return {
+    cmd,
+    env,
+    ports,
+    resources: container.resources || {},
+  };
+};
+
+// Fill a snapshot record created with status CREATING (runs as a background job)
+const captureSnapshot = async (snapshotId, { commit = false, report = async () => {} } = {}) => {
+  const prisma = getPrismaClient();
+
+  const snapshot = await prisma.snapshot.findUnique({
+    where: { id: snapshotId },
+    include: { container: true },
+  });
+
+  // Deleted while the job was waiting
+  if (!snapshot) return null;
+
+  const { container } = snapshot;
+  if (!container.dockerId) {
+    throw new Error('Container has no Docker container to snapshot');
+  }
+
+  await report(10, 'Reading container configuration', 'config');
+  const dockerConfig = await containerManager.snapshotContainer(container.dockerId);
+  // Secrets stay in the secrets store; restores inject the target's current ones
+  dockerConfig.config.Env = await redactSecretEnv(container.id, dockerConfig.config.Env, { drop: true });
+
+  await report(20, `Archiving ${APP_MOUNT_PATH}`, 'archive');
+  const archivePath = getArchivePath(snapshot);
+  await fs.promises.mkdir(path.dirname(archivePath), { recursive: true });
+  const archive = await containerManager.getArchive(container.dockerId, APP_MOUNT_PATH);
+  await pipeline(archive, fs.createWriteStream(archivePath));
+  const { size: archiveSize } = await fs.promises.stat(archivePath);
+
+  let commitImage = null;
+  let commitSize = null;
+  if (commit) {
+    await report(60, 'Committing container filesystem', 'commit');
+    const image = await containerManager.commitContainer(container.dockerId, {
+      repo: COMMIT_REPOSITORY,
+      tag: snapshot.id,
+      comment: `Snapshot ${snapshot.name} of ${container.name}`,
+    });
+    commitImage = `${COMMIT_REPOSITORY}:${snapshot.id}`;
+    commitSize = image.Size;
+  }
+
+  return prisma.snapshot.update({
+    where: { id: snapshot.id },
+    data: {
+      status: 'READY',
+      dockerConfig,
+      archiveSize,
+      commitImage,
+      commitSize,
+      error: null,
+      completedAt: new Date(),
+    },
+  });
+};
+
+const markSnapshotFailed = async (snapshotId, error) => {
+  const prisma = getPrismaClient();
+
+  const snapshot = await prisma.snapshot.findUnique({
+    where: { id: snapshotId },
+  });
+
+  if (!snapshot) return;
+
+  await fs.promises.rm(getArchivePath(snapshot), { force: true }).catch((rmError) => {
+    logger.warn('Failed to remove partial snapshot archive:', rmError.message);
+  });
+
+  await prisma.snapshot.update({
+    where: { id: snapshot.id },
+    data: {
+      status: 'FAILED',
+      error: error.message,
+      completedAt: new Date(),
+    },
+  });
+};
+
+// Restore a snapshot into its own container or into a new container record.
+// The target's Docker container and /app volume are replaced, so the image is
+// made available first and nothing is removed if that fails.
+const restoreSnapshot = async (snapshotId, targetContainerId, { startAfter = false, report = async () => {} } = {}) => {
+  const prisma = getPrismaClient();
+
+  const snapshot = await prisma.snapshot.findUnique({
+    where: { id: snapshotId },
+  });
+  const container = await prisma.container.findUnique({
+    where: { id: targetContainerId },
+    include: {
+      owner: {
+        select: {
+          username: true,
+        },
+      },
+    },
+  });
+
+  if (!snapshot || !container) {
+    return { skipped: true, reason: 'Snapshot or container no longer exists' };
+  }
+
+  let image = snapshot.image;
+  if (snapshot.commitImage) {
+    await report(5, `Checking snapshot image ${snapshot.commitImage}`, 'image');
+    try {
+      await containerManager.docker.getImage(snapshot.commitImage).inspect();
+      image = snapshot.commitImage;
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      logger.warn('Snapshot image no longer exists, restoring onto the base image', {
+        snapshotId: snapshot.id,
+        image: snapshot.commitImage,
+      });
+    }
+  }
+
+  if (image === snapshot.image) {
+    await report(5, `Pulling image ${image}`, 'pull');
+    await pullImageWithProgress(image, {
+      userId: container.ownerId,
+      containerId: container.id,
+      onProgress: (pull) => report(5 + pull.percent * 0.4, `Pulling image ${image} (${pull.percent}%)`, 'pull'),
+    });
+  }
+
+  if (container.dockerId) {
+    await report(50, 'Removing current container', 'remove');
+    await stopContainerTunnels(container);
+    try {
+      await containerManager.removeContainer(container.dockerId, true);
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+  }
+
+  // Start from an empty /app so files created after the snapshot do not linger
+  await report(60, 'Preparing volume', 'volume');
+  await purgeContainerVolumes(container);
+  const volumes = await prepareContainerVolumes(container);
+
+  await report(70, 'Creating container', 'create');
+  const { cmd, env, ports } = snapshot.config || {};
+  const resources = container.resources || {};
+  // The snapshot's own host ports may belong to another container by now
+  const allocatedPorts = await allocateHostPorts(container, ports || []);
+  const createOptions = containerManager.buildConfigFromSnapshot(snapshot.dockerConfig, {
+    image,
+    name: `panel_${container.id}`,
+    env: await buildContainerEnv(container.id, env || {}),
+    ports: toExposedPorts(allocatedPorts),
+    hostPorts: toHostPorts(allocatedPorts),
+    // The container keeps its current health check
+    healthcheck: toDockerHealthcheck(container.config?.healthCheck),
+    labels: {
+      'panel.container.id': container.id,
+      'panel.owner.id': container.ownerId,
+      'panel.owner.username': container.owner.username,
+      'panel.snapshot.id': snapshot.id,
+    },
+    hostConfig: {
+      Binds: toBinds(volumes),
+      Memory: containerManager.parseMemory(resources.memory || '512m'),
+      CpuQuota: Math.floor(parseFloat(resources.cpus || 0.5) * 100000),
+      CpuPeriod: 100000,
+    },
+  });
+  const dockerContainer = await containerManager.docker.createContainer(createOptions);
+  await writeSecretFiles(dockerContainer.id, container.id);
+
+  await report(80, `Restoring ${APP_MOUNT_PATH}`, 'archive');
+  await containerManager.putArchive(dockerContainer.id, fs.createReadStream(getArchivePath(snapshot)), '/');
+
+  const { lastError, ...panelConfig } = container.config || {};
+  await prisma.container.update({
+    where: { id: container.id },
+    data: {
+      image: snapshot.image,
+      dockerId: dockerContainer.id,
+      status: 'CREATED',
+      volumes,
+      config: {
+        ...panelConfig,
+        cmd,
+        env,
+        ports,
+        restoredFrom: snapshot.id,
+      },
+      environment: env,
+    },
+  });
+
+  if (startAfter) {
+    await report(90, 'Starting container', 'start');
+    await containerManager.startContainer(dockerContainer.id);
+    await prisma.container.update({
+      where: { id: container.id },
+      data: { status: 'RUNNING' },
+    });
+
+    const updatedContainer = await prisma.container.findUnique({
+      where: { id: container.id },
+    });
+    resumeContainerTunnels(updatedContainer).catch((error) => {
+      logger.warn('Failed to resume container tunnels:', error.message);
+    });
+  }
+
+  await prisma.containerLog.create({
+    data: {
+      containerId: container.id,
+      command: 'RESTORE',
+      output: `Restored snapshot ${snapshot.name} (${snapshot.id})`,
+      exitCode: 0,
+    },
+  });
+
+  logger.info('Snapshot restored', {
+    snapshotId: snapshot.id,
+    containerId: container.id,
+    dockerId: dockerContainer.id,
+    image,
+  });
+
+  return { snapshotId: snapshot.id, containerId: container.id, dockerId: dockerContainer.id };
+};
+
+// Remove the archive and committed image of a snapshot, then the record
+const deleteSnapshot = async (snapshot) => {
+  const prisma = getPrismaClient();
+
+  if (snapshot.commitImage) {
+    try {
+      await containerManager.removeImage(snapshot.commitImage);
+    } catch (error) {
+      if (error.statusCode === 409) {
+        throw new ConflictError('The snapshot image is used by a container; delete or switch that container first');
+      }
+      throw error;
+    }
+  }
+
+  await fs.promises.rm(getArchivePath(snapshot), { force: true });
+  await prisma.snapshot.delete({
+    where: { id: snapshot.id },
+  });
+};
+
+// Delete the oldest finished snapshots of a container until at most `keep` are left
+const pruneSnapshots = async (containerId, keep) => {
+  const prisma = getPrismaClient();
+
+  const oldSnapshots = await prisma.snapshot.findMany({
+    where: {
+      containerId,
+      status: { not: 'CREATING' },
+    },
+    orderBy: { createdAt: 'desc' },
+    skip: Math.max(0, keep),
+  });
+
+  for (const snapshot of oldSnapshots) {
+    await deleteSnapshot(snapshot);
+  }
+
+  return oldSnapshots.length;
+};
+
+// Remove the archives and images of a container that is being deleted. Never throws:
+// the records go away with the container.
+const purgeContainerSnapshots = async (containerId) => {
+  const prisma = getPrismaClient();
+
+  try {
+    const snapshots = await prisma.snapshot.findMany({
+      where: {
+        containerId,
+        commitImage: { not: null },
+      },
+      select: { commitImage: true },
+    });
+
+    for (const snapshot of snapshots) {
+      await containerManager.removeImage(snapshot.commitImage, true).catch((error) => {
+        logger.warn('Failed to remove snapshot image:', { image: snapshot.commitImage, error: error.message });
+      });
+    }
+
+    await fs.promises.rm(path.join(SNAPSHOT_DIR, containerId), { recursive: true, force: true });
+  } catch (error) {
+    logger.error('Failed to remove container snapshots:', error);
+  }
+};
+
+module.exports = {
+  capturePanelConfig,
+  captureSnapshot,
+  markSnapshotFailed,
+  restoreSnapshot,
+  deleteSnapshot,
+  pruneSnapshots,
+  purgeContainerSnapshots,
+};
@@ -0,0 +1,202 @@
+// Application templates: an image plus starter files, start command, ports and env.
+// Built-in templates live here; admins add their own in the templates table.
+// Creating a container from a template seeds its files into /app via putArchive.
+
+const path = require('path');
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const { APP_MOUNT_PATH } = require('./volumes');
+
+const containerManager = new ContainerManager(getDockerClient());
+
+const BUILTIN_TEMPLATES = [
+  {
+    slug: 'express',
+    name: 'Express Hello World',
+    description: 'Server Node.js minimal dengan Express',
+    image: 'node:18-alpine',
+    cmd: ['sh', '-c', 'npm install --omit=dev && node index.js'],
+    ports: [{ containerPort: 3000, protocol: 'tcp' }],
+    env: { NODE_ENV: 'production', PORT: '3000' },
+    files: [
+      {
+        path: 'package.json',
+        content: `${JSON.stringify({
+          name: 'express-app',
+          version: '1.0.0',
+          private: true,
+          main: 'index.js',
+          scripts: { start: 'node index.js' },
+          dependencies: { express: '^4.18.2' },
+        }, null, 2)}\n`,
+      },
+      {
+        path: 'index.js',
+        content: [
+          "const express = require('express');",
+          '',
+          'const app = express();',
+          'const port = process.env.PORT || 3000;',
+          '',
+          "app.get('/', (req, res) => {",
+          "  res.send('Hello World from Express!');",
+          '});',
+          '',
+          'app.listen(port, () => {',
+          '  console.log(`Listening on port ${port}`);',
+          '});',
+          '',
+        ].join('\n'),
+      },
+    ],
+  },
+  {
+    slug: 'flask',
+    name: 'Flask',
+    description: 'Aplikasi web Python dengan Flask',
+    image: 'python:3.11-alpine',
+    cmd: ['sh', '-c', 'pip install --no-cache-dir -r requirements.txt && python app.py'],
+    ports: [{ containerPort: 5000, protocol: 'tcp' }],
+    env: { PYTHONUNBUFFERED: '1', PORT: '5000' },
+    files: [
+      {
+        path: 'requirements.txt',
+        content: 'flask>=3.0\n',
+      },
+      {
+        path: 'app.py',
+        content: [
+          'import os',
+          '',
+          'from flask import Flask',
+          '',
+          'app = Flask(__name__)',
+          '',
+          '',
+          "@app.route('/')",
+          'def index():',
+          "    return 'Hello World from Flask!'",
+          '',
+          '',
+          "if __name__ == '__main__':",
+          "    app.run(host='0.0.0.0', port=int(os.environ.get('PORT', 5000)))",
+          '',
+        ].join('\n'),
+      },
+    ],
+  },
+  {
+    slug: 'fastapi',
+    name: 'FastAPI',
+    description: 'API Python async dengan FastAPI dan Uvicorn',
+    image: 'python:3.11-alpine',
+    cmd: ['sh', '-c', 'pip install --no-cache-dir -r requirements.txt && uvicorn main:app --host 0.0.0.0 --port ${PORT:-8000}'],
+    ports: [{ containerPort: 8000, protocol: 'tcp' }],
+    env: { PYTHONUNBUFFERED: '1', PORT: '8000' },
+    files: [
+      {
+        path: 'requirements.txt',
+        content: 'fastapi>=0.110\nuvicorn>=0.29\n',
+      },
+      {
+        path: 'main.py',
+        content: [
+          'from fastapi import FastAPI',
+          '',
+          'app = FastAPI()',
+          '',
+          '',
+          "@app.get('/')",
+          'def index():',
+          "    return {'message': 'Hello World from FastAPI!'}",
+          '',
+        ].join('\n'),
+      },
+    ],
+  },
+  {
+    slug: 'static-nginx',
+    name: 'Static Site (nginx)',
+    description: 'Website statis yang disajikan nginx dari /app',
+    image: 'nginx:alpine',
+    // Point the default server at /app instead of /usr/share/nginx/html
+    cmd: ['sh', '-c', "sed -i 's#/usr/share/nginx/html#/app#g' /etc/nginx/conf.d/default.conf && exec nginx -g 'daemon off;'"],
+    ports: [{ containerPort: 80, protocol: 'tcp' }],
+    env: {},
+    files: [
+      {
+        path: 'index.html',
+        content: [
+          '<!DOCTYPE html>',
+          '<html lang="id">',
+          '<head>',
+          '  <meta charset="utf-8">',
+          '  <meta name="viewport" content="width=device-width, initial-scale=1">',
+          '  <title>Hello World</title>',
+          '</head>',
+          '<body>',
+          '  <h1>Hello World!</h1>',
+          '  <p>Edit file ini lewat File Manager.</p>',
+          '</body>',
+          '</html>',
+          '',
+        ].join('\n'),
+      },
+    ],
+  },
+].map(template => ({ ...template, id: null, builtIn: true, enabled: true }));
+
+const isBuiltInSlug = (slug) => BUILTIN_TEMPLATES.some(template => template.slug === slug);
+
+// Template lists leave out file contents
+const summarizeTemplate = (template) => {
+  const { files = [], ...rest } = template;
+  return {
+    ...rest,
+    builtIn: !!template.builtIn,
+    files: files.map(file => ({ path: file.path, size: Buffer.byteLength(file.content || '') })),
+  };
+};
+
+const listTemplates = async ({ enabledOnly = true } = {}) => {
+  const prisma = getPrismaClient();
+
+  const customTemplates = await prisma.template.findMany({
+    where: enabledOnly ? { enabled: true } : {},
+    orderBy: { name: 'asc' },
+  });
+
+  return [...BUILTIN_TEMPLATES, ...customTemplates].map(summarizeTemplate);
+};
+
+const getTemplate = async (slug) => {
+  const builtIn = BUILTIN_TEMPLATES.find(template => template.slug === slug);
+  if (builtIn) return builtIn;
+
+  const prisma = getPrismaClient();
+  return prisma.template.findUnique({
+    where: { slug },
+  });
+};
+
+// Copy the template files into /app of a created container
+const seedTemplateFiles = async (dockerId, template) => {
+  const files = Array.isArray(template.files) ? template.files : [];
+  if (files.length === 0) return 0;
+
+  await containerManager.putFiles(dockerId, files.map(file => ({
+    path: path.posix.join(APP_MOUNT_PATH, file.path),
+    content: file.content || '',
+  })));
+
+  return files.length;
+};
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  isBuiltInSlug,
+  summarizeTemplate,
+  listTemplates,
+  getTemplate,
+  seedTemplateFiles,
+};
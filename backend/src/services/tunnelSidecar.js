@@ -0,0 +1,321 @@
+// Runs cloudflared in a panel-managed sidecar container that shares the network
+// namespace of the user's container, so tunnels work whatever image the user runs.
+
+const { getPrismaClient } = require('../utils/database');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const {
+  CLOUDFLARED_BIN,
+  getIngressRules,
+  isQuickTunnel,
+  buildConfigYaml,
+  buildTunnelArgs,
+  buildTunnelEnv,
+  parseTunnelLog,
+  waitForTunnel,
+} = require('./cloudflared');
+const { getTunnelToken } = require('./secrets');
+const logger = require('../utils/logger');
+
+const CLOUDFLARED_IMAGE = process.env.CLOUDFLARED_IMAGE || 'cloudflare/cloudflared:latest';
+const TUNNEL_START_TIMEOUT = parseInt(process.env.TUNNEL_START_TIMEOUT) || 30000;
+const SIDECAR_CONFIG_PATH = '/etc/cloudflared/config.yml';
+
+const containerManager = new ContainerManager(getDockerClient());
+
+const getSidecarName = (tunnelId) => `panel-tunnel-${tunnelId}`;
+
+// Find the sidecar of a tunnel (null when it has never been started)
+const findSidecar = async (tunnelId) => {
+  const sidecars = await containerManager.listContainers(true, {
+    label: [`panel.tunnel.id=${tunnelId}`],
+  });
+  return sidecars[0] || null;
+};
+
+const removeSidecar = async (tunnelId) => {
+  const sidecars = await containerManager.listContainers(true, {
+    label: [`panel.tunnel.id=${tunnelId}`],
+  });
+
+  for (const sidecar of sidecars) {
+    await containerManager.removeContainer(sidecar.Id, true);
+  }
+
+  return sidecars.length;
+};
+
+// cloudflared logs to stderr; both streams are returned so nothing is lost
+const readTunnelLog = async (tunnelId, lines = null) => {
+  const sidecar = await findSidecar(tunnelId);
+  if (!sidecar) return '';
+
+  const { stdout, stderr } = await containerManager.getContainerLogs(sidecar.Id, {
+    tail: lines ? parseInt(lines) || 50 : 'all',
+  });
+  return `${stdout}${stderr}`.trim();
+};
+
+const isSidecarRunning = async (sidecarId) => {
+  const info = await containerManager.getContainerInfo(sidecarId);
+  return info.State.Running && !info.State.Restarting;
+};
+
+// container is the panel record ({ id, dockerId, ownerId })
+const startTunnel = async (container, tunnel) => {
+  logger.info('Starting Cloudflare tunnel sidecar', {
+    containerId: container.id,
+    tunnelId: tunnel.id,
+    quick: isQuickTunnel(tunnel),
+  });
+
+  // Always start from a fresh sidecar: the config or the parent container may have changed
+  await removeSidecar(tunnel.id);
+
+  const rules = getIngressRules(tunnel);
+  const hostnameRules = rules.filter(rule => rule.hostname);
+
+  // Token tunnels without local hostname rules use the ingress configured on Cloudflare
+  const configPath = !isQuickTunnel(tunnel) && hostnameRules.length > 0 ? SIDECAR_CONFIG_PATH : null;
+
+  const sidecar = await containerManager.createSidecar(container.dockerId, {
+    name: getSidecarName(tunnel.id),
+    image: CLOUDFLARED_IMAGE,
+    entrypoint: [CLOUDFLARED_BIN],
+    cmd: buildTunnelArgs(tunnel, { configPath }),
+    env: buildTunnelEnv(await getTunnelToken(tunnel)),
+    labels: {
+      'panel.role': 'tunnel',
+      'panel.tunnel.id': tunnel.id,
+      'panel.container.id': container.id,
+      ...(container.ownerId && { 'panel.owner.id': container.ownerId }),
+    },
+  });
+
+  if (configPath) {
+    await containerManager.putFile(sidecar.id, configPath, buildConfigYaml(rules));
+  }
+
+  await containerManager.startContainer(sidecar.id);
+
+  const state = await waitForTunnel(
+    () => readTunnelLog(tunnel.id),
+    () => isSidecarRunning(sidecar.id),
+    { quick: isQuickTunnel(tunnel), timeout: TUNNEL_START_TIMEOUT }
+  );
+
+  // Quick tunnels get their hostname from cloudflared, named tunnels from the ingress rules
+  const domain = isQuickTunnel(tunnel)
+    ? state.hostname
+    : (hostnameRules[0]?.hostname || state.hostname || tunnel.domain);
+
+  logger.info('Cloudflare tunnel connected', {
+    containerId: container.id,
+    tunnelId: tunnel.id,
+    sidecarId: sidecar.id,
+    domain,
+    locations: state.locations,
+  });
+
+  return {
+    domain,
+    status: state.status,
+    hostnames: hostnameRules.length > 0 ? hostnameRules.map(rule => rule.hostname) : state.hostnames,
+    cloudflareTunnelId: state.tunnelId,
+    sidecarId: sidecar.id,
+    ports: rules.map(rule => parseInt(rule.service.split(':').pop())).filter(Boolean),
+  };
+};
+
+// Stop the sidecar but keep it around so its logs stay readable
+const stopTunnel = async (tunnelId) => {
+  const sidecar = await findSidecar(tunnelId);
+  if (!sidecar || sidecar.State !== 'running') return false;
+
+  await containerManager.stopContainer(sidecar.Id);
+  logger.info('Cloudflare tunnel sidecar stopped', { tunnelId, sidecarId: sidecar.Id });
+  return true;
+};
+
+// dockerId is the current Docker ID of the parent container
+const getTunnelStatus = async (tunnelId, dockerId = null) => {
+  try {
+    const sidecar = await findSidecar(tunnelId);
+    if (!sidecar) {
+      return { status: 'INACTIVE', connections: 0, logs: 'No logs' };
+    }
+
+    const log = await readTunnelLog(tunnelId);
+    const state = parseTunnelLog(log);
+
+    // A recreated parent leaves the sidecar attached to a namespace that no longer exists
+    const parentId = sidecar.Labels['panel.parent.docker.id'];
+    const detached = dockerId && parentId && parentId !== dockerId;
+
+    let status = state.status;
+    if (sidecar.State !== 'running' || detached) {
+      status = state.fatal ? 'ERROR' : 'INACTIVE';
+    }
+
+    return {
+      status,
+      sidecarId: sidecar.Id,
+      sidecarState: sidecar.State,
+      hostname: state.hostname,
+      hostnames: state.hostnames,
+      connections: status === 'ACTIVE' ? Object.keys(state.connections).length : 0,
+      locations: state.locations,
+      lastError: detached ? 'Container was recreated, restart the tunnel' : state.lastError,
+      logs: log.split('\n').slice(-10).join('\n') || 'No logs',
+    };
+  } catch (error) {
+    return {
+      status: 'ERROR',
+      logs: error.message,
+      lastError: error.message,
+    };
+  }
+};
+
+// Start a tunnel and persist the outcome on its record
+const startTunnelRecord = async (container, tunnel) => {
+  const prisma = getPrismaClient();
+
+  await prisma.cloudflareTunnel.update({
+    where: { id: tunnel.id },
+    data: { status: 'CONNECTING' },
+  });
+
+  try {
+    const tunnelInfo = await startTunnel(container, tunnel);
+
+    const updatedTunnel = await prisma.cloudflareTunnel.update({
+      where: { id: tunnel.id },
+      data: {
+        status: tunnelInfo.status,
+        domain: tunnelInfo.domain,
+        config: {
+          ...tunnel.config,
+          ports: tunnelInfo.ports,
+          hostnames: tunnelInfo.hostnames,
+          cloudflareTunnelId: tunnelInfo.cloudflareTunnelId,
+          sidecarId: tunnelInfo.sidecarId,
+          resumeOnStart: false,
+          lastError: null,
+          startedAt: new Date().toISOString(),
+        },
+      },
+    });
+
+    return { tunnel: updatedTunnel, tunnelInfo };
+  } catch (error) {
+    // Don't leave a half-started sidecar behind
+    try {
+      await stopTunnel(tunnel.id);
+    } catch (stopError) {
+      logger.warn('Failed to stop tunnel after start failure:', stopError.message);
+    }
+
+    await prisma.cloudflareTunnel.update({
+      where: { id: tunnel.id },
+      data: {
+        status: 'ERROR',
+        config: {
+          ...tunnel.config,
+          lastError: error.message,
+          errorAt: new Date().toISOString(),
+        },
+      },
+    });
+
+    throw error;
+  }
+};
+
+// Stop the tunnels of a container that is being stopped, remembering which ones to resume
+const stopContainerTunnels = async (container) => {
+  const prisma = getPrismaClient();
+  const tunnels = await prisma.cloudflareTunnel.findMany({
+    where: { containerId: container.id },
+  });
+
+  for (const tunnel of tunnels) {
+    try {
+      await stopTunnel(tunnel.id);
+    } catch (error) {
+      logger.warn('Failed to stop tunnel sidecar:', { tunnelId: tunnel.id, error: error.message });
+    }
+
+    if (['ACTIVE', 'CONNECTING'].includes(tunnel.status)) {
+      await prisma.cloudflareTunnel.update({
+        where: { id: tunnel.id },
+        data: {
+          status: 'INACTIVE',
+          config: {
+            ...tunnel.config,
+            resumeOnStart: tunnel.config?.autoStart !== false,
+            stoppedAt: new Date().toISOString(),
+          },
+        },
+      });
+    }
+  }
+};
+
+// Restart tunnels that should be running after the container was started, restarted or recreated
+const resumeContainerTunnels = async (container) => {
+  const prisma = getPrismaClient();
+  const tunnels = await prisma.cloudflareTunnel.findMany({
+    where: { containerId: container.id },
+  });
+
+  const toResume = tunnels.filter(tunnel =>
+    ['ACTIVE', 'CONNECTING'].includes(tunnel.status) || tunnel.config?.resumeOnStart
+  );
+
+  for (const tunnel of toResume) {
+    try {
+      await startTunnelRecord(container, tunnel);
+    } catch (error) {
+      logger.warn('Failed to resume tunnel:', { tunnelId: tunnel.id, error: error.message });
+    }
+  }
+
+  return toResume.length;
+};
+
+// Remove every sidecar attached to a container (before the container itself is removed)
+const removeContainerTunnels = async (containerId) => {
+  let sidecars = [];
+  try {
+    sidecars = await containerManager.listContainers(true, {
+      label: [`panel.container.id=${containerId}`, 'panel.role=tunnel'],
+    });
+  } catch (error) {
+    logger.warn('Failed to list tunnel sidecars:', { containerId, error: error.message });
+  }
+
+  for (const sidecar of sidecars) {
+    try {
+      await containerManager.removeContainer(sidecar.Id, true);
+    } catch (error) {
+      logger.warn('Failed to remove tunnel sidecar:', { sidecarId: sidecar.Id, error: error.message });
+    }
+  }
+
+  return sidecars.length;
+};
+
+module.exports = {
+  CLOUDFLARED_IMAGE,
+  getSidecarName,
+  findSidecar,
+  removeSidecar,
+  readTunnelLog,
+  startTunnel,
+  stopTunnel,
+  getTunnelStatus,
+  startTunnelRecord,
+  stopContainerTunnels,
+  resumeContainerTunnels,
+  removeContainerTunnels,
+};
@@ -0,0 +1,153 @@
+// Persistent /app storage for panel containers. Each container gets a named Docker
+// volume (or a host directory in bind mode) tracked in Container.volumes, so user
+// code survives image switches, recreation and, unless purged, deletion.
+
+const fs = require('fs');
+const path = require('path');
+const { getDockerClient, ContainerManager } = require('../utils/docker');
+const logger = require('../utils/logger');
+
+const VOLUME_MODE = process.env.CONTAINER_VOLUME_MODE === 'bind' ? 'bind' : 'volume';
+const VOLUME_ROOT = process.env.CONTAINER_VOLUME_ROOT || '/var/lib/panel/volumes';
+const APP_MOUNT_PATH = '/app';
+
+const containerManager = new ContainerManager(getDockerClient());
+
+const getAppVolumeName = (containerId) => `panel_app_${containerId}`;
+
+// Volume spec stored in Container.volumes
+const getAppVolumeSpec = (containerId) => {
+  if (VOLUME_MODE === 'bind') {
+    return {
+      type: 'bind',
+      source: path.join(VOLUME_ROOT, containerId),
+      target: APP_MOUNT_PATH,
+    };
+  }
+
+  return {
+    type: 'volume',
+    name: getAppVolumeName(containerId),
+    target: APP_MOUNT_PATH,
+  };
+};
+
+// HostConfig.Binds entries for the stored specs
+const toBinds = (volumes = []) => volumes.map(volume => (
+  `${volume.type === 'bind' ? volume.source : volume.name}:${volume.target}`
+));
+
+// Create the storage for every volume of a container record. Specs already on the
+// record are reused, so a retried create job mounts the same data.
+const prepareContainerVolumes = async (container) => {
+  const volumes = Array.isArray(container.volumes) ? [...container.volumes] : [];
+
+  if (!volumes.some(volume => volume.target === APP_MOUNT_PATH)) {
+    volumes.push(getAppVolumeSpec(container.id));
+  }
+
+  for (const volume of volumes) {
+    if (volume.type === 'bind') {
+      // Docker would create a missing source as an empty root-owned directory; create it
+      // here when the root is reachable from the panel (it may only exist on the Docker host)
+      try {
+        await fs.promises.mkdir(volume.source, { recursive: true });
+      } catch (error) {
+        logger.warn('Failed to create bind volume directory:', { source: volume.source, error: error.message });
+      }
+    } else {
+      await containerManager.ensureVolume(volume.name, {
+        'panel.container.id': container.id,
+        'panel.owner.id': container.ownerId,
+      });
+    }
+  }
+
+  return volumes;
+};
+
+// Remove the storage of a deleted container. Never throws: the container is already
+// gone, so a failure only leaves an orphan for an admin to clean up.
+const purgeContainerVolumes = async (container) => {
+  const volumes = Array.isArray(container.volumes) ? container.volumes : [];
+  let removed = 0;
+
+  for (const volume of volumes) {
+    try {
+      if (volume.type === 'bind') {
+        await fs.promises.rm(volume.source, { recursive: true, force: true });
+      } else {
+        await containerManager.removeVolume(volume.name);
+      }
+      removed += 1;
+    } catch (error) {
+      logger.warn('Failed to purge container volume:', {
+        containerId: container.id,
+        volume: volume.name || volume.source,
+        error: error.message,
+      });
+    }
+  }
+
+  return removed;
+};
+
+// Volumes created by the panel, with the container they belong to. Bind volumes are
+// the directories under VOLUME_ROOT, named after their container ID.
+const listPanelVolumes = async () => {
+  if (VOLUME_MODE === 'bind') {
+    let entries = [];
+    try {
+      entries = await fs.promises.readdir(VOLUME_ROOT, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => ({
+        name: entry.name,
+        type: 'bind',
+        mountpoint: path.join(VOLUME_ROOT, entry.name),
+        containerId: entry.name,
+        ownerId: null,
+        createdAt: null,
+      }));
+  }
+
+  const volumes = await containerManager.listVolumes({ label: ['panel.managed=true'] });
+
+  return volumes.map(volume => ({
+    name: volume.Name,
+    type: 'volume',
+    mountpoint: volume.Mountpoint,
+    containerId: volume.Labels?.['panel.container.id'] || null,
+    ownerId: volume.Labels?.['panel.owner.id'] || null,
+    createdAt: volume.CreatedAt || volume.Labels?.['panel.created'] || null,
+  }));
+};
+
+// Remove a volume listed by listPanelVolumes (false when it does not exist)
+const removePanelVolume = async (name) => {
+  if (VOLUME_MODE === 'bind') {
+    const source = path.join(VOLUME_ROOT, path.basename(name));
+    if (!fs.existsSync(source)) return false;
+    await fs.promises.rm(source, { recursive: true, force: true });
+    return true;
+  }
+
+  return containerManager.removeVolume(name);
+};
+
+module.exports = {
+  VOLUME_MODE,
+  VOLUME_ROOT,
+  APP_MOUNT_PATH,
+  getAppVolumeName,
+  getAppVolumeSpec,
+  toBinds,
+  prepareContainerVolumes,
+  purgeContainerVolumes,
+  listPanelVolumes,
+  removePanelVolume,
+};
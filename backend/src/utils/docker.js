@@ -1,23 +1,34 @@
 const Docker = require('dockerode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
 const logger = require('./logger');
 
 let docker;
 
+// Create Docker client (does not open a connection until the first request)
+function createDockerClient() {
+  // Docker configuration
+  const dockerConfig = {
+    socketPath: process.env.DOCKER_SOCKET || '/var/run/docker.sock',
+  };
+
+  // For Windows, use named pipe
+  if (process.platform === 'win32') {
+    dockerConfig.socketPath = '\\\\.\\pipe\\docker_engine';
+  }
+
+  return new Docker(dockerConfig);
+}
+
 // Initialize Docker client
 async function initializeDocker() {
   try {
-    // Docker configuration
-    const dockerConfig = {
-      socketPath: process.env.DOCKER_SOCKET || '/var/run/docker.sock',
-    };
-
-    // For Windows, use named pipe
-    if (process.platform === 'win32') {
-      dockerConfig.socketPath = '\\\\.\\pipe\\docker_engine';
+    if (!docker) {
+      docker = createDockerClient();
     }
 
-    docker = new Docker(dockerConfig);
-
     // Test Docker connection
     const info = await docker.info();
     logger.info('✅ Docker connected successfully', {
@@ -34,9 +45,11 @@ async function initializeDocker() {
 }
 
 // Get Docker client instance
+// Routes build their ContainerManager at require time, before initializeDocker()
+// has run, so the client is created lazily here instead of throwing.
 function getDockerClient() {
   if (!docker) {
-    throw new Error('Docker not initialized. Call initializeDocker() first.');
+    docker = createDockerClient();
   }
   return docker;
 }
@@ -87,6 +100,7 @@ class ContainerManager {
         cmd = [],
         env = [],
         ports = {},
+        hostPorts = {},
         volumes = [],
         workingDir = '/app',
         memory = '512m',
@@ -94,10 +108,11 @@ class ContainerManager {
         networkMode = 'bridge',
         restartPolicy = { Name: 'unless-stopped' },
         labels = {},
+        healthcheck = null,
       } = config;
 
-      // Ensure image exists
-      await this.pullImage(image);
+      // Ensure image exists (callers pull explicitly when they need the latest tag)
+      await this.ensureImage(image);
 
       const containerConfig = {
         Image: image,
@@ -106,6 +121,8 @@ class ContainerManager {
         Env: env,
         ExposedPorts: ports,
         WorkingDir: workingDir,
+        // Without one the image's HEALTHCHECK applies
+        Healthcheck: healthcheck || undefined,
         Labels: {
           'panel.managed': 'true',
           'panel.created': new Date().toISOString(),
@@ -118,7 +135,7 @@ class ContainerManager {
           RestartPolicy: restartPolicy,
           NetworkMode: networkMode,
           Binds: volumes,
-          PortBindings: this.formatPortBindings(ports),
+          PortBindings: this.formatPortBindings(ports, hostPorts),
           AutoRemove: false,
         },
         NetworkingConfig: {
@@ -192,6 +209,19 @@ class ContainerManager {
     }
   }
 
+  // Change memory and CPU limits of a container without recreating it
+  async updateContainerResources(containerId, { memory, cpus }) {
+    try {
+      const container = this.docker.getContainer(containerId);
+      await container.update(this.formatResources({ memory, cpus }));
+      logger.info('✅ Container resources updated', { id: containerId, memory, cpus });
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to update container resources:', error);
+      throw error;
+    }
+  }
+
   // Get container info
   async getContainerInfo(containerId) {
     try {
@@ -279,21 +309,32 @@ class ContainerManager {
   }
 
   // Pull image
-  async pullImage(imageName) {
+  // onProgress receives the raw per-layer events ({ id, status, progressDetail })
+  async pullImage(imageName, onProgress = null) {
     try {
       logger.info('📥 Pulling image:', imageName);
       
       const stream = await this.docker.pull(imageName);
+      let streamError = null;
       
       return new Promise((resolve, reject) => {
         this.docker.modem.followProgress(stream, (err, res) => {
-          if (err) {
-            logger.error('❌ Failed to pull image:', err);
-            reject(err);
+          // Errors after the pull started are reported inside the stream
+          const error = err || (streamError && new Error(streamError));
+          if (error) {
+            logger.error('❌ Failed to pull image:', error);
+            reject(error);
           } else {
             logger.info('✅ Image pulled successfully:', imageName);
             resolve(res);
           }
+        }, (event) => {
+          if (event.error) {
+            streamError = event.error;
+          }
+          if (onProgress) {
+            onProgress(event);
+          }
         });
       });
     } catch (error) {
@@ -302,6 +343,150 @@ class ContainerManager {
     }
   }
 
+  // Pull image only if it is not available locally
+  async ensureImage(imageName) {
+    try {
+      await this.docker.getImage(imageName).inspect();
+      return false;
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+      await this.pullImage(imageName);
+      return true;
+    }
+  }
+
+  // Create a helper container sharing the network namespace of a panel container
+  async createSidecar(parentContainerId, config) {
+    try {
+      const {
+        name,
+        image,
+        entrypoint,
+        cmd = [],
+        env = [],
+        labels = {},
+        memory = '128m',
+        cpus = '0.25',
+      } = config;
+
+      await this.ensureImage(image);
+
+      const container = await this.docker.createContainer({
+        Image: image,
+        name,
+        Entrypoint: entrypoint,
+        Cmd: cmd,
+        Env: env,
+        Labels: {
+          'panel.managed': 'true',
+          'panel.sidecar': 'true',
+          'panel.parent.docker.id': parentContainerId,
+          'panel.created': new Date().toISOString(),
+          ...labels,
+        },
+        HostConfig: {
+          Memory: this.parseMemory(memory),
+          CpuQuota: Math.floor(parseFloat(cpus) * 100000),
+          CpuPeriod: 100000,
+          NetworkMode: `container:${parentContainerId}`,
+          RestartPolicy: { Name: 'on-failure', MaximumRetryCount: 5 },
+          AutoRemove: false,
+        },
+      });
+
+      logger.info('✅ Sidecar container created', {
+        id: container.id,
+        name,
+        parent: parentContainerId,
+      });
+
+      return container;
+    } catch (error) {
+      logger.error('❌ Failed to create sidecar container:', error);
+      throw error;
+    }
+  }
+
+  // Write a file into a (possibly not yet started) container via putArchive.
+  // The archive is extracted at / so Docker creates missing parent directories.
+  async putFile(containerId, filePath, content) {
+    return this.putFiles(containerId, [{ path: filePath, content }]);
+  }
+
+  // Write several files ({ path, content, mode }) with absolute paths in one archive
+  async putFiles(containerId, files) {
+    const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'panel-put-'));
+
+    try {
+      const relativePaths = [];
+      for (const file of files) {
+        const relativePath = path.posix.normalize(file.path).replace(/^\/+/, '');
+        if (!relativePath || relativePath.startsWith('..')) {
+          throw new Error(`Invalid file path: ${file.path}`);
+        }
+
+        const localPath = path.join(tmpDir, relativePath);
+        await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+        await fs.promises.writeFile(localPath, file.content, { mode: file.mode || 0o644 });
+        relativePaths.push(relativePath);
+      }
+
+      const tarStream = tar.create({ cwd: tmpDir, portable: true }, relativePaths);
+      await this.docker.getContainer(containerId).putArchive(tarStream, { path: '/' });
+    } finally {
+      await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  // Get container stdout/stderr as text
+  async getContainerLogs(containerId, options = {}) {
+    try {
+      const { tail = 'all', since, timestamps = false } = options;
+      const container = this.docker.getContainer(containerId);
+      const buffer = await container.logs({
+        stdout: true,
+        stderr: true,
+        follow: false,
+        tail,
+        timestamps,
+        ...(since && { since }),
+      });
+
+      return this.demuxLogBuffer(buffer);
+    } catch (error) {
+      logger.error('❌ Failed to get container logs:', error);
+      throw error;
+    }
+  }
+
+  // Raw log stream, multiplexed unless the container uses a TTY; with follow it stays open for new output
+  async streamContainerLogs(containerId, options = {}) {
+    const { follow = false, tail = 'all', since, until, timestamps = true } = options;
+
+    // container.logs() only returns a stream when following, so dial the endpoint directly
+    return new Promise((resolve, reject) => {
+      this.docker.modem.dial({
+        path: `/containers/${containerId}/logs?`,
+        method: 'GET',
+        isStream: true,
+        statusCodes: {
+          200: true,
+          404: 'no such container',
+          500: 'server error',
+        },
+        options: {
+          stdout: true,
+          stderr: true,
+          follow,
+          tail,
+          timestamps,
+          ...(since !== undefined && { since }),
+          ...(until !== undefined && { until }),
+        },
+      }, (error, stream) => (error ? reject(error) : resolve(stream)));
+    });
+  }
+
   // List images
   async listImages() {
     try {
@@ -313,6 +498,334 @@ class ContainerManager {
     }
   }
 
+  // Create a named volume unless it already exists
+  async ensureVolume(name, labels = {}) {
+    try {
+      await this.docker.getVolume(name).inspect();
+      return false;
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+
+    try {
+      await this.docker.createVolume({
+        Name: name,
+        Labels: {
+          'panel.managed': 'true',
+          'panel.created': new Date().toISOString(),
+          ...labels,
+        },
+      });
+      logger.info('✅ Volume created', { name });
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to create volume:', error);
+      throw error;
+    }
+  }
+
+  // Remove a named volume (false when it does not exist)
+  async removeVolume(name) {
+    try {
+      await this.docker.getVolume(name).remove();
+      logger.info('✅ Volume removed', { name });
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) return false;
+      logger.error('❌ Failed to remove volume:', error);
+      throw error;
+    }
+  }
+
+  // Disk usage of images, containers and volumes (`docker system df`)
+  async getDiskUsage() {
+    try {
+      return await this.docker.df();
+    } catch (error) {
+      logger.error('❌ Failed to get disk usage:', error);
+      throw error;
+    }
+  }
+
+  // List volumes
+  async listVolumes(filters = {}) {
+    try {
+      const result = await this.docker.listVolumes({
+        filters: JSON.stringify(filters),
+      });
+      return result.Volumes || [];
+    } catch (error) {
+      logger.error('❌ Failed to list volumes:', error);
+      throw error;
+    }
+  }
+
+  // Tar stream of a path inside a container (works on stopped containers too)
+  async getArchive(containerId, containerPath) {
+    try {
+      return await this.docker.getContainer(containerId).getArchive({ path: containerPath });
+    } catch (error) {
+      logger.error('❌ Failed to get container archive:', error);
+      throw error;
+    }
+  }
+
+  // Extract a tar stream or file into a container directory
+  async putArchive(containerId, archive, targetPath = '/') {
+    try {
+      await this.docker.getContainer(containerId).putArchive(archive, { path: targetPath });
+    } catch (error) {
+      logger.error('❌ Failed to put container archive:', error);
+      throw error;
+    }
+  }
+
+  // Commit the container filesystem to a local image and return its inspect data
+  async commitContainer(containerId, { repo, tag, comment = '', pause = true } = {}) {
+    try {
+      const result = await this.docker.getContainer(containerId).commit({ repo, tag, comment, pause });
+      const image = await this.docker.getImage(result.Id).inspect();
+      logger.info('✅ Container committed', { containerId, image: `${repo}:${tag}` });
+      return image;
+    } catch (error) {
+      logger.error('❌ Failed to commit container:', error);
+      throw error;
+    }
+  }
+
+  // Remove an image (false when it does not exist)
+  async removeImage(imageName, force = false) {
+    try {
+      await this.docker.getImage(imageName).remove({ force });
+      logger.info('✅ Image removed', { image: imageName });
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) return false;
+      logger.error('❌ Failed to remove image:', error);
+      throw error;
+    }
+  }
+
+  // Snapshot container config so it can be recreated or restored later
+  async snapshotContainer(containerId) {
+    try {
+      const info = await this.getContainerInfo(containerId);
+
+      let imageConfig = {};
+      try {
+        const imageInfo = await this.docker.getImage(info.Config.Image).inspect();
+        imageConfig = imageInfo.Config || {};
+      } catch (error) {
+        logger.warn('⚠️ Failed to inspect image of container snapshot:', error.message);
+      }
+
+      return {
+        id: info.Id,
+        name: info.Name.replace(/^\//, ''),
+        image: info.Config.Image,
+        wasRunning: info.State.Running,
+        config: info.Config,
+        hostConfig: info.HostConfig,
+        networks: Object.keys(info.NetworkSettings?.Networks || {}),
+        imageConfig,
+        takenAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      logger.error('❌ Failed to snapshot container:', error);
+      throw error;
+    }
+  }
+
+  // Build create options for a new container from a snapshot.
+  // Env, labels, cmd and entrypoint inherited from the old image are dropped so
+  // the new image can supply its own defaults. overrides.cmd, env (KEY=VALUE list)
+  // and ports (ExposedPorts) replace the container's own values; overrides.hostPorts
+  // maps those ports to the host ports they are published on. overrides.healthcheck
+  // replaces the health check, null falls back to the one of the image.
+  buildConfigFromSnapshot(snapshot, overrides = {}) {
+    const { config, hostConfig, imageConfig } = snapshot;
+    const image = overrides.image || snapshot.image;
+    const imageEnv = new Set(imageConfig.Env || []);
+    const imageLabels = imageConfig.Labels || {};
+    const sameValue = (a, b) => JSON.stringify(a || null) === JSON.stringify(b || null);
+
+    const labels = Object.entries(config.Labels || {}).reduce((acc, [key, value]) => {
+      if (imageLabels[key] !== value) {
+        acc[key] = value;
+      }
+      return acc;
+    }, {});
+
+    let cmd = sameValue(config.Cmd, imageConfig.Cmd) ? undefined : config.Cmd;
+    if (overrides.cmd) {
+      // An empty command falls back to the image default
+      cmd = overrides.cmd.length > 0 ? overrides.cmd : undefined;
+    }
+
+    let healthcheck = sameValue(config.Healthcheck, imageConfig.Healthcheck) ? undefined : config.Healthcheck;
+    if (overrides.healthcheck !== undefined) {
+      healthcheck = overrides.healthcheck || undefined;
+    }
+
+    return {
+      name: overrides.name || snapshot.name,
+      Image: image,
+      Cmd: cmd,
+      Entrypoint: sameValue(config.Entrypoint, imageConfig.Entrypoint) ? undefined : config.Entrypoint,
+      Env: overrides.env || (config.Env || []).filter(entry => !imageEnv.has(entry)),
+      ExposedPorts: overrides.ports || config.ExposedPorts || {},
+      WorkingDir: config.WorkingDir || '/app',
+      Healthcheck: healthcheck,
+      Tty: config.Tty,
+      OpenStdin: config.OpenStdin,
+      Labels: {
+        ...labels,
+        'panel.managed': 'true',
+        'panel.recreated': new Date().toISOString(),
+        ...(overrides.labels || {}),
+      },
+      HostConfig: {
+        ...hostConfig,
+        ...(overrides.ports ? { PortBindings: this.formatPortBindings(overrides.ports, overrides.hostPorts) } : {}),
+        ...(overrides.hostConfig || {}),
+      },
+    };
+  }
+
+  // Wait until a freshly started container is considered healthy
+  async waitForHealthy(containerId, { timeout = 30000, gracePeriod = 5000, interval = 1000 } = {}) {
+    const deadline = Date.now() + timeout;
+    const runningSince = Date.now();
+
+    while (Date.now() < deadline) {
+      const info = await this.getContainerInfo(containerId);
+      const state = info.State || {};
+
+      if (!state.Running || state.Restarting) {
+        throw new Error(`Container exited during startup (exit code ${state.ExitCode}${state.Error ? `: ${state.Error}` : ''})`);
+      }
+
+      if (state.Health) {
+        if (state.Health.Status === 'healthy') return true;
+        if (state.Health.Status === 'unhealthy') {
+          throw new Error('Container health check reported unhealthy');
+        }
+      } else if (Date.now() - runningSince >= gracePeriod) {
+        // No Docker health check configured: stable for the grace period is good enough
+        return true;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    throw new Error(`Container did not become healthy within ${Math.round(timeout / 1000)}s`);
+  }
+
+  // Recreate container from its current config with overrides (e.g. a new image).
+  // The old container is kept aside and restored if the new one fails to start; the
+  // error then has `rolledBack`, and `rollbackError` when restoring failed as well.
+  // options.beforeStart runs on the created container before it is started.
+  async recreateContainer(containerId, overrides = {}, options = {}) {
+    const { onProgress = () => {}, healthCheck = {}, startAfter, beforeStart } = options;
+    const snapshot = await this.snapshotContainer(containerId);
+    const oldContainer = this.docker.getContainer(snapshot.id);
+    const rollbackName = `${snapshot.name}_rollback_${Date.now()}`;
+    const shouldStart = startAfter !== undefined ? startAfter : snapshot.wasRunning;
+    let newContainer = null;
+    let renamed = false;
+    let createOptions;
+
+    onProgress('snapshot', `Saved configuration of ${snapshot.name}`);
+
+    try {
+      if (snapshot.wasRunning) {
+        onProgress('stop', 'Stopping current container');
+        await oldContainer.stop({ t: 10 });
+      }
+
+      await oldContainer.rename({ name: rollbackName });
+      renamed = true;
+
+      onProgress('create', `Creating container from ${overrides.image || snapshot.image}`);
+      createOptions = this.buildConfigFromSnapshot(snapshot, overrides);
+      newContainer = await this.docker.createContainer(createOptions);
+
+      if (beforeStart) {
+        await beforeStart(newContainer);
+      }
+
+      if (shouldStart) {
+        onProgress('start', 'Starting new container');
+        await newContainer.start();
+
+        onProgress('health', 'Waiting for new container to become healthy');
+        await this.waitForHealthy(newContainer.id, healthCheck);
+      }
+    } catch (error) {
+      logger.error('❌ Failed to recreate container, rolling back:', error);
+      onProgress('rollback', `Restoring previous container: ${error.message}`);
+
+      try {
+        await this.restoreSnapshot(snapshot, oldContainer, { newContainer, renamed });
+        error.rolledBack = true;
+      } catch (rollbackError) {
+        error.rolledBack = false;
+        error.rollbackError = rollbackError;
+      }
+
+      error.snapshot = snapshot;
+      throw error;
+    }
+
+    // The new container is in place; a leftover old one must not undo that
+    try {
+      await oldContainer.remove({ force: true });
+    } catch (error) {
+      logger.warn(`⚠️ Failed to remove previous container ${rollbackName}:`, error.message);
+    }
+
+    logger.info('✅ Container recreated', {
+      oldId: snapshot.id,
+      newId: newContainer.id,
+      image: createOptions.Image,
+    });
+
+    return { container: newContainer, snapshot, rolledBack: false };
+  }
+
+  // Put the container from a snapshot back in place after a failed recreate
+  async restoreSnapshot(snapshot, oldContainer, { newContainer = null, renamed = true } = {}) {
+    if (newContainer) {
+      try {
+        await newContainer.remove({ force: true });
+      } catch (error) {
+        logger.warn('⚠️ Failed to remove new container during rollback:', error.message);
+      }
+    }
+
+    if (renamed) {
+      try {
+        await oldContainer.rename({ name: snapshot.name });
+      } catch (error) {
+        logger.warn('⚠️ Failed to rename container during rollback:', error.message);
+      }
+    }
+
+    if (snapshot.wasRunning) {
+      try {
+        await oldContainer.start();
+      } catch (error) {
+        // 304: container already started
+        if (error.statusCode !== 304) {
+          logger.error('❌ Failed to restart previous container during rollback:', error);
+          throw error;
+        }
+      }
+    }
+
+    logger.info('↩️ Container restored from snapshot', { id: snapshot.id, name: snapshot.name });
+  }
+
   // Helper methods
   parseMemory(memory) {
     if (typeof memory === 'number') return memory;
@@ -343,11 +856,55 @@ class ContainerManager {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
-  formatPortBindings(exposedPorts) {
+  // Split a multiplexed (non-TTY) log buffer into stdout and stderr text
+  demuxLogBuffer(buffer) {
+    const result = { stdout: '', stderr: '' };
+    if (!Buffer.isBuffer(buffer)) {
+      result.stdout = String(buffer || '');
+      return result;
+    }
+
+    let offset = 0;
+    while (offset + 8 <= buffer.length) {
+      const streamType = buffer[offset];
+      const size = buffer.readUInt32BE(offset + 4);
+
+      // Not a multiplexed frame header: the container uses a TTY
+      if (streamType > 2 || buffer[offset + 1] !== 0) {
+        result.stdout += buffer.slice(offset).toString('utf8');
+        return result;
+      }
+
+      const payload = buffer.slice(offset + 8, offset + 8 + size).toString('utf8');
+      if (streamType === 2) {
+        result.stderr += payload;
+      } else {
+        result.stdout += payload;
+      }
+      offset += 8 + size;
+    }
+
+    return result;
+  }
+
+  // HostConfig limits for a memory string and a CPU count; swap stays at Docker's default of twice the memory
+  formatResources({ memory, cpus }) {
+    const memoryBytes = this.parseMemory(memory);
+
+    return {
+      Memory: memoryBytes,
+      MemorySwap: memoryBytes * 2,
+      CpuQuota: Math.floor(parseFloat(cpus) * 100000),
+      CpuPeriod: 100000,
+    };
+  }
+
+  // hostPorts maps "3000/tcp" to a host port from the pool; unmapped ports get a random one
+  formatPortBindings(exposedPorts, hostPorts = {}) {
     const portBindings = {};
     
     for (const port in exposedPorts) {
-      portBindings[port] = [{ HostPort: '' }]; // Let Docker assign random port
+      portBindings[port] = [{ HostPort: hostPorts[port] ? String(hostPorts[port]) : '' }];
     }
     
     return portBindings;
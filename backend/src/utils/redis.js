@@ -77,6 +77,12 @@ function getRedisClient() {
   return redis;
 }
 
+// Create a dedicated connection with the same settings as the main client.
+// Blocking consumers (BullMQ workers) cannot share the main connection.
+function createRedisConnection(overrides = {}) {
+  return getRedisClient().duplicate(overrides);
+}
+
 // Redis health check
 async function checkRedisHealth() {
   try {
@@ -300,6 +306,7 @@ module.exports = {
   connectRedis,
   disconnectRedis,
   getRedisClient,
+  createRedisConnection,
   checkRedisHealth,
   CacheManager,
   SessionManager,
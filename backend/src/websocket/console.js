@@ -1,7 +1,6 @@
 const { getPrismaClient } = require('../utils/database');
 const { getDockerClient, ContainerManager } = require('../utils/docker');
-const { extractToken } = require('../middleware/auth');
-const jwt = require('jsonwebtoken');
+const { authenticateSocket } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 // Initialize container manager
@@ -274,42 +273,6 @@ class ConsoleSession {
   }
 }
 
-// WebSocket authentication middleware
-const authenticateSocket = async (socket, next) => {
-  try {
-    const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return next(new Error('Authentication token required'));
-    }
-
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const prisma = getPrismaClient();
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        username: true,
-        role: true,
-        isActive: true,
-      },
-    });
-
-    if (!user || !user.isActive) {
-      return next(new Error('User not found or inactive'));
-    }
-
-    socket.user = user;
-    next();
-  } catch (error) {
-    logger.error('Socket authentication failed:', error);
-    next(new Error('Authentication failed'));
-  }
-};
-
 // Main WebSocket handler
 const consoleHandler = (io) => {
   // Console namespace
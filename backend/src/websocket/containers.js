@@ -0,0 +1,135 @@
+const { getPrismaClient } = require('../utils/database');
+const { authenticateSocket } = require('../middleware/auth');
+const { containerStateEvents } = require('../services/dockerEvents');
+const logger = require('../utils/logger');
+
+// Namespace instance, set once the handler is registered
+let containersNamespace = null;
+
+const containerRoom = (containerId) => `container:${containerId}`;
+const userRoom = (userId) => `user:${userId}`;
+const ADMIN_ROOM = 'admins';
+
+// Check that the socket user may see events for a container
+const canAccessContainer = async (user, containerId) => {
+  if (user.role === 'ADMIN') return true;
+
+  const prisma = getPrismaClient();
+  const container = await prisma.container.findUnique({
+    where: { id: containerId },
+    select: { ownerId: true },
+  });
+
+  return !!container && container.ownerId === user.id;
+};
+
+// Broadcast an event to everyone subscribed to a container
+const emitContainerEvent = (containerId, event, payload = {}) => {
+  if (!containersNamespace) return;
+
+  containersNamespace.to(containerRoom(containerId)).emit(event, {
+    containerId,
+    ...payload,
+    timestamp: Date.now(),
+  });
+};
+
+// Container events WebSocket handler
+// Status and health changes also go to the owner and admins so container lists update live.
+const containerEventsHandler = (io) => {
+  const namespace = io.of('/containers');
+
+  namespace.use(authenticateSocket);
+
+  namespace.on('connection', (socket) => {
+    logger.info('Container events WebSocket connected', {
+      socketId: socket.id,
+      userId: socket.user.id,
+    });
+
+    socket.join(userRoom(socket.user.id));
+    if (socket.user.role === 'ADMIN') {
+      socket.join(ADMIN_ROOM);
+    }
+
+    // Handle container subscription
+    socket.on('container:subscribe', async (data = {}) => {
+      try {
+        const { containerId } = data;
+
+        if (!containerId) {
+          socket.emit('container:error', {
+            message: 'Container ID is required',
+          });
+          return;
+        }
+
+        if (!(await canAccessContainer(socket.user, containerId))) {
+          socket.emit('container:error', {
+            message: 'Access denied to this container',
+            containerId,
+          });
+          return;
+        }
+
+        socket.join(containerRoom(containerId));
+        socket.emit('container:subscribed', { containerId });
+      } catch (error) {
+        logger.error('Container subscribe error:', error);
+        socket.emit('container:error', {
+          message: 'Failed to subscribe to container events',
+          error: error.message,
+        });
+      }
+    });
+
+    // Handle unsubscribe
+    socket.on('container:unsubscribe', (data = {}) => {
+      const { containerId } = data;
+      if (containerId) {
+        socket.leave(containerRoom(containerId));
+        socket.emit('container:unsubscribed', { containerId });
+      }
+    });
+
+    socket.on('disconnect', (reason) => {
+      logger.info('Container events WebSocket disconnected', {
+        socketId: socket.id,
+        userId: socket.user.id,
+        reason,
+      });
+    });
+  });
+
+  containerStateEvents.on('status', ({ ownerId, ...change }) => {
+    namespace
+      .to(containerRoom(change.containerId))
+      .to(userRoom(ownerId))
+      .to(ADMIN_ROOM)
+      .emit('container:status', {
+        ...change,
+        timestamp: Date.now(),
+      });
+  });
+
+  containerStateEvents.on('health', ({ ownerId, ...change }) => {
+    namespace
+      .to(containerRoom(change.containerId))
+      .to(userRoom(ownerId))
+      .to(ADMIN_ROOM)
+      .emit('container:health', {
+        ...change,
+        timestamp: Date.now(),
+      });
+  });
+
+  containersNamespace = namespace;
+
+  return namespace;
+};
+
+module.exports = {
+  containerEventsHandler,
+  canAccessContainer,
+  emitContainerEvent,
+};
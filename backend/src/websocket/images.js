@@ -0,0 +1,81 @@
+const { authenticateSocket } = require('../middleware/auth');
+const { pullEvents, getPull } = require('../services/imagePull');
+const { getJob } = require('../services/jobQueue');
+const { canAccessContainer } = require('./containers');
+const logger = require('../utils/logger');
+
+const pullRoom = (pullId) => `pull:${pullId}`;
+const containerPullRoom = (containerId) => `pull:container:${containerId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+// Image pull progress WebSocket handler
+// Subscribe by pullId, or by containerId to follow every pull made for a container.
+const imagePullHandler = (io) => {
+  const namespace = io.of('/images');
+
+  namespace.use(authenticateSocket);
+
+  namespace.on('connection', (socket) => {
+    socket.join(userRoom(socket.user.id));
+
+    socket.on('pull:subscribe', async (data = {}) => {
+      try {
+        const { pullId, containerId } = data;
+
+        if (!pullId && !containerId) {
+          socket.emit('pull:error', { message: 'Pull ID or container ID is required' });
+          return;
+        }
+
+        if (containerId) {
+          if (!(await canAccessContainer(socket.user, containerId))) {
+            socket.emit('pull:error', { message: 'Access denied to this container', containerId });
+            return;
+          }
+
+          socket.join(containerPullRoom(containerId));
+          socket.emit('pull:subscribed', { containerId });
+          return;
+        }
+
+        // Pulls made by a job use the job ID, so they can be subscribed before they start
+        const pull = getPull(pullId);
+        const owner = pull ? pull.userId : (await getJob(pullId))?.userId;
+        if (owner === undefined || (socket.user.role !== 'ADMIN' && owner !== socket.user.id)) {
+          socket.emit('pull:error', { message: 'Pull not found', pullId });
+          return;
+        }
+
+        socket.join(pullRoom(pullId));
+        socket.emit('pull:subscribed', { pullId, pull });
+      } catch (error) {
+        logger.error('Pull subscribe error:', error);
+        socket.emit('pull:error', {
+          message: 'Failed to subscribe to pull progress',
+          error: error.message,
+        });
+      }
+    });
+
+    socket.on('pull:unsubscribe', (data = {}) => {
+      const { pullId, containerId } = data;
+      if (pullId) socket.leave(pullRoom(pullId));
+      if (containerId) socket.leave(containerPullRoom(containerId));
+    });
+  });
+
+  for (const event of ['progress', 'completed', 'failed']) {
+    pullEvents.on(event, (pull) => {
+      let target = namespace.to(pullRoom(pull.pullId));
+      if (pull.userId) target = target.to(userRoom(pull.userId));
+      if (pull.containerId) target = target.to(containerPullRoom(pull.containerId));
+      target.emit(`pull:${event}`, { pull });
+    });
+  }
+
+  return namespace;
+};
+
+module.exports = {
+  imagePullHandler,
+};
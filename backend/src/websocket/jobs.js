@@ -0,0 +1,74 @@
+const { authenticateSocket } = require('../middleware/auth');
+const { jobEvents, getJob } = require('../services/jobQueue');
+const { emitContainerEvent } = require('./containers');
+const logger = require('../utils/logger');
+
+const userRoom = (userId) => `user:${userId}`;
+const jobRoom = (jobId) => `job:${jobId}`;
+
+// Job events WebSocket handler
+// Users automatically receive events of their own jobs; admins can subscribe to any job.
+const jobEventsHandler = (io) => {
+  const namespace = io.of('/jobs');
+
+  namespace.use(authenticateSocket);
+
+  namespace.on('connection', (socket) => {
+    socket.join(userRoom(socket.user.id));
+
+    // Handle job subscription (also returns the current state)
+    socket.on('job:subscribe', async (data = {}) => {
+      try {
+        const { jobId } = data;
+
+        if (!jobId) {
+          socket.emit('job:error', { message: 'Job ID is required' });
+          return;
+        }
+
+        const job = await getJob(jobId);
+        if (!job || (socket.user.role !== 'ADMIN' && job.userId !== socket.user.id)) {
+          socket.emit('job:error', { message: 'Job not found', jobId });
+          return;
+        }
+
+        socket.join(jobRoom(jobId));
+        socket.emit('job:subscribed', { job });
+      } catch (error) {
+        logger.error('Job subscribe error:', error);
+        socket.emit('job:error', {
+          message: 'Failed to subscribe to job events',
+          error: error.message,
+        });
+      }
+    });
+
+    socket.on('job:unsubscribe', (data = {}) => {
+      const { jobId } = data;
+      if (jobId) {
+        socket.leave(jobRoom(jobId));
+      }
+    });
+  });
+
+  // Forward queue events to the job owner, job subscribers and container subscribers
+  for (const event of ['active', 'progress', 'completed', 'failed']) {
+    jobEvents.on(event, (job) => {
+      let target = namespace.to(jobRoom(job.id));
+      if (job.userId) {
+        target = target.to(userRoom(job.userId));
+      }
+      target.emit(`job:${event}`, { job });
+
+      if (job.containerId) {
+        emitContainerEvent(job.containerId, 'container:job', { event, job });
+      }
+    });
+  }
+
+  return namespace;
+};
+
+module.exports = {
+  jobEventsHandler,
+};
@@ -0,0 +1,127 @@
+const { getPrismaClient } = require('../utils/database');
+const { authenticateSocket } = require('../middleware/auth');
+const { streamContainerOutput } = require('../services/containerOutput');
+const { canAccessContainer } = require('./containers');
+const logger = require('../utils/logger');
+
+const MAX_SUBSCRIPTIONS = 5;
+const MAX_INITIAL_TAIL = 5000;
+
+// Container output WebSocket handler
+// Each subscription follows the Docker log stream of one container with its own filter;
+// subscribing again to the same container replaces the filter. The stream ends when the
+// container stops, clients resubscribe with `since` once it runs again.
+const containerLogsHandler = (io) => {
+  const namespace = io.of('/logs');
+
+  namespace.use(authenticateSocket);
+
+  namespace.on('connection', (socket) => {
+    const subscriptions = new Map();
+
+    const unsubscribe = (containerId) => {
+      const output = subscriptions.get(containerId);
+      if (output) {
+        output.stop();
+        subscriptions.delete(containerId);
+      }
+    };
+
+    socket.on('logs:subscribe', async (data = {}) => {
+      const {
+        containerId,
+        tail = 100,
+        since,
+        timestamps = true,
+        stream = 'all',
+        search,
+        regex = false,
+        caseSensitive = false,
+      } = data;
+
+      try {
+        if (!containerId) {
+          socket.emit('logs:error', { message: 'Container ID is required' });
+          return;
+        }
+
+        if (!(await canAccessContainer(socket.user, containerId))) {
+          socket.emit('logs:error', { message: 'Access denied to this container', containerId });
+          return;
+        }
+
+        unsubscribe(containerId);
+        if (subscriptions.size >= MAX_SUBSCRIPTIONS) {
+          socket.emit('logs:error', { message: `At most ${MAX_SUBSCRIPTIONS} containers can be followed at once`, containerId });
+          return;
+        }
+
+        const container = await getPrismaClient().container.findUnique({
+          where: { id: containerId },
+          select: { dockerId: true },
+        });
+
+        if (!container?.dockerId) {
+          socket.emit('logs:error', { message: 'Docker container not found', containerId });
+          return;
+        }
+
+        const output = await streamContainerOutput(container.dockerId, {
+          follow: true,
+          tail: tail === 'all' ? 'all' : Math.min(parseInt(tail) || 0, MAX_INITIAL_TAIL),
+          since,
+          timestamps,
+          stream,
+          search,
+          regex,
+          caseSensitive,
+        }, {
+          onLines: lines => socket.emit('logs:lines', { containerId, lines }),
+          onEnd: () => {
+            if (subscriptions.get(containerId) !== output) return;
+            subscriptions.delete(containerId);
+            socket.emit('logs:end', { containerId });
+          },
+          onError: (error) => {
+            logger.warn(`Container log stream failed for ${containerId}:`, error.message);
+            socket.emit('logs:error', { message: 'Log stream failed', containerId, error: error.message });
+          },
+        });
+
+        // A socket that went away while the stream was opening
+        if (socket.disconnected) {
+          output.stop();
+          return;
+        }
+
+        // A second subscribe for the same container may have finished first
+        unsubscribe(containerId);
+        subscriptions.set(containerId, output);
+        socket.emit('logs:subscribed', { containerId });
+      } catch (error) {
+        logger.error('Container logs subscribe error:', error);
+        socket.emit('logs:error', {
+          message: error.statusCode === 400 ? error.message : 'Failed to follow container logs',
+          containerId,
+          error: error.message,
+        });
+      }
+    });
+
+    socket.on('logs:unsubscribe', (data = {}) => {
+      if (data.containerId) unsubscribe(data.containerId);
+    });
+
+    socket.on('disconnect', () => {
+      for (const containerId of [...subscriptions.keys()]) {
+        unsubscribe(containerId);
+      }
+    });
+  });
+
+  return namespace;
+};
+
+module.exports = {
+  containerLogsHandler,
+};
@@ -0,0 +1,89 @@
+const { getPrismaClient } = require('../utils/database');
+const { authenticateSocket } = require('../middleware/auth');
+const { scriptEvents, serializeScriptRun } = require('../services/scriptRuns');
+const { canAccessContainer, emitContainerEvent } = require('./containers');
+const logger = require('../utils/logger');
+
+const runRoom = (runId) => `run:${runId}`;
+const containerRunsRoom = (containerId) => `runs:container:${containerId}`;
+
+// Script run WebSocket handler
+// Subscribe by runId for one run, or by containerId to follow every run of a container.
+const scriptRunHandler = (io) => {
+  const namespace = io.of('/scripts');
+
+  namespace.use(authenticateSocket);
+
+  namespace.on('connection', (socket) => {
+    socket.on('script:subscribe', async (data = {}) => {
+      try {
+        const { runId, containerId } = data;
+
+        if (!runId && !containerId) {
+          socket.emit('script:error', { message: 'Run ID or container ID is required' });
+          return;
+        }
+
+        if (containerId) {
+          if (!(await canAccessContainer(socket.user, containerId))) {
+            socket.emit('script:error', { message: 'Access denied to this container', containerId });
+            return;
+          }
+
+          socket.join(containerRunsRoom(containerId));
+          socket.emit('script:subscribed', { containerId });
+          return;
+        }
+
+        const run = await getPrismaClient().scriptRun.findUnique({
+          where: { id: runId },
+        });
+
+        if (!run || !(await canAccessContainer(socket.user, run.containerId))) {
+          socket.emit('script:error', { message: 'Script run not found', runId });
+          return;
+        }
+
+        // Output written before subscribing is available from the REST output route
+        socket.join(runRoom(runId));
+        socket.emit('script:subscribed', { runId, run: serializeScriptRun(run) });
+      } catch (error) {
+        logger.error('Script subscribe error:', error);
+        socket.emit('script:error', {
+          message: 'Failed to subscribe to script run',
+          error: error.message,
+        });
+      }
+    });
+
+    socket.on('script:unsubscribe', (data = {}) => {
+      const { runId, containerId } = data;
+      if (runId) socket.leave(runRoom(runId));
+      if (containerId) socket.leave(containerRunsRoom(containerId));
+    });
+  });
+
+  scriptEvents.on('output', (output) => {
+    namespace
+      .to(runRoom(output.runId))
+      .to(containerRunsRoom(output.containerId))
+      .emit('script:output', output);
+  });
+
+  for (const event of ['started', 'finished']) {
+    scriptEvents.on(event, (run) => {
+      namespace
+        .to(runRoom(run.id))
+        .to(containerRunsRoom(run.containerId))
+        .emit(`script:${event}`, { run });
+
+      emitContainerEvent(run.containerId, 'container:script', { event, run });
+    });
+  }
+
+  return namespace;
+};
+
+module.exports = {
+  scriptRunHandler,
+};
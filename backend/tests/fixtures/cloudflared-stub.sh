@@ -0,0 +1,36 @@
+#!/bin/sh
+# Stand-in for cloudflared: logs to stderr the way cloudflared does for the scenario
+# in STUB_SCENARIO, then keeps running like a connected tunnel or exits.
+
+log() {
+  echo "2024-05-01T10:00:00Z $*" >&2
+}
+
+case "$STUB_SCENARIO" in
+  quick)
+    log INF "Requesting new quick Tunnel on trycloudflare.com..."
+    log INF "|  https://brave-otter-example.trycloudflare.com  |"
+    log INF "Registered tunnel connection connIndex=0 connection=7d2f event=0 ip=198.41.192.7 location=ams01 protocol=quic"
+    ;;
+  named)
+    if [ -z "$TUNNEL_TOKEN" ]; then
+      log ERR "Provided Tunnel token is not valid."
+      exit 1
+    fi
+    log INF "Starting tunnel tunnelID=0b6f2a4e-8c1d-4f5a-9e3b-2d7c6a1f8e90"
+    log INF "Updated to new configuration config=\"{\\\"ingress\\\":[{\\\"hostname\\\":\\\"app.example.com\\\", \\\"service\\\":\\\"http://localhost:3000\\\"}]}\" version=1"
+    log INF "Registered tunnel connection connIndex=0 connection=7d2f event=0 ip=198.41.192.7 location=ams01 protocol=quic"
+    log INF "Registered tunnel connection connIndex=1 connection=91ac event=0 ip=198.41.200.13 location=fra08 protocol=quic"
+    ;;
+  unauthorized)
+    log ERR "Register tunnel error from server side error=\"Unauthorized: Invalid tunnel secret\" connIndex=0"
+    ;;
+  exit)
+    log INF "Starting tunnel"
+    log ERR "Failed to dial a quic connection error=\"failed to dial to edge with quic: timeout: no recent network activity\" connIndex=0"
+    log INF "Retrying connection in up to 1s"
+    exit 1
+    ;;
+esac
+
+exec sleep 30
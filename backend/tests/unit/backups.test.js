@@ -0,0 +1,58 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/utils/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../../src/services/jobQueue', () => ({ addJob: jest.fn() }));
+
+const { selectExpiredBackups } = require('../../src/services/backups');
+
+// Backups newest first, named by their start time
+const backupsAt = (...times) => times.map(startedAt => ({ id: startedAt, startedAt: new Date(startedAt) }));
+const ids = backups => backups.map(backup => backup.id);
+
+describe('selectExpiredBackups', () => {
+  it('keeps the newest backup of each of the last keepDaily days', () => {
+    const backups = backupsAt(
+      '2024-05-03T15:00:00Z',
+      '2024-05-03T03:00:00Z',
+      '2024-05-02T03:00:00Z',
+      '2024-05-01T15:00:00Z',
+      '2024-05-01T03:00:00Z',
+      '2024-04-30T03:00:00Z'
+    );
+
+    expect(ids(selectExpiredBackups(backups, { keepDaily: 3, keepWeekly: 0 }))).toEqual([
+      '2024-05-03T03:00:00Z',
+      '2024-05-01T03:00:00Z',
+      '2024-04-30T03:00:00Z',
+    ]);
+  });
+
+  it('keeps the newest backup of each of the last keepWeekly weeks on top of the daily ones', () => {
+    // 2024-05-06 is a Monday, so 2024-05-05 still belongs to the week before
+    const backups = backupsAt(
+      '2024-05-06T03:00:00Z',
+      '2024-05-05T03:00:00Z',
+      '2024-05-04T03:00:00Z',
+      '2024-04-28T03:00:00Z',
+      '2024-04-21T03:00:00Z',
+      '2024-04-14T03:00:00Z'
+    );
+
+    expect(ids(selectExpiredBackups(backups, { keepDaily: 1, keepWeekly: 3 }))).toEqual([
+      '2024-05-04T03:00:00Z',
+      '2024-04-21T03:00:00Z',
+      '2024-04-14T03:00:00Z',
+    ]);
+  });
+
+  it('always keeps the newest backup', () => {
+    const backups = backupsAt('2024-05-03T03:00:00Z', '2024-05-02T03:00:00Z');
+
+    expect(ids(selectExpiredBackups(backups, { keepDaily: 0, keepWeekly: 0 }))).toEqual(['2024-05-02T03:00:00Z']);
+  });
+
+  it('keeps everything when there are fewer backups than the policy allows', () => {
+    const backups = backupsAt('2024-05-03T03:00:00Z', '2024-05-02T03:00:00Z');
+
+    expect(selectExpiredBackups(backups, { keepDaily: 7, keepWeekly: 4 })).toEqual([]);
+  });
+});
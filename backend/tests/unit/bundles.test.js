@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/utils/docker', () => ({ getDockerClient: jest.fn(), ContainerManager: jest.fn() }));
+jest.mock('../../src/services/volumes', () => ({ APP_MOUNT_PATH: '/app' }));
+
+process.env.MAX_BUNDLE_UNPACKED_SIZE = String(4 * 1024 * 1024);
+
+const { ValidationError, QuotaExceededError } = require('../../src/middleware/errorHandler');
+const {
+  buildBundleManifest,
+  validateBundleManifest,
+  createAppArchiveStream,
+  readBundle,
+} = require('../../src/services/bundles');
+
+const MB = 1024 * 1024;
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-test-'));
+
+// A gzipped bundle whose app.tar is `appSize` zero bytes, which compresses to almost nothing
+const writeTestBundle = async (appSize) => {
+  const dir = fs.mkdtempSync(path.join(workDir, 'src-'));
+  fs.writeFileSync(path.join(dir, 'bundle.json'), JSON.stringify(buildBundleManifest({ name: 'web', image: 'node:20' })));
+  fs.writeFileSync(path.join(dir, 'app.tar'), Buffer.alloc(appSize));
+
+  const file = path.join(workDir, `${path.basename(dir)}.tar.gz`);
+  await tar.create({ gzip: true, cwd: dir, file }, ['bundle.json', 'app.tar']);
+  return file;
+};
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('readBundle', () => {
+  it('unpacks the manifest and the /app archive', async () => {
+    const bundle = await readBundle(await writeTestBundle(MB));
+
+    expect(bundle.manifest.container.image).toBe('node:20');
+    expect(bundle.appArchiveSize).toBe(MB);
+    fs.rmSync(bundle.dir, { recursive: true, force: true });
+  });
+
+  it('stops at the unpacked size limit', async () => {
+    const file = await writeTestBundle(5 * MB);
+
+    await expect(readBundle(file)).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('stops at the remaining disk quota of the owner', async () => {
+    const file = await writeTestBundle(2 * MB);
+
+    const error = await readBundle(file, { available: MB }).catch(caught => caught);
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error.details.available).toBe(MB);
+  });
+
+  it('rejects files that are not gzipped tarballs', async () => {
+    const file = path.join(workDir, 'broken.tar.gz');
+    fs.writeFileSync(file, 'not a bundle');
+
+    await expect(readBundle(file)).rejects.toThrow('Bundle is not a valid .tar.gz archive');
+  });
+});
+
+describe('validateBundleManifest', () => {
+  const manifestWith = (container = {}, tunnels = []) => ({
+    ...buildBundleManifest({ name: 'web', image: 'node:20' }),
+    container: { name: 'web', image: 'node:20', ...container },
+    tunnels,
+  });
+
+  it('keeps only the fields an import uses', () => {
+    const manifest = validateBundleManifest({
+      ...manifestWith({
+        config: { cmd: ['node', 'server.js'], env: { PORT: 3000 }, ports: [{ containerPort: '3000' }], privileged: true },
+        resources: { memory: '256m', cpus: '0.5' },
+        dockerId: 'abc',
+      }, [{
+        domain: null,
+        named: false,
+        config: { port: 3000, ingress: [{ hostname: null, port: 3000, service: 'http://panel-db:5432', host: 'redis' }] },
+      }]),
+      ownerId: 'someone-else',
+    });
+
+    expect(manifest.ownerId).toBeUndefined();
+    expect(manifest.container).toEqual({
+      name: 'web',
+      image: 'node:20',
+      config: { cmd: ['node', 'server.js'], env: { PORT: '3000' }, ports: [{ containerPort: 3000, protocol: 'tcp' }] },
+      resources: { memory: '256m', cpus: 0.5 },
+    });
+    expect(manifest.tunnels[0].config).toEqual({
+      port: 3000,
+      ingress: [{ hostname: null, port: 3000 }],
+      autoStart: true,
+    });
+  });
+
+  it.each([
+    ['a command that is not a list of strings', manifestWith({ config: { cmd: ['sh', { c: 1 }] } })],
+    ['an invalid environment variable name', manifestWith({ config: { env: { 'LD_PRELOAD=/x;': '1' } } })],
+    ['an environment value that is not plain', manifestWith({ config: { env: { A: { b: 1 } } } })],
+    ['an invalid port protocol', manifestWith({ config: { ports: [{ containerPort: 80, protocol: 'sctp' }] } })],
+    ['an invalid memory limit', manifestWith({ resources: { memory: 'lots' } })],
+    ['an invalid image', manifestWith({ image: 'node:20 --privileged' })],
+    ['a tunnel with several ingress rules', manifestWith({}, [{ config: { ingress: [{ port: 80 }, { port: 81 }] } }])],
+    ['a tunnel rule without a valid port', manifestWith({}, [{ config: { ingress: [{ service: 'http://panel-db:5432' }] } }])],
+  ])('rejects %s', (label, manifest) => {
+    expect(() => validateBundleManifest(manifest)).toThrow(ValidationError);
+  });
+});
+
+describe('createAppArchiveStream', () => {
+  it('writes only the entries below app/, relative to /app', async () => {
+    const dir = fs.mkdtempSync(path.join(workDir, 'app-'));
+    fs.mkdirSync(path.join(dir, 'app/lib'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'etc'));
+    fs.writeFileSync(path.join(dir, 'app/index.js'), 'console.log(1)');
+    fs.writeFileSync(path.join(dir, 'app/lib/util.js'), 'module.exports = {}');
+    fs.linkSync(path.join(dir, 'app/index.js'), path.join(dir, 'app/main.js'));
+    fs.writeFileSync(path.join(dir, 'etc/passwd'), 'root::0:0::/:/bin/sh');
+
+    const staged = path.join(dir, 'staged.tar');
+    await tar.create({ cwd: dir, file: staged }, ['app', 'etc', 'app/../etc/passwd']);
+
+    const entries = [];
+    const list = new tar.Parse({
+      onentry: (entry) => {
+        entries.push([entry.type, entry.path, entry.linkpath || null]);
+        entry.resume();
+      },
+    });
+    await new Promise((resolve, reject) => {
+      createAppArchiveStream(staged).on('error', reject).pipe(list).on('end', resolve).on('error', reject);
+    });
+
+    expect(entries.sort((a, b) => a[1].localeCompare(b[1]))).toEqual([
+      ['File', 'index.js', null],
+      ['Directory', 'lib', null],
+      ['File', 'lib/util.js', null],
+      ['Link', 'main.js', 'index.js'],
+    ]);
+  });
+});
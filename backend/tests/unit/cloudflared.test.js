@@ -0,0 +1,142 @@
+const path = require('path');
+const { spawn } = require('child_process');
+
+process.env.CLOUDFLARED_BIN = path.join(__dirname, '../fixtures/cloudflared-stub.sh');
+
+const {
+  CLOUDFLARED_BIN,
+  buildConfigYaml,
+  buildTunnelArgs,
+  buildTunnelEnv,
+  getIngressRules,
+  parseTunnelLog,
+  toStoredIngressRules,
+  waitForTunnel,
+} = require('../../src/services/cloudflared');
+
+const quickTunnel = { domain: null, tokenSecretId: null, config: { port: 3000 } };
+const namedTunnel = { domain: 'app.example.com', tokenSecretId: 'secret-1', config: { port: 3000 } };
+
+const children = [];
+
+// Run the stub like the sidecar runs cloudflared and collect its log
+const runStub = (scenario, tunnel, token = null) => {
+  const child = spawn(CLOUDFLARED_BIN, buildTunnelArgs(tunnel, { configPath: '/etc/cloudflared/config.yml' }), {
+    env: {
+      PATH: process.env.PATH,
+      STUB_SCENARIO: scenario,
+      ...Object.fromEntries(buildTunnelEnv(token).map(entry => entry.split('='))),
+    },
+  });
+  children.push(child);
+
+  let log = '';
+  let closed = false;
+  child.stdout.on('data', (chunk) => { log += chunk; });
+  child.stderr.on('data', (chunk) => { log += chunk; });
+  child.on('close', () => { closed = true; });
+
+  return {
+    readLog: async () => log,
+    isAlive: async () => !closed,
+  };
+};
+
+const waitForStub = (scenario, tunnel, token) => {
+  const { readLog, isAlive } = runStub(scenario, tunnel, token);
+  return waitForTunnel(readLog, isAlive, { quick: !token, timeout: 5000, interval: 20 });
+};
+
+afterEach(() => {
+  for (const child of children.splice(0)) {
+    if (child.exitCode === null && child.signalCode === null) child.kill();
+  }
+});
+
+describe('cloudflared log parsing against a stub binary', () => {
+  it('reports a quick tunnel as active once its hostname and a connection are logged', async () => {
+    const state = await waitForStub('quick', quickTunnel);
+
+    expect(state).toMatchObject({
+      status: 'ACTIVE',
+      hostname: 'brave-otter-example.trycloudflare.com',
+      locations: ['ams01'],
+      fatal: false,
+    });
+  });
+
+  it('collects the tunnel ID, configured hostnames and connections of a named tunnel', async () => {
+    const state = await waitForStub('named', namedTunnel, 'token-value');
+
+    expect(state.status).toBe('ACTIVE');
+    expect(state.tunnelId).toBe('0b6f2a4e-8c1d-4f5a-9e3b-2d7c6a1f8e90');
+    expect(state.hostnames).toEqual(['app.example.com']);
+    expect(Object.keys(state.connections)).toHaveLength(2);
+    expect(state.locations).toEqual(['ams01', 'fra08']);
+  });
+
+  it('fails on an error cloudflared does not recover from', async () => {
+    const error = await waitForStub('unauthorized', namedTunnel, 'token-value').catch(caught => caught);
+
+    expect(error.message).toBe('Unauthorized: Invalid tunnel secret');
+    expect(error.tunnelState).toMatchObject({ status: 'ERROR', fatal: true });
+  });
+
+  it('reports the last error when cloudflared exits', async () => {
+    const error = await waitForStub('exit', namedTunnel, 'token-value').catch(caught => caught);
+
+    expect(error.message).toBe('cloudflared exited: failed to dial to edge with quic: timeout: no recent network activity');
+    expect(error.tunnelState).toMatchObject({ status: 'CONNECTING', fatal: false });
+  });
+
+  it('fails when the token does not reach cloudflared', async () => {
+    const error = await waitForStub('named', namedTunnel, null).catch(caught => caught);
+
+    expect(error.message).toBe('Provided Tunnel token is not valid.');
+    expect(error.tunnelState.fatal).toBe(true);
+  });
+});
+
+describe('parseTunnelLog', () => {
+  it('drops a connection that is unregistered again', () => {
+    const state = parseTunnelLog([
+      '2024-05-01T10:00:00Z INF Registered tunnel connection connIndex=0 location=ams01',
+      '2024-05-01T10:00:05Z WRN Unregistered tunnel connection connIndex=0',
+    ].join('\n'));
+
+    expect(state.status).toBe('CONNECTING');
+    expect(state.connections).toEqual({});
+  });
+});
+
+describe('ingress rules', () => {
+  it('stores only hostname, port and path of a rule', () => {
+    expect(toStoredIngressRules([
+      { hostname: 'app.example.com', port: '8080', path: '/api', service: 'http://panel-db:5432', host: 'panel-redis' },
+      { port: 3000 },
+    ])).toEqual([
+      { hostname: 'app.example.com', port: 8080, path: '/api' },
+      { hostname: null, port: 3000 },
+    ]);
+  });
+
+  it('always forwards to the container, even for rules stored with an upstream', () => {
+    const tunnel = {
+      ...namedTunnel,
+      config: {
+        ingress: [
+          { hostname: 'app.example.com', port: 8080, service: 'http://panel-db:5432' },
+          { hostname: null, port: 3000, host: '169.254.169.254' },
+        ],
+      },
+    };
+
+    expect(buildConfigYaml(getIngressRules(tunnel))).toBe([
+      'ingress:',
+      '  - hostname: "app.example.com"',
+      '    service: "http://localhost:8080"',
+      '  - service: "http://localhost:3000"',
+      '',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,153 @@
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { createLogParser, buildLineFilter, toDockerTime } = require('../../src/services/containerOutput');
+
+// One frame of Docker's multiplexed log stream
+const frame = (stream, text) => {
+  const payload = Buffer.from(text);
+  const header = Buffer.alloc(8);
+  header[0] = stream === 'stderr' ? 2 : 1;
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+};
+
+describe('createLogParser', () => {
+  it('splits frames into timestamped lines per stream', () => {
+    const parser = createLogParser();
+
+    const lines = parser.push(Buffer.concat([
+      frame('stdout', '2024-05-01T10:00:00.123456789Z listening on 3000\n'),
+      frame('stderr', '2024-05-01T10:00:01.5Z warning: deprecated\n'),
+    ]));
+
+    expect(lines).toEqual([
+      { stream: 'stdout', timestamp: '2024-05-01T10:00:00.123456789Z', text: 'listening on 3000' },
+      { stream: 'stderr', timestamp: '2024-05-01T10:00:01.500000000Z', text: 'warning: deprecated' },
+    ]);
+  });
+
+  it('waits for frames and lines that are split across chunks', () => {
+    const parser = createLogParser();
+    const data = Buffer.concat([
+      frame('stdout', '2024-05-01T10:00:00Z first '),
+      frame('stdout', 'half\n2024-05-01T10:00:01Z second\n'),
+    ]);
+
+    expect(parser.push(data.subarray(0, 5))).toEqual([]);
+    expect(parser.push(data.subarray(5, 30))).toEqual([]);
+    expect(parser.push(data.subarray(30)).map(line => line.text)).toEqual(['first half', 'second']);
+  });
+
+  it('keeps multi-byte characters that are split between frames', () => {
+    const parser = createLogParser();
+    const text = Buffer.from('2024-05-01T10:00:00Z héllo\n');
+    const split = text.indexOf(0xc3) + 1;
+
+    const lines = [
+      ...parser.push(frame('stdout', text.subarray(0, split))),
+      ...parser.push(frame('stdout', text.subarray(split))),
+    ];
+
+    expect(lines.map(line => line.text)).toEqual(['héllo']);
+  });
+
+  it('reads TTY output as plain stdout and drops carriage returns', () => {
+    const parser = createLogParser({ tty: true });
+
+    expect(parser.push(Buffer.from('2024-05-01T10:00:00Z ready\r\nno timestamp\r\n'))).toEqual([
+      { stream: 'stdout', timestamp: '2024-05-01T10:00:00.000000000Z', text: 'ready' },
+      { stream: 'stdout', timestamp: null, text: 'no timestamp' },
+    ]);
+  });
+
+  it('returns the unterminated last line on flush', () => {
+    const parser = createLogParser();
+
+    expect(parser.push(frame('stderr', '2024-05-01T10:00:00Z exiting'))).toEqual([]);
+    expect(parser.flush()).toEqual([
+      { stream: 'stderr', timestamp: '2024-05-01T10:00:00.000000000Z', text: 'exiting' },
+    ]);
+    expect(parser.flush()).toEqual([]);
+  });
+});
+
+describe('buildLineFilter', () => {
+  const lines = [
+    { stream: 'stdout', text: 'GET /health 200' },
+    { stream: 'stderr', text: 'Error: connection refused' },
+    { stream: 'stdout', text: 'error count: 0' },
+  ];
+  const matching = options => lines.filter(buildLineFilter(options)).map(line => line.text);
+
+  it('passes everything without options', () => {
+    expect(matching()).toHaveLength(3);
+  });
+
+  it('filters by stream', () => {
+    expect(matching({ stream: 'stderr' })).toEqual(['Error: connection refused']);
+  });
+
+  it('searches text case-insensitively unless asked otherwise', () => {
+    expect(matching({ search: 'error' })).toEqual(['Error: connection refused', 'error count: 0']);
+    expect(matching({ search: 'error', caseSensitive: true })).toEqual(['error count: 0']);
+  });
+
+  it('treats the search as a regular expression when asked', () => {
+    expect(matching({ search: '^(GET|POST) ', regex: true })).toEqual(['GET /health 200']);
+    expect(matching({ search: '^(GET|POST) ' })).toEqual([]);
+  });
+
+  it('combines stream and search', () => {
+    expect(matching({ stream: 'stdout', search: 'error' })).toEqual(['error count: 0']);
+  });
+
+  it('rejects an invalid regular expression as a client error', () => {
+    expect(() => buildLineFilter({ search: '(unclosed', regex: true }))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_FILTER' }));
+  });
+
+  it.each([
+    '(a+)+$',
+    '(a*)*b',
+    '(?:\\w+\\s?)*$',
+    '(a|ab)*c',
+    '((ab)+c){2,}',
+    '(x+x+)+y',
+    '(.*a){3}',
+    '(a)\\1',
+    '(?<word>a)\\k<word>',
+  ])('rejects the backtracking-prone regex %s', (search) => {
+    expect(() => buildLineFilter({ search, regex: true }))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_FILTER' }));
+  });
+
+  it.each([
+    '^(GET|POST) /api/.*\\s5\\d\\d$',
+    '(a+)?b',
+    '(?:error|warn)',
+    '[(+*)]+',
+    '\\(a+\\)+',
+    '(ab){1}c+',
+    'x{2,3}y*',
+    '(?<code>\\d{3})',
+  ])('accepts the regex %s', (search) => {
+    expect(() => buildLineFilter({ search, regex: true })).not.toThrow();
+  });
+
+  it('rejects searches that are too long', () => {
+    expect(() => buildLineFilter({ search: 'x'.repeat(201) }))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_FILTER' }));
+  });
+});
+
+describe('toDockerTime', () => {
+  it('passes unix seconds through and converts dates', () => {
+    expect(toDockerTime('1714557600')).toBe('1714557600');
+    expect(toDockerTime('2024-05-01T10:00:00.250Z')).toBe('1714557600.250');
+    expect(toDockerTime('')).toBeUndefined();
+  });
+
+  it('rejects dates it cannot read', () => {
+    expect(() => toDockerTime('yesterday')).toThrow(expect.objectContaining({ code: 'INVALID_TIME' }));
+  });
+});
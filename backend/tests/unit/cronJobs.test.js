@@ -0,0 +1,97 @@
+const { PassThrough } = require('stream');
+
+const mockManager = {
+  docker: { modem: { demuxStream: jest.fn() } },
+  startContainer: jest.fn(),
+  stopContainer: jest.fn(),
+  getContainerInfo: jest.fn(),
+  execCommand: jest.fn(),
+};
+const mockPrisma = {
+  cronJob: { findUnique: jest.fn(), update: jest.fn() },
+  cronRun: { create: jest.fn(), update: jest.fn(), findMany: jest.fn(), deleteMany: jest.fn() },
+  container: { update: jest.fn() },
+  containerLog: { create: jest.fn() },
+};
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/utils/database', () => ({ getPrismaClient: () => mockPrisma }));
+jest.mock('../../src/utils/docker', () => ({
+  getDockerClient: jest.fn(),
+  ContainerManager: jest.fn(() => mockManager),
+}));
+jest.mock('../../src/services/volumes', () => ({ APP_MOUNT_PATH: '/app' }));
+jest.mock('../../src/services/scriptRuns', () => ({
+  PID_MARKER: /__PID__(\d+)\n/,
+  PID_WRAPPER: 'exec "$@"',
+  killInContainer: jest.fn(),
+}));
+
+const { runCronJob } = require('../../src/services/cronJobs');
+
+const container = { id: 'container-1', dockerId: 'docker-1', status: 'STOPPED' };
+const cronJob = id => ({ id, name: id, command: `echo ${id}`, timeout: 60, startIfStopped: true, container });
+
+// Exec streams by command; each exec runs until the test closes its stream
+let execStreams;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  execStreams = new Map();
+
+  mockPrisma.cronJob.findUnique.mockImplementation(async ({ where }) => cronJob(where.id));
+  mockPrisma.cronRun.create.mockImplementation(async ({ data }) => ({ id: `run-${data.cronJobId}`, ...data }));
+  mockPrisma.cronRun.update.mockImplementation(async ({ where, data }) => ({ id: where.id, ...data }));
+  mockPrisma.cronRun.findMany.mockResolvedValue([]);
+
+  mockManager.execCommand.mockImplementation(async (dockerId, cmd) => {
+    const stream = new PassThrough();
+    execStreams.set(cmd[cmd.length - 1], stream);
+    return { exec: { inspect: async () => ({ ExitCode: 0 }) }, stream };
+  });
+  mockManager.getContainerInfo.mockResolvedValue({ State: { Running: true, StartedAt: '2024-05-01T10:00:00Z' } });
+
+  let started = false;
+  mockManager.startContainer.mockImplementation(async () => {
+    if (started) throw Object.assign(new Error('container already started'), { statusCode: 304 });
+    started = true;
+  });
+});
+
+const waitForExecs = async (count) => {
+  for (let tick = 0; tick < 100 && execStreams.size < count; tick++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  expect(execStreams.size).toBe(count);
+};
+
+describe('runCronJob with startIfStopped', () => {
+  it('lets a second run use the container another run started and stops it after the last one', async () => {
+    const first = runCronJob('job-1');
+    const second = runCronJob('job-2');
+    await waitForExecs(2);
+
+    // The run that started the container ends first
+    execStreams.get('echo job-1').destroy();
+    const firstRun = await first;
+    expect(mockManager.stopContainer).not.toHaveBeenCalled();
+
+    execStreams.get('echo job-2').destroy();
+    const secondRun = await second;
+
+    expect(firstRun).toMatchObject({ status: 'SUCCEEDED', startedContainer: true });
+    expect(secondRun).toMatchObject({ status: 'SUCCEEDED', startedContainer: false });
+    expect(mockManager.stopContainer).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves a container alone that was started again by hand during the run', async () => {
+    const run = runCronJob('job-1');
+    await waitForExecs(1);
+
+    mockManager.getContainerInfo.mockResolvedValue({ State: { Running: true, StartedAt: '2024-05-01T10:05:00Z' } });
+    execStreams.get('echo job-1').destroy();
+    await run;
+
+    expect(mockManager.stopContainer).not.toHaveBeenCalled();
+  });
+});
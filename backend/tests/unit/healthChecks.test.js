@@ -0,0 +1,126 @@
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { execFile, execFileSync } = require('child_process');
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/utils/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../../src/services/dockerEvents', () => ({ containerStateEvents: { emit: jest.fn() } }));
+jest.mock('../../src/services/tunnelSidecar', () => ({ resumeContainerTunnels: jest.fn() }));
+
+const { normalizeHealthCheck, buildProbe, toDockerHealthcheck } = require('../../src/services/healthChecks');
+
+// Full path of a client on this machine, or null
+const findClient = (name) => {
+  try {
+    if (name === 'python3') {
+      return execFileSync('python3', ['-c', 'import sys; print(sys.executable)']).toString().trim();
+    }
+    return execFileSync('sh', ['-c', `command -v ${name}`]).toString().trim() || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'probe-bin-'));
+
+// Exit code of a probe run with /bin/sh like Docker's CMD-SHELL
+const runShell = (healthCheck, PATH) => new Promise((resolve) => {
+  execFile('/bin/sh', ['-c', buildProbe(healthCheck)], { env: { PATH }, timeout: 10000 }, (error) => {
+    resolve(error ? error.code : 0);
+  });
+});
+
+// Run a probe with only `client` on the PATH
+const runProbe = (healthCheck, client) => {
+  const dir = path.join(binDir, client);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir);
+    fs.symlinkSync(findClient(client), path.join(dir, client));
+  }
+
+  return runShell(healthCheck, dir);
+};
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+let httpServer;
+let httpPort;
+let closedPort;
+
+beforeAll(async () => {
+  httpServer = http.createServer((req, res) => {
+    res.statusCode = req.url === '/healthz' ? 200 : 500;
+    res.end();
+  });
+  httpPort = await listen(httpServer);
+
+  const closed = net.createServer();
+  closedPort = await listen(closed);
+  await new Promise(resolve => closed.close(resolve));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => httpServer.close(resolve));
+  fs.rmSync(binDir, { recursive: true, force: true });
+});
+
+const httpClients = ['wget', 'curl', 'python3', 'node'].filter(findClient);
+const tcpClients = ['nc', 'bash', 'python3', 'node'].filter(findClient);
+
+describe('buildProbe', () => {
+  describe.each(httpClients)('http check with %s', (client) => {
+    const check = path => normalizeHealthCheck({ type: 'http', port: httpPort, path, timeout: 2 });
+
+    it('passes on a successful response', async () => {
+      expect(await runProbe(check('/healthz'), client)).toBe(0);
+    });
+
+    it('fails on an error status', async () => {
+      expect(await runProbe(check('/broken'), client)).not.toBe(0);
+    });
+
+    it('fails when nothing listens', async () => {
+      const closedCheck = normalizeHealthCheck({ type: 'http', port: closedPort, path: '/healthz', timeout: 2 });
+      expect(await runProbe(closedCheck, client)).not.toBe(0);
+    });
+  });
+
+  describe.each(tcpClients)('tcp check with %s', (client) => {
+    it('passes when the port accepts connections', async () => {
+      expect(await runProbe(normalizeHealthCheck({ type: 'tcp', port: httpPort, timeout: 2 }), client)).toBe(0);
+    });
+
+    it('fails when nothing listens', async () => {
+      expect(await runProbe(normalizeHealthCheck({ type: 'tcp', port: closedPort, timeout: 2 }), client)).not.toBe(0);
+    });
+  });
+
+  it('fails when the image has none of the clients', async () => {
+    expect(await runShell(normalizeHealthCheck({ type: 'tcp', port: httpPort }), binDir)).toBe(1);
+  });
+
+  it('runs a command check as it is', () => {
+    expect(buildProbe({ type: 'command', command: 'pg_isready -U app' })).toBe('pg_isready -U app');
+  });
+});
+
+describe('toDockerHealthcheck', () => {
+  it('converts the stored check to a Docker Healthcheck in nanoseconds', () => {
+    const healthcheck = toDockerHealthcheck(normalizeHealthCheck({ type: 'command', command: 'true', interval: 10 }));
+
+    expect(healthcheck).toEqual({
+      Test: ['CMD-SHELL', 'true'],
+      Interval: 10e9,
+      Timeout: 5e9,
+      Retries: 3,
+      StartPeriod: 10e9,
+    });
+  });
+
+  it('leaves the image default in place without a check', () => {
+    expect(toDockerHealthcheck(null)).toBeNull();
+  });
+});
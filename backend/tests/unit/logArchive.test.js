@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/utils/database', () => ({ getPrismaClient: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/utils/docker', () => ({ getDockerClient: jest.fn(), ContainerManager: jest.fn() }));
+jest.mock('../../src/services/plans', () => ({ getUserPlan: jest.fn() }));
+jest.mock('../../src/services/dockerEvents', () => ({ containerStateEvents: { on: jest.fn(), off: jest.fn() } }));
+
+const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-archive-'));
+process.env.LOG_ARCHIVE_DIR = archiveDir;
+
+const { normalizeTimestamp } = require('../../src/services/containerOutput');
+const { queryLogArchive, getLogArchiveRange } = require('../../src/services/logArchive');
+
+const CONTAINER_ID = 'container-1';
+
+const writeArchive = (entries, cursor) => {
+  const dir = path.join(archiveDir, CONTAINER_ID);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, 'active.ndjson'),
+    entries.map(([t, d, s = 'stdout']) => `${JSON.stringify({ t, s, d })}\n`).join('')
+  );
+  if (cursor) fs.writeFileSync(path.join(dir, 'cursor'), cursor);
+};
+
+const texts = result => result.lines.map(line => line.text);
+
+afterAll(() => {
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+});
+
+describe('normalizeTimestamp', () => {
+  it('pads the fraction to nanoseconds so timestamps order as text', () => {
+    const short = normalizeTimestamp('2024-05-01T10:00:00.1Z');
+    const long = normalizeTimestamp('2024-05-01T10:00:00.12Z');
+
+    expect(short).toBe('2024-05-01T10:00:00.100000000Z');
+    expect(short < long).toBe(true);
+    expect(normalizeTimestamp('2024-05-01T10:00:00Z')).toBe('2024-05-01T10:00:00.000000000Z');
+  });
+
+  it('converts offsets to UTC', () => {
+    expect(normalizeTimestamp('2024-05-01T12:00:00.5+02:00')).toBe('2024-05-01T10:00:00.500000000Z');
+  });
+});
+
+describe('queryLogArchive', () => {
+  beforeEach(() => {
+    fs.rmSync(path.join(archiveDir, CONTAINER_ID), { recursive: true, force: true });
+  });
+
+  it('pages through lines that share a timestamp without skipping any', async () => {
+    writeArchive([
+      ['2024-05-01T10:00:00.1Z', 'a'],
+      ['2024-05-01T10:00:00.1Z', 'b'],
+      ['2024-05-01T10:00:00.1Z', 'c'],
+      ['2024-05-01T10:00:00.12Z', 'd'],
+    ]);
+
+    const first = await queryLogArchive(CONTAINER_ID, { limit: 2 });
+    expect(texts(first)).toEqual(['a', 'b']);
+    expect(first.next).toBe('2024-05-01T10:00:00.100000000Z~2');
+
+    const second = await queryLogArchive(CONTAINER_ID, { limit: 2, after: first.next });
+    expect(texts(second)).toEqual(['c', 'd']);
+    expect(second.truncated).toBe(false);
+    expect(second.next).toBeNull();
+  });
+
+  it('counts filtered out lines in the position', async () => {
+    writeArchive([
+      ['2024-05-01T10:00:00.1Z', 'match 1'],
+      ['2024-05-01T10:00:00.1Z', 'other'],
+      ['2024-05-01T10:00:00.1Z', 'match 2'],
+      ['2024-05-01T10:00:00.1Z', 'match 3'],
+    ]);
+
+    const first = await queryLogArchive(CONTAINER_ID, { limit: 2, search: 'match' });
+    expect(texts(first)).toEqual(['match 1', 'match 2']);
+    expect(first.next).toBe('2024-05-01T10:00:00.100000000Z~3');
+
+    const second = await queryLogArchive(CONTAINER_ID, { limit: 2, search: 'match', after: first.next });
+    expect(texts(second)).toEqual(['match 3']);
+  });
+
+  it('orders by time rather than by the text of the timestamp', async () => {
+    writeArchive([
+      ['2024-05-01T10:00:00.1Z', 'early'],
+      ['2024-05-01T10:00:00.12Z', 'late'],
+    ]);
+
+    const result = await queryLogArchive(CONTAINER_ID, { after: '2024-05-01T10:00:00.1Z~1' });
+    expect(texts(result)).toEqual(['late']);
+  });
+
+  it('treats a bare timestamp as after every line at it', async () => {
+    writeArchive([
+      ['2024-05-01T10:00:00.1Z', 'a'],
+      ['2024-05-01T10:00:00.1Z', 'b'],
+      ['2024-05-01T10:00:01Z', 'c'],
+    ]);
+
+    const result = await queryLogArchive(CONTAINER_ID, { after: '2024-05-01T10:00:00.1Z' });
+    expect(texts(result)).toEqual(['c']);
+  });
+
+  it('reports the newest archived timestamp from the cursor file', async () => {
+    writeArchive([['2024-05-01T10:00:00.1Z', 'a']], '2024-05-01T10:00:00.100000000Z~1');
+
+    const range = await getLogArchiveRange(CONTAINER_ID);
+    expect(range.newest).toBe('2024-05-01T10:00:00.100000000Z');
+  });
+});
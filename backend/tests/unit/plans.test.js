@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+const mockPrisma = {
+  user: { findUnique: jest.fn() },
+  plan: { findFirst: jest.fn() },
+  container: { findMany: jest.fn() },
+};
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/utils/database', () => ({ getPrismaClient: () => mockPrisma }));
+
+const { ValidationError, ConflictError } = require('../../src/middleware/errorHandler');
+const { PLAN_DEFAULTS, FALLBACK_PLAN, assertContainerAllowed } = require('../../src/services/plans');
+
+const plan = {
+  id: 'plan-1',
+  name: 'Starter',
+  maxContainers: 2,
+  maxMemory: '1g',
+  maxCpus: 1,
+  allowedImages: ['node', 'nginx:1.25'],
+};
+
+// The user owns containers with these CPU shares
+const givenContainers = (...cpus) => {
+  mockPrisma.container.findMany.mockImplementation(async ({ where }) => cpus
+    .map((share, index) => ({ id: `container-${index}`, resources: { cpus: share } }))
+    .filter(container => !where.id || container.id !== where.id.not));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPrisma.user.findUnique.mockResolvedValue({ plan });
+  givenContainers();
+});
+
+describe('assertContainerAllowed', () => {
+  it('accepts a container within every limit and returns the plan', async () => {
+    givenContainers(0.25);
+
+    await expect(assertContainerAllowed('user-1', { image: 'node:20', resources: { memory: '512m', cpus: 0.5 } }))
+      .resolves.toBe(plan);
+  });
+
+  it('only allows the images of the plan, by name or exact tag', async () => {
+    await expect(assertContainerAllowed('user-1', { image: 'nginx:1.25' })).resolves.toBe(plan);
+    await expect(assertContainerAllowed('user-1', { image: 'nginx:latest' })).rejects.toThrow(ValidationError);
+    await expect(assertContainerAllowed('user-1', { image: 'redis:7' })).rejects.toThrow('not included in the Starter plan');
+  });
+
+  it('allows any image when the plan lists none', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({ plan: { ...plan, allowedImages: [] } });
+
+    await expect(assertContainerAllowed('user-1', { image: 'redis:7' })).resolves.toBeDefined();
+  });
+
+  it('rejects a new container once the container limit is reached', async () => {
+    givenContainers(0.25, 0.25);
+
+    await expect(assertContainerAllowed('user-1', { image: 'node:20' })).rejects.toThrow(ConflictError);
+  });
+
+  it('leaves the updated container out of the count and the CPU total', async () => {
+    givenContainers(0.5, 0.5);
+
+    await expect(assertContainerAllowed('user-1', {
+      resources: { memory: '512m', cpus: 1 },
+      excludeContainerId: 'container-1',
+    })).rejects.toThrow('0.50 remaining');
+
+    await expect(assertContainerAllowed('user-1', {
+      resources: { memory: '512m', cpus: 0.5 },
+      excludeContainerId: 'container-1',
+    })).resolves.toBe(plan);
+  });
+
+  it('enforces the memory limit per container', async () => {
+    await expect(assertContainerAllowed('user-1', { resources: { memory: '2g', cpus: 0.5 } }))
+      .rejects.toThrow('maximum of 1g per container');
+  });
+
+  it('rejects CPU shares below 0.1, which Docker would treat as unlimited', async () => {
+    await expect(assertContainerAllowed('user-1', { resources: { memory: '512m', cpus: 0 } }))
+      .rejects.toThrow('at least 0.1');
+  });
+
+  it('falls back to the default plan for users without one', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({ plan: null });
+    mockPrisma.plan.findFirst.mockResolvedValue({ ...plan, name: 'Default', maxContainers: 0 });
+
+    await expect(assertContainerAllowed('user-1', {})).rejects.toThrow('The Default plan allows 0 container(s)');
+  });
+});
+
+describe('PLAN_DEFAULTS', () => {
+  // @default values of the Plan model, parsed from the schema
+  const schemaDefaults = () => {
+    const schema = fs.readFileSync(path.join(__dirname, '../../prisma/schema.prisma'), 'utf8');
+    const model = /^model Plan \{([\s\S]*?)^\}/m.exec(schema)[1];
+
+    return model.split(/\r?\n/).reduce((acc, line) => {
+      const match = /^\s*(\w+)\s+(\w+)\??\s+@default\((.*?)\)(?:\s|$)/.exec(line);
+      if (!match) return acc;
+
+      const [, field, type, value] = match;
+      if (type === 'Json') acc[field] = JSON.parse(JSON.parse(value));
+      else if (type === 'String') acc[field] = JSON.parse(value);
+      else if (type === 'Int' || type === 'Float') acc[field] = Number(value);
+      return acc;
+    }, {});
+  };
+
+  it('matches the defaults of the Plan model', () => {
+    const defaults = schemaDefaults();
+
+    expect(Object.keys(defaults)).toHaveLength(Object.keys(PLAN_DEFAULTS).length);
+    expect(PLAN_DEFAULTS).toEqual(defaults);
+  });
+
+  it('are the limits of users without any plan', () => {
+    expect(FALLBACK_PLAN).toMatchObject(PLAN_DEFAULTS);
+  });
+});
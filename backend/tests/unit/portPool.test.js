@@ -0,0 +1,108 @@
+const mockManager = { listContainers: jest.fn() };
+const mockPrisma = {
+  systemSetting: { findMany: jest.fn() },
+  container: { findMany: jest.fn(), update: jest.fn() },
+};
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/utils/database', () => ({ getPrismaClient: () => mockPrisma }));
+jest.mock('../../src/utils/docker', () => ({
+  getDockerClient: jest.fn(),
+  ContainerManager: jest.fn(() => mockManager),
+}));
+
+const { allocateHostPorts } = require('../../src/services/portPool');
+
+const givenRange = (start, end) => {
+  mockPrisma.systemSetting.findMany.mockResolvedValue([
+    { key: 'HOST_PORT_RANGE_START', value: String(start) },
+    { key: 'HOST_PORT_RANGE_END', value: String(end) },
+  ]);
+};
+
+// Host ports held by other records
+const givenRecordPorts = (...hostPorts) => {
+  mockPrisma.container.findMany.mockResolvedValue([{ ports: hostPorts.map(hostPort => ({ containerPort: 80, hostPort })) }]);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  givenRange(20000, 20004);
+  givenRecordPorts();
+  mockManager.listContainers.mockResolvedValue([]);
+});
+
+describe('allocateHostPorts', () => {
+  it('hands out the lowest free ports of the range and stores them on the record', async () => {
+    givenRecordPorts(20000);
+    mockManager.listContainers.mockResolvedValue([{ Labels: {}, Ports: [{ PublicPort: 20001 }] }]);
+
+    const allocated = await allocateHostPorts({ id: 'container-1', ports: [] }, [
+      { containerPort: '3000' },
+      { containerPort: 53, protocol: 'udp' },
+    ]);
+
+    expect(allocated).toEqual([
+      { containerPort: 3000, protocol: 'tcp', hostPort: 20002 },
+      { containerPort: 53, protocol: 'udp', hostPort: 20003 },
+    ]);
+    expect(mockPrisma.container.update).toHaveBeenCalledWith({
+      where: { id: 'container-1' },
+      data: { ports: allocated },
+    });
+  });
+
+  it('keeps the host ports a container already has', async () => {
+    const container = {
+      id: 'container-1',
+      ports: [{ containerPort: 3000, protocol: 'tcp', hostPort: 20003 }],
+    };
+    // Its own Docker container publishes the port too
+    mockManager.listContainers.mockResolvedValue([
+      { Labels: { 'panel.container.id': 'container-1' }, Ports: [{ PublicPort: 20003 }] },
+    ]);
+
+    const allocated = await allocateHostPorts(container, [{ containerPort: 3000 }, { containerPort: 8080 }]);
+
+    expect(allocated.map(port => port.hostPort)).toEqual([20003, 20000]);
+  });
+
+  it('moves ports that left the range or were taken since', async () => {
+    givenRange(21000, 21004);
+    givenRecordPorts(21000);
+    const container = {
+      id: 'container-1',
+      ports: [
+        { containerPort: 3000, protocol: 'tcp', hostPort: 20003 },
+        { containerPort: 8080, protocol: 'tcp', hostPort: 21000 },
+      ],
+    };
+
+    const allocated = await allocateHostPorts(container, [{ containerPort: 3000 }, { containerPort: 8080 }]);
+
+    expect(allocated.map(port => port.hostPort)).toEqual([21001, 21002]);
+  });
+
+  it('fails without touching the record when the range is exhausted', async () => {
+    givenRange(20000, 20001);
+    givenRecordPorts(20000);
+
+    await expect(allocateHostPorts({ id: 'container-1' }, [{ containerPort: 80 }, { containerPort: 443 }]))
+      .rejects.toMatchObject({ statusCode: 503, code: 'PORT_POOL_EXHAUSTED' });
+    expect(mockPrisma.container.update).not.toHaveBeenCalled();
+  });
+
+  it('never gives the same port to concurrent allocations', async () => {
+    const stored = [];
+    mockPrisma.container.findMany.mockImplementation(async () => stored.map(ports => ({ ports })));
+    mockPrisma.container.update.mockImplementation(async ({ data }) => stored.push(data.ports));
+
+    const [first, second] = await Promise.all([
+      allocateHostPorts({ id: 'container-1' }, [{ containerPort: 80 }]),
+      allocateHostPorts({ id: 'container-2' }, [{ containerPort: 80 }]),
+    ]);
+
+    expect(first[0].hostPort).toBe(20000);
+    expect(second[0].hostPort).toBe(20001);
+  });
+});
@@ -0,0 +1,152 @@
+// The master keys are read when the module loads, so each key setup gets its own copy
+// of the module. They share one in-memory secret table.
+let mockSecrets = [];
+
+const mockPrisma = {
+  secret: {
+    upsert: jest.fn(async ({ where, create, update }) => {
+      const { containerId, name } = where.containerId_name;
+      const existing = mockSecrets.find(secret => secret.containerId === containerId && secret.name === name);
+      if (existing) return Object.assign(existing, update);
+
+      const secret = { id: `secret-${mockSecrets.length + 1}`, exposeAsEnv: true, mountAsFile: false, ...create };
+      mockSecrets.push(secret);
+      return secret;
+    }),
+    findMany: jest.fn(async ({ where }) => mockSecrets.filter(secret => (
+      (!where.containerId || secret.containerId === where.containerId)
+      && (!where.keyId || secret.keyId !== where.keyId.not)
+    ))),
+    update: jest.fn(async ({ where, data }) => Object.assign(mockSecrets.find(secret => secret.id === where.id), data)),
+  },
+};
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../src/utils/database', () => ({ getPrismaClient: () => mockPrisma }));
+
+const mockContainerManager = {
+  putFiles: jest.fn(),
+  recreateContainer: jest.fn(),
+};
+jest.mock('../../src/utils/docker', () => ({
+  getDockerClient: jest.fn(),
+  ContainerManager: jest.fn(() => mockContainerManager),
+}));
+
+const loadSecrets = ({ current, previous = '' }) => {
+  process.env.SECRETS_MASTER_KEY = current || '';
+  process.env.SECRETS_PREVIOUS_KEYS = previous;
+
+  let secrets;
+  jest.isolateModules(() => {
+    secrets = require('../../src/services/secrets');
+  });
+  return secrets;
+};
+
+beforeEach(() => {
+  mockSecrets = [];
+});
+
+afterAll(() => {
+  delete process.env.SECRETS_MASTER_KEY;
+  delete process.env.SECRETS_PREVIOUS_KEYS;
+});
+
+describe('secrets encryption', () => {
+  it('stores only ciphertext and decrypts it into the container env', async () => {
+    const secrets = loadSecrets({ current: 'old-key' });
+
+    await secrets.setContainerSecret('container-1', 'DB_PASSWORD', { value: 's3cret' });
+
+    expect(mockSecrets[0].value).toMatch(/^v1:/);
+    expect(mockSecrets[0].value).not.toContain('s3cret');
+    expect(await secrets.buildContainerEnv('container-1', { NODE_ENV: 'production' }))
+      .toEqual(['NODE_ENV=production', 'DB_PASSWORD=s3cret']);
+  });
+
+  it('uses a fresh IV for every value', async () => {
+    const secrets = loadSecrets({ current: 'old-key' });
+
+    await secrets.setContainerSecret('container-1', 'A', { value: 'same' });
+    await secrets.setContainerSecret('container-1', 'B', { value: 'same' });
+
+    expect(mockSecrets[0].value).not.toBe(mockSecrets[1].value);
+  });
+
+  it('rejects a value that was tampered with', async () => {
+    const secrets = loadSecrets({ current: 'old-key' });
+    await secrets.setContainerSecret('container-1', 'TOKEN', { value: 'abc' });
+
+    const [version, iv, tag, data] = mockSecrets[0].value.split(':');
+    const flipped = Buffer.from(data, 'base64');
+    flipped[0] ^= 1;
+    mockSecrets[0].value = [version, iv, tag, flipped.toString('base64')].join(':');
+
+    await expect(secrets.buildContainerEnv('container-1')).rejects.toThrow();
+  });
+
+  it('refuses to store values without a master key', async () => {
+    const secrets = loadSecrets({ current: null });
+
+    expect(secrets.isSecretsConfigured()).toBe(false);
+    await expect(secrets.setContainerSecret('container-1', 'TOKEN', { value: 'abc' }))
+      .rejects.toMatchObject({ statusCode: 503, code: 'SECRETS_UNAVAILABLE' });
+  });
+});
+
+describe('rotateSecrets', () => {
+  it('re-encrypts values under the new key so the previous key can be dropped', async () => {
+    await loadSecrets({ current: 'old-key' }).setContainerSecret('container-1', 'DB_PASSWORD', { value: 's3cret' });
+    const oldKeyId = mockSecrets[0].keyId;
+
+    const rotating = loadSecrets({ current: 'new-key', previous: 'old-key' });
+    expect(await rotating.buildContainerEnv('container-1')).toEqual(['DB_PASSWORD=s3cret']);
+    expect(await rotating.rotateSecrets()).toEqual({ rotated: 1, failed: [] });
+    expect(mockSecrets[0].keyId).not.toBe(oldKeyId);
+
+    // Nothing left to rotate
+    expect(await rotating.rotateSecrets()).toEqual({ rotated: 0, failed: [] });
+
+    const rotated = loadSecrets({ current: 'new-key' });
+    expect(await rotated.buildContainerEnv('container-1')).toEqual(['DB_PASSWORD=s3cret']);
+  });
+
+  it('reports values whose key is no longer configured and leaves them as they are', async () => {
+    await loadSecrets({ current: 'lost-key' }).setContainerSecret('container-1', 'API_KEY', { value: 'abc' });
+    const before = { ...mockSecrets[0] };
+
+    const result = await loadSecrets({ current: 'new-key' }).rotateSecrets();
+
+    expect(result.rotated).toBe(0);
+    expect(result.failed).toEqual([expect.objectContaining({ name: 'API_KEY', keyId: before.keyId })]);
+    expect(mockSecrets[0]).toEqual(before);
+  });
+});
+
+describe('recreateWithSecrets', () => {
+  it('writes the secret files before the beforeStart of the caller', async () => {
+    const secrets = loadSecrets({ current: 'old-key' });
+    await secrets.setContainerSecret('container-1', 'TLS_KEY', { value: 'pem', exposeAsEnv: false, mountAsFile: true });
+
+    const calls = [];
+    mockContainerManager.putFiles.mockImplementation(async (dockerId, files) => {
+      calls.push(['putFiles', dockerId, files.map(file => file.path)]);
+    });
+    mockContainerManager.recreateContainer.mockImplementation(async (dockerId, overrides, options) => {
+      await options.beforeStart({ id: 'docker-new' });
+      return { container: { id: 'docker-new' } };
+    });
+
+    await secrets.recreateWithSecrets({ id: 'container-1', dockerId: 'docker-old', config: { env: { A: '1' } } }, {}, {
+      beforeStart: async (newContainer) => calls.push(['beforeStart', newContainer.id]),
+    });
+
+    expect(mockContainerManager.recreateContainer)
+      .toHaveBeenCalledWith('docker-old', { env: ['A=1'] }, expect.any(Object));
+    expect(calls).toEqual([
+      ['putFiles', 'docker-new', ['/run/secrets/TLS_KEY']],
+      ['beforeStart', 'docker-new'],
+    ]);
+  });
+});
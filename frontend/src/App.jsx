@@ -17,6 +17,7 @@ import AdminDashboardPage from '@pages/Admin/AdminDashboardPage'
 import MemberDashboardPage from '@pages/Member/MemberDashboardPage'
 import ContainersPage from '@pages/Containers/ContainersPage'
 import ContainerDetailPage from '@pages/Containers/ContainerDetailPage'
+import CreateContainerPage from '@pages/Containers/CreateContainerPage'
 import ConsolePage from '@pages/Console/ConsolePage'
 import FileManagerPage from '@pages/FileManager/FileManagerPage'
 import TunnelsPage from '@pages/Tunnels/TunnelsPage'
@@ -25,6 +26,8 @@ import AdminUsersPage from '@pages/Admin/AdminUsersPage'
 import AdminContainersPage from '@pages/Admin/AdminContainersPage'
 import AdminLogsPage from '@pages/Admin/AdminLogsPage'
 import AdminSettingsPage from '@pages/Admin/AdminSettingsPage'
+import AdminBackupsPage from '@pages/Admin/AdminBackupsPage'
+import AdminReconcilePage from '@pages/Admin/AdminReconcilePage'
 import NotFoundPage from '@pages/Error/NotFoundPage'
 
 function App() {
@@ -116,6 +119,22 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="admin/backups"
+            element={
+              <ProtectedRoute requiredRole="ADMIN">
+                <AdminBackupsPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="admin/reconcile"
+            element={
+              <ProtectedRoute requiredRole="ADMIN">
+                <AdminReconcilePage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="admin/settings"
             element={
@@ -137,6 +156,7 @@ function App() {
 
           {/* Container Routes */}
           <Route path="containers" element={<ContainersPage />} />
+          <Route path="containers/create" element={<CreateContainerPage />} />
           <Route path="containers/:id" element={<ContainerDetailPage />} />
           <Route path="containers/:id/console" element={<ConsolePage />} />
           <Route path="containers/:id/files" element={<FileManagerPage />} />
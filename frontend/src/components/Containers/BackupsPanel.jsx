@@ -0,0 +1,237 @@
+import { useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  ArchiveBoxArrowDownIcon,
+  ArrowDownTrayIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline'
+import { backupAPI, downloadBlob, formatFileSize, formatUptime } from '@services/api'
+
+const statusBadges = {
+  PENDING: 'badge-gray',
+  RUNNING: 'badge-primary',
+  SUCCEEDED: 'badge-success',
+  FAILED: 'badge-error',
+}
+
+const BackupsPanel = ({ container }) => {
+  const queryClient = useQueryClient()
+
+  const { data } = useQuery(
+    ['backups', container.id],
+    () => backupAPI.getBackups(container.id),
+    {
+      refetchInterval: (response) => (
+        response?.data?.data?.backups?.some((backup) => ['PENDING', 'RUNNING'].includes(backup.status)) ? 3000 : false
+      ),
+    }
+  )
+  const backups = data?.data?.data?.backups || []
+  const policy = data?.data?.data?.policy
+  const planPolicy = data?.data?.data?.planPolicy
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm()
+
+  useEffect(() => {
+    if (policy) {
+      reset({
+        enabled: policy.enabled,
+        schedule: policy.schedule || '',
+        keepDaily: policy.keepDaily,
+        keepWeekly: policy.keepWeekly,
+      })
+    }
+  }, [policy, reset])
+
+  const invalidate = () => queryClient.invalidateQueries(['backups', container.id])
+
+  const policyMutation = useMutation(
+    (payload) => backupAPI.updatePolicy(container.id, payload),
+    {
+      onSuccess: () => {
+        toast.success('Jadwal backup disimpan')
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menyimpan jadwal backup')
+      },
+    }
+  )
+
+  const createMutation = useMutation(
+    () => backupAPI.createBackup(container.id),
+    {
+      onSuccess: () => {
+        toast.success('Backup dijalankan')
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menjalankan backup')
+      },
+    }
+  )
+
+  const deleteMutation = useMutation(
+    (backupId) => backupAPI.deleteBackup(container.id, backupId),
+    {
+      onSuccess: () => {
+        toast.success('Backup dihapus')
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menghapus backup')
+      },
+    }
+  )
+
+  const handleDownload = async (backup) => {
+    try {
+      const response = await backupAPI.downloadBackup(container.id, backup.id)
+      downloadBlob(response.data, `${container.name}-backup-${backup.id}.tar.gz`)
+    } catch (error) {
+      toast.error('Gagal mengunduh backup')
+    }
+  }
+
+  const onSubmit = (formData) => {
+    policyMutation.mutate({
+      enabled: formData.enabled,
+      schedule: formData.schedule || null,
+      keepDaily: parseInt(formData.keepDaily),
+      keepWeekly: parseInt(formData.keepWeekly),
+    })
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+            Backup Otomatis
+          </h3>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Backup berkala isi /app dan konfigurasi container.
+            {planPolicy && ` Plan: simpan ${planPolicy.keepDaily} harian dan ${planPolicy.keepWeekly} mingguan.`}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => createMutation.mutate()}
+          className="btn btn-secondary btn-sm"
+          disabled={createMutation.isLoading || container.status === 'CREATING'}
+        >
+          <ArchiveBoxArrowDownIcon className="h-4 w-4 mr-2" />
+          Backup Sekarang
+        </button>
+      </div>
+      <div className="card-body space-y-4">
+        <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-center">
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input {...register('enabled')} type="checkbox" className="rounded" />
+            <span>Aktif</span>
+          </label>
+          <div>
+            <input
+              {...register('schedule')}
+              type="text"
+              className="input font-mono"
+              placeholder="0 3 * * *"
+            />
+          </div>
+          <div>
+            <input
+              {...register('keepDaily', { min: { value: 0, message: 'Minimal 0' } })}
+              type="number"
+              className={`input ${errors.keepDaily ? 'input-error' : ''}`}
+              placeholder="Simpan harian"
+              title="Jumlah backup harian yang disimpan"
+            />
+          </div>
+          <div>
+            <input
+              {...register('keepWeekly', { min: { value: 0, message: 'Minimal 0' } })}
+              type="number"
+              className={`input ${errors.keepWeekly ? 'input-error' : ''}`}
+              placeholder="Simpan mingguan"
+              title="Jumlah backup mingguan yang disimpan"
+            />
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" className="btn btn-primary" disabled={policyMutation.isLoading}>
+              Simpan
+            </button>
+          </div>
+        </form>
+
+        {backups.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 dark:text-gray-400">
+                  <th className="py-2 pr-4">Waktu</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Ukuran</th>
+                  <th className="py-2 pr-4">Durasi</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {backups.map((backup) => (
+                  <tr key={backup.id} className="border-t border-gray-200 dark:border-gray-700">
+                    <td className="py-2 pr-4 text-gray-900 dark:text-white">
+                      {new Date(backup.startedAt).toLocaleString('id-ID')}
+                      {backup.trigger === 'manual' && <span className="ml-2 text-gray-500">(manual)</span>}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={`badge ${statusBadges[backup.status] || 'badge-gray'}`}>{backup.status}</span>
+                      {backup.error && (
+                        <p className="text-xs text-error-600">{backup.error}</p>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600 dark:text-gray-400">
+                      {backup.status === 'SUCCEEDED' ? formatFileSize(backup.size) : '-'}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600 dark:text-gray-400">
+                      {backup.duration !== null ? formatUptime(backup.duration / 1000) : '-'}
+                    </td>
+                    <td className="py-2 text-right space-x-2">
+                      {backup.status === 'SUCCEEDED' && (
+                        <button
+                          type="button"
+                          onClick={() => handleDownload(backup)}
+                          className="btn btn-ghost btn-sm"
+                          title="Unduh"
+                        >
+                          <ArrowDownTrayIcon className="h-4 w-4" />
+                        </button>
+                      )}
+                      {!['PENDING', 'RUNNING'].includes(backup.status) && (
+                        <button
+                          type="button"
+                          onClick={() => deleteMutation.mutate(backup.id)}
+                          className="btn btn-error btn-sm"
+                          title="Hapus"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BackupsPanel
@@ -0,0 +1,109 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation } from 'react-query'
+import { useNavigate } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import {
+  ArrowDownTrayIcon,
+  DocumentDuplicateIcon,
+} from '@heroicons/react/24/outline'
+import { containerAPI, downloadBlob } from '@services/api'
+
+const BundlePanel = ({ container }) => {
+  const navigate = useNavigate()
+  const [exporting, setExporting] = useState(false)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    defaultValues: { name: `${container.name}-copy` },
+  })
+
+  const cloneMutation = useMutation(
+    (payload) => containerAPI.cloneContainer(container.id, payload),
+    {
+      onSuccess: (response) => {
+        const { container: clone, skippedTunnels = [] } = response.data?.data || {}
+        toast.success('Container sedang dikloning')
+        if (skippedTunnels.length > 0) {
+          toast('Tunnel dengan token tidak ikut dikloning, tambahkan ulang token-nya')
+        }
+        navigate(`/containers/${clone.id}`)
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal mengkloning container')
+      },
+    }
+  )
+
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const response = await containerAPI.exportContainer(container.id)
+      downloadBlob(response.data, `${container.name}-bundle.tar.gz`)
+    } catch (error) {
+      toast.error('Gagal mengekspor container')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Export &amp; Clone
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Bundle berisi konfigurasi container dan isi /app, tanpa token tunnel. Import bundle dari halaman daftar container.
+        </p>
+      </div>
+      <div className="card-body flex flex-wrap items-start gap-3">
+        <button
+          type="button"
+          onClick={handleExport}
+          className="btn btn-secondary"
+          disabled={exporting || container.status === 'CREATING'}
+        >
+          <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+          {exporting ? 'Mengekspor...' : 'Export Bundle'}
+        </button>
+
+        <form
+          onSubmit={handleSubmit((formData) => cloneMutation.mutate(formData))}
+          className="flex flex-1 items-start gap-3"
+        >
+          <div className="flex-1">
+            <input
+              {...register('name', {
+                required: 'Nama container wajib diisi',
+                pattern: {
+                  value: /^[a-zA-Z0-9_-]{3,50}$/,
+                  message: 'Nama 3-50 karakter: huruf, angka, underscore dan tanda hubung',
+                },
+              })}
+              type="text"
+              className={`input ${errors.name ? 'input-error' : ''}`}
+              placeholder="Nama container baru"
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-error-600">{errors.name.message}</p>
+            )}
+          </div>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={cloneMutation.isLoading || container.status === 'CREATING'}
+          >
+            <DocumentDuplicateIcon className="h-4 w-4 mr-2" />
+            Clone
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default BundlePanel
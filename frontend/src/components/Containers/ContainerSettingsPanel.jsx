@@ -0,0 +1,278 @@
+import { useEffect, useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  CheckCircleIcon,
+  XCircleIcon,
+} from '@heroicons/react/24/outline'
+import { containerAPI } from '@services/api'
+import useContainerEvents from '@hooks/useContainerEvents'
+import LoadingSpinner from '@components/UI/LoadingSpinner'
+
+const stepLabels = {
+  snapshot: 'Snapshot konfigurasi',
+  stop: 'Stop container',
+  create: 'Buat container baru',
+  start: 'Start container baru',
+  health: 'Health check',
+  rollback: 'Rollback',
+  resources: 'Ubah resource',
+  done: 'Selesai',
+  failed: 'Gagal',
+}
+
+// The form edits env and ports as text, one entry per line
+const toFormValues = (container) => ({
+  cmd: JSON.stringify(container.config?.cmd || []),
+  env: Object.entries(container.config?.env || {})
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n'),
+  ports: (container.config?.ports || [])
+    .map((port) => `${port.containerPort}/${port.protocol || 'tcp'}`)
+    .join('\n'),
+  memory: container.resources?.memory || '',
+  cpus: container.resources?.cpus ?? '',
+})
+
+const parseCmd = (value) => {
+  if (!value.trim()) return []
+  try {
+    const cmd = JSON.parse(value)
+    return Array.isArray(cmd) && cmd.every((arg) => typeof arg === 'string') ? cmd : null
+  } catch (error) {
+    return null
+  }
+}
+
+const parseEnv = (value) => value
+  .split('\n')
+  .map((line) => line.trim())
+  .filter(Boolean)
+  .reduce((acc, line) => {
+    const index = line.indexOf('=')
+    if (index > 0) acc[line.slice(0, index).trim()] = line.slice(index + 1)
+    return acc
+  }, {})
+
+const parsePorts = (value) => value
+  .split('\n')
+  .map((line) => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const [containerPort, protocol = 'tcp'] = line.split('/')
+    return { containerPort: parseInt(containerPort), protocol: protocol.toLowerCase() }
+  })
+
+const ContainerSettingsPanel = ({ container }) => {
+  const queryClient = useQueryClient()
+  const [steps, setSteps] = useState([])
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isDirty },
+  } = useForm({
+    defaultValues: toFormValues(container),
+  })
+
+  useEffect(() => {
+    reset(toFormValues(container))
+  }, [container.config, container.resources, reset])
+
+  useContainerEvents(container.id, {
+    'container:reconfigure': (event) => {
+      setSteps((current) => [...current, event])
+    },
+  })
+
+  const updateMutation = useMutation(
+    (data) => containerAPI.updateContainer(container.id, data),
+    {
+      onMutate: () => setSteps([]),
+      onSuccess: (response) => {
+        toast.success(response.data?.data?.recreated
+          ? 'Container dibuat ulang dengan konfigurasi baru'
+          : 'Konfigurasi container disimpan')
+        queryClient.invalidateQueries(['container', container.id])
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal mengubah konfigurasi')
+        queryClient.invalidateQueries(['container', container.id])
+      },
+    }
+  )
+
+  const onSubmit = (data) => {
+    updateMutation.mutate({
+      cmd: parseCmd(data.cmd),
+      env: parseEnv(data.env),
+      ports: parsePorts(data.ports),
+      resources: {
+        memory: data.memory,
+        cpus: parseFloat(data.cpus),
+      },
+    })
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Konfigurasi
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Perubahan memory dan CPU langsung diterapkan. Perubahan command, env atau port membuat ulang
+          container; isi /app tetap tersimpan dan container di-rollback jika gagal berjalan.
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div>
+            <label htmlFor="cmd" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Command
+            </label>
+            <input
+              {...register('cmd', {
+                validate: (value) => parseCmd(value) !== null || 'Gunakan array JSON, misalnya ["npm", "start"]',
+              })}
+              id="cmd"
+              type="text"
+              className={`input mt-1 font-mono ${errors.cmd ? 'input-error' : ''}`}
+              placeholder='["npm", "start"] (kosong = default image)'
+            />
+            {errors.cmd && (
+              <p className="mt-1 text-sm text-error-600">{errors.cmd.message}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label htmlFor="env" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Environment
+              </label>
+              <textarea
+                {...register('env', {
+                  validate: (value) => value
+                    .split('\n')
+                    .map((line) => line.trim())
+                    .filter(Boolean)
+                    .every((line) => /^[a-zA-Z_][a-zA-Z0-9_]*=/.test(line)) || 'Satu variabel per baris: NAMA=nilai',
+                })}
+                id="env"
+                rows={5}
+                className={`input mt-1 font-mono ${errors.env ? 'input-error' : ''}`}
+                placeholder="NODE_ENV=production"
+              />
+              {errors.env && (
+                <p className="mt-1 text-sm text-error-600">{errors.env.message}</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="ports" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Port
+              </label>
+              <textarea
+                {...register('ports', {
+                  validate: (value) => value
+                    .split('\n')
+                    .map((line) => line.trim())
+                    .filter(Boolean)
+                    .every((line) => /^\d{1,5}(\/(tcp|udp))?$/i.test(line)) || 'Satu port per baris, misalnya 3000/tcp',
+                })}
+                id="ports"
+                rows={5}
+                className={`input mt-1 font-mono ${errors.ports ? 'input-error' : ''}`}
+                placeholder="3000/tcp"
+              />
+              {errors.ports && (
+                <p className="mt-1 text-sm text-error-600">{errors.ports.message}</p>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label htmlFor="memory" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Memory
+              </label>
+              <input
+                {...register('memory', {
+                  required: 'Memory wajib diisi',
+                  pattern: { value: /^\d+[kmg]?$/i, message: 'Format seperti 512m atau 1g' },
+                })}
+                id="memory"
+                type="text"
+                className={`input mt-1 ${errors.memory ? 'input-error' : ''}`}
+                placeholder="512m"
+              />
+              {errors.memory && (
+                <p className="mt-1 text-sm text-error-600">{errors.memory.message}</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="cpus" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                CPU
+              </label>
+              <input
+                {...register('cpus', {
+                  required: 'CPU wajib diisi',
+                  min: { value: 0.1, message: 'Minimal 0.1 CPU' },
+                })}
+                id="cpus"
+                type="number"
+                step="0.1"
+                className={`input mt-1 ${errors.cpus ? 'input-error' : ''}`}
+                placeholder="0.5"
+              />
+              {errors.cpus && (
+                <p className="mt-1 text-sm text-error-600">{errors.cpus.message}</p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={!isDirty || updateMutation.isLoading}
+            >
+              {updateMutation.isLoading ? 'Menerapkan...' : 'Simpan Konfigurasi'}
+            </button>
+          </div>
+        </form>
+
+        {steps.length > 0 && (
+          <ul className="space-y-2">
+            {steps.map((step, index) => (
+              <li key={`${step.step}-${index}`} className="flex items-start space-x-2 text-sm">
+                {step.status === 'success' && (
+                  <CheckCircleIcon className="h-5 w-5 text-success-600 flex-shrink-0" />
+                )}
+                {step.status === 'error' && (
+                  <XCircleIcon className="h-5 w-5 text-error-600 flex-shrink-0" />
+                )}
+                {step.status === 'running' && (
+                  index === steps.length - 1 && updateMutation.isLoading
+                    ? <LoadingSpinner size="sm" className="h-5 w-5 flex-shrink-0" />
+                    : <CheckCircleIcon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                )}
+                <div>
+                  <span className="font-medium text-gray-900 dark:text-white">
+                    {stepLabels[step.step] || step.step}
+                  </span>
+                  <span className="ml-2 text-gray-600 dark:text-gray-400">
+                    {step.message}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ContainerSettingsPanel
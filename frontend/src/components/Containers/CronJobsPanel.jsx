@@ -0,0 +1,263 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  PlayIcon,
+  PlusIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline'
+import { cronAPI, formatUptime } from '@services/api'
+
+const statusBadges = {
+  RUNNING: 'badge-primary',
+  SUCCEEDED: 'badge-success',
+  FAILED: 'badge-error',
+  TIMEOUT: 'badge-error',
+  SKIPPED: 'badge-gray',
+}
+
+const CronRunHistory = ({ containerId, cronJobId }) => {
+  const { data, isLoading } = useQuery(
+    ['cron-runs', cronJobId],
+    () => cronAPI.getRuns(containerId, cronJobId),
+    { refetchInterval: 5000 }
+  )
+  const runs = data?.data?.data?.runs || []
+  const [openRunId, setOpenRunId] = useState(null)
+
+  if (isLoading) return null
+
+  if (runs.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">Belum pernah dijalankan</p>
+    )
+  }
+
+  return (
+    <ul className="space-y-1">
+      {runs.map((run) => (
+        <li key={run.id} className="text-sm">
+          <button
+            type="button"
+            onClick={() => setOpenRunId(openRunId === run.id ? null : run.id)}
+            className="flex w-full items-center space-x-3 text-left text-gray-600 dark:text-gray-400"
+          >
+            <span className={`badge ${statusBadges[run.status] || 'badge-gray'}`}>{run.status}</span>
+            <span>{new Date(run.startedAt).toLocaleString('id-ID')}</span>
+            {run.duration !== null && <span>{formatUptime(run.duration / 1000)}</span>}
+            {run.exitCode !== null && <span>exit code {run.exitCode}</span>}
+            {run.trigger === 'manual' && <span>(manual)</span>}
+            {run.startedContainer && <span>(container dinyalakan)</span>}
+          </button>
+          {openRunId === run.id && (
+            <pre className="mt-1 max-h-48 overflow-auto rounded-lg bg-gray-900 p-3 text-xs font-mono text-gray-100 whitespace-pre-wrap">
+              {run.output || 'Tidak ada output'}
+            </pre>
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+const CronJobsPanel = ({ container }) => {
+  const queryClient = useQueryClient()
+  const [expandedId, setExpandedId] = useState(null)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    defaultValues: { startIfStopped: false },
+  })
+
+  const { data } = useQuery(
+    ['cron-jobs', container.id],
+    () => cronAPI.getCronJobs(container.id)
+  )
+  const cronJobs = data?.data?.data?.cronJobs || []
+
+  const invalidate = () => queryClient.invalidateQueries(['cron-jobs', container.id])
+
+  const createMutation = useMutation(
+    (payload) => cronAPI.createCronJob(container.id, payload),
+    {
+      onSuccess: () => {
+        toast.success('Cron job dibuat')
+        reset()
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal membuat cron job')
+      },
+    }
+  )
+
+  const toggleMutation = useMutation(
+    (cronJob) => cronAPI.updateCronJob(container.id, cronJob.id, { enabled: !cronJob.enabled }),
+    {
+      onSuccess: invalidate,
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal mengubah cron job')
+      },
+    }
+  )
+
+  const deleteMutation = useMutation(
+    (cronJobId) => cronAPI.deleteCronJob(container.id, cronJobId),
+    {
+      onSuccess: () => {
+        toast.success('Cron job dihapus')
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menghapus cron job')
+      },
+    }
+  )
+
+  const runMutation = useMutation(
+    (cronJobId) => cronAPI.runCronJob(container.id, cronJobId),
+    {
+      onSuccess: (response, cronJobId) => {
+        toast.success('Cron job dijalankan')
+        setExpandedId(cronJobId)
+        queryClient.invalidateQueries(['cron-runs', cronJobId])
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menjalankan cron job')
+      },
+    }
+  )
+
+  const onSubmit = (formData) => {
+    createMutation.mutate({
+      name: formData.name,
+      schedule: formData.schedule,
+      command: formData.command,
+      startIfStopped: formData.startIfStopped,
+      ...(formData.timeout && { timeout: parseInt(formData.timeout) }),
+    })
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Cron Job
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Jalankan perintah terjadwal di /app, misalnya <span className="font-mono">python3 backup.py</span>.
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div>
+            <input
+              {...register('name', { required: 'Nama wajib diisi' })}
+              type="text"
+              className={`input ${errors.name ? 'input-error' : ''}`}
+              placeholder="Nama"
+            />
+          </div>
+          <div>
+            <input
+              {...register('schedule', { required: 'Jadwal wajib diisi' })}
+              type="text"
+              className={`input font-mono ${errors.schedule ? 'input-error' : ''}`}
+              placeholder="*/5 * * * *"
+            />
+          </div>
+          <div className="md:col-span-2">
+            <input
+              {...register('command', { required: 'Perintah wajib diisi' })}
+              type="text"
+              className={`input font-mono ${errors.command ? 'input-error' : ''}`}
+              placeholder="python3 scripts/job.py"
+            />
+          </div>
+          <div>
+            <input
+              {...register('timeout', { min: { value: 1, message: 'Minimal 1 detik' } })}
+              type="number"
+              className="input"
+              placeholder="Timeout (detik), default 3600"
+            />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300 md:col-span-2">
+            <input {...register('startIfStopped')} type="checkbox" className="rounded" />
+            <span>Nyalakan container jika sedang berhenti, lalu matikan lagi setelah selesai</span>
+          </label>
+          <div className="flex justify-end">
+            <button type="submit" className="btn btn-primary" disabled={createMutation.isLoading}>
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Tambah
+            </button>
+          </div>
+        </form>
+
+        {cronJobs.length > 0 && (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {cronJobs.map((cronJob) => (
+              <li key={cronJob.id} className="py-3 space-y-2">
+                <div className="flex items-center justify-between">
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(expandedId === cronJob.id ? null : cronJob.id)}
+                    className="text-left"
+                  >
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      {cronJob.name}
+                      <span className="ml-2 font-mono text-sm text-gray-500">{cronJob.schedule}</span>
+                    </div>
+                    <div className="font-mono text-xs text-gray-500 dark:text-gray-400">
+                      {cronJob.command}
+                    </div>
+                  </button>
+                  <div className="flex items-center space-x-2">
+                    {cronJob.lastStatus && (
+                      <span className={`badge ${statusBadges[cronJob.lastStatus] || 'badge-gray'}`}>
+                        {cronJob.lastStatus}
+                      </span>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => toggleMutation.mutate(cronJob)}
+                      className="btn btn-ghost btn-sm"
+                    >
+                      {cronJob.enabled ? 'Nonaktifkan' : 'Aktifkan'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => runMutation.mutate(cronJob.id)}
+                      className="btn btn-secondary btn-sm"
+                      title="Jalankan sekarang"
+                    >
+                      <PlayIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => deleteMutation.mutate(cronJob.id)}
+                      className="btn btn-error btn-sm"
+                      title="Hapus"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                {expandedId === cronJob.id && (
+                  <CronRunHistory containerId={container.id} cronJobId={cronJob.id} />
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CronJobsPanel
@@ -0,0 +1,263 @@
+import { useForm } from 'react-hook-form'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  CheckCircleIcon,
+  LockClosedIcon,
+  PlusIcon,
+  ShieldCheckIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline'
+import { domainAPI } from '@services/api'
+
+const certificateBadges = {
+  NONE: 'badge-gray',
+  PENDING: 'badge-primary',
+  ISSUED: 'badge-success',
+  FAILED: 'badge-error',
+  EXPIRED: 'badge-warning',
+}
+
+const certificateLabels = {
+  NONE: 'Belum ada sertifikat',
+  PENDING: 'Sertifikat diproses',
+  ISSUED: 'HTTPS aktif',
+  FAILED: 'Sertifikat gagal',
+  EXPIRED: 'Sertifikat kedaluwarsa',
+}
+
+const VerificationInstructions = ({ verification }) => {
+  const { dns } = verification.instructions
+
+  return (
+    <div className="text-xs text-gray-600 dark:text-gray-400 space-y-1">
+      <p>Tambahkan record DNS berikut, lalu klik Verifikasi:</p>
+      <p className="font-mono text-gray-900 dark:text-white break-all">
+        {dns.name} {dns.type} &quot;{dns.value}&quot;
+      </p>
+    </div>
+  )
+}
+
+const DomainsPanel = ({ container }) => {
+  const queryClient = useQueryClient()
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm()
+
+  const { data } = useQuery(
+    ['domains', container.id],
+    () => domainAPI.getDomains(container.id),
+    {
+      refetchInterval: (response) => (
+        response?.data?.data?.domains?.some((domain) => domain.certificate.status === 'PENDING') ? 5000 : false
+      ),
+    }
+  )
+  const domains = data?.data?.data?.domains || []
+  const proxyEnabled = data?.data?.data?.proxyEnabled
+  const acmeEnabled = data?.data?.data?.acmeEnabled
+
+  const invalidate = () => queryClient.invalidateQueries(['domains', container.id])
+
+  const addMutation = useMutation(
+    (payload) => domainAPI.addDomain(container.id, payload),
+    {
+      onSuccess: () => {
+        toast.success('Domain ditambahkan')
+        reset()
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menambahkan domain')
+      },
+    }
+  )
+
+  const verifyMutation = useMutation(
+    (domainId) => domainAPI.verifyDomain(container.id, domainId),
+    {
+      onSuccess: (response) => {
+        const domain = response.data?.data?.domain
+        if (domain?.verification.verified) {
+          toast.success('Domain terverifikasi')
+        } else {
+          toast.error(domain?.verification.error || 'Domain belum bisa diverifikasi')
+        }
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal memverifikasi domain')
+      },
+    }
+  )
+
+  const certificateMutation = useMutation(
+    (domainId) => domainAPI.requestCertificate(container.id, domainId),
+    {
+      onSuccess: () => {
+        toast.success('Permintaan sertifikat dikirim')
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal meminta sertifikat')
+      },
+    }
+  )
+
+  const deleteMutation = useMutation(
+    (domainId) => domainAPI.deleteDomain(container.id, domainId),
+    {
+      onSuccess: () => {
+        toast.success('Domain dihapus')
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menghapus domain')
+      },
+    }
+  )
+
+  const handleDelete = (domain) => {
+    if (!window.confirm(`Hapus domain ${domain.hostname} beserta sertifikatnya?`)) return
+    deleteMutation.mutate(domain.id)
+  }
+
+  if (proxyEnabled === false) return null
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Custom Domain
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Domain diarahkan ke port TCP pertama container setelah kepemilikannya terverifikasi.
+          {acmeEnabled && ' Sertifikat HTTPS diterbitkan dan diperpanjang otomatis.'}
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        <form
+          onSubmit={handleSubmit((formData) => addMutation.mutate(formData))}
+          className="grid grid-cols-1 md:grid-cols-4 gap-3"
+        >
+          <div className="md:col-span-3">
+            <input
+              {...register('hostname', {
+                required: 'Domain wajib diisi',
+                pattern: {
+                  value: /^([a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}$/,
+                  message: 'Format domain tidak valid',
+                },
+              })}
+              type="text"
+              className={`input font-mono ${errors.hostname ? 'input-error' : ''}`}
+              placeholder="app.example.com"
+            />
+            {errors.hostname && (
+              <p className="mt-1 text-sm text-error-600">{errors.hostname.message}</p>
+            )}
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" className="btn btn-primary" disabled={addMutation.isLoading}>
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Tambah
+            </button>
+          </div>
+        </form>
+
+        {domains.length > 0 && (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {domains.map((domain) => (
+              <li key={domain.id} className="py-3 space-y-2">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-3">
+                    {domain.certificate.status === 'ISSUED' ? (
+                      <LockClosedIcon className="h-5 w-5 text-success-500" />
+                    ) : (
+                      <CheckCircleIcon className={`h-5 w-5 ${domain.verification.verified ? 'text-success-500' : 'text-gray-400'}`} />
+                    )}
+                    <div>
+                      {domain.verification.verified ? (
+                        <a
+                          href={domain.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="font-mono font-medium text-primary-600 hover:text-primary-500"
+                        >
+                          {domain.hostname}
+                        </a>
+                      ) : (
+                        <span className="font-mono font-medium text-gray-900 dark:text-white">{domain.hostname}</span>
+                      )}
+                      {domain.certificate.expiresAt && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          Sertifikat berlaku sampai {new Date(domain.certificate.expiresAt).toLocaleString('id-ID')}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className={`badge ${domain.verification.verified ? 'badge-success' : 'badge-warning'}`}>
+                      {domain.verification.verified ? 'Terverifikasi' : 'Belum diverifikasi'}
+                    </span>
+                    {domain.verification.verified && (
+                      <span className={`badge ${certificateBadges[domain.certificate.status] || 'badge-gray'}`}>
+                        {certificateLabels[domain.certificate.status] || domain.certificate.status}
+                      </span>
+                    )}
+                    {!domain.verification.verified && (
+                      <button
+                        type="button"
+                        onClick={() => verifyMutation.mutate(domain.id)}
+                        className="btn btn-primary btn-sm"
+                        disabled={verifyMutation.isLoading}
+                      >
+                        Verifikasi
+                      </button>
+                    )}
+                    {domain.verification.verified && acmeEnabled && domain.certificate.status !== 'PENDING' && (
+                      <button
+                        type="button"
+                        onClick={() => certificateMutation.mutate(domain.id)}
+                        className="btn btn-ghost btn-sm"
+                        disabled={certificateMutation.isLoading}
+                        title={domain.certificate.status === 'ISSUED' ? 'Perpanjang sertifikat' : 'Terbitkan sertifikat'}
+                      >
+                        <ShieldCheckIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(domain)}
+                      className="btn btn-error btn-sm"
+                      title="Hapus"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {!domain.verification.verified && (
+                  <VerificationInstructions verification={domain.verification} />
+                )}
+                {!domain.verification.verified && domain.verification.error && (
+                  <p className="text-xs text-error-600">{domain.verification.error}</p>
+                )}
+                {domain.certificate.error && domain.certificate.status === 'FAILED' && (
+                  <p className="text-xs text-error-600">{domain.certificate.error}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DomainsPanel
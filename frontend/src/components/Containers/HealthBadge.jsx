@@ -0,0 +1,27 @@
+const healthBadges = {
+  STARTING: 'badge-primary',
+  HEALTHY: 'badge-success',
+  UNHEALTHY: 'badge-error',
+}
+
+const healthLabels = {
+  STARTING: 'Memulai',
+  HEALTHY: 'Sehat',
+  UNHEALTHY: 'Tidak sehat',
+}
+
+// Health status of a running container; nothing when it has no health check
+const HealthBadge = ({ status, failingStreak }) => {
+  if (!status) return null
+
+  return (
+    <span
+      className={`badge ${healthBadges[status] || 'badge-gray'}`}
+      title={failingStreak ? `${failingStreak} health check gagal berturut-turut` : undefined}
+    >
+      {healthLabels[status] || status}
+    </span>
+  )
+}
+
+export default HealthBadge
@@ -0,0 +1,257 @@
+import { useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import { containerAPI } from '@services/api'
+import useContainerEvents from '@hooks/useContainerEvents'
+import HealthBadge from '@components/Containers/HealthBadge'
+
+const toFormValues = (container) => {
+  const check = container.health?.check
+  const firstTcpPort = container.config?.ports?.find((port) => (port.protocol || 'tcp') === 'tcp')
+
+  return {
+    type: check?.type || '',
+    port: check?.port || firstTcpPort?.containerPort || '',
+    path: check?.path || '/',
+    command: check?.command || '',
+    interval: check?.interval ?? 30,
+    timeout: check?.timeout ?? 5,
+    retries: check?.retries ?? 3,
+    startPeriod: check?.startPeriod ?? 10,
+    autoRestart: check?.autoRestart || false,
+    restartAfter: check?.restartAfter ?? 3,
+  }
+}
+
+const toHealthCheck = (data) => {
+  if (!data.type) return null
+
+  return {
+    type: data.type,
+    ...(data.type !== 'command' && { port: parseInt(data.port) }),
+    ...(data.type === 'http' && { path: data.path }),
+    ...(data.type === 'command' && { command: data.command }),
+    interval: parseInt(data.interval),
+    timeout: parseInt(data.timeout),
+    retries: parseInt(data.retries),
+    startPeriod: parseInt(data.startPeriod),
+    autoRestart: data.autoRestart,
+    restartAfter: parseInt(data.restartAfter),
+  }
+}
+
+const timingFields = [
+  { name: 'interval', label: 'Interval (detik)', min: 5, max: 3600 },
+  { name: 'timeout', label: 'Timeout (detik)', min: 1, max: 300 },
+  { name: 'retries', label: 'Retries', min: 1, max: 10 },
+  { name: 'startPeriod', label: 'Start period (detik)', min: 0, max: 3600 },
+]
+
+const HealthCheckPanel = ({ container }) => {
+  const queryClient = useQueryClient()
+  const health = container.health
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors, isDirty },
+  } = useForm({
+    defaultValues: toFormValues(container),
+  })
+
+  useEffect(() => {
+    reset(toFormValues(container))
+  }, [container.config, reset])
+
+  useContainerEvents(container.id, {
+    'container:health': () => queryClient.invalidateQueries(['container', container.id]),
+  })
+
+  const type = watch('type')
+  const autoRestart = watch('autoRestart')
+
+  const updateMutation = useMutation(
+    (healthCheck) => containerAPI.updateContainer(container.id, { healthCheck }),
+    {
+      onSuccess: () => {
+        toast.success('Health check diterapkan')
+        queryClient.invalidateQueries(['container', container.id])
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal mengubah health check')
+        queryClient.invalidateQueries(['container', container.id])
+      },
+    }
+  )
+
+  const lastProbe = health?.probes?.[health.probes.length - 1]
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+            Health Check
+          </h3>
+          <HealthBadge status={health?.status} failingStreak={health?.failingStreak} />
+        </div>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Docker menjalankan pemeriksaan dari dalam container. Mengubah health check membuat ulang container.
+          {health?.source === 'image' && ' Saat ini memakai HEALTHCHECK bawaan image.'}
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        {lastProbe && (
+          <div className="text-xs text-gray-600 dark:text-gray-400">
+            Pemeriksaan terakhir {new Date(lastProbe.finishedAt).toLocaleString('id-ID')}
+            {' '}(exit {lastProbe.exitCode})
+            {lastProbe.output?.trim() && (
+              <pre className="mt-1 font-mono whitespace-pre-wrap break-all">{lastProbe.output.trim()}</pre>
+            )}
+          </div>
+        )}
+
+        <form
+          onSubmit={handleSubmit((data) => updateMutation.mutate(toHealthCheck(data)))}
+          className="space-y-4"
+        >
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <div>
+              <label htmlFor="health-type" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Jenis
+              </label>
+              <select {...register('type')} id="health-type" className="input mt-1">
+                <option value="">Tidak ada (default image)</option>
+                <option value="http">HTTP</option>
+                <option value="tcp">TCP</option>
+                <option value="command">Command</option>
+              </select>
+            </div>
+
+            {['http', 'tcp'].includes(type) && (
+              <div>
+                <label htmlFor="health-port" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Port
+                </label>
+                <input
+                  {...register('port', {
+                    required: 'Port wajib diisi',
+                    min: { value: 1, message: 'Port 1-65535' },
+                    max: { value: 65535, message: 'Port 1-65535' },
+                  })}
+                  id="health-port"
+                  type="number"
+                  className={`input mt-1 ${errors.port ? 'input-error' : ''}`}
+                  placeholder="3000"
+                />
+                {errors.port && (
+                  <p className="mt-1 text-sm text-error-600">{errors.port.message}</p>
+                )}
+              </div>
+            )}
+
+            {type === 'http' && (
+              <div>
+                <label htmlFor="health-path" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Path
+                </label>
+                <input
+                  {...register('path', {
+                    pattern: {
+                      value: /^\/[a-zA-Z0-9\-._~%/?=&+]*$/,
+                      message: 'Path diawali / dan hanya berisi karakter URL',
+                    },
+                  })}
+                  id="health-path"
+                  type="text"
+                  className={`input mt-1 font-mono ${errors.path ? 'input-error' : ''}`}
+                  placeholder="/health"
+                />
+                {errors.path && (
+                  <p className="mt-1 text-sm text-error-600">{errors.path.message}</p>
+                )}
+              </div>
+            )}
+
+            {type === 'command' && (
+              <div className="sm:col-span-2">
+                <label htmlFor="health-command" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Command
+                </label>
+                <input
+                  {...register('command', {
+                    required: 'Command wajib diisi',
+                    maxLength: { value: 1000, message: 'Maksimal 1000 karakter' },
+                  })}
+                  id="health-command"
+                  type="text"
+                  className={`input mt-1 font-mono ${errors.command ? 'input-error' : ''}`}
+                  placeholder="pg_isready -U postgres"
+                />
+                {errors.command && (
+                  <p className="mt-1 text-sm text-error-600">{errors.command.message}</p>
+                )}
+              </div>
+            )}
+          </div>
+
+          {type && (
+            <>
+              <div className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+                {timingFields.map((field) => (
+                  <div key={field.name}>
+                    <label htmlFor={`health-${field.name}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                      {field.label}
+                    </label>
+                    <input
+                      {...register(field.name, {
+                        required: true,
+                        min: field.min,
+                        max: field.max,
+                      })}
+                      id={`health-${field.name}`}
+                      type="number"
+                      className={`input mt-1 ${errors[field.name] ? 'input-error' : ''}`}
+                    />
+                    {errors[field.name] && (
+                      <p className="mt-1 text-sm text-error-600">{field.min}-{field.max}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-3">
+                <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input {...register('autoRestart')} type="checkbox" className="rounded" />
+                  <span>Restart otomatis setelah</span>
+                </label>
+                <input
+                  {...register('restartAfter', { required: true, min: 1, max: 100 })}
+                  type="number"
+                  className={`input w-20 ${errors.restartAfter ? 'input-error' : ''}`}
+                  readOnly={!autoRestart}
+                />
+                <span className="text-sm text-gray-700 dark:text-gray-300">kegagalan berturut-turut</span>
+              </div>
+            </>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={!isDirty || updateMutation.isLoading}
+            >
+              {updateMutation.isLoading ? 'Menerapkan...' : 'Simpan Health Check'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default HealthCheckPanel
@@ -0,0 +1,64 @@
+import { CheckCircleIcon } from '@heroicons/react/24/outline'
+
+// Card picker for catalog images ({ id, image, displayName, description, ... })
+const ImagePicker = ({ images, value, onChange, disabled = false }) => {
+  if (images.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Belum ada image yang tersedia. Hubungi admin untuk menambahkan image ke katalog.
+      </p>
+    )
+  }
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+      {images.map((img) => {
+        const selected = img.image === value
+
+        return (
+          <button
+            key={img.id}
+            type="button"
+            onClick={() => onChange(img)}
+            disabled={disabled}
+            className={`relative text-left rounded-lg border p-4 transition-colors ${
+              selected
+                ? 'border-primary-600 bg-primary-50 dark:bg-primary-900/20'
+                : 'border-gray-200 dark:border-gray-700 hover:border-primary-400'
+            }`}
+          >
+            {selected && (
+              <CheckCircleIcon className="absolute top-3 right-3 h-5 w-5 text-primary-600" />
+            )}
+            <div className="font-medium text-gray-900 dark:text-white">
+              {img.displayName}
+            </div>
+            <div className="mt-1 text-xs font-mono text-gray-500 dark:text-gray-400">
+              {img.image}
+            </div>
+            {img.description && (
+              <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+                {img.description}
+              </p>
+            )}
+            <div className="mt-3 flex flex-wrap gap-1">
+              {img.defaultPorts?.map((port) => (
+                <span key={`${port.containerPort}/${port.protocol}`} className="badge badge-gray">
+                  {port.containerPort}/{port.protocol}
+                </span>
+              ))}
+              {img.minMemory && (
+                <span className="badge badge-gray">min {img.minMemory} RAM</span>
+              )}
+              {img.minCpus && (
+                <span className="badge badge-gray">min {img.minCpus} CPU</span>
+              )}
+            </div>
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export default ImagePicker
@@ -0,0 +1,54 @@
+import { formatFileSize } from '@services/api'
+import useImagePull from '@hooks/useImagePull'
+
+const statusLabels = {
+  pulling: 'Mengunduh',
+  completed: 'Selesai',
+  failed: 'Gagal',
+}
+
+// Per-layer image pull progress for a pull ID or the latest pull of a container
+const ImagePullProgress = ({ pullId, containerId }) => {
+  const pull = useImagePull({ pullId, containerId })
+
+  if (!pull) return null
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <span className="font-mono text-gray-900 dark:text-white">{pull.image}</span>
+        <span className="text-gray-600 dark:text-gray-400">
+          {statusLabels[pull.status] || pull.status} · {pull.percent}%
+          {pull.totalBytes > 0 && (
+            <> · {formatFileSize(pull.downloadedBytes)} / {formatFileSize(pull.totalBytes)}</>
+          )}
+        </span>
+      </div>
+
+      <div className="progress-bar">
+        <div className="progress-fill" style={{ width: `${pull.percent}%` }} />
+      </div>
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">{pull.error || pull.message}</p>
+
+      {pull.layers.length > 0 && (
+        <ul className="space-y-1">
+          {pull.layers.map((layer) => (
+            <li key={layer.id} className="grid grid-cols-12 items-center gap-2 text-xs">
+              <span className="col-span-2 font-mono text-gray-600 dark:text-gray-400">{layer.id}</span>
+              <span className="col-span-3 text-gray-600 dark:text-gray-400">{layer.status}</span>
+              <div className="col-span-5 progress-bar">
+                <div className="progress-fill" style={{ width: `${layer.percent}%` }} />
+              </div>
+              <span className="col-span-2 text-right text-gray-500 dark:text-gray-400">
+                {layer.download.total > 0 ? formatFileSize(layer.download.total) : `${layer.percent}%`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ImagePullProgress
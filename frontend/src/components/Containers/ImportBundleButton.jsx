@@ -0,0 +1,63 @@
+import { useRef, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import { ArrowUpTrayIcon } from '@heroicons/react/24/outline'
+import { containerAPI } from '@services/api'
+
+const ImportBundleButton = () => {
+  const navigate = useNavigate()
+  const queryClient = useQueryClient()
+  const inputRef = useRef(null)
+  const [progress, setProgress] = useState(null)
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    const formData = new FormData()
+    formData.append('bundle', file)
+
+    setProgress(0)
+    try {
+      const response = await containerAPI.importContainer(formData, (event) => {
+        if (event.total) setProgress(Math.round((event.loaded / event.total) * 100))
+      })
+      const { container, skippedTunnels = [] } = response.data?.data || {}
+      toast.success('Container sedang diimpor')
+      if (skippedTunnels.length > 0) {
+        toast('Tunnel dengan token tidak ikut diimpor, tambahkan ulang token-nya')
+      }
+      queryClient.invalidateQueries('containers')
+      navigate(`/containers/${container.id}`)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Gagal mengimpor container')
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".tar.gz,.tgz"
+        className="hidden"
+        onChange={handleFile}
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        className="btn btn-secondary"
+        disabled={progress !== null}
+      >
+        <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+        {progress !== null ? `Mengunggah ${progress}%` : 'Import Bundle'}
+      </button>
+    </>
+  )
+}
+
+export default ImportBundleButton
@@ -0,0 +1,171 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  ArrowDownTrayIcon,
+  MagnifyingGlassIcon,
+} from '@heroicons/react/24/outline'
+import { containerAPI, downloadBlob } from '@services/api'
+
+const PAGE_SIZE = 1000
+
+// datetime-local inputs are in local time; the API takes ISO dates
+const toParams = (data) => ({
+  ...(data.from && { from: new Date(data.from).toISOString() }),
+  ...(data.to && { to: new Date(data.to).toISOString() }),
+  stream: data.stream,
+  ...(data.search.trim() && { search: data.search.trim(), regex: data.regex }),
+})
+
+const LogArchivePanel = ({ container }) => {
+  const [params, setParams] = useState(null)
+  const [result, setResult] = useState(null)
+  const [downloading, setDownloading] = useState(false)
+
+  const { register, handleSubmit } = useForm({
+    defaultValues: { from: '', to: '', stream: 'all', search: '', regex: false },
+  })
+
+  const searchMutation = useMutation(
+    ({ query, after }) => containerAPI.getOutputArchive(container.id, {
+      ...query,
+      limit: PAGE_SIZE,
+      ...(after && { after }),
+    }),
+    {
+      onSuccess: (response, { after }) => {
+        const page = response.data?.data
+        setResult((current) => ({
+          ...page,
+          lines: after ? [...(current?.lines || []), ...page.lines] : page.lines,
+        }))
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal memuat arsip log')
+      },
+    }
+  )
+
+  const onSubmit = (data) => {
+    const query = toParams(data)
+    setParams(query)
+    searchMutation.mutate({ query })
+  }
+
+  const handleDownload = async () => {
+    setDownloading(true)
+    try {
+      const response = await containerAPI.downloadOutputArchive(container.id, params || {})
+      downloadBlob(response.data, `${container.name}-archive.log`)
+    } catch (error) {
+      toast.error('Gagal mengunduh arsip log')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+            Arsip Log
+          </h3>
+          <button type="button" onClick={handleDownload} className="btn btn-ghost btn-sm" disabled={downloading}>
+            <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+            {downloading ? 'Mengunduh...' : 'Unduh'}
+          </button>
+        </div>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Output container disimpan terkompresi dan tetap ada setelah container dibuat ulang.
+          {result?.retentionDays !== undefined && (
+            result.archiveEnabled
+              ? ` Disimpan ${result.retentionDays} hari sesuai plan.`
+              : ' Plan Anda tidak menyimpan arsip log.'
+          )}
+          {result?.range?.oldest && ` Tersedia sejak ${new Date(result.range.oldest).toLocaleString('id-ID')}.`}
+        </p>
+      </div>
+      <div className="card-body space-y-3">
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-3">
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+            <div>
+              <label htmlFor="archive-from" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Dari
+              </label>
+              <input {...register('from')} id="archive-from" type="datetime-local" className="input mt-1" />
+            </div>
+            <div>
+              <label htmlFor="archive-to" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Sampai
+              </label>
+              <input {...register('to')} id="archive-to" type="datetime-local" className="input mt-1" />
+            </div>
+            <div>
+              <label htmlFor="archive-stream" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Stream
+              </label>
+              <select {...register('stream')} id="archive-stream" className="input mt-1">
+                <option value="all">stdout + stderr</option>
+                <option value="stdout">stdout</option>
+                <option value="stderr">stderr</option>
+              </select>
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <div className="flex-1 min-w-[12rem]">
+              <input
+                {...register('search')}
+                type="text"
+                maxLength={200}
+                className="input font-mono"
+                placeholder="Cari teks..."
+              />
+            </div>
+            <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <input {...register('regex')} type="checkbox" className="rounded" />
+              <span>Regex</span>
+            </label>
+            <button type="submit" className="btn btn-secondary btn-sm" disabled={searchMutation.isLoading}>
+              <MagnifyingGlassIcon className="h-4 w-4 mr-1" />
+              Cari
+            </button>
+          </div>
+        </form>
+
+        {result && (
+          <>
+            <pre className="h-96 overflow-auto rounded-lg bg-gray-900 p-3 text-xs font-mono text-gray-100 whitespace-pre-wrap">
+              {result.lines.length === 0 && (
+                <span className="text-gray-500">Tidak ada log pada rentang ini</span>
+              )}
+              {result.lines.map((line, index) => (
+                <div key={index} className={line.stream === 'stderr' ? 'text-red-400' : ''}>
+                  <span className="text-gray-500">
+                    {new Date(line.timestamp).toLocaleString('id-ID')}{' '}
+                  </span>
+                  {line.text}
+                </div>
+              ))}
+            </pre>
+            {result.next && (
+              <div className="flex justify-center">
+                <button
+                  type="button"
+                  onClick={() => searchMutation.mutate({ query: params, after: result.next })}
+                  className="btn btn-ghost btn-sm"
+                  disabled={searchMutation.isLoading}
+                >
+                  Muat berikutnya
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LogArchivePanel
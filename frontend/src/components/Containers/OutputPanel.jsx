@@ -0,0 +1,145 @@
+import { useEffect, useRef, useState } from 'react'
+import toast from 'react-hot-toast'
+import {
+  ArrowDownTrayIcon,
+  MagnifyingGlassIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline'
+import { containerAPI, downloadBlob } from '@services/api'
+import useContainerOutput from '@hooks/useContainerOutput'
+
+const OutputPanel = ({ container }) => {
+  const [filter, setFilter] = useState({ stream: 'all', search: '', regex: false })
+  const [search, setSearch] = useState('')
+  const [regex, setRegex] = useState(false)
+  const [downloading, setDownloading] = useState(false)
+  const outputRef = useRef(null)
+  const followRef = useRef(true)
+
+  const { lines, ended, error, clear } = useContainerOutput(
+    container.id,
+    filter,
+    container.status?.toUpperCase() === 'RUNNING'
+  )
+
+  // Keep following the end unless the user scrolled up
+  useEffect(() => {
+    if (outputRef.current && followRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight
+    }
+  }, [lines.length])
+
+  const handleScroll = () => {
+    const element = outputRef.current
+    followRef.current = element.scrollHeight - element.scrollTop - element.clientHeight < 20
+  }
+
+  const handleSearch = (event) => {
+    event.preventDefault()
+    setFilter((current) => ({ ...current, search: search.trim(), regex }))
+  }
+
+  const handleDownload = async () => {
+    setDownloading(true)
+    try {
+      const response = await containerAPI.downloadContainerOutput(container.id, {
+        stream: filter.stream,
+        ...(filter.search && { search: filter.search, regex: filter.regex }),
+      })
+      downloadBlob(response.data, `${container.name}.log`)
+    } catch (error) {
+      toast.error('Gagal mengunduh log')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+            Log Aplikasi
+          </h3>
+          <div className="flex items-center space-x-2">
+            <button type="button" onClick={clear} className="btn btn-ghost btn-sm" title="Bersihkan tampilan">
+              <TrashIcon className="h-4 w-4" />
+            </button>
+            <button type="button" onClick={handleDownload} className="btn btn-ghost btn-sm" disabled={downloading}>
+              <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+              {downloading ? 'Mengunduh...' : 'Unduh'}
+            </button>
+          </div>
+        </div>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Output stdout/stderr container secara real-time. Filter diterapkan di server; unduhan berisi seluruh log yang cocok.
+        </p>
+      </div>
+      <div className="card-body space-y-3">
+        <form onSubmit={handleSearch} className="flex flex-wrap items-center gap-3">
+          <select
+            value={filter.stream}
+            onChange={(event) => setFilter((current) => ({ ...current, stream: event.target.value }))}
+            className="input w-auto"
+          >
+            <option value="all">stdout + stderr</option>
+            <option value="stdout">stdout</option>
+            <option value="stderr">stderr</option>
+          </select>
+          <div className="flex-1 min-w-[12rem]">
+            <input
+              value={search}
+              onChange={(event) => setSearch(event.target.value)}
+              type="text"
+              maxLength={200}
+              className="input font-mono"
+              placeholder={regex ? 'error|warn' : 'Cari teks...'}
+            />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              checked={regex}
+              onChange={(event) => setRegex(event.target.checked)}
+              type="checkbox"
+              className="rounded"
+            />
+            <span>Regex</span>
+          </label>
+          <button type="submit" className="btn btn-secondary btn-sm">
+            <MagnifyingGlassIcon className="h-4 w-4 mr-1" />
+            Terapkan
+          </button>
+        </form>
+
+        {error && (
+          <p className="text-sm text-error-600">{error}</p>
+        )}
+
+        <pre
+          ref={outputRef}
+          onScroll={handleScroll}
+          className="h-96 overflow-auto rounded-lg bg-gray-900 p-3 text-xs font-mono text-gray-100 whitespace-pre-wrap"
+        >
+          {lines.length === 0 && (
+            <span className="text-gray-500">Belum ada output</span>
+          )}
+          {lines.map((line, index) => (
+            <div key={index} className={line.stream === 'stderr' ? 'text-red-400' : ''}>
+              {line.timestamp && (
+                <span className="text-gray-500">
+                  {new Date(line.timestamp).toLocaleTimeString('id-ID')}{' '}
+                </span>
+              )}
+              {line.text}
+            </div>
+          ))}
+          {ended && (
+            <div className="text-yellow-400">-- container berhenti, log dilanjutkan saat container berjalan lagi --</div>
+          )}
+        </pre>
+      </div>
+    </div>
+  )
+}
+
+export default OutputPanel
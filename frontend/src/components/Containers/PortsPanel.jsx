@@ -0,0 +1,78 @@
+import { useQuery } from 'react-query'
+import { GlobeAltIcon } from '@heroicons/react/24/outline'
+import { containerAPI } from '@services/api'
+
+const PortsPanel = ({ container }) => {
+  // Refetched whenever the container record changes, e.g. after a recreate
+  const { data } = useQuery(
+    ['container-ports', container.id, container.updatedAt],
+    () => containerAPI.getContainerPorts(container.id)
+  )
+  const ports = data?.data?.data?.ports || []
+  const proxy = data?.data?.data?.proxy
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Akses Port
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Port aplikasi dipublikasikan di port host yang tetap, juga setelah container dibuat ulang.
+        </p>
+      </div>
+      <div className="card-body">
+        {proxy?.enabled && (
+          <div className="pb-3 mb-1 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+            <span className="text-sm text-gray-600 dark:text-gray-400">Subdomain</span>
+            {proxy.conflict ? (
+              <span className="text-sm text-warning-700 dark:text-warning-300">
+                <span className="font-mono">{proxy.hostname}</span> dipakai container lain; ganti nama container
+              </span>
+            ) : (
+              <a
+                href={proxy.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-mono text-primary-600 hover:text-primary-500"
+              >
+                {proxy.hostname}
+              </a>
+            )}
+          </div>
+        )}
+
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {ports.map((port) => (
+            <li key={`${port.containerPort}/${port.protocol}`} className="py-3 flex items-center justify-between">
+              <div className="flex items-center space-x-3">
+                <GlobeAltIcon className="h-5 w-5 text-gray-400" />
+                <span className="font-mono text-gray-900 dark:text-white">
+                  {port.containerPort}/{port.protocol}
+                </span>
+              </div>
+              {port.address ? (
+                port.protocol === 'tcp' ? (
+                  <a
+                    href={`http://${port.address}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-mono text-primary-600 hover:text-primary-500"
+                  >
+                    {port.address}
+                  </a>
+                ) : (
+                  <span className="font-mono text-gray-900 dark:text-white">{port.address}</span>
+                )
+              ) : (
+                <span className="badge badge-gray">Belum dialokasikan</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
+
+export default PortsPanel
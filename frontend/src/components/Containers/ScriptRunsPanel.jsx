@@ -0,0 +1,276 @@
+import { useEffect, useRef, useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  ArrowDownTrayIcon,
+  PlayIcon,
+  StopIcon,
+} from '@heroicons/react/24/outline'
+import { scriptAPI, downloadBlob, formatUptime } from '@services/api'
+import useContainerEvents from '@hooks/useContainerEvents'
+import useScriptRun, { isRunFinished } from '@hooks/useScriptRun'
+import LoadingSpinner from '@components/UI/LoadingSpinner'
+
+const statusBadges = {
+  STARTING: 'badge-gray',
+  RUNNING: 'badge-primary',
+  SUCCEEDED: 'badge-success',
+  FAILED: 'badge-error',
+  STOPPED: 'badge-warning',
+  INTERRUPTED: 'badge-warning',
+}
+
+// Elapsed time of a run; running scripts are measured against `now`
+const getElapsed = (run, now) => (
+  isRunFinished(run) ? run.elapsed : now - new Date(run.startedAt).getTime()
+)
+
+// Re-render every second while something is running
+const useNow = (active) => {
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (!active) return undefined
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [active])
+
+  return now
+}
+
+const ScriptOutput = ({ containerId, runId }) => {
+  const { run, entries, isLoading } = useScriptRun(containerId, runId)
+  const outputRef = useRef(null)
+  const now = useNow(!!run && !isRunFinished(run))
+
+  useEffect(() => {
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight
+    }
+  }, [entries.length])
+
+  const handleDownload = async () => {
+    try {
+      const response = await scriptAPI.downloadOutput(containerId, runId)
+      downloadBlob(response.data, `script-run-${runId}.log`)
+    } catch (error) {
+      toast.error('Gagal mengunduh output')
+    }
+  }
+
+  if (isLoading || !run) {
+    return <LoadingSpinner size="sm" text="Memuat output..." />
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <div className="space-x-2 text-gray-600 dark:text-gray-400">
+          <span className={`badge ${statusBadges[run.status] || 'badge-gray'}`}>{run.status}</span>
+          {run.pid && <span>PID {run.pid}</span>}
+          <span>{formatUptime(getElapsed(run, now) / 1000)}</span>
+          {run.exitCode !== null && <span>exit code {run.exitCode}</span>}
+          {run.truncated && <span>(output terpotong)</span>}
+        </div>
+        <button type="button" onClick={handleDownload} className="btn btn-ghost btn-sm">
+          <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+          Unduh
+        </button>
+      </div>
+      <pre
+        ref={outputRef}
+        className="h-72 overflow-auto rounded-lg bg-gray-900 p-3 text-xs font-mono text-gray-100 whitespace-pre-wrap"
+      >
+        {entries.length === 0 && (
+          <span className="text-gray-500">Belum ada output</span>
+        )}
+        {entries.map((entry, index) => (
+          <span
+            key={index}
+            className={entry.s === 'stderr' ? 'text-red-400' : entry.s === 'system' ? 'text-yellow-400' : ''}
+          >
+            {entry.d}
+          </span>
+        ))}
+      </pre>
+      {run.error && (
+        <p className="text-sm text-error-600">{run.error}</p>
+      )}
+    </div>
+  )
+}
+
+const ScriptRunsPanel = ({ container }) => {
+  const queryClient = useQueryClient()
+  const [interpreter, setInterpreter] = useState('python')
+  const [script, setScript] = useState('')
+  const [args, setArgs] = useState('')
+  const [selectedRunId, setSelectedRunId] = useState(null)
+
+  const { data } = useQuery(
+    ['script-runs', container.id],
+    () => scriptAPI.getRuns(container.id)
+  )
+  const runs = data?.data?.data?.runs || []
+  const interpreters = data?.data?.data?.interpreters || ['python', 'node', 'sh']
+  const now = useNow(runs.some((run) => !isRunFinished(run)))
+
+  useContainerEvents(container.id, {
+    'container:script': () => {
+      queryClient.invalidateQueries(['script-runs', container.id])
+    },
+  })
+
+  const startMutation = useMutation(
+    (payload) => scriptAPI.startRun(container.id, payload),
+    {
+      onSuccess: (response) => {
+        const run = response.data?.data?.run
+        toast.success('Script dijalankan')
+        setSelectedRunId(run.id)
+        queryClient.invalidateQueries(['script-runs', container.id])
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menjalankan script')
+      },
+    }
+  )
+
+  const stopMutation = useMutation(
+    (runId) => scriptAPI.stopRun(container.id, runId),
+    {
+      onSuccess: () => toast.success('Sinyal stop dikirim'),
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menghentikan script')
+      },
+    }
+  )
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!script) return
+
+    startMutation.mutate({
+      interpreter,
+      script,
+      args: args.split(/\s+/).filter(Boolean),
+    })
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Script
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Jalankan script dari /app dan pantau waktu berjalan, exit code dan outputnya.
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-3">
+          <select
+            value={interpreter}
+            onChange={(e) => setInterpreter(e.target.value)}
+            className="input w-32"
+            disabled={startMutation.isLoading}
+          >
+            {interpreters.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={script}
+            onChange={(e) => setScript(e.target.value)}
+            className="input flex-1 font-mono"
+            placeholder="scripts/batch.py"
+            disabled={startMutation.isLoading}
+          />
+          <input
+            type="text"
+            value={args}
+            onChange={(e) => setArgs(e.target.value)}
+            className="input flex-1 font-mono"
+            placeholder="argumen (pisahkan dengan spasi)"
+            disabled={startMutation.isLoading}
+          />
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={!script || container.status !== 'RUNNING' || startMutation.isLoading}
+          >
+            <PlayIcon className="h-4 w-4 mr-2" />
+            Jalankan
+          </button>
+        </form>
+
+        {runs.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 dark:text-gray-400">
+                  <th className="py-2 pr-4">Script</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4">Mulai</th>
+                  <th className="py-2 pr-4">Durasi</th>
+                  <th className="py-2 pr-4">Exit code</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((run) => (
+                  <tr
+                    key={run.id}
+                    onClick={() => setSelectedRunId(run.id)}
+                    className={`cursor-pointer border-t border-gray-200 dark:border-gray-700 ${
+                      run.id === selectedRunId ? 'bg-primary-50 dark:bg-primary-900/20' : ''
+                    }`}
+                  >
+                    <td className="py-2 pr-4 font-mono text-gray-900 dark:text-white">
+                      {run.interpreter} {run.script} {run.args?.join(' ')}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={`badge ${statusBadges[run.status] || 'badge-gray'}`}>{run.status}</span>
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600 dark:text-gray-400">
+                      {new Date(run.startedAt).toLocaleString('id-ID')}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600 dark:text-gray-400">
+                      {formatUptime(getElapsed(run, now) / 1000)}
+                    </td>
+                    <td className="py-2 pr-4 text-gray-600 dark:text-gray-400">
+                      {run.exitCode ?? '-'}
+                    </td>
+                    <td className="py-2 text-right">
+                      {run.status === 'RUNNING' && (
+                        <button
+                          type="button"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            stopMutation.mutate(run.id)
+                          }}
+                          className="btn btn-error btn-sm"
+                          disabled={stopMutation.isLoading}
+                        >
+                          <StopIcon className="h-4 w-4 mr-1" />
+                          Stop
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {selectedRunId && (
+          <ScriptOutput containerId={container.id} runId={selectedRunId} />
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ScriptRunsPanel
@@ -0,0 +1,245 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  KeyIcon,
+  PlusIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline'
+import { containerAPI, secretAPI } from '@services/api'
+
+const SecretsPanel = ({ container }) => {
+  const queryClient = useQueryClient()
+  // Set after a change until the container is recreated with the new values
+  const [pendingRecreate, setPendingRecreate] = useState(false)
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    setValue,
+    formState: { errors },
+  } = useForm({
+    defaultValues: { exposeAsEnv: true, mountAsFile: false },
+  })
+
+  const { data } = useQuery(
+    ['secrets', container.id],
+    () => secretAPI.getSecrets(container.id)
+  )
+  const secrets = data?.data?.data?.secrets || []
+  const configured = data?.data?.data?.configured !== false
+  const mountPath = data?.data?.data?.mountPath || '/run/secrets'
+
+  const invalidate = () => queryClient.invalidateQueries(['secrets', container.id])
+
+  const saveMutation = useMutation(
+    ({ name, ...payload }) => secretAPI.setSecret(container.id, name, payload),
+    {
+      onSuccess: (response) => {
+        toast.success('Secret disimpan')
+        reset()
+        invalidate()
+        if (response.data?.data?.recreateRequired) setPendingRecreate(true)
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menyimpan secret')
+      },
+    }
+  )
+
+  const deleteMutation = useMutation(
+    (name) => secretAPI.deleteSecret(container.id, name),
+    {
+      onSuccess: () => {
+        toast.success('Secret dihapus')
+        invalidate()
+        if (container.dockerId) setPendingRecreate(true)
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menghapus secret')
+      },
+    }
+  )
+
+  const recreateMutation = useMutation(
+    () => containerAPI.recreateContainer(container.id),
+    {
+      onSuccess: () => {
+        toast.success('Container dibuat ulang dengan secret terbaru')
+        setPendingRecreate(false)
+        queryClient.invalidateQueries(['container', container.id])
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal membuat ulang container')
+        queryClient.invalidateQueries(['container', container.id])
+      },
+    }
+  )
+
+  const onSubmit = (formData) => {
+    saveMutation.mutate({
+      name: formData.name,
+      value: formData.value,
+      exposeAsEnv: formData.exposeAsEnv,
+      mountAsFile: formData.mountAsFile,
+    })
+  }
+
+  // Replacing a value keeps the name and flags; the old value is never shown
+  const handleReplace = (secret) => {
+    setValue('name', secret.name)
+    setValue('value', '')
+    setValue('exposeAsEnv', secret.exposeAsEnv)
+    setValue('mountAsFile', secret.mountAsFile)
+  }
+
+  const toggleFlag = (secret, flag) => {
+    saveMutation.mutate({ name: secret.name, [flag]: !secret[flag] })
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Secret
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Nilai disimpan terenkripsi dan tidak bisa dibaca kembali. Secret dipasang sebagai env variable
+          dan/atau file di <span className="font-mono">{mountPath}</span> saat container dibuat ulang.
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        {!configured && (
+          <div className="rounded-md bg-warning-50 dark:bg-warning-900/20 p-3 flex items-start">
+            <ExclamationTriangleIcon className="h-5 w-5 text-warning-500 flex-shrink-0" />
+            <p className="ml-2 text-sm text-warning-700 dark:text-warning-300">
+              Master key secret belum dikonfigurasi di server. Hubungi admin.
+            </p>
+          </div>
+        )}
+
+        {pendingRecreate && (
+          <div className="rounded-md bg-primary-50 dark:bg-primary-900/20 p-3 flex items-center justify-between">
+            <p className="text-sm text-primary-700 dark:text-primary-300">
+              Container masih memakai secret lama sampai dibuat ulang.
+            </p>
+            <button
+              type="button"
+              onClick={() => recreateMutation.mutate()}
+              className="btn btn-primary btn-sm"
+              disabled={recreateMutation.isLoading}
+            >
+              <ArrowPathIcon className={`h-4 w-4 mr-2 ${recreateMutation.isLoading ? 'animate-spin' : ''}`} />
+              Buat Ulang Container
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div>
+            <input
+              {...register('name', {
+                required: 'Nama wajib diisi',
+                pattern: {
+                  value: /^[a-zA-Z_][a-zA-Z0-9_]*$/,
+                  message: 'Huruf, angka dan underscore, tidak diawali angka',
+                },
+              })}
+              type="text"
+              className={`input font-mono ${errors.name ? 'input-error' : ''}`}
+              placeholder="DATABASE_URL"
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-error-600">{errors.name.message}</p>
+            )}
+          </div>
+          <div className="md:col-span-2">
+            <input
+              {...register('value', { required: 'Nilai wajib diisi' })}
+              type="password"
+              autoComplete="new-password"
+              className={`input font-mono ${errors.value ? 'input-error' : ''}`}
+              placeholder="Nilai secret"
+            />
+            {errors.value && (
+              <p className="mt-1 text-sm text-error-600">{errors.value.message}</p>
+            )}
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" className="btn btn-primary" disabled={!configured || saveMutation.isLoading}>
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Simpan
+            </button>
+          </div>
+          <div className="md:col-span-4 flex items-center space-x-6 text-sm text-gray-700 dark:text-gray-300">
+            <label className="flex items-center space-x-2">
+              <input {...register('exposeAsEnv')} type="checkbox" className="rounded" />
+              <span>Env variable</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input {...register('mountAsFile')} type="checkbox" className="rounded" />
+              <span>File di {mountPath}</span>
+            </label>
+          </div>
+        </form>
+
+        {secrets.length > 0 && (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {secrets.map((secret) => (
+              <li key={secret.id} className="py-3 flex items-center justify-between">
+                <div className="flex items-center space-x-3">
+                  <KeyIcon className="h-5 w-5 text-gray-400" />
+                  <div>
+                    <div className="font-mono font-medium text-gray-900 dark:text-white">{secret.name}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {secret.value} &middot; diubah {new Date(secret.updatedAt).toLocaleString('id-ID')}
+                    </div>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <button
+                    type="button"
+                    onClick={() => toggleFlag(secret, 'exposeAsEnv')}
+                    className={`badge ${secret.exposeAsEnv ? 'badge-primary' : 'badge-gray'}`}
+                    title="Pasang sebagai env variable"
+                  >
+                    env
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => toggleFlag(secret, 'mountAsFile')}
+                    className={`badge ${secret.mountAsFile ? 'badge-primary' : 'badge-gray'}`}
+                    title={`Pasang sebagai file di ${mountPath}`}
+                  >
+                    file
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleReplace(secret)}
+                    className="btn btn-ghost btn-sm"
+                  >
+                    Ganti Nilai
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => deleteMutation.mutate(secret.name)}
+                    className="btn btn-error btn-sm"
+                    title="Hapus"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SecretsPanel
@@ -0,0 +1,249 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import { useNavigate } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import {
+  ArrowUturnLeftIcon,
+  CameraIcon,
+  DocumentDuplicateIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline'
+import { snapshotAPI, formatFileSize } from '@services/api'
+import JobProgress from '@components/UI/JobProgress'
+
+const statusBadges = {
+  CREATING: 'badge-primary',
+  READY: 'badge-success',
+  FAILED: 'badge-error',
+}
+
+const SnapshotsPanel = ({ container }) => {
+  const queryClient = useQueryClient()
+  const navigate = useNavigate()
+  const [activeJob, setActiveJob] = useState(null)
+  const [copyFrom, setCopyFrom] = useState(null)
+  const [copyName, setCopyName] = useState('')
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+  } = useForm({
+    defaultValues: { commit: false, replaceOldest: false },
+  })
+
+  const { data } = useQuery(
+    ['snapshots', container.id],
+    () => snapshotAPI.getSnapshots(container.id),
+    {
+      refetchInterval: (response) => (
+        response?.data?.data?.snapshots?.some((snapshot) => snapshot.status === 'CREATING') ? 3000 : false
+      ),
+    }
+  )
+  const snapshots = data?.data?.data?.snapshots || []
+  const maxSnapshots = data?.data?.data?.maxSnapshots
+
+  const invalidate = () => {
+    queryClient.invalidateQueries(['snapshots', container.id])
+    queryClient.invalidateQueries(['container', container.id])
+  }
+
+  const createMutation = useMutation(
+    (payload) => snapshotAPI.createSnapshot(container.id, payload),
+    {
+      onSuccess: (response) => {
+        toast.success('Snapshot sedang dibuat')
+        setActiveJob({ id: response.data?.data?.job?.id, title: 'Membuat snapshot' })
+        reset()
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal membuat snapshot')
+      },
+    }
+  )
+
+  const restoreMutation = useMutation(
+    ({ snapshotId, payload }) => snapshotAPI.restoreSnapshot(container.id, snapshotId, payload),
+    {
+      onSuccess: (response, { payload }) => {
+        const restored = response.data?.data?.container
+        setCopyFrom(null)
+        setCopyName('')
+
+        if (payload.target === 'new') {
+          toast.success('Container baru sedang dibuat dari snapshot')
+          navigate(`/containers/${restored.id}`)
+          return
+        }
+
+        toast.success('Snapshot sedang dipulihkan')
+        setActiveJob({ id: response.data?.data?.job?.id, title: 'Memulihkan snapshot' })
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal memulihkan snapshot')
+      },
+    }
+  )
+
+  const deleteMutation = useMutation(
+    (snapshotId) => snapshotAPI.deleteSnapshot(container.id, snapshotId),
+    {
+      onSuccess: () => {
+        toast.success('Snapshot dihapus')
+        invalidate()
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal menghapus snapshot')
+      },
+    }
+  )
+
+  const onSubmit = (formData) => {
+    createMutation.mutate({
+      ...(formData.name && { name: formData.name }),
+      commit: formData.commit,
+      replaceOldest: formData.replaceOldest,
+    })
+  }
+
+  const handleRestore = (snapshot) => {
+    if (!window.confirm(`Pulihkan snapshot ${snapshot.name}? Isi /app saat ini akan diganti.`)) return
+    restoreMutation.mutate({ snapshotId: snapshot.id, payload: { target: 'same' } })
+  }
+
+  const handleCopy = (e) => {
+    e.preventDefault()
+    if (!copyName) return
+    restoreMutation.mutate({ snapshotId: copyFrom, payload: { target: 'new', name: copyName } })
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Snapshot
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Simpan konfigurasi dan isi /app sebelum perubahan berisiko, lalu pulihkan kapan saja.
+          {maxSnapshots !== undefined && ` Maksimal ${maxSnapshots} snapshot per container.`}
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        <form onSubmit={handleSubmit(onSubmit)} className="flex flex-wrap items-center gap-3">
+          <input
+            {...register('name')}
+            type="text"
+            className="input flex-1"
+            placeholder="Nama snapshot (opsional)"
+          />
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input {...register('commit')} type="checkbox" className="rounded" />
+            <span>Sertakan filesystem (docker commit)</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input {...register('replaceOldest')} type="checkbox" className="rounded" />
+            <span>Ganti snapshot terlama jika batas tercapai</span>
+          </label>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={createMutation.isLoading || container.status === 'CREATING'}
+          >
+            <CameraIcon className="h-4 w-4 mr-2" />
+            Buat Snapshot
+          </button>
+        </form>
+
+        {activeJob?.id && (
+          <JobProgress
+            jobId={activeJob.id}
+            title={activeJob.title}
+            onCompleted={invalidate}
+            onFailed={invalidate}
+          />
+        )}
+
+        {snapshots.length > 0 && (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {snapshots.map((snapshot) => (
+              <li key={snapshot.id} className="py-3 space-y-2">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      {snapshot.name}
+                      <span className={`ml-2 badge ${statusBadges[snapshot.status] || 'badge-gray'}`}>
+                        {snapshot.status}
+                      </span>
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400 space-x-2">
+                      <span>{new Date(snapshot.createdAt).toLocaleString('id-ID')}</span>
+                      <span className="font-mono">{snapshot.image}</span>
+                      {snapshot.status === 'READY' && <span>/app {formatFileSize(snapshot.archiveSize)}</span>}
+                      {snapshot.commitImage && <span>image {formatFileSize(snapshot.commitSize || 0)}</span>}
+                    </div>
+                    {snapshot.error && (
+                      <p className="text-sm text-error-600">{snapshot.error}</p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      type="button"
+                      onClick={() => handleRestore(snapshot)}
+                      className="btn btn-secondary btn-sm"
+                      title="Pulihkan ke container ini"
+                      disabled={snapshot.status !== 'READY' || restoreMutation.isLoading}
+                    >
+                      <ArrowUturnLeftIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setCopyFrom(copyFrom === snapshot.id ? null : snapshot.id)}
+                      className="btn btn-secondary btn-sm"
+                      title="Buat container baru dari snapshot"
+                      disabled={snapshot.status !== 'READY'}
+                    >
+                      <DocumentDuplicateIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => deleteMutation.mutate(snapshot.id)}
+                      className="btn btn-error btn-sm"
+                      title="Hapus"
+                      disabled={snapshot.status === 'CREATING'}
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                {copyFrom === snapshot.id && (
+                  <form onSubmit={handleCopy} className="flex items-center gap-3">
+                    <input
+                      type="text"
+                      value={copyName}
+                      onChange={(e) => setCopyName(e.target.value)}
+                      className="input flex-1"
+                      placeholder="Nama container baru"
+                    />
+                    <button
+                      type="submit"
+                      className="btn btn-primary btn-sm"
+                      disabled={!copyName || restoreMutation.isLoading}
+                    >
+                      Buat Container
+                    </button>
+                  </form>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SnapshotsPanel
@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+} from '@heroicons/react/24/outline'
+import { containerAPI } from '@services/api'
+import useContainerEvents from '@hooks/useContainerEvents'
+import LoadingSpinner from '@components/UI/LoadingSpinner'
+import ImagePullProgress from '@components/Containers/ImagePullProgress'
+
+const stepLabels = {
+  pull: 'Pull image',
+  snapshot: 'Snapshot konfigurasi',
+  stop: 'Stop container',
+  create: 'Buat container baru',
+  start: 'Start container baru',
+  health: 'Health check',
+  rollback: 'Rollback',
+  done: 'Selesai',
+  failed: 'Gagal',
+}
+
+const SwitchImagePanel = ({ container }) => {
+  const queryClient = useQueryClient()
+  const [image, setImage] = useState('')
+  const [steps, setSteps] = useState([])
+
+  const { data: imagesData } = useQuery('allowed-images', containerAPI.getAllowedImages)
+  const images = imagesData?.data?.data?.images || []
+
+  useContainerEvents(container.id, {
+    'container:switch-image': (event) => {
+      setSteps((current) => [...current, event])
+    },
+  })
+
+  const switchMutation = useMutation(
+    (data) => containerAPI.switchImage(container.id, data),
+    {
+      onMutate: () => setSteps([]),
+      onSuccess: () => {
+        toast.success('Image container berhasil diganti')
+        queryClient.invalidateQueries(['container', container.id])
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Gagal mengganti image')
+        queryClient.invalidateQueries(['container', container.id])
+      },
+    }
+  )
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!image) return
+    switchMutation.mutate({ image })
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Ganti Docker Image
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Image saat ini: <span className="font-mono">{container.image}</span>.
+          Container akan di-recreate dan otomatis di-rollback jika image baru gagal berjalan.
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        <form onSubmit={handleSubmit} className="flex items-center space-x-3">
+          <select
+            value={image}
+            onChange={(e) => setImage(e.target.value)}
+            className="input flex-1"
+            disabled={switchMutation.isLoading}
+          >
+            <option value="">Pilih image...</option>
+            {images
+              .filter((img) => img.image !== container.image)
+              .map((img) => (
+                <option key={img.id} value={img.image}>
+                  {img.displayName} ({img.image})
+                </option>
+              ))}
+          </select>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={!image || switchMutation.isLoading}
+          >
+            <ArrowPathIcon className="h-4 w-4 mr-2" />
+            Ganti Image
+          </button>
+        </form>
+
+        {switchMutation.isLoading && steps.some((step) => step.step === 'pull') && (
+          <ImagePullProgress containerId={container.id} />
+        )}
+
+        {steps.length > 0 && (
+          <ul className="space-y-2">
+            {steps.map((step, index) => (
+              <li key={`${step.step}-${index}`} className="flex items-start space-x-2 text-sm">
+                {step.status === 'success' && (
+                  <CheckCircleIcon className="h-5 w-5 text-success-600 flex-shrink-0" />
+                )}
+                {step.status === 'error' && (
+                  <XCircleIcon className="h-5 w-5 text-error-600 flex-shrink-0" />
+                )}
+                {step.status === 'running' && (
+                  index === steps.length - 1 && switchMutation.isLoading
+                    ? <LoadingSpinner size="sm" className="h-5 w-5 flex-shrink-0" />
+                    : <CheckCircleIcon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                )}
+                <div>
+                  <span className="font-medium text-gray-900 dark:text-white">
+                    {stepLabels[step.step] || step.step}
+                  </span>
+                  <span className="ml-2 text-gray-600 dark:text-gray-400">
+                    {step.message}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SwitchImagePanel
@@ -0,0 +1,61 @@
+import { CheckCircleIcon } from '@heroicons/react/24/outline'
+
+// Card picker for application templates ({ slug, name, description, image, ports, files })
+const TemplatePicker = ({ templates, value, onChange, disabled = false }) => {
+  if (templates.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Belum ada template yang tersedia.
+      </p>
+    )
+  }
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+      {templates.map((template) => {
+        const selected = template.slug === value
+
+        return (
+          <button
+            key={template.slug}
+            type="button"
+            onClick={() => onChange(selected ? null : template)}
+            disabled={disabled}
+            className={`relative text-left rounded-lg border p-4 transition-colors ${
+              selected
+                ? 'border-primary-600 bg-primary-50 dark:bg-primary-900/20'
+                : 'border-gray-200 dark:border-gray-700 hover:border-primary-400'
+            }`}
+          >
+            {selected && (
+              <CheckCircleIcon className="absolute top-3 right-3 h-5 w-5 text-primary-600" />
+            )}
+            <div className="font-medium text-gray-900 dark:text-white">
+              {template.name}
+            </div>
+            <div className="mt-1 text-xs font-mono text-gray-500 dark:text-gray-400">
+              {template.image}
+            </div>
+            {template.description && (
+              <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+                {template.description}
+              </p>
+            )}
+            <div className="mt-3 flex flex-wrap gap-1">
+              {template.ports?.map((port) => (
+                <span key={`${port.containerPort}/${port.protocol}`} className="badge badge-gray">
+                  {port.containerPort}/{port.protocol}
+                </span>
+              ))}
+              {template.files?.length > 0 && (
+                <span className="badge badge-gray">{template.files.length} file</span>
+              )}
+            </div>
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export default TemplatePicker
@@ -14,6 +14,8 @@ import {
   DocumentTextIcon,
   CogIcon,
   ShieldCheckIcon,
+  ArchiveBoxIcon,
+  ArrowPathIcon,
 } from '@heroicons/react/24/outline'
 import { useAuthStore } from '@store/authStore'
 
@@ -64,6 +66,16 @@ const Sidebar = ({ open = false, onClose = () => {}, mobile = false }) => {
           href: '/admin/logs',
           icon: DocumentTextIcon,
         },
+        {
+          name: 'Backup',
+          href: '/admin/backups',
+          icon: ArchiveBoxIcon,
+        },
+        {
+          name: 'Sinkronisasi',
+          href: '/admin/reconcile',
+          icon: ArrowPathIcon,
+        },
         {
           name: 'Pengaturan',
           href: '/admin/settings',
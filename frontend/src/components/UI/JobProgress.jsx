@@ -0,0 +1,67 @@
+import { CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline'
+import useJob from '@hooks/useJob'
+import LoadingSpinner from '@components/UI/LoadingSpinner'
+
+const stateLabels = {
+  waiting: 'Menunggu antrian',
+  delayed: 'Menunggu percobaan ulang',
+  active: 'Berjalan',
+  completed: 'Selesai',
+  failed: 'Gagal',
+}
+
+const JobProgress = ({ jobId, title, onCompleted, onFailed }) => {
+  const { job, isLoading } = useJob(jobId, { onCompleted, onFailed })
+
+  if (isLoading || !job) {
+    return <LoadingSpinner size="sm" text="Memuat status job..." />
+  }
+
+  const percent = job.progress?.percent || 0
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <div className="flex items-center space-x-2">
+          {job.state === 'completed' && (
+            <CheckCircleIcon className="h-5 w-5 text-success-600" />
+          )}
+          {job.state === 'failed' && (
+            <XCircleIcon className="h-5 w-5 text-error-600" />
+          )}
+          {!['completed', 'failed'].includes(job.state) && (
+            <LoadingSpinner size="sm" />
+          )}
+          <span className="font-medium text-gray-900 dark:text-white">
+            {title || job.type}
+          </span>
+        </div>
+        <span className="text-gray-600 dark:text-gray-400">
+          {stateLabels[job.state] || job.state} · {percent}%
+        </span>
+      </div>
+
+      <div className="progress-bar">
+        <div className="progress-fill" style={{ width: `${percent}%` }} />
+      </div>
+
+      {job.progress?.message && (
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {job.progress.message}
+        </p>
+      )}
+
+      {job.attemptsMade > 0 && job.state !== 'completed' && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Percobaan {job.attemptsMade} dari {job.attempts}
+        </p>
+      )}
+
+      {job.error && (
+        <p className="text-sm text-error-600">{job.error}</p>
+      )}
+    </div>
+  )
+}
+
+export default JobProgress
@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react'
+import { createSocket } from '@services/socket'
+
+// Subscribe to real-time events of a container.
+// `handlers` maps event names (e.g. 'container:switch-image') to callbacks.
+const useContainerEvents = (containerId, handlers = {}) => {
+  const handlersRef = useRef(handlers)
+  handlersRef.current = handlers
+
+  useEffect(() => {
+    if (!containerId) return undefined
+
+    const socket = createSocket('/containers')
+    const events = Object.keys(handlersRef.current)
+
+    socket.on('connect', () => {
+      socket.emit('container:subscribe', { containerId })
+    })
+
+    events.forEach((event) => {
+      socket.on(event, (payload) => {
+        if (payload?.containerId && payload.containerId !== containerId) return
+        handlersRef.current[event]?.(payload)
+      })
+    })
+
+    return () => {
+      socket.emit('container:unsubscribe', { containerId })
+      socket.disconnect()
+    }
+  }, [containerId])
+}
+
+export default useContainerEvents
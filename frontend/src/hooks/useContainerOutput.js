@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from 'react'
+import { createSocket } from '@services/socket'
+
+const MAX_LINES = 5000
+const INITIAL_TAIL = 200
+
+// Follow the stdout/stderr of a container over the /logs namespace. `filter` holds
+// { stream, search, regex } and is applied by the backend; changing it starts over.
+// The stream ends when the container stops, so it is resumed from the last line
+// received once `running` turns true again.
+const useContainerOutput = (containerId, filter, running) => {
+  const [lines, setLines] = useState([])
+  const [ended, setEnded] = useState(false)
+  const [error, setError] = useState(null)
+  const socketRef = useRef(null)
+  const lastTimestampRef = useRef(null)
+
+  const subscribe = (resume) => {
+    socketRef.current?.emit('logs:subscribe', {
+      containerId,
+      ...filter,
+      ...(resume && lastTimestampRef.current
+        ? { since: lastTimestampRef.current, tail: 'all' }
+        : { tail: INITIAL_TAIL }),
+    })
+  }
+
+  useEffect(() => {
+    if (!containerId) return undefined
+
+    const socket = createSocket('/logs')
+    socketRef.current = socket
+    lastTimestampRef.current = null
+    setLines([])
+    setEnded(false)
+    setError(null)
+
+    socket.on('connect', () => subscribe(true))
+    socket.on('logs:subscribed', () => {
+      setEnded(false)
+      setError(null)
+    })
+    socket.on('logs:lines', (payload) => {
+      if (payload.containerId !== containerId) return
+
+      // Resuming from `since` repeats lines of the same second
+      const last = lastTimestampRef.current
+      const fresh = last ? payload.lines.filter((line) => !line.timestamp || line.timestamp > last) : payload.lines
+      if (fresh.length === 0) return
+
+      lastTimestampRef.current = fresh[fresh.length - 1].timestamp || last
+      setLines((current) => current.concat(fresh).slice(-MAX_LINES))
+    })
+    socket.on('logs:end', (payload) => {
+      if (payload.containerId === containerId) setEnded(true)
+    })
+    socket.on('logs:error', (payload) => {
+      if (!payload.containerId || payload.containerId === containerId) setError(payload.message)
+    })
+
+    return () => {
+      socket.emit('logs:unsubscribe', { containerId })
+      socket.disconnect()
+      socketRef.current = null
+    }
+  }, [containerId, filter.stream, filter.search, filter.regex])
+
+  useEffect(() => {
+    if (running && ended) subscribe(true)
+  }, [running, ended])
+
+  return {
+    lines,
+    ended,
+    error,
+    clear: () => setLines([]),
+  }
+}
+
+export default useContainerOutput
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react'
+import { createSocket } from '@services/socket'
+
+// Follow status changes of every container the user can see (their own, or all for admins).
+// `onStatus` receives { containerId, status, previousStatus, action, exitCode }, or
+// { containerId, health, previousHealth, failingStreak } when a health check changes state.
+const useContainerStatusEvents = (onStatus) => {
+  const onStatusRef = useRef(onStatus)
+  onStatusRef.current = onStatus
+
+  useEffect(() => {
+    const socket = createSocket('/containers')
+
+    socket.on('container:status', (payload) => {
+      onStatusRef.current?.(payload)
+    })
+
+    socket.on('container:health', (payload) => {
+      onStatusRef.current?.(payload)
+    })
+
+    return () => {
+      socket.disconnect()
+    }
+  }, [])
+}
+
+export default useContainerStatusEvents
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react'
+import { useQuery, useQueryClient } from 'react-query'
+import { imageAPI } from '@services/api'
+import { createSocket } from '@services/socket'
+
+// Follow image pull progress by pullId, or the latest pull of a container.
+// Live updates come from the /images namespace; REST polling is used while the socket is down.
+const useImagePull = ({ pullId = null, containerId = null } = {}) => {
+  const queryClient = useQueryClient()
+  const [connected, setConnected] = useState(false)
+  const key = ['image-pull', pullId || containerId]
+  const enabled = !!(pullId || containerId)
+
+  const { data: pull } = useQuery(
+    key,
+    async () => {
+      if (pullId) {
+        const response = await imageAPI.getPull(pullId)
+        return response.data?.data?.pull || null
+      }
+      const response = await imageAPI.getPulls({ containerId })
+      return response.data?.data?.pulls?.[0] || null
+    },
+    {
+      enabled,
+      retry: false,
+      refetchInterval: (current) => (
+        connected || ['completed', 'failed'].includes(current?.status) ? false : 2000
+      ),
+    }
+  )
+
+  useEffect(() => {
+    if (!enabled) return undefined
+
+    const socket = createSocket('/images')
+    const update = ({ pull: next }) => {
+      if (!next) return
+      if (pullId && next.pullId !== pullId) return
+      if (!pullId && next.containerId !== containerId) return
+      queryClient.setQueryData(['image-pull', pullId || containerId], next)
+    }
+
+    socket.on('connect', () => {
+      setConnected(true)
+      socket.emit('pull:subscribe', pullId ? { pullId } : { containerId })
+    })
+    socket.on('disconnect', () => setConnected(false))
+    socket.on('pull:subscribed', update)
+    socket.on('pull:progress', update)
+    socket.on('pull:completed', update)
+    socket.on('pull:failed', update)
+
+    return () => {
+      socket.emit('pull:unsubscribe', pullId ? { pullId } : { containerId })
+      socket.disconnect()
+    }
+  }, [enabled, pullId, containerId, queryClient])
+
+  return pull
+}
+
+export default useImagePull
@@ -0,0 +1,61 @@
+import { useEffect, useRef } from 'react'
+import { useQuery, useQueryClient } from 'react-query'
+import { jobAPI } from '@services/api'
+import { createSocket } from '@services/socket'
+
+const FINISHED_STATES = ['completed', 'failed']
+
+export const isJobFinished = (job) => !!job && FINISHED_STATES.includes(job.state)
+
+// Track a background job. Updates arrive over Socket.IO, polling is the fallback.
+const useJob = (jobId, { onCompleted, onFailed } = {}) => {
+  const queryClient = useQueryClient()
+  const callbacksRef = useRef({ onCompleted, onFailed })
+  callbacksRef.current = { onCompleted, onFailed }
+
+  const { data: job, isLoading } = useQuery(
+    ['job', jobId],
+    async () => {
+      const response = await jobAPI.getJob(jobId)
+      return response.data?.data?.job
+    },
+    {
+      enabled: !!jobId,
+      refetchInterval: (current) => (isJobFinished(current) ? false : 5000),
+    }
+  )
+
+  useEffect(() => {
+    if (!jobId) return undefined
+
+    const socket = createSocket('/jobs')
+    const update = ({ job: next }) => {
+      if (next?.id === jobId) {
+        queryClient.setQueryData(['job', jobId], next)
+      }
+    }
+
+    socket.on('connect', () => {
+      socket.emit('job:subscribe', { jobId })
+    })
+    socket.on('job:subscribed', update)
+    socket.on('job:active', update)
+    socket.on('job:progress', update)
+    socket.on('job:completed', update)
+    socket.on('job:failed', update)
+
+    return () => {
+      socket.emit('job:unsubscribe', { jobId })
+      socket.disconnect()
+    }
+  }, [jobId, queryClient])
+
+  useEffect(() => {
+    if (job?.state === 'completed') callbacksRef.current.onCompleted?.(job)
+    if (job?.state === 'failed') callbacksRef.current.onFailed?.(job)
+  }, [job?.state])
+
+  return { job, isLoading }
+}
+
+export default useJob
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react'
+import { useQuery, useQueryClient } from 'react-query'
+import { scriptAPI } from '@services/api'
+import { createSocket } from '@services/socket'
+
+const FINISHED_STATUSES = ['SUCCEEDED', 'FAILED', 'STOPPED', 'INTERRUPTED']
+
+export const isRunFinished = (run) => !!run && FINISHED_STATUSES.includes(run.status)
+
+// Follow one script run: stored output comes from REST, new output and status
+// changes arrive over the /scripts namespace. Polling is used while the socket is down.
+const useScriptRun = (containerId, runId) => {
+  const queryClient = useQueryClient()
+  const [connected, setConnected] = useState(false)
+  const key = ['script-run', containerId, runId]
+
+  const { data, isLoading } = useQuery(
+    key,
+    async () => {
+      const response = await scriptAPI.getOutput(containerId, runId, { limit: 5000 })
+      const { run, entries } = response.data?.data || {}
+      return { run, entries: entries || [] }
+    },
+    {
+      enabled: !!runId,
+      refetchInterval: (current) => (
+        connected || isRunFinished(current?.run) ? false : 3000
+      ),
+    }
+  )
+
+  useEffect(() => {
+    if (!runId) return undefined
+
+    const socket = createSocket('/scripts')
+    const queryKey = ['script-run', containerId, runId]
+
+    const updateRun = ({ run }) => {
+      if (run?.id !== runId) return
+      queryClient.setQueryData(queryKey, (current) => ({ entries: [], ...current, run }))
+    }
+
+    socket.on('connect', () => {
+      setConnected(true)
+      socket.emit('script:subscribe', { runId })
+    })
+    socket.on('disconnect', () => setConnected(false))
+    socket.on('script:started', updateRun)
+    socket.on('script:finished', updateRun)
+    socket.on('script:output', (entry) => {
+      if (entry.runId !== runId) return
+      queryClient.setQueryData(queryKey, (current) => ({
+        ...current,
+        entries: [...(current?.entries || []), entry],
+      }))
+    })
+
+    return () => {
+      socket.emit('script:unsubscribe', { runId })
+      socket.disconnect()
+    }
+  }, [containerId, runId, queryClient])
+
+  return {
+    run: data?.run,
+    entries: data?.entries || [],
+    isLoading,
+  }
+}
+
+export default useScriptRun
@@ -0,0 +1,235 @@
+import { useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  ArchiveBoxIcon,
+  CircleStackIcon,
+  ExclamationTriangleIcon,
+  FolderIcon,
+} from '@heroicons/react/24/outline'
+import { adminAPI, formatFileSize } from '@services/api'
+import LoadingSpinner from '@components/UI/LoadingSpinner'
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('id-ID') : '-')
+
+const AdminBackupsPage = () => {
+  const queryClient = useQueryClient()
+
+  const { data, isLoading, error } = useQuery(
+    'admin-backups',
+    adminAPI.getBackups,
+    {
+      refetchInterval: 30000,
+    }
+  )
+  const overview = data?.data?.data
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm()
+
+  useEffect(() => {
+    if (overview?.backupDir) {
+      reset({ backupDir: overview.backupDir })
+    }
+  }, [overview?.backupDir, reset])
+
+  const directoryMutation = useMutation(adminAPI.updateBackupDirectory, {
+    onSuccess: () => {
+      toast.success('Direktori backup disimpan')
+      queryClient.invalidateQueries('admin-backups')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Gagal menyimpan direktori backup')
+    },
+  })
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" text="Memuat backup..." />
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="rounded-md bg-error-50 dark:bg-error-900/20 p-4">
+        <div className="flex">
+          <ExclamationTriangleIcon className="h-5 w-5 text-error-400" />
+          <div className="ml-3">
+            <h3 className="text-sm font-medium text-error-800 dark:text-error-200">
+              Gagal memuat backup
+            </h3>
+            <p className="mt-1 text-sm text-error-700 dark:text-error-300">
+              {error.response?.data?.message || 'Terjadi kesalahan saat memuat data'}
+            </p>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const containers = overview?.containers || []
+  const statCards = [
+    {
+      name: 'Total Penyimpanan',
+      value: formatFileSize(overview?.totalSize || 0),
+      icon: CircleStackIcon,
+      color: 'primary',
+    },
+    {
+      name: 'Total Backup',
+      value: (overview?.totalBackups || 0).toLocaleString(),
+      icon: ArchiveBoxIcon,
+      color: 'success',
+    },
+    {
+      name: 'Container Gagal Backup',
+      value: (overview?.failingContainers || 0).toLocaleString(),
+      icon: ExclamationTriangleIcon,
+      color: 'error',
+    },
+  ]
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+          Backup
+        </h1>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Pantau backup terjadwal semua container dan atur lokasi penyimpanannya
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 gap-5 sm:grid-cols-3">
+        {statCards.map((stat) => (
+          <div key={stat.name} className="card">
+            <div className="card-body">
+              <div className="flex items-center">
+                <div className="flex-shrink-0">
+                  <div className={`p-3 rounded-lg bg-${stat.color}-100 dark:bg-${stat.color}-900/20`}>
+                    <stat.icon className={`h-6 w-6 text-${stat.color}-600 dark:text-${stat.color}-400`} />
+                  </div>
+                </div>
+                <div className="ml-5 w-0 flex-1">
+                  <dl>
+                    <dt className="text-sm font-medium text-gray-500 dark:text-gray-400 truncate">
+                      {stat.name}
+                    </dt>
+                    <dd className="text-2xl font-semibold text-gray-900 dark:text-white">
+                      {stat.value}
+                    </dd>
+                  </dl>
+                </div>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+            Direktori Backup
+          </h3>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Backup baru disimpan di direktori ini. Backup lama tetap di lokasi sebelumnya.
+          </p>
+        </div>
+        <div className="card-body">
+          <form
+            onSubmit={handleSubmit((formData) => directoryMutation.mutate(formData))}
+            className="flex items-start gap-3"
+          >
+            <div className="flex-1">
+              <div className="relative">
+                <FolderIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+                <input
+                  {...register('backupDir', {
+                    required: 'Direktori wajib diisi',
+                    pattern: { value: /^\//, message: 'Gunakan path absolut' },
+                  })}
+                  type="text"
+                  className={`input pl-10 font-mono ${errors.backupDir ? 'input-error' : ''}`}
+                  placeholder="/var/lib/panel/backups"
+                />
+              </div>
+              {errors.backupDir && (
+                <p className="mt-1 text-sm text-error-600">{errors.backupDir.message}</p>
+              )}
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={directoryMutation.isLoading}>
+              Simpan
+            </button>
+          </form>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="overflow-x-auto">
+          <table className="table">
+            <thead className="table-header">
+              <tr>
+                <th className="table-header-cell">Container</th>
+                <th className="table-header-cell">Jadwal</th>
+                <th className="table-header-cell">Backup Terakhir</th>
+                <th className="table-header-cell">Backup</th>
+                <th className="table-header-cell">Gagal</th>
+              </tr>
+            </thead>
+            <tbody className="table-body">
+              {containers.map((row) => (
+                <tr key={row.containerId} className="table-row">
+                  <td className="table-cell">
+                    <div className="font-medium text-gray-900 dark:text-white">{row.name}</div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">{row.owner}</div>
+                  </td>
+                  <td className="table-cell">
+                    {row.policy.enabled && row.policy.schedule ? (
+                      <span className="text-sm font-mono bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">
+                        {row.policy.schedule}
+                      </span>
+                    ) : (
+                      <span className="badge badge-gray">Nonaktif</span>
+                    )}
+                    <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      Simpan {row.policy.keepDaily} harian, {row.policy.keepWeekly} mingguan
+                    </div>
+                  </td>
+                  <td className="table-cell text-sm text-gray-600 dark:text-gray-400">
+                    {formatDate(row.lastSuccessAt)}
+                    {row.inProgress && <span className="ml-2 badge badge-primary">Berjalan</span>}
+                  </td>
+                  <td className="table-cell text-sm text-gray-600 dark:text-gray-400">
+                    {row.backups} ({formatFileSize(row.size)})
+                  </td>
+                  <td className="table-cell text-sm">
+                    {row.failures > 0 ? (
+                      <div>
+                        <span className="badge badge-error">{row.failures}</span>
+                        <span className="ml-2 text-gray-500 dark:text-gray-400">{formatDate(row.lastFailureAt)}</span>
+                        {row.lastError && (
+                          <p className="mt-1 text-xs text-error-600">{row.lastError}</p>
+                        )}
+                      </div>
+                    ) : (
+                      <span className="text-gray-500 dark:text-gray-400">-</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AdminBackupsPage
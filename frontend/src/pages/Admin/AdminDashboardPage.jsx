@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { useQuery } from 'react-query'
+import { useQuery, useQueryClient } from 'react-query'
 import {
   ServerIcon,
   UsersIcon,
@@ -7,11 +7,14 @@ import {
   ExclamationTriangleIcon,
   ChartBarIcon,
   CpuChipIcon,
+  HeartIcon,
 } from '@heroicons/react/24/outline'
 import { adminAPI } from '@services/api'
 import LoadingSpinner from '@components/UI/LoadingSpinner'
+import useContainerStatusEvents from '@hooks/useContainerStatusEvents'
 
 const AdminDashboardPage = () => {
+  const queryClient = useQueryClient()
   const { data: stats, isLoading, error } = useQuery(
     'admin-stats',
     adminAPI.getStats,
@@ -20,6 +23,8 @@ const AdminDashboardPage = () => {
     }
   )
 
+  useContainerStatusEvents(() => queryClient.invalidateQueries('admin-stats'))
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -68,6 +73,13 @@ const AdminDashboardPage = () => {
       icon: CpuChipIcon,
       color: 'warning',
     },
+    {
+      name: 'Container Tidak Sehat',
+      value: stats?.containers?.unhealthy || 0,
+      change: 0,
+      icon: HeartIcon,
+      color: 'error',
+    },
     {
       name: 'Log Hari Ini',
       value: stats?.logs?.today || 0,
@@ -90,7 +102,7 @@ const AdminDashboardPage = () => {
       </div>
 
       {/* Stats Cards */}
-      <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
+      <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-5">
         {statCards.map((stat) => (
           <div key={stat.name} className="card">
             <div className="card-body">
@@ -0,0 +1,213 @@
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  ArrowPathIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline'
+import { adminAPI } from '@services/api'
+import LoadingSpinner from '@components/UI/LoadingSpinner'
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('id-ID') : '-')
+
+const ISSUE_TYPES = {
+  missing: { label: 'Docker Hilang', badge: 'badge-error' },
+  orphaned: { label: 'Tanpa Record', badge: 'badge-warning' },
+  image: { label: 'Image Berbeda', badge: 'badge-primary' },
+  status: { label: 'Status Berbeda', badge: 'badge-gray' },
+}
+
+const ACTIONS = {
+  recreate: { label: 'Buat Ulang', className: 'btn-primary' },
+  adopt: { label: 'Adopsi', className: 'btn-secondary' },
+  remove: { label: 'Hapus', className: 'btn-error' },
+}
+
+const AdminReconcilePage = () => {
+  const queryClient = useQueryClient()
+
+  const { data, isLoading, error } = useQuery(
+    'admin-reconcile',
+    () => adminAPI.getDriftReport(),
+    {
+      refetchInterval: 60000,
+    }
+  )
+  const report = data?.data?.data
+
+  const scanMutation = useMutation(adminAPI.scanDrift, {
+    onSuccess: (response) => {
+      queryClient.setQueryData('admin-reconcile', response)
+      toast.success('Scan selesai')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Gagal menjalankan scan')
+    },
+  })
+
+  const repairMutation = useMutation(adminAPI.repairDrift, {
+    onSuccess: (response) => {
+      queryClient.setQueryData('admin-reconcile', {
+        data: { data: response.data?.data?.report },
+      })
+      queryClient.invalidateQueries('containers')
+      toast.success('Perbaikan diterapkan')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Gagal memperbaiki container')
+      queryClient.invalidateQueries('admin-reconcile')
+    },
+  })
+
+  const handleRepair = (issue, action) => {
+    if (action === 'remove' && !window.confirm(
+      issue.type === 'orphaned'
+        ? `Hapus container Docker ${issue.docker.name}?`
+        : `Hapus record ${issue.container.name} beserta volumenya?`
+    )) {
+      return
+    }
+
+    repairMutation.mutate({ key: issue.key, action })
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" text="Memuat laporan sinkronisasi..." />
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="rounded-md bg-error-50 dark:bg-error-900/20 p-4">
+        <div className="flex">
+          <ExclamationTriangleIcon className="h-5 w-5 text-error-400" />
+          <div className="ml-3">
+            <h3 className="text-sm font-medium text-error-800 dark:text-error-200">
+              Gagal memuat laporan sinkronisasi
+            </h3>
+            <p className="mt-1 text-sm text-error-700 dark:text-error-300">
+              {error.response?.data?.message || 'Terjadi kesalahan saat memuat data'}
+            </p>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const issues = report?.issues || []
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+            Sinkronisasi Container
+          </h1>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Bandingkan data container di database dengan container di Docker.
+            Scan terakhir: {formatDate(report?.scannedAt)}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => scanMutation.mutate()}
+          className="btn btn-primary"
+          disabled={scanMutation.isLoading}
+        >
+          <ArrowPathIcon className={`h-4 w-4 mr-2 ${scanMutation.isLoading ? 'animate-spin' : ''}`} />
+          Scan Sekarang
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="card-body text-sm text-gray-600 dark:text-gray-400">
+          {report?.records || 0} record di database, {report?.dockerContainers || 0} container di Docker
+        </div>
+      </div>
+
+      {issues.length === 0 ? (
+        <div className="card">
+          <div className="card-body flex items-center">
+            <CheckCircleIcon className="h-6 w-6 text-success-500" />
+            <p className="ml-3 text-sm text-gray-700 dark:text-gray-300">
+              Database dan Docker sudah sinkron
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="table-header">
+                <tr>
+                  <th className="table-header-cell">Masalah</th>
+                  <th className="table-header-cell">Record</th>
+                  <th className="table-header-cell">Docker</th>
+                  <th className="table-header-cell">Aksi</th>
+                </tr>
+              </thead>
+              <tbody className="table-body">
+                {issues.map((issue) => (
+                  <tr key={issue.key} className="table-row">
+                    <td className="table-cell">
+                      <span className={`badge ${ISSUE_TYPES[issue.type]?.badge || 'badge-gray'}`}>
+                        {ISSUE_TYPES[issue.type]?.label || issue.type}
+                      </span>
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{issue.message}</p>
+                    </td>
+                    <td className="table-cell">
+                      {issue.container ? (
+                        <div>
+                          <div className="font-medium text-gray-900 dark:text-white">{issue.container.name}</div>
+                          <div className="text-sm text-gray-500 dark:text-gray-400">
+                            {issue.container.owner?.username || '-'} &middot; {issue.container.status}
+                          </div>
+                          <div className="text-xs font-mono text-gray-500 dark:text-gray-400">{issue.container.image}</div>
+                        </div>
+                      ) : (
+                        <span className="text-gray-500 dark:text-gray-400">-</span>
+                      )}
+                    </td>
+                    <td className="table-cell">
+                      {issue.docker ? (
+                        <div>
+                          <div className="font-medium text-gray-900 dark:text-white">{issue.docker.name}</div>
+                          <div className="text-sm text-gray-500 dark:text-gray-400">{issue.docker.status}</div>
+                          <div className="text-xs font-mono text-gray-500 dark:text-gray-400">
+                            {issue.docker.id.slice(0, 12)} &middot; {issue.docker.image}
+                          </div>
+                        </div>
+                      ) : (
+                        <span className="text-gray-500 dark:text-gray-400">-</span>
+                      )}
+                    </td>
+                    <td className="table-cell">
+                      <div className="flex flex-wrap gap-2">
+                        {issue.actions.map((action) => (
+                          <button
+                            key={action}
+                            type="button"
+                            onClick={() => handleRepair(issue, action)}
+                            className={`btn btn-sm ${ACTIONS[action]?.className || 'btn-secondary'}`}
+                            disabled={repairMutation.isLoading}
+                          >
+                            {ACTIONS[action]?.label || action}
+                          </button>
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdminReconcilePage
@@ -1,3 +1,339 @@
+import { useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import {
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline'
+import { adminAPI } from '@services/api'
+
+const SecretsKeyCard = () => {
+  const queryClient = useQueryClient()
+
+  const { data } = useQuery('admin-secrets', adminAPI.getSecretsStatus)
+  const status = data?.data?.data
+
+  const rotateMutation = useMutation(adminAPI.rotateSecrets, {
+    onSuccess: (response) => {
+      const { rotated, failed = [] } = response.data?.data || {}
+      if (failed.length > 0) {
+        toast.error(`${failed.length} secret gagal dienkripsi ulang`)
+      } else {
+        toast.success(`${rotated} secret dienkripsi ulang`)
+      }
+      queryClient.invalidateQueries('admin-secrets')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Gagal mengenkripsi ulang secret')
+    },
+  })
+
+  const staleSecrets = (status?.keys || [])
+    .filter((key) => !key.current)
+    .reduce((sum, key) => sum + key.secrets, 0)
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Enkripsi Secret
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Secret container dan token tunnel dienkripsi dengan <span className="font-mono">SECRETS_MASTER_KEY</span>.
+          Untuk rotasi, pasang key baru dan pindahkan key lama ke <span className="font-mono">SECRETS_PREVIOUS_KEYS</span>,
+          restart server, lalu enkripsi ulang.
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        {status && !status.configured && (
+          <div className="rounded-md bg-warning-50 dark:bg-warning-900/20 p-3 flex items-start">
+            <ExclamationTriangleIcon className="h-5 w-5 text-warning-500 flex-shrink-0" />
+            <p className="ml-2 text-sm text-warning-700 dark:text-warning-300">
+              SECRETS_MASTER_KEY belum diset; secret dan token tunnel tidak bisa disimpan.
+            </p>
+          </div>
+        )}
+
+        <dl className="grid grid-cols-1 gap-4 sm:grid-cols-3 text-sm">
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Key aktif</dt>
+            <dd className="font-mono text-gray-900 dark:text-white">{status?.keyId || '-'}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Key lama</dt>
+            <dd className="text-gray-900 dark:text-white">{status?.previousKeys ?? 0}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Total secret</dt>
+            <dd className="text-gray-900 dark:text-white">{status?.total ?? 0}</dd>
+          </div>
+        </dl>
+
+        {(status?.keys || []).length > 0 && (
+          <ul className="space-y-1 text-sm">
+            {status.keys.map((key) => (
+              <li key={key.keyId} className="flex items-center space-x-3">
+                <span className="font-mono text-gray-900 dark:text-white">{key.keyId}</span>
+                <span className="text-gray-500 dark:text-gray-400">{key.secrets} secret</span>
+                {key.current && <span className="badge badge-success">Aktif</span>}
+                {!key.available && <span className="badge badge-error">Key tidak tersedia</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <button
+          type="button"
+          onClick={() => rotateMutation.mutate()}
+          className="btn btn-primary"
+          disabled={!status?.configured || staleSecrets === 0 || rotateMutation.isLoading}
+        >
+          <ArrowPathIcon className={`h-4 w-4 mr-2 ${rotateMutation.isLoading ? 'animate-spin' : ''}`} />
+          Enkripsi Ulang {staleSecrets > 0 ? `(${staleSecrets})` : ''}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+const PortPoolCard = () => {
+  const queryClient = useQueryClient()
+
+  const { data } = useQuery('admin-ports', adminAPI.getPortPool)
+  const pool = data?.data?.data
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    getValues,
+    formState: { errors, isDirty },
+  } = useForm()
+
+  useEffect(() => {
+    if (pool) reset({ start: pool.start, end: pool.end, publicHost: pool.publicHost })
+  }, [pool?.start, pool?.end, pool?.publicHost, reset])
+
+  const updateMutation = useMutation(adminAPI.updatePortPool, {
+    onSuccess: () => {
+      toast.success('Rentang port disimpan')
+      queryClient.invalidateQueries('admin-ports')
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Gagal menyimpan rentang port')
+    },
+  })
+
+  const onSubmit = (formData) => {
+    updateMutation.mutate({
+      start: parseInt(formData.start),
+      end: parseInt(formData.end),
+      publicHost: formData.publicHost.trim(),
+    })
+  }
+
+  const allocations = pool?.allocations || []
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Port Host
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Port container dipublikasikan di port host tetap dari rentang ini. Port di luar rentang baru
+          dipindahkan saat container dibuat ulang.
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-start">
+          <div>
+            <label htmlFor="start" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Port awal
+            </label>
+            <input
+              {...register('start', {
+                required: 'Wajib diisi',
+                min: { value: 1024, message: 'Minimal 1024' },
+                max: { value: 65535, message: 'Maksimal 65535' },
+              })}
+              id="start"
+              type="number"
+              className={`input mt-1 ${errors.start ? 'input-error' : ''}`}
+            />
+            {errors.start && (
+              <p className="mt-1 text-sm text-error-600">{errors.start.message}</p>
+            )}
+          </div>
+          <div>
+            <label htmlFor="end" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Port akhir
+            </label>
+            <input
+              {...register('end', {
+                required: 'Wajib diisi',
+                max: { value: 65535, message: 'Maksimal 65535' },
+                validate: (value) => parseInt(value) >= parseInt(getValues('start')) || 'Tidak boleh lebih kecil dari port awal',
+              })}
+              id="end"
+              type="number"
+              className={`input mt-1 ${errors.end ? 'input-error' : ''}`}
+            />
+            {errors.end && (
+              <p className="mt-1 text-sm text-error-600">{errors.end.message}</p>
+            )}
+          </div>
+          <div>
+            <label htmlFor="publicHost" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Host publik
+            </label>
+            <input
+              {...register('publicHost', { required: 'Wajib diisi' })}
+              id="publicHost"
+              type="text"
+              className={`input mt-1 font-mono ${errors.publicHost ? 'input-error' : ''}`}
+              placeholder="panel.example.com"
+            />
+            {errors.publicHost && (
+              <p className="mt-1 text-sm text-error-600">{errors.publicHost.message}</p>
+            )}
+          </div>
+          <div className="sm:pt-6">
+            <button type="submit" className="btn btn-primary" disabled={!isDirty || updateMutation.isLoading}>
+              Simpan
+            </button>
+          </div>
+        </form>
+
+        <dl className="grid grid-cols-1 gap-4 sm:grid-cols-3 text-sm">
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Ukuran rentang</dt>
+            <dd className="text-gray-900 dark:text-white">{pool?.size ?? 0}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Terpakai</dt>
+            <dd className="text-gray-900 dark:text-white">{pool?.allocated ?? 0}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Tersedia</dt>
+            <dd className="text-gray-900 dark:text-white">{pool?.free ?? 0}</dd>
+          </div>
+        </dl>
+
+        {allocations.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="table-header">
+                <tr>
+                  <th className="table-header-cell">Port host</th>
+                  <th className="table-header-cell">Container</th>
+                  <th className="table-header-cell">Pemilik</th>
+                  <th className="table-header-cell">Port container</th>
+                </tr>
+              </thead>
+              <tbody className="table-body">
+                {allocations.map((allocation) => (
+                  <tr key={`${allocation.containerId}-${allocation.containerPort}/${allocation.protocol}`} className="table-row">
+                    <td className="table-cell font-mono">
+                      {allocation.hostPort}
+                      {allocation.outOfRange && (
+                        <span className="badge badge-warning ml-2">Di luar rentang</span>
+                      )}
+                    </td>
+                    <td className="table-cell">{allocation.containerName}</td>
+                    <td className="table-cell">{allocation.owner?.username || '-'}</td>
+                    <td className="table-cell font-mono">{allocation.containerPort}/{allocation.protocol}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const ProxyCard = () => {
+  const { data } = useQuery('admin-proxy', adminAPI.getProxyStatus)
+  const proxy = data?.data?.data
+  const routes = proxy?.routes || []
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+          Reverse Proxy
+        </h3>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Setiap container bisa diakses di <span className="font-mono">nama-container.{proxy?.domain || 'PROXY_DOMAIN'}</span>{' '}
+          lewat port TCP pertamanya. Domain, port dan timeout diatur lewat environment server.
+        </p>
+      </div>
+      <div className="card-body space-y-4">
+        {proxy && !proxy.enabled && (
+          <div className="rounded-md bg-warning-50 dark:bg-warning-900/20 p-3 flex items-start">
+            <ExclamationTriangleIcon className="h-5 w-5 text-warning-500 flex-shrink-0" />
+            <p className="ml-2 text-sm text-warning-700 dark:text-warning-300">
+              PROXY_DOMAIN belum diset; reverse proxy tidak aktif.
+            </p>
+          </div>
+        )}
+
+        <dl className="grid grid-cols-1 gap-4 sm:grid-cols-3 text-sm">
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Status</dt>
+            <dd>
+              {proxy?.listening
+                ? <span className="badge badge-success">Aktif</span>
+                : <span className="badge badge-gray">Tidak aktif</span>}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Port</dt>
+            <dd className="font-mono text-gray-900 dark:text-white">{proxy?.port ?? '-'}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Upstream</dt>
+            <dd className="font-mono text-gray-900 dark:text-white">{proxy?.upstreamHost || '-'}</dd>
+          </div>
+        </dl>
+
+        {routes.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead className="table-header">
+                <tr>
+                  <th className="table-header-cell">Host</th>
+                  <th className="table-header-cell">Container</th>
+                  <th className="table-header-cell">Tujuan</th>
+                </tr>
+              </thead>
+              <tbody className="table-body">
+                {routes.map((route) => (
+                  <tr key={route.hostname} className="table-row">
+                    <td className="table-cell font-mono">{route.hostname}</td>
+                    <td className="table-cell">
+                      {route.containerName}
+                      <span className={`badge ml-2 ${route.status === 'RUNNING' ? 'badge-success' : 'badge-gray'}`}>
+                        {route.status}
+                      </span>
+                    </td>
+                    <td className="table-cell font-mono">
+                      {route.hostPort ? `${proxy.upstreamHost}:${route.hostPort}` : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
 const AdminSettingsPage = () => {
   return (
     <div className="space-y-6">
@@ -10,13 +346,11 @@ const AdminSettingsPage = () => {
         </p>
       </div>
 
-      <div className="card">
-        <div className="card-body">
-          <p className="text-gray-600 dark:text-gray-400">
-            Halaman pengaturan sistem sedang dalam pengembangan.
-          </p>
-        </div>
-      </div>
+      <PortPoolCard />
+
+      <ProxyCard />
+
+      <SecretsKeyCard />
     </div>
   )
 }
@@ -1,26 +1,144 @@
 import { useParams } from 'react-router-dom'
+import { useQuery, useQueryClient } from 'react-query'
+import { containerAPI } from '@services/api'
+import LoadingSpinner from '@components/UI/LoadingSpinner'
+import SwitchImagePanel from '@components/Containers/SwitchImagePanel'
+import ContainerSettingsPanel from '@components/Containers/ContainerSettingsPanel'
+import SecretsPanel from '@components/Containers/SecretsPanel'
+import PortsPanel from '@components/Containers/PortsPanel'
+import DomainsPanel from '@components/Containers/DomainsPanel'
+import HealthCheckPanel from '@components/Containers/HealthCheckPanel'
+import HealthBadge from '@components/Containers/HealthBadge'
+import OutputPanel from '@components/Containers/OutputPanel'
+import LogArchivePanel from '@components/Containers/LogArchivePanel'
+import JobProgress from '@components/UI/JobProgress'
+import ImagePullProgress from '@components/Containers/ImagePullProgress'
+import ScriptRunsPanel from '@components/Containers/ScriptRunsPanel'
+import CronJobsPanel from '@components/Containers/CronJobsPanel'
+import SnapshotsPanel from '@components/Containers/SnapshotsPanel'
+import BackupsPanel from '@components/Containers/BackupsPanel'
+import BundlePanel from '@components/Containers/BundlePanel'
+import useContainerEvents from '@hooks/useContainerEvents'
 
 const ContainerDetailPage = () => {
   const { id } = useParams()
+  const queryClient = useQueryClient()
+
+  const { data, isLoading } = useQuery(
+    ['container', id],
+    () => containerAPI.getContainer(id)
+  )
+
+  // Docker may stop, restart or pause the container on its own
+  useContainerEvents(id, {
+    'container:status': () => queryClient.invalidateQueries(['container', id]),
+    'container:health': () => queryClient.invalidateQueries(['container', id]),
+  })
+
+  const container = data?.data?.data?.container
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" text="Memuat container..." />
+      </div>
+    )
+  }
 
   return (
     <div className="space-y-6">
       <div>
         <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
-          Container Detail
+          {container?.name || 'Container Detail'}
         </h1>
         <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
           Detail container ID: {id}
         </p>
       </div>
 
-      <div className="card">
-        <div className="card-body">
-          <p className="text-gray-600 dark:text-gray-400">
-            Halaman detail container sedang dalam pengembangan.
-          </p>
+      {container ? (
+        <>
+          <div className="card">
+            <div className="card-body grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <div className="text-sm font-medium text-gray-600 dark:text-gray-400">Image</div>
+                <div className="font-mono text-gray-900 dark:text-white">{container.image}</div>
+              </div>
+              <div>
+                <div className="text-sm font-medium text-gray-600 dark:text-gray-400">Status</div>
+                <div className="flex items-center space-x-2 text-gray-900 dark:text-white">
+                  <span>{container.status}</span>
+                  <HealthBadge status={container.health?.status} failingStreak={container.health?.failingStreak} />
+                </div>
+              </div>
+              <div>
+                <div className="text-sm font-medium text-gray-600 dark:text-gray-400">Dibuat</div>
+                <div className="text-gray-900 dark:text-white">
+                  {new Date(container.createdAt).toLocaleString('id-ID')}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {container.config?.createJobId && ['CREATING', 'ERROR'].includes(container.status) && (
+            <div className="card">
+              <div className="card-body">
+                <JobProgress
+                  jobId={container.config.createJobId}
+                  title="Membuat container"
+                  onCompleted={() => queryClient.invalidateQueries(['container', id])}
+                  onFailed={() => queryClient.invalidateQueries(['container', id])}
+                />
+                {container.status === 'CREATING' && (
+                  <div className="mt-4">
+                    <ImagePullProgress pullId={container.config.createJobId} />
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {container.ports?.length > 0 && <PortsPanel container={container} />}
+
+          {container.ports?.length > 0 && <DomainsPanel container={container} />}
+
+          {!['CREATING', 'REMOVING'].includes(container.status) && (
+            <ContainerSettingsPanel container={container} />
+          )}
+
+          {container.dockerId && !['CREATING', 'REMOVING'].includes(container.status) && (
+            <HealthCheckPanel container={container} />
+          )}
+
+          {!['CREATING', 'REMOVING'].includes(container.status) && (
+            <SecretsPanel container={container} />
+          )}
+
+          {container.dockerId && <OutputPanel container={container} />}
+
+          <LogArchivePanel container={container} />
+
+          {container.dockerId && <SwitchImagePanel container={container} />}
+
+          {container.dockerId && <ScriptRunsPanel container={container} />}
+
+          {container.dockerId && <CronJobsPanel container={container} />}
+
+          {container.dockerId && <SnapshotsPanel container={container} />}
+
+          {container.dockerId && <BackupsPanel container={container} />}
+
+          {container.dockerId && <BundlePanel container={container} />}
+        </>
+      ) : (
+        <div className="card">
+          <div className="card-body">
+            <p className="text-gray-600 dark:text-gray-400">
+              Container tidak ditemukan.
+            </p>
+          </div>
         </div>
-      </div>
+      )}
     </div>
   )
 }
@@ -1,5 +1,5 @@
 import { useState } from 'react'
-import { useQuery } from 'react-query'
+import { useQuery, useQueryClient } from 'react-query'
 import { Link } from 'react-router-dom'
 import {
   PlusIcon,
@@ -12,9 +12,13 @@ import {
 import { containerAPI } from '@services/api'
 import { useAuthStore } from '@store/authStore'
 import LoadingSpinner from '@components/UI/LoadingSpinner'
+import ImportBundleButton from '@components/Containers/ImportBundleButton'
+import useContainerStatusEvents from '@hooks/useContainerStatusEvents'
+import HealthBadge from '@components/Containers/HealthBadge'
 
 const ContainersPage = () => {
   const { user } = useAuthStore()
+  const queryClient = useQueryClient()
   const [page, setPage] = useState(1)
   const [search, setSearch] = useState('')
 
@@ -26,6 +30,8 @@ const ContainersPage = () => {
     }
   )
 
+  useContainerStatusEvents(() => queryClient.invalidateQueries('containers'))
+
   const containers = data?.data?.containers || []
   const pagination = data?.data?.pagination || {}
 
@@ -49,12 +55,15 @@ const ContainersPage = () => {
             Kelola container Docker Anda
           </p>
         </div>
-        {(user?.role === 'ADMIN' || containers.length === 0) && (
-          <Link to="/containers/create" className="btn btn-primary">
-            <PlusIcon className="h-4 w-4 mr-2" />
-            Buat Container
-          </Link>
-        )}
+        <div className="flex items-center space-x-3">
+          <ImportBundleButton />
+          {(user?.role === 'ADMIN' || containers.length === 0) && (
+            <Link to="/containers/create" className="btn btn-primary">
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Buat Container
+            </Link>
+          )}
+        </div>
       </div>
 
       {/* Search */}
@@ -114,6 +123,9 @@ const ContainersPage = () => {
                       }`}>
                         {container.status}
                       </span>
+                      <span className="ml-2">
+                        <HealthBadge status={container.healthStatus} failingStreak={container.healthFailures} />
+                      </span>
                     </td>
                     <td className="table-cell">
                       <div className="text-sm text-gray-900 dark:text-white">
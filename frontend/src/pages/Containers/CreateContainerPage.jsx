@@ -0,0 +1,229 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { useMutation, useQuery, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import { PlusIcon } from '@heroicons/react/24/outline'
+import { containerAPI, templateAPI } from '@services/api'
+import LoadingSpinner from '@components/UI/LoadingSpinner'
+import ImagePicker from '@components/Containers/ImagePicker'
+import TemplatePicker from '@components/Containers/TemplatePicker'
+
+const CreateContainerPage = () => {
+  const navigate = useNavigate()
+  const queryClient = useQueryClient()
+  const [image, setImage] = useState(null)
+  const [template, setTemplate] = useState(null)
+
+  const {
+    register,
+    handleSubmit,
+    setValue,
+    formState: { errors },
+  } = useForm()
+
+  const { data: imagesData, isLoading } = useQuery('allowed-images', containerAPI.getAllowedImages)
+  const images = imagesData?.data?.data?.images || []
+
+  const { data: templatesData, isLoading: templatesLoading } = useQuery('templates', templateAPI.getTemplates)
+  const templates = templatesData?.data?.data?.templates || []
+
+  const createMutation = useMutation(containerAPI.createContainer, {
+    onSuccess: (response) => {
+      const container = response.data?.data?.container
+      toast.success('Container sedang dibuat')
+      queryClient.invalidateQueries('containers')
+      navigate(`/containers/${container.id}`)
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Gagal membuat container')
+    },
+  })
+
+  // Pre-fill resources with the image minimum so the request passes the catalog check
+  const handleImageChange = (selected) => {
+    setImage(selected)
+    setTemplate(null)
+    setValue('memory', selected.minMemory || '')
+    setValue('cpus', selected.minCpus || '')
+  }
+
+  // A template brings its own image; pre-select the matching catalog entry
+  const handleTemplateChange = (selected) => {
+    setTemplate(selected)
+    if (!selected) return
+
+    const catalogImage = images.find((img) => img.image === selected.image)
+    setImage(catalogImage || { image: selected.image })
+    setValue('memory', catalogImage?.minMemory || '')
+    setValue('cpus', catalogImage?.minCpus || '')
+  }
+
+  const onSubmit = (data) => {
+    if (!image && !template) {
+      toast.error('Pilih template atau image terlebih dahulu')
+      return
+    }
+
+    const resources = {}
+    if (data.memory) resources.memory = data.memory
+    if (data.cpus) resources.cpus = parseFloat(data.cpus)
+
+    createMutation.mutate({
+      name: data.name,
+      ...(template ? { template: template.slug } : { image: image.image }),
+      resources,
+    })
+  }
+
+  if (isLoading || templatesLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" text="Memuat katalog image..." />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white">
+          Buat Container
+        </h1>
+        <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+          Mulai dari template atau pilih image dari katalog, lalu beri nama container Anda
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+        <div className="card">
+          <div className="card-body">
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Nama Container
+            </label>
+            <input
+              {...register('name', {
+                required: 'Nama container wajib diisi',
+                minLength: { value: 3, message: 'Nama minimal 3 karakter' },
+                maxLength: { value: 50, message: 'Nama maksimal 50 karakter' },
+                pattern: {
+                  value: /^[a-zA-Z0-9_-]+$/,
+                  message: 'Hanya huruf, angka, underscore dan strip',
+                },
+              })}
+              id="name"
+              type="text"
+              className={`input mt-1 ${errors.name ? 'input-error' : ''}`}
+              placeholder="my-app"
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-error-600">{errors.name.message}</p>
+            )}
+          </div>
+        </div>
+
+        {templates.length > 0 && (
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                Mulai dari template
+              </h3>
+              <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                Container langsung berisi file contoh di /app dan perintah start yang siap jalan
+              </p>
+            </div>
+            <div className="card-body">
+              <TemplatePicker
+                templates={templates}
+                value={template?.slug}
+                onChange={handleTemplateChange}
+                disabled={createMutation.isLoading}
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+              Image
+            </h3>
+          </div>
+          <div className="card-body">
+            <ImagePicker
+              images={images}
+              value={image?.image}
+              onChange={handleImageChange}
+              disabled={createMutation.isLoading}
+            />
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+              Resource
+            </h3>
+            <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+              Kosongkan untuk memakai nilai default dari plan Anda
+            </p>
+          </div>
+          <div className="card-body grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="memory" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Memory
+              </label>
+              <input
+                {...register('memory', {
+                  pattern: { value: /^\d+[kmg]?$/i, message: 'Format seperti 512m atau 1g' },
+                })}
+                id="memory"
+                type="text"
+                className={`input mt-1 ${errors.memory ? 'input-error' : ''}`}
+                placeholder="512m"
+              />
+              {errors.memory && (
+                <p className="mt-1 text-sm text-error-600">{errors.memory.message}</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="cpus" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                CPU
+              </label>
+              <input
+                {...register('cpus', {
+                  min: { value: 0.1, message: 'Minimal 0.1 CPU' },
+                })}
+                id="cpus"
+                type="number"
+                step="0.1"
+                className={`input mt-1 ${errors.cpus ? 'input-error' : ''}`}
+                placeholder="0.5"
+              />
+              {errors.cpus && (
+                <p className="mt-1 text-sm text-error-600">{errors.cpus.message}</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={(!image && !template) || createMutation.isLoading}
+          >
+            {createMutation.isLoading ? (
+              <LoadingSpinner size="sm" className="mr-2" />
+            ) : (
+              <PlusIcon className="h-4 w-4 mr-2" />
+            )}
+            Buat Container
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default CreateContainerPage
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { useQuery } from 'react-query'
+import { useQuery, useQueryClient } from 'react-query'
 import { Link } from 'react-router-dom'
 import {
   ServerIcon,
@@ -11,12 +11,15 @@ import {
   CloudIcon,
   ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline'
-import { memberAPI } from '@services/api'
+import { memberAPI, formatFileSize } from '@services/api'
 import { useAuthStore } from '@store/authStore'
 import LoadingSpinner from '@components/UI/LoadingSpinner'
+import useContainerStatusEvents from '@hooks/useContainerStatusEvents'
+import HealthBadge from '@components/Containers/HealthBadge'
 
 const MemberDashboardPage = () => {
   const { user } = useAuthStore()
+  const queryClient = useQueryClient()
   const { data: dashboard, isLoading, error } = useQuery(
     'member-dashboard',
     memberAPI.getDashboard,
@@ -25,6 +28,8 @@ const MemberDashboardPage = () => {
     }
   )
 
+  useContainerStatusEvents(() => queryClient.invalidateQueries('member-dashboard'))
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -53,6 +58,7 @@ const MemberDashboardPage = () => {
 
   const container = dashboard?.container
   const stats = dashboard?.stats
+  const disk = dashboard?.data?.data?.limits?.disk
 
   return (
     <div className="space-y-6">
@@ -108,6 +114,7 @@ const MemberDashboardPage = () => {
                   <span className="text-sm font-medium text-gray-900 dark:text-white capitalize">
                     {container.status}
                   </span>
+                  <HealthBadge status={container.healthStatus} failingStreak={container.healthFailures} />
                 </div>
               </div>
 
@@ -197,6 +204,35 @@ const MemberDashboardPage = () => {
         </div>
       </div>
 
+      {/* Disk Usage */}
+      {disk && (
+        <div className="card">
+          <div className="card-body space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-medium text-gray-600 dark:text-gray-400">
+                Penyimpanan
+              </span>
+              <span className="text-gray-900 dark:text-white">
+                {formatFileSize(disk.used)} / {disk.quota ? formatFileSize(disk.quota) : 'Tanpa batas'}
+              </span>
+            </div>
+            {disk.quota && (
+              <div className="progress-bar">
+                <div
+                  className={`progress-fill ${disk.percent >= 90 ? 'bg-error-600' : ''}`}
+                  style={{ width: `${disk.percent}%` }}
+                />
+              </div>
+            )}
+            {disk.measuredAt && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Diukur {new Date(disk.measuredAt).toLocaleString('id-ID')}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Quick Stats */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
         <div className="card">
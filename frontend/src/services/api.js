@@ -89,14 +89,45 @@ export const containerAPI = {
   getContainers: (params) => api.get('/containers', { params }),
   getContainer: (id) => api.get(`/containers/${id}`),
   createContainer: (data) => api.post('/containers', data),
-  updateContainer: (id, data) => api.put(`/containers/${id}`, data),
+  updateContainer: (id, data) => api.put(`/containers/${id}`, data, { timeout: 0 }),
   deleteContainer: (id, force = false) => api.delete(`/containers/${id}`, { params: { force } }),
   startContainer: (id) => api.post(`/containers/${id}/start`),
   stopContainer: (id, timeout = 10) => api.post(`/containers/${id}/stop`, { timeout }),
   restartContainer: (id, timeout = 10) => api.post(`/containers/${id}/restart`, { timeout }),
   getContainerStats: (id) => api.get(`/containers/${id}/stats`),
+  getContainerPorts: (id) => api.get(`/containers/${id}/ports`),
   getContainerLogs: (id, params) => api.get(`/containers/${id}/logs`, { params }),
+  getContainerOutput: (id, params) => api.get(`/containers/${id}/output`, { params }),
+  downloadContainerOutput: (id, params) =>
+    api.get(`/containers/${id}/output`, {
+      params: { ...params, format: 'text' },
+      responseType: 'blob',
+      timeout: 0,
+    }),
+  getOutputArchive: (id, params) => api.get(`/containers/${id}/output/archive`, { params }),
+  downloadOutputArchive: (id, params) =>
+    api.get(`/containers/${id}/output/archive`, {
+      params: { ...params, format: 'text' },
+      responseType: 'blob',
+      timeout: 0,
+    }),
   getAllowedImages: () => api.get('/containers/images/allowed'),
+  // Pull + recreate can take minutes, so no client timeout here
+  switchImage: (id, data) => api.post(`/containers/${id}/switch-image`, data, { timeout: 0 }),
+  recreateContainer: (id) => api.post(`/containers/${id}/recreate`, null, { timeout: 0 }),
+  // Bundles hold all of /app, so exports and imports get no client timeout either
+  exportContainer: (id) =>
+    api.get(`/containers/${id}/export`, {
+      responseType: 'blob',
+      timeout: 0,
+    }),
+  importContainer: (formData, onUploadProgress) =>
+    api.post('/containers/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 0,
+      onUploadProgress,
+    }),
+  cloneContainer: (id, data) => api.post(`/containers/${id}/clone`, data, { timeout: 0 }),
 }
 
 // File Manager API
@@ -134,6 +165,67 @@ export const tunnelAPI = {
   testTunnel: (containerId, tunnelId) => api.post(`/tunnels/${containerId}/${tunnelId}/test`),
 }
 
+// Script Run API
+export const scriptAPI = {
+  getRuns: (containerId, params) => api.get(`/scripts/${containerId}`, { params }),
+  getRun: (containerId, runId) => api.get(`/scripts/${containerId}/${runId}`),
+  startRun: (containerId, data) => api.post(`/scripts/${containerId}`, data),
+  stopRun: (containerId, runId) => api.post(`/scripts/${containerId}/${runId}/stop`),
+  getOutput: (containerId, runId, params) => api.get(`/scripts/${containerId}/${runId}/output`, { params }),
+  downloadOutput: (containerId, runId) =>
+    api.get(`/scripts/${containerId}/${runId}/output`, {
+      params: { format: 'text' },
+      responseType: 'blob',
+    }),
+}
+
+// Cron Job API
+export const cronAPI = {
+  getCronJobs: (containerId) => api.get(`/cron/${containerId}`),
+  createCronJob: (containerId, data) => api.post(`/cron/${containerId}`, data),
+  updateCronJob: (containerId, cronJobId, data) => api.put(`/cron/${containerId}/${cronJobId}`, data),
+  deleteCronJob: (containerId, cronJobId) => api.delete(`/cron/${containerId}/${cronJobId}`),
+  runCronJob: (containerId, cronJobId) => api.post(`/cron/${containerId}/${cronJobId}/run`),
+  getRuns: (containerId, cronJobId, params) => api.get(`/cron/${containerId}/${cronJobId}/runs`, { params }),
+}
+
+// Snapshot API
+export const snapshotAPI = {
+  getSnapshots: (containerId) => api.get(`/containers/${containerId}/snapshots`),
+  createSnapshot: (containerId, data) => api.post(`/containers/${containerId}/snapshots`, data),
+  getSnapshot: (containerId, snapshotId) => api.get(`/containers/${containerId}/snapshots/${snapshotId}`),
+  restoreSnapshot: (containerId, snapshotId, data) => api.post(`/containers/${containerId}/snapshots/${snapshotId}/restore`, data),
+  deleteSnapshot: (containerId, snapshotId) => api.delete(`/containers/${containerId}/snapshots/${snapshotId}`),
+}
+
+// Backup API
+export const backupAPI = {
+  getBackups: (containerId, params) => api.get(`/backups/${containerId}`, { params }),
+  createBackup: (containerId) => api.post(`/backups/${containerId}`),
+  updatePolicy: (containerId, data) => api.put(`/backups/${containerId}/policy`, data),
+  downloadBackup: (containerId, backupId) =>
+    api.get(`/backups/${containerId}/${backupId}/download`, {
+      responseType: 'blob',
+    }),
+  deleteBackup: (containerId, backupId) => api.delete(`/backups/${containerId}/${backupId}`),
+}
+
+// Secret API
+export const secretAPI = {
+  getSecrets: (containerId) => api.get(`/secrets/${containerId}`),
+  setSecret: (containerId, name, data) => api.put(`/secrets/${containerId}/${name}`, data),
+  deleteSecret: (containerId, name) => api.delete(`/secrets/${containerId}/${name}`),
+}
+
+// Domain API
+export const domainAPI = {
+  getDomains: (containerId) => api.get(`/domains/${containerId}`),
+  addDomain: (containerId, data) => api.post(`/domains/${containerId}`, data),
+  verifyDomain: (containerId, domainId) => api.post(`/domains/${containerId}/${domainId}/verify`),
+  requestCertificate: (containerId, domainId) => api.post(`/domains/${containerId}/${domainId}/certificate`),
+  deleteDomain: (containerId, domainId) => api.delete(`/domains/${containerId}/${domainId}`),
+}
+
 // Member API
 export const memberAPI = {
   getDashboard: () => api.get('/member/dashboard'),
@@ -160,7 +252,51 @@ export const adminAPI = {
 
   // Containers
   getContainers: (params) => api.get('/admin/containers', { params }),
-  deleteContainer: (id) => api.delete(`/admin/containers/${id}`),
+  deleteContainer: (id, keepVolumes = false) => api.delete(`/admin/containers/${id}`, { params: { keepVolumes } }),
+
+  // Images
+  getImages: () => api.get('/admin/images'),
+  createImage: (data) => api.post('/admin/images', data),
+  updateImage: (id, data) => api.put(`/admin/images/${id}`, data),
+  deleteImage: (id) => api.delete(`/admin/images/${id}`),
+  pullImage: (data) => api.post('/admin/images/pull', data),
+
+  // Plans
+  getPlans: () => api.get('/admin/plans'),
+  getPlan: (id) => api.get(`/admin/plans/${id}`),
+  createPlan: (data) => api.post('/admin/plans', data),
+  updatePlan: (id, data) => api.put(`/admin/plans/${id}`, data),
+  deletePlan: (id) => api.delete(`/admin/plans/${id}`),
+
+  // Templates
+  getTemplates: () => api.get('/admin/templates'),
+  createTemplate: (data) => api.post('/admin/templates', data),
+  updateTemplate: (id, data) => api.put(`/admin/templates/${id}`, data),
+  deleteTemplate: (id) => api.delete(`/admin/templates/${id}`),
+
+  // Volumes
+  getVolumes: () => api.get('/admin/volumes'),
+  deleteVolume: (name) => api.delete(`/admin/volumes/${name}`),
+
+  // Backups
+  getBackups: () => api.get('/admin/backups'),
+  updateBackupDirectory: (data) => api.put('/admin/backups/directory', data),
+
+  // Secrets
+  getSecretsStatus: () => api.get('/admin/secrets'),
+  rotateSecrets: () => api.post('/admin/secrets/rotate'),
+
+  // Host port pool
+  getPortPool: () => api.get('/admin/ports'),
+  updatePortPool: (data) => api.put('/admin/ports', data),
+
+  // HTTP proxy
+  getProxyStatus: () => api.get('/admin/proxy'),
+
+  // Reconciliation
+  getDriftReport: (params) => api.get('/admin/reconcile', { params }),
+  scanDrift: () => api.post('/admin/reconcile/scan'),
+  repairDrift: (data) => api.post('/admin/reconcile/repair', data),
 
   // System
   getStats: () => api.get('/admin/stats'),
@@ -169,6 +305,24 @@ export const adminAPI = {
   updateSetting: (key, data) => api.put(`/admin/settings/${key}`, data),
 }
 
+// Job API
+export const jobAPI = {
+  getJobs: (params) => api.get('/jobs', { params }),
+  getJob: (id) => api.get(`/jobs/${id}`),
+}
+
+// Image API
+export const imageAPI = {
+  getPulls: (params) => api.get('/images/pulls', { params }),
+  getPull: (pullId) => api.get(`/images/pulls/${pullId}`),
+}
+
+// Template API
+export const templateAPI = {
+  getTemplates: () => api.get('/templates'),
+  getTemplate: (slug) => api.get(`/templates/${slug}`),
+}
+
 // Health API
 export const healthAPI = {
   getHealth: () => api.get('/health'),
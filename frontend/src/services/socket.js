@@ -0,0 +1,14 @@
+import { io } from 'socket.io-client'
+
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || ''
+
+// Create an authenticated Socket.IO connection to a backend namespace
+export const createSocket = (namespace) => {
+  return io(`${SOCKET_URL}${namespace}`, {
+    auth: (cb) => cb({ token: localStorage.getItem('accessToken') }),
+    withCredentials: true,
+    transports: ['websocket', 'polling'],
+  })
+}
+
+export default createSocket